@@ -1,8 +1,189 @@
 'use strict';
 
 const fs = require('node:fs/promises');
-const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const path = require('node:path');
+const { randomUUID } = require('node:crypto');
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  HeadBucketCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
 const StorageBase = require('ghost-storage-base');
+const { bufferSource, fileSource, streamToBuffer, uploadMultipart } = require('./lib/multipart');
+const { getNamingStrategy } = require('./lib/naming');
+const { normalizeConfig } = require('./lib/config');
+const { getCustomerKeyParams, getUploadParams } = require('./lib/object-params');
+const { assertUploadAllowed } = require('./lib/validation');
+const mime = require('./lib/mime');
+const { sanitizeSvgBuffer } = require('./lib/svg');
+const { isSizeAllowed, loadSharp, parseImageVariant, resizeImage } = require('./lib/image');
+const { createCache } = require('./lib/cache');
+const { Replicator, createTarget } = require('./lib/replication');
+const { createLogger } = require('./lib/logging');
+const { registry, startMetricsServer } = require('./lib/metrics');
+const { Telemetry } = require('./lib/telemetry');
+const migration = require('./lib/migrate');
+const gc = require('./lib/gc');
+const trash = require('./lib/trash');
+const tenancy = require('./lib/tenants');
+const bulk = require('./lib/bulk');
+const { getInventory } = require('./lib/inventory');
+const { decodePath, joinKey, keyToUrl, normalizeKey, scopeCommand, urlToKey } = require('./lib/keys');
+const errors = require('./lib/errors');
+
+const { InvalidConfigError, NotFoundError, toObjectStoreError } = errors;
+
+/**
+ * Parses the Range header of a request
+ *
+ * Only a single `bytes` range is supported. Other units and multi-range requests are ignored
+ * (the whole object is served), as allowed by RFC 9110.
+ *
+ * @param {String} header value of the Range header
+ * @returns {String|null|false} normalised range, null when it should be ignored or false when it is invalid
+ */
+function parseRange(header) {
+  if (!header || typeof header !== 'string') {
+    return null;
+  }
+
+  const match = /^\s*bytes\s*=\s*(.*)$/i.exec(header);
+  if (!match || match[1].includes(',')) {
+    return null;
+  }
+
+  const spec = /^(\d*)\s*-\s*(\d*)$/.exec(match[1].trim());
+  if (!spec || (spec[1] === '' && spec[2] === '')) {
+    return false;
+  }
+
+  const [, start, end] = spec;
+  if (start === '') {
+    // Suffix range, e.g. the last 500 bytes
+    return Number(end) > 0 ? `bytes=-${Number(end)}` : false;
+  }
+
+  if (end !== '' && Number(end) < Number(start)) {
+    return false;
+  }
+
+  return `bytes=${Number(start)}-${end === '' ? '' : Number(end)}`;
+}
+
+/**
+ * Maps the conditional request headers to their Object Store parameters
+ *
+ * If-Modified-Since is only used when If-None-Match is absent, as required by RFC 9110.
+ *
+ * @param {Object} headers request headers
+ * @returns {Object}
+ */
+function getConditionalParams(headers) {
+  if (headers['if-none-match']) {
+    return { IfNoneMatch: headers['if-none-match'] };
+  }
+
+  if (headers['if-modified-since']) {
+    const since = new Date(headers['if-modified-since']);
+    if (!Number.isNaN(since.getTime())) {
+      return { IfModifiedSince: since };
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Evaluates the conditional request headers against a cached object, as the Object Store would
+ *
+ * @param {Object} headers request headers
+ * @param {Object} metadata cached object metadata
+ * @returns {Boolean} true when the client copy is still fresh
+ */
+function isNotModified(headers, metadata) {
+  if (headers['if-none-match']) {
+    const etag = metadata.ETag && metadata.ETag.replace(/^W\//, '');
+
+    return headers['if-none-match'].split(',')
+      .map((tag) => tag.trim())
+      .some((tag) => tag === '*' || (etag && tag.replace(/^W\//, '') === etag));
+  }
+
+  if (headers['if-modified-since'] && metadata.LastModified) {
+    const since = new Date(headers['if-modified-since']).getTime();
+    // HTTP dates have a one second resolution
+    return !Number.isNaN(since) && Math.floor(new Date(metadata.LastModified).getTime() / 1000) <= Math.floor(since / 1000);
+  }
+
+  return false;
+}
+
+/**
+ * Sends an object from the cache, answering conditional and range requests like the Object Store does
+ *
+ * @param {Object} res Express response
+ * @param {Object} headers request headers
+ * @param {{metadata: Object, body: Buffer}} cached
+ * @param {String|null} range normalised range, see parseRange
+ * @param {String} cacheControl
+ */
+function sendCachedObject(res, headers, { metadata, body }, range, cacheControl) {
+  res.set('Cache-Control', cacheControl);
+
+  // 304 responses carry the validators too
+  if (metadata.ETag) {
+    res.set('ETag', metadata.ETag);
+  }
+
+  if (metadata.LastModified) {
+    res.set('Last-Modified', new Date(metadata.LastModified).toUTCString());
+  }
+
+  if (isNotModified(headers, metadata)) {
+    res.status(304).end();
+    return;
+  }
+
+  if (metadata.ContentType) {
+    res.set('Content-Type', metadata.ContentType);
+  }
+
+  res.set('Accept-Ranges', 'bytes');
+
+  if (metadata.ContentDisposition) {
+    res.set('Content-Disposition', metadata.ContentDisposition);
+  }
+
+  let start = 0;
+  let end = body.length - 1;
+
+  if (range) {
+    const [, first, last] = /^bytes=(\d*)-(\d*)$/.exec(range);
+
+    if (first === '') {
+      start = Math.max(0, body.length - Number(last));
+    } else {
+      start = Number(first);
+      end = last === '' ? end : Math.min(Number(last), end);
+    }
+
+    if (start >= body.length) {
+      res.set('Content-Range', `bytes */${body.length}`);
+      res.status(416).end();
+      return;
+    }
+
+    res.set('Content-Range', `bytes ${start}-${end}/${body.length}`);
+    res.status(206);
+  }
+
+  const content = body.subarray(start, end + 1);
+  res.set('Content-Length', String(content.length));
+  res.end(content);
+}
 
 /**
  * Object Store Storage Adapter for Ghost
@@ -13,25 +194,19 @@ const StorageBase = require('ghost-storage-base');
  */
 class ObjectStoreStorage extends StorageBase {
   constructor(options = {}) {
-    // Default configuration (Mostly for dev. You should definitely change these.)
-    const defaultOptions = {
-      endpoint: process.env.storage__objectStore__endpoint || 'http://minio:9000',
-      accessKey: process.env.storage__objectStore__accessKey,
-      secretKey: process.env.storage__objectStore__secretKey,
-      bucket: process.env.storage__objectStore__bucket || 'ghost',
-      region: process.env.storage__objectStore__region || 'eu-west-1',
-      useSSL: process.env.storage__objectStore__useSSL === 'true' || false,
-      // For Ghost's static file handling
-      storagePath: process.env.storage__objectStore__storagePath || 'content/media/',
-      staticFileURLPrefix: process.env.storage__objectStore__staticFileURLPrefix || 'content/media/',
-    };
-
-    // Merge provided options with defaults
-    const config = { ...defaultOptions, ...options };
+    // Merge provided options with `storage__objectStore__*` environment variables and defaults,
+    // failing with every configuration problem at once
+    const config = normalizeConfig(options);
 
     super();
 
-    // Store ObjectStore-specific configuration
+    // Store ObjectStore-specific configuration, and the options it was built from for the other tenants
+    this.config = config;
+    this.adapterOptions = options;
+    // Ghost storage role (images, media or files) this instance serves, when configured
+    this.role = config.role;
+    // `s3`, or `filesystem` to keep the objects below localPath
+    this.driver = config.driver;
     this.endpoint = config.endpoint;
     this.accessKey = config.accessKey;
     this.secretKey = config.secretKey;
@@ -40,18 +215,125 @@ class ObjectStoreStorage extends StorageBase {
     this.useSSL = config.useSSL;
     this.storagePath = config.storagePath;
     this.staticFileURLPrefix = config.staticFileURLPrefix;
+    // Tenant in multi-tenant mode, whose namespace starts the keyPrefix
+    this.tenant = config.tenant;
+    // Prefix of every object key in the bucket, see lib/keys.js
+    this.keyPrefix = config.keyPrefix;
+    this.assetHost = config.assetHost;
+    this.serveMode = config.serveMode;
+    this.signedUrlExpiry = config.signedUrlExpiry;
+    this.namingStrategy = config.namingStrategy;
+    this.generateKey = getNamingStrategy(config.namingStrategy);
+    this.multipartThreshold = config.multipartThreshold;
+    this.multipartPartSize = config.multipartPartSize;
+    this.multipartConcurrency = config.multipartConcurrency;
+    this.startupCheck = config.startupCheck;
+    this.cacheControl = config.cacheControl;
+    this.resizeImages = config.resizeImages;
+    this.imageSizes = config.imageSizes;
+    // Image variants being generated, by object key, so concurrent requests share the work
+    this.pendingVariants = new Map();
+    // Ghost's logger, unless a `logger` is passed in the configuration
+    this.logger = createLogger(config.logger);
+    for (const warning of config.warnings) {
+      this.logger.warn(warning, { role: this.role });
+    }
+    // Metrics, events and spans for every operation and request
+    this.telemetry = new Telemetry({ role: config.role, tracing: config.tracing });
+    // Optional read-through cache for serve() and read()
+    this.cache = createCache(config, { onLookup: (key, result) => this.telemetry.cacheLookup(key, result) });
 
-    // Initialize S3 client
-    this.s3Client = new S3Client({
-      endpoint: config.endpoint,
-      region: config.region,
-      credentials: {
-        accessKeyId: config.accessKey,
-        secretAccessKey: config.secretKey
-      },
-      forcePathStyle: true,
-      tls: config.useSSL
-    });
+    if (config.metricsPort) {
+      startMetricsServer(registry, { port: config.metricsPort, host: config.metricsHost, logger: this.logger });
+    }
+
+    // Initialize S3 client (or the filesystem store standing in for it), with the request policy
+    // handling retries, timeouts and the circuit breaker
+    const primary = createTarget('primary', config, config);
+    this.s3Client = primary.client;
+    this.requestPolicy = primary.policy;
+    this.primaryRequest = primary.request;
+
+    // Writes go to the primary and every replica, reads fall back to the replicas in order
+    this.replicator = new Replicator(
+      { name: 'primary', bucket: this.bucket, send: (command) => this.send(command) },
+      config.replicas.map((replica, index) => createTarget(`replicas[${index}]`, replica, config, this.telemetry)),
+      {
+        mode: config.replicationMode,
+        maxAttempts: config.replicationMaxAttempts,
+        retryDelay: config.replicationRetryDelay,
+        config,
+        logger: this.logger
+      }
+    );
+
+    if (this.startupCheck) {
+      // Surface problems at boot rather than on the first upload. Operations wait for the check.
+      this.ensureReady().catch((error) => {
+        this.logger.error(error.message, { role: this.role, bucket: this.bucket, err: error });
+      });
+    }
+  }
+
+  /**
+   * Verifies the bucket is reachable and writable by writing and deleting a probe object
+   *
+   * @returns {Promise<Boolean>}
+   */
+  async healthCheck() {
+    const probeKey = `${this.storagePath}.object-store-health-check-${randomUUID()}`;
+
+    try {
+      await this.send(new HeadBucketCommand({ Bucket: this.bucket }));
+    } catch (error) {
+      const storeError = toObjectStoreError(error, { message: `Bucket "${this.bucket}" is not reachable` });
+
+      if (storeError instanceof NotFoundError) {
+        throw new InvalidConfigError(`Bucket "${this.bucket}" does not exist`, { cause: error, requestId: storeError.requestId });
+      }
+      throw storeError;
+    }
+
+    try {
+      await this.send(new PutObjectCommand({ Bucket: this.bucket, Key: probeKey, Body: '' }));
+      await this.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: probeKey }));
+    } catch (error) {
+      throw toObjectStoreError(error, { message: `Bucket "${this.bucket}" is not writable`, key: probeKey });
+    }
+
+    return true;
+  }
+
+  /**
+   * Waits for the startup check, when enabled
+   * A failed check is retried by the next operation, so a store that was briefly down at boot recovers.
+   *
+   * @returns {Promise<void>}
+   */
+  async ensureReady() {
+    if (!this.startupCheck) {
+      return;
+    }
+
+    if (!this.ready) {
+      this.ready = this.healthCheck().catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+
+    await this.ready;
+  }
+
+  /**
+   * Sends a command to the Object Store through the shared request policy
+   * (retries, timeouts and circuit breaker). Every storage operation goes through here.
+   *
+   * @param {Object} command
+   * @returns {Promise<Object>}
+   */
+  send(command) {
+    return this.telemetry.request(command, 'primary', () => this.primaryRequest(command));
   }
 
   /**
@@ -62,32 +344,99 @@ class ObjectStoreStorage extends StorageBase {
    * @param {String} targetDir
    * @returns {Promise<String>}
    */
-  async save(file, targetDir) {
-    // NOTE: the base implementation of `getTargetDir` returns the format this.storagePath/YYYY/MM
-    const storagePath = targetDir || this.getTargetDir(this.storagePath);
-    // ghost-storage-base 2.x removed getUniqueSecureFilePath, we fall back to
-    // getUniqueFileName, which remains available (Promise-returning).
-    const fileName = await this.getUniqueFileName(file, storagePath);
-    const objectKey = fileName.replace(/\\/g, '/');
+  save(file, targetDir) {
+    return this.telemetry.operation('save', undefined, async (record) => {
+      await this.ensureReady();
+
+      // Ghost passes the upload size along, but fall back to the file on disk for other callers
+      const size = Number.isFinite(file.size) ? file.size : (await fs.stat(file.path)).size;
+      record.bytes = size;
 
-    // The file object contains metadata but not the actual file content.
-    // We need to read the file from the filesystem path to get the content.
-    const fileContent = await fs.readFile(file.path);
+      // Reject oversize files before reading them
+      assertUploadAllowed({ size }, { maxFileSize: this.config.maxFileSize });
+
+      // Small files are uploaded from memory, so read them once for both type detection and upload
+      const content = size > this.multipartThreshold ? null : await fs.readFile(file.path);
+
+      const contentType = this.config.detectContentType ?
+        mime.detect(content || await mime.readHeader(file.path), file.name, file.type) :
+        file.type;
+
+      assertUploadAllowed({ contentType, size }, this.config);
+
+      const objectKey = normalizeKey(await this.generateKey(file, targetDir));
+      record.key = objectKey;
+
+      // Content-addressed keys only exist if the very same bytes were uploaded before
+      if (this.namingStrategy === 'hash' && await this.exists(objectKey)) {
+        return this.getObjectUrl(objectKey);
+      }
+
+      try {
+        await this.uploadFile({ ...file, type: contentType }, objectKey, size, content);
+
+        return this.getObjectUrl(objectKey);
+      } catch (error) {
+        throw toObjectStoreError(error, { message: 'Failed to save file to Object Store', key: objectKey });
+      }
+    });
+  }
 
-    const command = new PutObjectCommand({
+  /**
+   * Uploads a file from disk under an object key with the configured upload options,
+   * streaming it with multipart upload when it is larger than the multipart threshold
+   * SVG images are sanitised first, unless disabled.
+   *
+   * @param {Object} file
+   * @param {String} file.path path of the file on disk
+   * @param {String} [file.name] original file name
+   * @param {String} [file.type] content type
+   * @param {String} objectKey
+   * @param {Number} size file size in bytes
+   * @param {Buffer} [content] file content, when already read
+   * @returns {Promise<void>}
+   */
+  async uploadFile(file, objectKey, size, content) {
+    const params = {
       Bucket: this.bucket,
       Key: objectKey,
-      Body: fileContent,
-      ContentType: file.type
-    });
+      ContentType: file.type,
+      ...getUploadParams(this.config, file)
+    };
 
-    try {
-      await this.s3Client.send(command);
+    if (size > this.multipartThreshold && !this.shouldSanitize(file.type)) {
+      // Each store streams the file from disk on its own
+      await this.replicator.write(objectKey, async (target) => {
+        await this.multipartUpload({ ...params, Bucket: target.bucket }, await fileSource(file.path, size), target);
+      });
+    } else {
+      // The file object contains metadata but not the actual file content.
+      // We need to read the file from the filesystem path to get the content.
+      let fileContent = content || await fs.readFile(file.path);
 
-      return `/${objectKey}`;
-    } catch (error) {
-      throw new Error(`Failed to save file to Object Store: ${error.message}`);
+      if (this.shouldSanitize(file.type)) {
+        fileContent = sanitizeSvgBuffer(fileContent);
+      }
+
+      await this.replicator.write(objectKey, (target) => target.send(new PutObjectCommand({
+        ...params,
+        Bucket: target.bucket,
+        Body: fileContent
+      })));
     }
+
+    await this.invalidate(objectKey);
+  }
+
+  /**
+   * Checks whether content of a type is sanitised before it is stored
+   *
+   * @param {String} [contentType]
+   * @returns {Boolean}
+   */
+  shouldSanitize(contentType) {
+    // Ignore parameters such as "; charset=utf-8", as validation does
+    return this.config.sanitizeSvg && String(contentType || '').split(';')[0].trim().toLowerCase() === 'image/svg+xml';
   }
 
   /**
@@ -98,24 +447,314 @@ class ObjectStoreStorage extends StorageBase {
    * @param {String} targetPath relative path NOT including storage path to which the buffer should be written
    * @returns {Promise<String>} a URL to retrieve the data
    */
-  async saveRaw(buffer, targetPath) {
-    const objectKey = `${this.staticFileURLPrefix}${targetPath.replace(/\\/g, '/')}`;
+  saveRaw(buffer, targetPath) {
+    return this.telemetry.operation('saveRaw', undefined, async (record) => {
+      await this.ensureReady();
 
-    const command = new PutObjectCommand({
-      Bucket: this.bucket,
-      Key: objectKey,
-      Body: buffer
+      const objectKey = joinKey(this.staticFileURLPrefix, targetPath);
+      record.key = objectKey;
+
+      assertUploadAllowed({ size: buffer.length, key: objectKey }, { maxFileSize: this.config.maxFileSize });
+
+      const contentType = this.config.detectContentType ?
+        mime.detect(buffer, objectKey) :
+        mime.lookup(objectKey);
+      const body = this.shouldSanitize(contentType) ? sanitizeSvgBuffer(buffer) : buffer;
+      record.bytes = body.length;
+
+      const params = {
+        Bucket: this.bucket,
+        Key: objectKey,
+        ContentType: contentType,
+        ...getUploadParams(this.config, { name: path.posix.basename(objectKey) })
+      };
+
+      // In soft delete mode, the content being overwritten is kept in the trash
+      const trashKey = this.config.softDelete && trash.getTrashKey(this.config.trashPrefix, objectKey);
+
+      try {
+        await this.replicator.write(objectKey, async (target) => {
+          if (trashKey) {
+            await trash.moveToTrash(target, this.config, objectKey, { trashKey, reason: 'overwrite' });
+          }
+
+          if (body.length > this.multipartThreshold) {
+            return this.multipartUpload({ ...params, Bucket: target.bucket }, bufferSource(body), target);
+          }
+
+          return target.send(new PutObjectCommand({ ...params, Bucket: target.bucket, Body: body }));
+        });
+
+        // Ghost overwrites resized images and other raw files in place
+        await this.invalidate(objectKey);
+
+        return this.getObjectUrl(objectKey);
+      } catch (error) {
+        throw toObjectStoreError(error, { message: 'Failed to save buffer to Object Store', key: objectKey });
+      }
     });
+  }
 
+  /**
+   * Uploads an object in parts, closing the source once done
+   *
+   * @param {Object} params PutObject-style parameters without Body
+   * @param {{size: Number, read: Function, close: Function}} source
+   * @param {Object} [target] store to upload to, the primary by default
+   * @returns {Promise<Object>}
+   */
+  async multipartUpload(params, source, target = this.replicator.primary) {
     try {
-      await this.s3Client.send(command);
+      return await uploadMultipart((command) => target.send(command), params, source, {
+        partSize: this.multipartPartSize,
+        concurrency: this.multipartConcurrency
+      });
+    } finally {
+      await source.close();
+    }
+  }
+
+  /**
+   * Builds the URL Ghost stores for an object key
+   * Returns an absolute URL when an assetHost is configured, otherwise a site-relative path served by serve()
+   *
+   * @param {String} objectKey
+   * @returns {String}
+   */
+  getObjectUrl(objectKey) {
+    return keyToUrl(objectKey, { assetHost: this.assetHost, keyPrefix: this.keyPrefix });
+  }
+
+  /**
+   * Generates a time-limited presigned GET URL for an object key
+   * Allows delivering files from private buckets without proxying them through Ghost.
+   *
+   * @param {String} objectKey
+   * @param {Object} [options]
+   * @param {Number} [options.expiresIn] lifetime of the URL in seconds, defaults to signedUrlExpiry
+   * @returns {Promise<String>}
+   */
+  async getPresignedUrl(objectKey, options = {}) {
+    if (this.driver === 'filesystem') {
+      throw new InvalidConfigError('Presigned URLs require driver "s3"', { key: objectKey });
+    }
+
+    const command = scopeCommand(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: normalizeKey(objectKey)
+    }), this.keyPrefix);
+
+    return getSignedUrl(this.s3Client, command, {
+      expiresIn: options.expiresIn || this.signedUrlExpiry
+    });
+  }
+
+  /**
+   * Maps a URL returned by save() or saveRaw() back to its object key
+   *
+   * @param {String} url
+   * @returns {String}
+   */
+  urlToPath(url) {
+    return urlToKey(url, { assetHost: this.assetHost, keyPrefix: this.keyPrefix });
+  }
+
+  /**
+   * Moves the files of a local Ghost content directory into the Object Store
+   * See lib/migrate.js for the supported options and the report returned.
+   *
+   * @param {Object} options
+   * @param {String} options.source local content directory, e.g. /var/lib/ghost/content/images
+   * @returns {Promise<Object>} summary report
+   */
+  async migrate(options) {
+    await this.ensureReady();
+
+    return migration.migrate(this, options);
+  }
+
+  /**
+   * Finds objects under the storage path no longer referenced by the site, and optionally removes them
+   * See lib/gc.js for the supported options and the report returned.
+   *
+   * @param {Object} options
+   * @param {String[]} [options.referencePaths] Ghost JSON exports or database dumps
+   * @returns {Promise<Object>} summary report
+   */
+  async collectGarbage(options) {
+    await this.ensureReady();
+
+    return gc.collectGarbage(this, options);
+  }
+
+  /**
+   * Lists the trashed copies of deleted and overwritten objects, newest first
+   * See lib/trash.js for the supported options.
+   *
+   * @param {Object} [options]
+   * @param {String} [options.key] only list the copies of this object
+   * @returns {Promise<Object[]>}
+   */
+  async listTrash(options) {
+    await this.ensureReady();
+
+    return trash.listTrash(this, options);
+  }
+
+  /**
+   * Lists the versions of an object in a versioned bucket, newest first
+   *
+   * @param {String} objectKey
+   * @returns {Promise<Object[]>}
+   */
+  async listVersions(objectKey) {
+    await this.ensureReady();
+
+    return trash.listVersions(this, objectKey);
+  }
+
+  /**
+   * Restores a deleted or overwritten object from the trash, or an earlier version from a versioned bucket
+   * See lib/trash.js for the supported options.
+   *
+   * @param {String} objectKey
+   * @param {Object} [options]
+   * @param {String} [options.versionId] restore this version
+   * @param {String} [options.deletedAt] restore the trashed copy deleted at this time
+   * @returns {Promise<Object>} the key restored and where it was restored from
+   */
+  async restore(objectKey, options) {
+    await this.ensureReady();
 
-      return `/${objectKey}`;
+    try {
+      return await trash.restore(this, objectKey, options);
     } catch (error) {
-      throw new Error(`Failed to save buffer to Object Store: ${error.message}`);
+      throw toObjectStoreError(error, { message: 'Failed to restore file in Object Store', key: objectKey });
     }
   }
 
+  /**
+   * Permanently deletes trashed copies older than the retention period
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.olderThan] days, defaults to trashRetention
+   * @returns {Promise<Object>} summary report
+   */
+  async emptyTrash(options) {
+    await this.ensureReady();
+
+    return trash.emptyTrash(this, options);
+  }
+
+  /**
+   * Deletes objects in batches, moving them to the trash in soft delete mode
+   * See lib/bulk.js for the supported options and the report returned.
+   *
+   * @param {String[]} objectKeys
+   * @param {Object} [options]
+   * @returns {Promise<Object>} summary report
+   */
+  async deleteObjects(objectKeys, options) {
+    await this.ensureReady();
+
+    return bulk.deleteObjects(this, objectKeys, options);
+  }
+
+  /**
+   * Deletes every object under a prefix
+   *
+   * @param {String} prefix
+   * @param {Object} [options] see deleteObjects()
+   * @returns {Promise<Object>} summary report
+   */
+  async deletePrefix(prefix, options) {
+    await this.ensureReady();
+
+    return bulk.deletePrefix(this, prefix, options);
+  }
+
+  /**
+   * Copies objects, with their content type, headers and metadata
+   * See lib/bulk.js for the supported options and the report returned.
+   *
+   * @param {{from: String, to: String}[]} items
+   * @param {Object} [options]
+   * @returns {Promise<Object>} summary report
+   */
+  async copyObjects(items, options) {
+    await this.ensureReady();
+
+    return bulk.copyObjects(this, items, options);
+  }
+
+  /**
+   * Moves objects: copies them, then deletes the sources
+   *
+   * @param {{from: String, to: String}[]} items
+   * @param {Object} [options] see copyObjects()
+   * @returns {Promise<Object>} summary report
+   */
+  async moveObjects(items, options) {
+    await this.ensureReady();
+
+    return bulk.copyObjects(this, items, { ...options, move: true });
+  }
+
+  /**
+   * Copies every object under a prefix to another prefix
+   *
+   * @param {String} fromPrefix
+   * @param {String} toPrefix
+   * @param {Object} [options] see copyObjects()
+   * @returns {Promise<Object>} summary report
+   */
+  async copyPrefix(fromPrefix, toPrefix, options) {
+    await this.ensureReady();
+
+    return bulk.copyPrefix(this, fromPrefix, toPrefix, options);
+  }
+
+  /**
+   * Moves every object under a prefix to another prefix
+   *
+   * @param {String} fromPrefix
+   * @param {String} toPrefix
+   * @param {Object} [options] see copyObjects()
+   * @returns {Promise<Object>} summary report
+   */
+  async movePrefix(fromPrefix, toPrefix, options) {
+    await this.ensureReady();
+
+    return bulk.copyPrefix(this, fromPrefix, toPrefix, { ...options, move: true });
+  }
+
+  /**
+   * Reports the objects stored under the storage path of each role: counts and bytes per month,
+   * content type and role, the largest objects and duplicates
+   * See lib/inventory.js for the supported options and the report returned.
+   *
+   * @param {Object} [options]
+   * @param {String[]} [options.roles] only report these roles
+   * @returns {Promise<Object>} inventory report
+   */
+  async inventory(options) {
+    await this.ensureReady();
+
+    return getInventory(this, options);
+  }
+
+  /**
+   * Reports the storage used by each tenant in multi-tenant mode
+   * See lib/tenants.js for the report returned.
+   *
+   * @param {Object} [options]
+   * @param {String[]} [options.tenants] only report these tenants
+   * @returns {Promise<Object>} summary report
+   */
+  async tenantUsage(options) {
+    return tenancy.getTenantUsage(this, options);
+  }
+
   /**
    * Checks if a file exists in Object Store
    *
@@ -123,109 +762,347 @@ class ObjectStoreStorage extends StorageBase {
    * @param {String} targetDir
    * @returns {Promise<Boolean>}
    */
-  async exists(fileName, targetDir) {
-    const objectKey = (targetDir ? `${targetDir}/` : '') + fileName;
+  exists(fileName, targetDir) {
+    return this.telemetry.operation('exists', undefined, async (record) => {
+      const objectKey = joinKey(targetDir, fileName);
+      record.key = objectKey;
 
-    try {
-      const command = new HeadObjectCommand({
-        Bucket: this.bucket,
-        Key: objectKey
-      });
+      await this.ensureReady();
 
-      await this.s3Client.send(command);
-      return true;
-    } catch (error) {
-      if (error.name === 'NotFound') {
-        return false;
+      try {
+        await this.replicator.read((target) => target.send(new HeadObjectCommand({
+          Bucket: target.bucket,
+          Key: objectKey,
+          ...getCustomerKeyParams(this.config)
+        })));
+        return true;
+      } catch (error) {
+        const storeError = toObjectStoreError(error, { message: 'Failed to check file in Object Store', key: objectKey });
+
+        if (storeError instanceof NotFoundError) {
+          return false;
+        }
+        throw storeError;
       }
-      throw error;
-    }
+    });
   }
 
   /**
    * Deletes a file from Object Store
+   * In soft delete mode, the file is moved to the trash instead, see restore().
    *
    * @param {String} fileName
    * @param {String} targetDir
    * @returns {Promise<void>}
    */
-  async delete(fileName, targetDir) {
-    const objectKey = (targetDir ? `${targetDir}/` : '') + fileName;
+  delete(fileName, targetDir) {
+    return this.telemetry.operation('delete', undefined, async (record) => {
+      const objectKey = joinKey(targetDir, fileName);
+      record.key = objectKey;
 
-    const command = new DeleteObjectCommand({
-      Bucket: this.bucket,
-      Key: objectKey
+      await this.ensureReady();
+
+      const trashKey = this.config.softDelete && trash.getTrashKey(this.config.trashPrefix, objectKey);
+
+      try {
+        await this.replicator.remove(objectKey, (target) => {
+          if (trashKey) {
+            return trash.moveToTrash(target, this.config, objectKey, { trashKey, reason: 'delete' });
+          }
+
+          return target.send(new DeleteObjectCommand({ Bucket: target.bucket, Key: objectKey }));
+        });
+        await this.invalidate(objectKey);
+      } catch (error) {
+        throw toObjectStoreError(error, { message: 'Failed to delete file from Object Store', key: objectKey });
+      }
     });
+  }
 
-    try {
-      await this.s3Client.send(command);
-    } catch (error) {
-      throw new Error(`Failed to delete file from Object Store: ${error.message}`);
+  /**
+   * Drops an object from the cache after it was deleted or overwritten
+   *
+   * @param {String} objectKey
+   * @returns {Promise<void>}
+   */
+  async invalidate(objectKey) {
+    if (this.cache) {
+      await this.cache.delete(`${this.keyPrefix}${objectKey}`);
     }
   }
 
+  /**
+   * Fetches an object through the cache
+   *
+   * @param {String} objectKey
+   * @returns {Promise<{metadata: Object, body: Buffer|null}>} body is null when the object is too large to be cached
+   */
+  fetchCached(objectKey) {
+    const params = (target) => ({
+      Bucket: target.bucket,
+      Key: objectKey,
+      ...getCustomerKeyParams(this.config)
+    });
+
+    // Keyed by the full key in the bucket, keyPrefix included; each instance has a cache of its own
+    return this.cache.fetch(`${this.keyPrefix}${objectKey}`, {
+      head: () => this.replicator.read((target) => target.send(new HeadObjectCommand(params(target)))),
+      get: () => this.replicator.read((target) => target.send(new GetObjectCommand(params(target))))
+    });
+  }
+
   /**
    * Reads bytes from Object Store for a target file
    *
    * @param {Object} options
+   * @param {String} options.path object key, or the URL returned by save()
+   * @param {String} [options.versionId] version to read from a versioned bucket, see listVersions()
    * @returns {Promise<Buffer>}
    */
-  async read(options) {
-    const objectKey = options.path;
+  read(options) {
+    return this.telemetry.operation('read', undefined, async (record) => {
+      const objectKey = this.urlToPath(options.path);
+      record.key = objectKey;
 
-    try {
-      const command = new GetObjectCommand({
-        Bucket: this.bucket,
-        Key: objectKey
-      });
+      await this.ensureReady();
+
+      try {
+        if (options.versionId) {
+          // Version ids are specific to a store, so versions are only read from the primary
+          const response = await this.send(new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: objectKey,
+            VersionId: options.versionId,
+            ...getCustomerKeyParams(this.config)
+          }));
+
+          const body = await streamToBuffer(response.Body);
+          record.bytes = body.length;
+
+          return body;
+        }
+
+        if (this.cache) {
+          const { body } = await this.fetchCached(objectKey);
+          if (body) {
+            record.bytes = body.length;
+            return body;
+          }
+        }
+
+        const response = await this.replicator.read((target) => target.send(new GetObjectCommand({
+          Bucket: target.bucket,
+          Key: objectKey,
+          ...getCustomerKeyParams(this.config)
+        })));
 
-      const response = await this.s3Client.send(command);
+        const body = await streamToBuffer(response.Body);
+        record.bytes = body.length;
 
-      // Convert stream to buffer
-      const chunks = [];
-      for await (const chunk of response.Body) {
-        chunks.push(chunk);
+        return body;
+      } catch (error) {
+        const storeError = toObjectStoreError(error, { message: 'Failed to read file from Object Store', key: objectKey });
+
+        if (storeError instanceof NotFoundError) {
+          storeError.message = `File not found: ${options.path}`;
+        }
+
+        throw storeError;
       }
+    });
+  }
 
-      return Buffer.concat(chunks);
-    } catch (error) {
-      if (error.name === 'NoSuchKey') {
-        throw new Error(`File not found: ${options.path}`);
+  /**
+   * Makes sure a resized image exists, generating it from the original when its size is allowed
+   *
+   * @param {String} variantKey
+   * @param {Object} variant as returned by parseImageVariant
+   * @returns {Promise<Boolean>} false when the variant does not exist and cannot be generated
+   */
+  async ensureImageVariant(variantKey, variant) {
+    if (await this.exists(variantKey)) {
+      return true;
+    }
+
+    return isSizeAllowed(variant.size, this.imageSizes) && this.createImageVariant(variantKey, variant);
+  }
+
+  /**
+   * Generates a resized or converted image from its original and stores it under the variant key,
+   * where it is served from on later requests
+   * Concurrent calls for the same variant share a single generation.
+   *
+   * @param {String} variantKey
+   * @param {Object} variant as returned by parseImageVariant
+   * @returns {Promise<Boolean>} false when the image cannot be processed, or sharp is not installed
+   */
+  createImageVariant(variantKey, variant) {
+    if (!this.pendingVariants.has(variantKey)) {
+      const generation = this.generateImageVariant(variantKey, variant).finally(() => {
+        this.pendingVariants.delete(variantKey);
+      });
+      this.pendingVariants.set(variantKey, generation);
+    }
+
+    return this.pendingVariants.get(variantKey);
+  }
+
+  /**
+   * @param {String} variantKey
+   * @param {Object} variant
+   * @returns {Promise<Boolean>}
+   */
+  async generateImageVariant(variantKey, variant) {
+    const sharp = loadSharp();
+    if (!sharp) {
+      if (!this.missingSharpReported) {
+        this.missingSharpReported = true;
+        this.logger.warn('Resized images are served as originals: install the optional "sharp" package to generate them', { role: this.role });
       }
+      return false;
+    }
 
-      throw new Error(`Failed to read file from Object Store: ${error.message}`);
+    const source = await this.replicator.read((target) => target.send(new GetObjectCommand({
+      Bucket: target.bucket,
+      Key: joinKey(this.staticFileURLPrefix, variant.path),
+      ...getCustomerKeyParams(this.config)
+    })));
+
+    let image;
+    try {
+      image = await resizeImage(sharp, await streamToBuffer(source.Body), variant);
+    } catch (error) {
+      // Corrupt or unsupported images are served as is, like Ghost does
+      this.logger.warn(`Failed to resize ${this.staticFileURLPrefix}${variant.path}, serving the original`, { key: variantKey, err: error });
+      return false;
     }
+
+    await this.replicator.write(variantKey, (target) => target.send(new PutObjectCommand({
+      Bucket: target.bucket,
+      Key: variantKey,
+      ContentType: image.contentType || source.ContentType,
+      Body: image.buffer,
+      ...getUploadParams(this.config, { name: path.posix.basename(variantKey) })
+    })));
+
+    return true;
   }
 
   /**
    * Serves static files from Object Store
    *
+   * Supports single byte ranges (206/416), conditional requests (304) and HEAD requests.
+   * With `serveMode: 'redirect'` and an assetHost configured, clients are redirected to the asset host instead,
+   * and with `serveMode: 'presigned'` they are redirected to a presigned URL.
+   * Range and conditional headers are forwarded to the Object Store, so it compares against
+   * the same ETag and Last-Modified values we send back to the client.
+   * Resized images (size/w600/...) missing from the bucket are generated from the original on first request;
+   * when their size is not allowed or they cannot be generated, clients are redirected to the original.
+   *
    * @returns {Function} Express middleware function
    */
   serve() {
-    // Return Express middleware function that serves files from ObjectStore
-    return async (req, res, next) => {
+    const handle = async (req, res, next, record) => {
+      let objectKey = `${this.staticFileURLPrefix}${req.path.substring(1)}`;
+
       try {
-        // Extract the file path from the request
-        const filePath = req.path.substring(1); // Remove leading slash
+        // Express leaves the path URI-encoded. Paths with "." or ".." segments are rejected.
+        const filePath = normalizeKey(decodePath(req.path));
         // Convert the file path to ObjectStore object key
-        const objectKey = `${this.staticFileURLPrefix}${filePath}`;
+        objectKey = joinKey(this.staticFileURLPrefix, filePath);
+        record.key = objectKey;
+        const variant = this.resizeImages ? parseImageVariant(filePath) : null;
+        const originalKey = variant && joinKey(this.staticFileURLPrefix, variant.path);
 
-        // Get the file from ObjectStore
-        const command = new GetObjectCommand({
-          Bucket: this.bucket,
-          Key: objectKey
-        });
+        await this.ensureReady();
+
+        if (this.serveMode !== 'proxy') {
+          const key = variant && !(await this.ensureImageVariant(objectKey, variant)) ? originalKey : objectKey;
+
+          // Let the asset host (bucket, CDN or custom domain) deliver the file instead of proxying it
+          if (this.serveMode === 'redirect' && this.assetHost) {
+            res.redirect(302, this.getObjectUrl(key));
+            return;
+          }
+
+          if (this.serveMode === 'presigned') {
+            // Browsers may cache the redirect, so make sure they drop it well before the URL expires
+            res.set('Cache-Control', `private, max-age=${Math.floor(this.signedUrlExpiry / 2)}`);
+            res.redirect(302, await this.getPresignedUrl(key));
+            return;
+          }
+        }
+
+        const headers = req.headers || {};
+        const isHead = req.method === 'HEAD';
+
+        const range = parseRange(headers.range);
+        if (range === false) {
+          res.status(416).end();
+          return;
+        }
+
+        const params = {
+          Key: objectKey,
+          ...getConditionalParams(headers),
+          ...getCustomerKeyParams(this.config)
+        };
+
+        if (range) {
+          params.Range = range;
+        }
+
+        const request = async () => {
+          // Objects too large for the cache are streamed from the Object Store
+          if (this.cache && !isHead) {
+            const cached = await this.fetchCached(objectKey);
+            if (cached.body) {
+              return { cached };
+            }
+          }
+
+          // HEAD requests only need the metadata, so avoid downloading the body
+          const response = await this.replicator.read((target) => {
+            const targetParams = { Bucket: target.bucket, ...params };
+            return target.send(isHead ? new HeadObjectCommand(targetParams) : new GetObjectCommand(targetParams));
+          });
 
-        const response = await this.s3Client.send(command);
+          return { response };
+        };
+
+        let result;
+        try {
+          result = await request();
+        } catch (error) {
+          if (!variant || !(toObjectStoreError(error) instanceof NotFoundError)) {
+            throw error;
+          }
+
+          // First request for this resized image
+          if (!isSizeAllowed(variant.size, this.imageSizes) || !(await this.createImageVariant(objectKey, variant))) {
+            res.redirect(302, this.getObjectUrl(originalKey));
+            return;
+          }
+
+          result = await request();
+        }
+
+        if (result.cached) {
+          record.bytes = result.cached.body.length;
+          sendCachedObject(res, headers, result.cached, range, this.cacheControl);
+          return;
+        }
+
+        const { response } = result;
+        record.bytes = isHead ? undefined : response.ContentLength;
 
         // Set appropriate response headers
         if (response.ContentType) {
           res.set('Content-Type', response.ContentType);
         }
 
-        // TODO: Move this magic number to a constant/config?
-        res.set('Cache-Control', 'public, max-age=31536000');
+        res.set('Cache-Control', this.cacheControl);
+        res.set('Accept-Ranges', 'bytes');
 
         if (response.ETag) {
           res.set('ETag', response.ETag);
@@ -234,8 +1111,26 @@ class ObjectStoreStorage extends StorageBase {
         if (response.LastModified) {
           res.set('Last-Modified', new Date(response.LastModified).toUTCString());
         }
+
+        if (response.ContentDisposition) {
+          res.set('Content-Disposition', response.ContentDisposition);
+        }
+
+        if (response.ContentLength !== undefined) {
+          res.set('Content-Length', String(response.ContentLength));
+        }
+
+        if (response.ContentRange) {
+          res.set('Content-Range', response.ContentRange);
+          res.status(206);
+        }
         // End set headers
 
+        if (isHead) {
+          res.end();
+          return;
+        }
+
         // Stream the file content to the client
         if (response.Body) {
           response.Body.pipe(res);
@@ -244,16 +1139,54 @@ class ObjectStoreStorage extends StorageBase {
         }
       } catch (error) {
         // Handle error cases
-        if (error.name === 'NotFound' || error.statusCode === 404) {
+        const statusCode = error.statusCode || (error.$metadata && error.$metadata.httpStatusCode);
+        const storeError = toObjectStoreError(error, { message: 'Failed to serve file from Object Store', key: objectKey });
+
+        if (storeError instanceof NotFoundError) {
           // File not found - return 404
           res.status(404).send('File not found');
+        } else if (error.name === 'NotModified' || statusCode === 304) {
+          // Client copy is still fresh. The SDK keeps the validators the Object Store sent on the raw response.
+          const responseHeaders = (error.$response && error.$response.headers) || {};
+          res.set('Cache-Control', this.cacheControl);
+
+          if (responseHeaders.etag) {
+            res.set('ETag', responseHeaders.etag);
+          }
+
+          if (responseHeaders['last-modified']) {
+            res.set('Last-Modified', responseHeaders['last-modified']);
+          }
+
+          res.status(304).end();
+        } else if (error.name === 'InvalidRange' || statusCode === 416) {
+          // S3 reports the object size on InvalidRange errors, which lets clients recover
+          if (error.ActualObjectSize !== undefined) {
+            res.set('Content-Range', `bytes */${error.ActualObjectSize}`);
+          }
+          res.status(416).end();
         } else {
           // Other errors - pass to next middleware
-          next(error);
+          record.status = 'error';
+          record.error = storeError.name;
+          next(storeError);
         }
       }
     };
+
+    // Return Express middleware function that serves files from ObjectStore
+    return (req, res, next) => this.telemetry.operation('serve', `${this.staticFileURLPrefix}${req.path.substring(1)}`, async (record) => {
+      await handle(req, res, next, record);
+
+      if (record.status === 'success' && res.statusCode) {
+        record.status = res.statusCode;
+      }
+    });
   }
 }
 
 module.exports = ObjectStoreStorage;
+// Expose the error classes so callers can tell failures apart, e.g. `error instanceof ObjectStoreStorage.errors.NotFoundError`
+module.exports.errors = errors;
+// Expose the metrics registry, for applications serving their own /metrics endpoint
+module.exports.metrics = registry;
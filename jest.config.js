@@ -2,7 +2,8 @@ module.exports = {
   testEnvironment: 'node',
   verbose: true,
   collectCoverageFrom: [
-    'index.js'
+    'index.js',
+    'lib/**/*.js'
   ],
   coverageDirectory: 'coverage',
   testMatch: [
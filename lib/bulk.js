@@ -0,0 +1,299 @@
+'use strict';
+
+const { DeleteObjectsCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const { copyObject } = require('./multipart');
+const { getCustomerKeyParams } = require('./object-params');
+const { forEachLimit, listObjects } = require('./gc');
+const trash = require('./trash');
+const { normalizeKey } = require('./keys');
+const { InvalidConfigError, InvalidKeyError, NotFoundError, toObjectStoreError } = require('./errors');
+
+// Most keys a DeleteObjects request accepts
+const MAX_BATCH_SIZE = 1000;
+
+/**
+ * Checks the concurrency and batch size options
+ *
+ * @param {Object} options
+ */
+function assertOptions({ concurrency = 4, batchSize = MAX_BATCH_SIZE }) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidConfigError(`concurrency must be a positive integer, got "${concurrency}"`);
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > MAX_BATCH_SIZE) {
+    throw new InvalidConfigError(`batchSize must be an integer between 1 and ${MAX_BATCH_SIZE}, got "${batchSize}"`);
+  }
+}
+
+/**
+ * Normalises a prefix given to a prefix-level operation, e.g. `/content/images/2026` becomes `content/images/2026/`
+ *
+ * @param {String} prefix
+ * @returns {String}
+ * @throws {InvalidKeyError}
+ */
+function normalizePrefix(prefix) {
+  return normalizeKey(`${prefix}/`);
+}
+
+/**
+ * Deletes objects from the primary with DeleteObjects, `batchSize` keys per request
+ * Replicas are brought up to date from the retry queue.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {String[]} keys normalised keys
+ * @param {Number} batchSize
+ * @param {Function} onResult `(key, error)` called for each key once its batch completed
+ * @returns {Promise<void>}
+ */
+async function deleteBatches(storage, keys, batchSize, onResult) {
+  for (let start = 0; start < keys.length; start += batchSize) {
+    const batch = keys.slice(start, start + batchSize);
+    const errors = new Map();
+
+    try {
+      const response = await storage.send(new DeleteObjectsCommand({
+        Bucket: storage.bucket,
+        Delete: { Objects: batch.map((key) => ({ Key: key })), Quiet: true }
+      }));
+
+      for (const { Key, Code, Message } of response.Errors || []) {
+        errors.set(Key, toObjectStoreError(Object.assign(new Error(Message || Code), { name: Code }), {
+          message: 'Failed to delete file from Object Store',
+          key: Key
+        }));
+      }
+    } catch (error) {
+      for (const key of batch) {
+        errors.set(key, toObjectStoreError(error, { message: 'Failed to delete file from Object Store', key }));
+      }
+    }
+
+    for (const key of batch) {
+      if (!errors.has(key)) {
+        storage.replicator.sync(key, storage.replicator.primary, 'delete');
+        await storage.invalidate(key);
+      }
+      onResult(key, errors.get(key));
+    }
+  }
+}
+
+/**
+ * Deletes objects in batches
+ * In soft delete mode, each object is moved to the trash of every store instead, as delete() does.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {String[]} keys object keys, e.g. content/images/2026/10/photo.jpg
+ * @param {Object} [options]
+ * @param {Number} [options.batchSize] keys per DeleteObjects request, at most 1000
+ * @param {Number} [options.concurrency] number of objects moved to the trash in parallel
+ * @param {Function} [options.onProgress] called with {status, key, error} for each object
+ * @returns {Promise<Object>} report
+ */
+async function deleteObjects(storage, keys, options = {}) {
+  const { batchSize = MAX_BATCH_SIZE, concurrency = 4, onProgress = () => {} } = options;
+  assertOptions(options);
+
+  const softDelete = storage.config.softDelete;
+  const report = { requested: keys.length, deleted: 0, trashed: 0, failed: [] };
+  const fail = (key, error) => {
+    report.failed.push({ key, error: error.message });
+    onProgress({ status: 'failed', key, error });
+  };
+
+  let valid = [];
+  for (const key of keys) {
+    try {
+      valid.push(normalizeKey(key));
+    } catch (error) {
+      fail(String(key), error);
+    }
+  }
+  valid = [...new Set(valid)];
+
+  if (softDelete) {
+    // Each store keeps its own trashed copy, as with delete()
+    await forEachLimit(valid, concurrency, async (key) => {
+      const trashKey = trash.getTrashKey(storage.config.trashPrefix, key);
+
+      try {
+        await storage.replicator.remove(key, (target) => trash.moveToTrash(target, storage.config, key, { trashKey, reason: 'delete' }));
+        await storage.invalidate(key);
+        report.trashed++;
+        onProgress({ status: 'trashed', key });
+      } catch (error) {
+        fail(key, toObjectStoreError(error, { message: 'Failed to move file to the trash', key }));
+      }
+    });
+
+    return report;
+  }
+
+  await deleteBatches(storage, valid, batchSize, (key, error) => {
+    if (error) {
+      fail(key, error);
+    } else {
+      report.deleted++;
+      onProgress({ status: 'deleted', key });
+    }
+  });
+
+  return report;
+}
+
+/**
+ * Copies objects, or moves them when `options.move` is set
+ * Each copy is written to every store, as save() does. Moved sources are then deleted in batches.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {{from: String, to: String}[]} items
+ * @param {Object} [options]
+ * @param {Boolean} [options.move] delete the sources once copied
+ * @param {Boolean} [options.overwrite] replace objects already at the destination, true by default
+ * @param {Number} [options.concurrency] number of objects copied in parallel
+ * @param {Number} [options.batchSize] keys per DeleteObjects request when moving, at most 1000
+ * @param {Function} [options.onProgress] called with {status, key, to, size, error} for each object
+ * @returns {Promise<Object>} report
+ */
+async function copyObjects(storage, items, options = {}) {
+  const { move = false, overwrite = true, concurrency = 4, batchSize = MAX_BATCH_SIZE, onProgress = () => {} } = options;
+  assertOptions(options);
+
+  const done = move ? 'moved' : 'copied';
+  const report = { requested: items.length, [done]: 0, skipped: 0, bytes: 0, failed: [] };
+  const copied = new Map();
+
+  const fail = (key, to, error) => {
+    report.failed.push({ key, to, error: error.message });
+    onProgress({ status: 'failed', key, to, error });
+  };
+
+  await forEachLimit(items, concurrency, async (item) => {
+    let from;
+    let to;
+
+    try {
+      from = normalizeKey(item.from);
+      to = normalizeKey(item.to);
+      if (from === to) {
+        throw new InvalidKeyError(`Cannot copy "${from}" onto itself`, { key: from });
+      }
+
+      const head = await storage.send(new HeadObjectCommand({ Bucket: storage.bucket, Key: from, ...getCustomerKeyParams(storage.config) }));
+
+      if (!overwrite) {
+        try {
+          await storage.send(new HeadObjectCommand({ Bucket: storage.bucket, Key: to, ...getCustomerKeyParams(storage.config) }));
+          report.skipped++;
+          onProgress({ status: 'skipped', key: from, to, size: head.ContentLength });
+          return;
+        } catch (error) {
+          if (!(toObjectStoreError(error) instanceof NotFoundError)) {
+            throw error;
+          }
+        }
+      }
+
+      // In soft delete mode, the content being overwritten is kept in the trash
+      const trashKey = storage.config.softDelete && trash.getTrashKey(storage.config.trashPrefix, to);
+
+      await storage.replicator.write(to, async (target) => {
+        if (trashKey) {
+          await trash.moveToTrash(target, storage.config, to, { trashKey, reason: 'overwrite' });
+        }
+
+        return copyObject(target, storage.config, from, to, { head });
+      });
+      await storage.invalidate(to);
+
+      copied.set(from, { to, size: head.ContentLength || 0 });
+      if (!move) {
+        report.copied++;
+        report.bytes += head.ContentLength || 0;
+        onProgress({ status: 'copied', key: from, to, size: head.ContentLength });
+      }
+    } catch (error) {
+      const key = from || String(item.from);
+      fail(key, to || item.to, toObjectStoreError(error, { message: `Failed to ${move ? 'move' : 'copy'} file in Object Store`, key }));
+    }
+  });
+
+  if (move) {
+    // The content is kept at the destination, so sources are deleted without going through the trash
+    await deleteBatches(storage, [...copied.keys()], batchSize, (key, error) => {
+      const { to, size } = copied.get(key);
+
+      if (error) {
+        fail(key, to, error);
+      } else {
+        report.moved++;
+        report.bytes += size;
+        onProgress({ status: 'moved', key, to, size });
+      }
+    });
+  }
+
+  return report;
+}
+
+/**
+ * Lists the keys under a prefix
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {String} prefix normalised prefix
+ * @returns {Promise<String[]>}
+ */
+async function listKeys(storage, prefix) {
+  const keys = [];
+
+  for await (const object of listObjects(storage, prefix)) {
+    keys.push(object.Key);
+  }
+
+  return keys;
+}
+
+/**
+ * Deletes every object under a prefix
+ * See deleteObjects() for the options and the report.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {String} prefix e.g. content/images/2019/
+ * @param {Object} [options]
+ * @returns {Promise<Object>} report
+ */
+async function deletePrefix(storage, prefix, options) {
+  return deleteObjects(storage, await listKeys(storage, normalizePrefix(prefix)), options);
+}
+
+/**
+ * Copies, or moves, every object under a prefix to another prefix
+ * See copyObjects() for the options and the report.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {String} fromPrefix e.g. content/images/2019/
+ * @param {String} toPrefix e.g. archive/content/images/2019/
+ * @param {Object} [options]
+ * @returns {Promise<Object>} report
+ */
+async function copyPrefix(storage, fromPrefix, toPrefix, options) {
+  const from = normalizePrefix(fromPrefix);
+  const to = normalizePrefix(toPrefix);
+
+  if (from.startsWith(to) || to.startsWith(from)) {
+    throw new InvalidConfigError(`Prefixes "${from}" and "${to}" overlap`);
+  }
+
+  const keys = await listKeys(storage, from);
+
+  return copyObjects(storage, keys.map((key) => ({ from: key, to: `${to}${key.slice(from.length)}` })), options);
+}
+
+module.exports = {
+  MAX_BATCH_SIZE,
+  copyObjects,
+  copyPrefix,
+  deleteObjects,
+  deletePrefix
+};
@@ -0,0 +1,378 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs/promises');
+const os = require('node:os');
+const path = require('node:path');
+const { streamToBuffer } = require('./multipart');
+
+// Response metadata kept with cached bodies, the headers serve() sends
+const METADATA = ['ContentType', 'ContentLength', 'ETag', 'LastModified', 'ContentDisposition'];
+
+// Most keys of objects too large to be cached that are remembered, so they are not looked up on every request
+const MAX_BYPASSED = 10000;
+
+/**
+ * Keeps cached bodies in memory
+ */
+class MemoryStore {
+  constructor() {
+    this.bodies = new Map();
+  }
+
+  async read(key) {
+    return this.bodies.get(key);
+  }
+
+  async write(key, body) {
+    this.bodies.set(key, body);
+  }
+
+  async remove(key) {
+    this.bodies.delete(key);
+  }
+}
+
+// Number of disk stores created by this process, each one gets a directory of its own
+let diskStores = 0;
+
+/**
+ * Checks whether a process of this host is still running
+ *
+ * @param {Number} pid
+ * @returns {Boolean}
+ */
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Keeps cached bodies in files named after the SHA-256 of their key
+ *
+ * The index only lives in memory, so each store writes below a directory of its own,
+ * `<dir>/<hostname>-<pid>-<n>`, which processes sharing `dir` leave alone. On first use, the store
+ * empties its directory and removes those left by processes of this host that are no longer running.
+ */
+class DiskStore {
+  /**
+   * @param {String} dir parent directory, may be shared with other processes and hosts
+   */
+  constructor(dir) {
+    this.parent = dir;
+    this.owner = `${os.hostname()}-`;
+    this.dir = path.join(dir, `${this.owner}${process.pid}-${++diskStores}`);
+    this.ready = null;
+  }
+
+  getPath(key) {
+    return path.join(this.dir, crypto.createHash('sha256').update(key).digest('hex'));
+  }
+
+  init() {
+    if (!this.ready) {
+      this.ready = (async () => {
+        // A directory left by an earlier process with the same pid
+        await fs.rm(this.dir, { recursive: true, force: true });
+        await fs.mkdir(this.dir, { recursive: true });
+
+        const names = await fs.readdir(this.parent);
+        await Promise.all(names
+          .filter((name) => name.startsWith(this.owner))
+          .filter((name) => {
+            const match = /^(\d+)-\d+$/.exec(name.slice(this.owner.length));
+            return match && Number(match[1]) !== process.pid && !isRunning(Number(match[1]));
+          })
+          .map((name) => fs.rm(path.join(this.parent, name), { recursive: true, force: true })));
+      })();
+    }
+
+    return this.ready;
+  }
+
+  async read(key) {
+    await this.init();
+
+    try {
+      return await fs.readFile(this.getPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return undefined;
+      }
+      throw error;
+    }
+  }
+
+  async write(key, body) {
+    await this.init();
+
+    // Write to a temporary file first so readers never see a partial body
+    const filePath = this.getPath(key);
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+    await fs.writeFile(tempPath, body);
+    await fs.rename(tempPath, filePath);
+  }
+
+  async remove(key) {
+    await this.init();
+    await fs.rm(this.getPath(key), { force: true });
+  }
+}
+
+/**
+ * Bounded LRU read-through cache of objects, keyed by object key and validated by ETag
+ *
+ * Entries younger than the TTL are served without contacting the Object Store. Older entries are
+ * revalidated with a HEAD request and only downloaded again when their ETag changed. Concurrent
+ * misses for the same key share a single download.
+ */
+class ObjectCache {
+  /**
+   * @param {Object} options
+   * @param {MemoryStore|DiskStore} options.store
+   * @param {Number} options.maxSize total size of cached bodies, in bytes
+   * @param {Number} options.maxObjectSize larger objects are not cached, in bytes
+   * @param {Number} options.ttl time after which entries are revalidated, in ms
+   * @param {Function} [options.onLookup] `(key, result)` called with hit, revalidated, miss or bypass
+   * (too large to be cached) for each lookup answered
+   */
+  constructor({ store, maxSize, maxObjectSize, ttl, onLookup = () => {} }) {
+    this.store = store;
+    this.onLookup = onLookup;
+    this.maxSize = maxSize;
+    this.maxObjectSize = Math.min(maxObjectSize, maxSize);
+    this.ttl = ttl;
+    // Entries in least recently used first order
+    this.entries = new Map();
+    this.size = 0;
+    this.pending = new Map();
+    // Objects too large to be cached, with when they were last looked up, oldest first
+    this.bypassed = new Map();
+  }
+
+  /**
+   * Returns an object from the cache, loading it from the Object Store when needed
+   *
+   * @param {String} key
+   * @param {Object} loaders
+   * @param {Function} loaders.head resolves with the HeadObject response
+   * @param {Function} loaders.get resolves with the GetObject response
+   * @returns {Promise<{metadata: Object, body: Buffer|null}>} body is null when the object is too large to be cached
+   */
+  async fetch(key, loaders) {
+    const entry = this.entries.get(key);
+    const bypassed = this.bypassed.get(key);
+
+    if (bypassed && Date.now() - bypassed.validatedAt < this.ttl) {
+      this.onLookup(key, 'bypass');
+      return { metadata: bypassed.metadata, body: null };
+    }
+
+    if (entry && Date.now() - entry.validatedAt < this.ttl) {
+      const body = await this.store.read(key);
+      if (body) {
+        this.touch(key, entry);
+        this.onLookup(key, 'hit');
+        return { metadata: entry.metadata, body };
+      }
+      // Evicted while we were reading it
+      this.forget(key);
+    }
+
+    if (!this.pending.has(key)) {
+      const loading = this.load(key, loaders, () => this.pending.get(key) === loading).finally(() => {
+        if (this.pending.get(key) === loading) {
+          this.pending.delete(key);
+        }
+      });
+      this.pending.set(key, loading);
+    }
+
+    return this.pending.get(key);
+  }
+
+  /**
+   * Revalidates or downloads an object and caches it
+   * Only known objects are revalidated with a HEAD request, others are downloaded right away, and
+   * their download dropped when they turn out to be too large.
+   *
+   * @param {String} key
+   * @param {Object} loaders
+   * @param {Function} isCurrent tells whether the key was invalidated since the load started
+   * @returns {Promise<{metadata: Object, body: Buffer|null}>}
+   */
+  async load(key, loaders, isCurrent) {
+    const entry = this.entries.get(key);
+
+    if (entry || this.bypassed.has(key)) {
+      const head = await loaders.head();
+
+      if (entry && head.ETag && entry.metadata.ETag === head.ETag) {
+        const body = await this.store.read(key);
+        if (body) {
+          entry.validatedAt = Date.now();
+          this.touch(key, entry);
+          this.onLookup(key, 'revalidated');
+          return { metadata: entry.metadata, body };
+        }
+      }
+
+      if (entry) {
+        await this.discard(key);
+      }
+
+      if (head.ContentLength > this.maxObjectSize) {
+        return this.bypass(key, head);
+      }
+    }
+
+    const response = await loaders.get();
+
+    if (response.ContentLength > this.maxObjectSize) {
+      // Stop the download, the caller streams the object itself
+      if (response.Body && typeof response.Body.destroy === 'function') {
+        response.Body.destroy();
+      }
+      return this.bypass(key, response);
+    }
+
+    this.onLookup(key, 'miss');
+    this.bypassed.delete(key);
+
+    const metadata = pickMetadata(response);
+    const body = await streamToBuffer(response.Body);
+
+    // Skip storing it when the object was invalidated while we were downloading it
+    if (body.length <= this.maxObjectSize && isCurrent()) {
+      await this.store.write(key, body);
+      this.forget(key);
+      this.entries.set(key, { metadata, size: body.length, validatedAt: Date.now() });
+      this.size += body.length;
+      await this.evict();
+    }
+
+    return { metadata, body };
+  }
+
+  /**
+   * Remembers an object too large to be cached, so it is not looked up again within the TTL
+   *
+   * @param {String} key
+   * @param {Object} response HeadObject or GetObject response
+   * @returns {{metadata: Object, body: null}}
+   */
+  bypass(key, response) {
+    const metadata = pickMetadata(response);
+
+    this.bypassed.delete(key);
+    this.bypassed.set(key, { metadata, validatedAt: Date.now() });
+    if (this.bypassed.size > MAX_BYPASSED) {
+      this.bypassed.delete(this.bypassed.keys().next().value);
+    }
+
+    this.onLookup(key, 'bypass');
+    return { metadata, body: null };
+  }
+
+  /**
+   * Marks an entry as the most recently used
+   */
+  touch(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  /**
+   * Drops an entry from the index
+   */
+  forget(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.size -= entry.size;
+    }
+  }
+
+  /**
+   * Removes the least recently used entries until the cache fits in its maximum size
+   */
+  async evict() {
+    for (const key of this.entries.keys()) {
+      if (this.size <= this.maxSize) {
+        break;
+      }
+      await this.discard(key);
+    }
+  }
+
+  /**
+   * Invalidates an object, e.g. after it was deleted or overwritten
+   * Downloads in progress for the key are not cached either.
+   *
+   * @param {String} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    this.pending.delete(key);
+    this.bypassed.delete(key);
+    await this.discard(key);
+  }
+
+  /**
+   * Removes an entry and its body
+   */
+  async discard(key) {
+    this.forget(key);
+    await this.store.remove(key);
+  }
+}
+
+/**
+ * Picks the metadata cached with a body from an Object Store response
+ *
+ * @param {Object} response
+ * @returns {Object}
+ */
+function pickMetadata(response) {
+  const metadata = {};
+  for (const name of METADATA) {
+    if (response[name] !== undefined) {
+      metadata[name] = response[name];
+    }
+  }
+
+  return metadata;
+}
+
+/**
+ * Creates the cache configured for the adapter
+ *
+ * @param {Object} config adapter configuration
+ * @param {Object} [options]
+ * @param {Function} [options.onLookup] see ObjectCache
+ * @returns {ObjectCache|null} null when caching is disabled
+ */
+function createCache(config, { onLookup } = {}) {
+  if (!config.cache) {
+    return null;
+  }
+
+  return new ObjectCache({
+    store: config.cache === 'disk' ? new DiskStore(path.join(config.cacheDir, config.role || 'default')) : new MemoryStore(),
+    maxSize: config.cacheMaxSize,
+    maxObjectSize: config.cacheMaxObjectSize,
+    ttl: config.cacheTtl * 1000,
+    onLookup
+  });
+}
+
+module.exports = {
+  DiskStore,
+  MemoryStore,
+  ObjectCache,
+  createCache
+};
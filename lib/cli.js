@@ -0,0 +1,762 @@
+'use strict';
+
+const fs = require('node:fs');
+const { parseArgs } = require('node:util');
+const { toCsv } = require('./inventory');
+
+const USAGE = `Usage: ghost-object-store <command> [options]
+
+Commands:
+  migrate    Upload a local Ghost content directory to the Object Store
+  gc         Find, and optionally remove, objects no longer referenced by the site
+  trash      List deleted and overwritten objects kept in the trash, or empty it
+  restore    Restore a deleted or overwritten object
+  tenants    Report the storage used by each tenant in multi-tenant mode
+  copy       Copy an object, or every object under a prefix
+  move       Move an object, or every object under a prefix
+  delete     Delete objects in batches, or every object under a prefix
+  inventory  Report the objects stored per role, month and content type, the largest ones and duplicates
+
+Common options:
+  --config <file>     JSON adapter configuration, or a Ghost config file (storage.object-store is used)
+  --role <role>       storage role to configure for: images, media or files
+  --tenant <id>       tenant to work on in multi-tenant mode
+  --json              print the report as JSON
+  --help              show this help
+
+The adapter configuration can also be given with storage__objectStore__* environment variables.
+
+migrate options:
+  --source <dir>      local content directory, e.g. /var/lib/ghost/content/images (required)
+  --dry-run           list what would be uploaded without uploading anything
+  --concurrency <n>   number of files uploaded in parallel (default: 4)
+  --state <file>      record migrated files in <file> and skip them when run again
+  --overwrite         upload files even when their object already exists
+  --export <file>     Ghost JSON export to rewrite image URLs in
+  --output <file>     where to write the rewritten export (default: <export>.migrated.json)
+  --site-url <url>    site URL, to also rewrite absolute URLs in the export
+  --url-prefix <path> URL path the files were served under (default: content/<source dir name>/)
+  --quiet             do not print a line per file
+
+gc options:
+  --export <file>     Ghost JSON export or database dump to find references in, can be repeated (required)
+  --delete            remove orphaned objects, otherwise they are only reported
+  --grace-period <d>  keep objects modified in the last <d> days (default: 7)
+  --quarantine <path> prefix orphaned objects are moved to (default: gc-quarantine/)
+  --permanent         delete orphaned objects right away instead of quarantining them
+  --purge             delete quarantined objects older than the grace period
+  --concurrency <n>   number of objects removed in parallel (default: 4)
+  --quiet             do not print a line per object
+
+trash options:
+  --key <key>         only list the trashed copies of this object
+  --empty             permanently delete copies older than the retention period
+  --older-than <d>    retention period in days (default: trashRetention)
+
+restore options:
+  --key <key>         object key, e.g. content/images/2026/10/photo.jpg (required)
+  --deleted-at <time> restore the copy deleted at this time, as listed by trash (default: the latest)
+  --version-id <id>   restore this version of a versioned bucket
+  --list              list the trashed copies and versions of the object instead
+
+tenants options:
+  --tenant <id>       only report this tenant, can be repeated (default: every tenant found)
+
+copy and move options:
+  --from <key>        object key, or prefix ending with a slash to copy every object under it (required)
+  --to <key>          destination key, or destination prefix when --from is a prefix (required)
+  --skip-existing     keep objects already at the destination
+  --concurrency <n>   number of objects copied in parallel (default: 4)
+  --quiet             do not print a line per object
+
+delete options:
+  --key <key>         object key, can be repeated
+  --keys <file>       file listing the object keys to delete, one per line
+  --prefix <prefix>   delete every object under this prefix
+  --quiet             do not print a line per object
+
+inventory options:
+  --csv               print the report as CSV
+  --top <n>           number of largest objects to list (default: 10)
+
+Without --role, inventory reports on every role.
+`;
+
+const COMMON_OPTIONS = {
+  config: { type: 'string' },
+  role: { type: 'string' },
+  tenant: { type: 'string' },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', default: false }
+};
+
+/**
+ * Error raised for invalid command line arguments, reported along with the usage
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Merges a configuration section into another, nested objects included, as Ghost does
+ *
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object} target
+ */
+function mergeSection(target, source) {
+  for (const [name, value] of Object.entries(source)) {
+    const current = target[name];
+
+    target[name] = value && typeof value === 'object' && !Array.isArray(value) ?
+      mergeSection(current && typeof current === 'object' && !Array.isArray(current) ? { ...current } : {}, value) :
+      value;
+  }
+
+  return target;
+}
+
+/**
+ * Loads the adapter configuration from a JSON file
+ * A Ghost config file (config.production.json) is accepted as well, the adapter options are
+ * then read from its storage section. With a role, the storage section of the role is merged in,
+ * as Ghost does for the adapter instance of that role.
+ *
+ * @param {String} [configPath]
+ * @param {String} [role] images, media or files
+ * @returns {Object}
+ */
+function loadConfig(configPath, role) {
+  if (!configPath) {
+    return {};
+  }
+
+  const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+
+  if (config.storage && typeof config.storage === 'object') {
+    const options = mergeSection({}, config.storage['object-store'] || {});
+    const section = role && config.storage[role];
+
+    // A role section is either the name of its adapter or `{adapter, ...options}`
+    if (section && typeof section === 'object' && section.adapter === 'object-store') {
+      const { adapter, ...roleOptions } = section;
+      mergeSection(options, roleOptions);
+    }
+
+    return options;
+  }
+
+  return config;
+}
+
+/**
+ * Loads the adapter configuration for a command, with the role and tenant given on the command line
+ *
+ * @param {Object} values parsed arguments
+ * @returns {Object}
+ */
+function loadCommandConfig(values) {
+  const config = loadConfig(values.config, values.role);
+
+  if (values.role) {
+    config.role = values.role;
+  }
+  if (typeof values.tenant === 'string') {
+    config.tenant = values.tenant;
+  }
+
+  return config;
+}
+
+/**
+ * Parses a positive integer argument
+ *
+ * @param {String} value
+ * @param {String} name
+ * @returns {Number|undefined}
+ */
+function parseInteger(value, name) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer, got "${value}"`);
+  }
+
+  return number;
+}
+
+/**
+ * Formats a byte count for humans
+ *
+ * @param {Number} bytes
+ * @returns {String}
+ */
+function formatBytes(bytes) {
+  const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+  let value = bytes;
+  let unit = 0;
+
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+
+  return `${unit ? value.toFixed(1) : value} ${units[unit]}`;
+}
+
+/**
+ * Waits for the replication work queued by a command, which would be lost when the process exits
+ *
+ * @param {Object} storage
+ * @param {Object} stderr
+ * @returns {Promise<Number>} exit code, 1 when replication tasks failed
+ */
+async function waitForReplication(storage, stderr) {
+  const failedTasks = await storage.replicator.flush();
+
+  if (failedTasks) {
+    stderr.write(`failed to replicate ${failedTasks} ${failedTasks === 1 ? 'object' : 'objects'} to the replicas, see the log\n`);
+    return 1;
+  }
+
+  return 0;
+}
+
+/**
+ * migrate command
+ */
+async function migrateCommand(args, { stdout, stderr, createStorage }) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      ...COMMON_OPTIONS,
+      source: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      state: { type: 'string' },
+      overwrite: { type: 'boolean', default: false },
+      export: { type: 'string' },
+      output: { type: 'string' },
+      'site-url': { type: 'string' },
+      'url-prefix': { type: 'string' },
+      quiet: { type: 'boolean', default: false }
+    }
+  });
+
+  if (!values.source) {
+    throw new UsageError('--source is required');
+  }
+  const concurrency = parseInteger(values.concurrency, 'concurrency');
+
+  const config = loadCommandConfig(values);
+
+  const storage = createStorage(config);
+  const dryRun = values['dry-run'];
+
+  const report = await storage.migrate({
+    source: values.source,
+    dryRun,
+    concurrency,
+    statePath: values.state,
+    overwrite: values.overwrite,
+    exportPath: values.export,
+    outputPath: values.output,
+    siteUrl: values['site-url'],
+    sourceUrlPrefix: values['url-prefix'],
+    onProgress(event) {
+      if (event.status === 'failed') {
+        stderr.write(`failed    ${event.path}: ${event.error.message}\n`);
+      } else if (!values.quiet) {
+        stderr.write(`${event.status.padEnd(9)} ${event.path} -> ${event.key}\n`);
+      }
+    }
+  });
+
+  if (values.json) {
+    stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    stdout.write([
+      `${dryRun ? 'Dry run: ' : ''}${report.scanned} files scanned`,
+      `  ${dryRun ? 'to upload' : 'uploaded'}: ${report.uploaded} (${formatBytes(report.bytes)})`,
+      `  skipped: ${report.skipped}`,
+      `  failed: ${report.failed.length}`,
+      ...(report.export ? [`  export: ${dryRun ? 'would be written to' : 'written to'} ${report.export.outputPath}`] : [])
+    ].join('\n') + '\n');
+  }
+
+  return (await waitForReplication(storage, stderr)) || (report.failed.length ? 1 : 0);
+}
+
+/**
+ * gc command
+ */
+async function gcCommand(args, { stdout, stderr, createStorage }) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      ...COMMON_OPTIONS,
+      export: { type: 'string', multiple: true },
+      delete: { type: 'boolean', default: false },
+      'grace-period': { type: 'string' },
+      quarantine: { type: 'string' },
+      permanent: { type: 'boolean', default: false },
+      purge: { type: 'boolean', default: false },
+      concurrency: { type: 'string' },
+      quiet: { type: 'boolean', default: false }
+    }
+  });
+
+  if (!values.export) {
+    throw new UsageError('--export is required');
+  }
+  if (values.permanent && values.quarantine) {
+    throw new UsageError('--permanent and --quarantine cannot be combined');
+  }
+  const concurrency = parseInteger(values.concurrency, 'concurrency');
+
+  let gracePeriod;
+  if (values['grace-period'] !== undefined) {
+    gracePeriod = Number(values['grace-period']);
+    if (!(gracePeriod >= 0) || values['grace-period'].trim() === '') {
+      throw new UsageError(`--grace-period must be a number of days, got "${values['grace-period']}"`);
+    }
+  }
+
+  const config = loadCommandConfig(values);
+
+  const storage = createStorage(config);
+
+  const report = await storage.collectGarbage({
+    referencePaths: values.export,
+    delete: values.delete,
+    gracePeriod,
+    quarantinePrefix: values.permanent ? '' : values.quarantine,
+    purge: values.purge,
+    concurrency,
+    onProgress(event) {
+      if (event.status === 'failed') {
+        stderr.write(`failed      ${event.key}: ${event.error.message}\n`);
+      } else if (!values.quiet) {
+        stderr.write(`${event.status.padEnd(11)} ${event.key}\n`);
+      }
+    }
+  });
+
+  if (values.json) {
+    stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    stdout.write([
+      `${report.scanned} objects scanned`,
+      `  referenced: ${report.referenced}`,
+      `  recent (within grace period): ${report.recent}`,
+      `  orphaned: ${report.orphaned.length} (${formatBytes(report.bytes)})`,
+      ...(report.dryRun ? ['  nothing removed, run with --delete to remove orphaned objects'] : [
+        `  quarantined: ${report.quarantined}`,
+        `  deleted: ${report.deleted}`,
+        `  purged: ${report.purged}`,
+        `  failed: ${report.failed.length}`
+      ])
+    ].join('\n') + '\n');
+  }
+
+  return (await waitForReplication(storage, stderr)) || (report.failed.length ? 1 : 0);
+}
+
+/**
+ * trash command
+ */
+async function trashCommand(args, { stdout, stderr, createStorage }) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      ...COMMON_OPTIONS,
+      key: { type: 'string' },
+      empty: { type: 'boolean', default: false },
+      'older-than': { type: 'string' }
+    }
+  });
+
+  let olderThan;
+  if (values['older-than'] !== undefined) {
+    olderThan = Number(values['older-than']);
+    if (!(olderThan >= 0) || values['older-than'].trim() === '') {
+      throw new UsageError(`--older-than must be a number of days, got "${values['older-than']}"`);
+    }
+  }
+  if (values.empty && values.key) {
+    throw new UsageError('--empty and --key cannot be combined');
+  }
+
+  const config = loadCommandConfig(values);
+
+  const storage = createStorage(config);
+
+  if (values.empty) {
+    const report = await storage.emptyTrash({
+      olderThan,
+      onProgress(event) {
+        if (event.status === 'failed') {
+          stderr.write(`failed ${event.trashKey}: ${event.error.message}\n`);
+        } else {
+          stderr.write(`purged ${event.trashKey}\n`);
+        }
+      }
+    });
+
+    if (values.json) {
+      stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    } else {
+      stdout.write([
+        `${report.scanned} trashed objects scanned`,
+        `  purged: ${report.purged} (${formatBytes(report.bytes)})`,
+        `  failed: ${report.failed.length}`
+      ].join('\n') + '\n');
+    }
+
+    return (await waitForReplication(storage, stderr)) || (report.failed.length ? 1 : 0);
+  }
+
+  const entries = await storage.listTrash({ key: values.key });
+
+  if (values.json) {
+    stdout.write(`${JSON.stringify(entries, null, 2)}\n`);
+  } else if (!entries.length) {
+    stdout.write('The trash is empty\n');
+  } else {
+    stdout.write(entries.map((entry) => `${entry.deletedAt}  ${formatBytes(entry.size || 0).padStart(10)}  ${entry.key}`).join('\n') + '\n');
+  }
+
+  return 0;
+}
+
+/**
+ * restore command
+ */
+async function restoreCommand(args, { stdout, stderr, createStorage }) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      ...COMMON_OPTIONS,
+      key: { type: 'string' },
+      'deleted-at': { type: 'string' },
+      'version-id': { type: 'string' },
+      list: { type: 'boolean', default: false }
+    }
+  });
+
+  if (!values.key) {
+    throw new UsageError('--key is required');
+  }
+  if (values['deleted-at'] && values['version-id']) {
+    throw new UsageError('--deleted-at and --version-id cannot be combined');
+  }
+
+  const config = loadCommandConfig(values);
+
+  const storage = createStorage(config);
+
+  if (values.list) {
+    const trashed = await storage.listTrash({ key: values.key });
+    let versions = [];
+    try {
+      versions = await storage.listVersions(values.key);
+    } catch (error) {
+      // The bucket may not support versioning
+    }
+
+    if (values.json) {
+      stdout.write(`${JSON.stringify({ trash: trashed, versions }, null, 2)}\n`);
+    } else {
+      stdout.write([
+        `Trash (${trashed.length}):`,
+        ...trashed.map((entry) => `  --deleted-at ${entry.deletedAt}  ${formatBytes(entry.size || 0)}`),
+        `Versions (${versions.length}):`,
+        ...versions.map((version) => `  --version-id ${version.versionId}  ${new Date(version.lastModified).toISOString()}  ${
+          version.deleteMarker ? 'delete marker' : formatBytes(version.size || 0)}${version.isLatest ? ' (current)' : ''}`)
+      ].join('\n') + '\n');
+    }
+
+    return 0;
+  }
+
+  const result = await storage.restore(values.key, {
+    deletedAt: values['deleted-at'],
+    versionId: values['version-id']
+  });
+
+  if (values.json) {
+    stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+  } else {
+    stdout.write(`Restored ${result.key} from ${result.trashKey ? `the trash (${result.trashKey})` : `version ${result.versionId}`}\n`);
+  }
+
+  return waitForReplication(storage, stderr);
+}
+
+/**
+ * tenants command
+ */
+async function tenantsCommand(args, { stdout, createStorage }) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      ...COMMON_OPTIONS,
+      tenant: { type: 'string', multiple: true }
+    }
+  });
+
+  // --tenant selects the tenants to report here, rather than the one to work on
+  const storage = createStorage(loadCommandConfig(values));
+  const report = await storage.tenantUsage({ tenants: values.tenant });
+
+  if (values.json) {
+    stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else if (!report.tenants.length) {
+    stdout.write('No tenants found\n');
+  } else {
+    stdout.write([
+      ...report.tenants.map((usage) => (usage.error ?
+        `${usage.tenant}  failed: ${usage.error}` :
+        `${usage.tenant}  ${usage.objects} objects  ${formatBytes(usage.bytes)}  (${usage.bucket})`)),
+      `${report.tenants.length} tenants, ${report.objects} objects, ${formatBytes(report.bytes)}`
+    ].join('\n') + '\n');
+  }
+
+  return report.tenants.some((usage) => usage.error) ? 1 : 0;
+}
+
+/**
+ * Writes a line for each object of a bulk operation
+ *
+ * @param {Object} stderr
+ * @param {Boolean} quiet only report failures
+ * @returns {Function}
+ */
+function reportBulkProgress(stderr, quiet) {
+  return (event) => {
+    const target = event.to ? ` -> ${event.to}` : '';
+
+    if (event.status === 'failed') {
+      stderr.write(`failed  ${event.key}${target}: ${event.error.message}\n`);
+    } else if (!quiet) {
+      stderr.write(`${event.status.padEnd(7)} ${event.key}${target}\n`);
+    }
+  };
+}
+
+/**
+ * copy and move commands
+ *
+ * @param {Boolean} move
+ * @returns {Function}
+ */
+function copyCommand(move) {
+  return async (args, { stdout, stderr, createStorage }) => {
+    const { values } = parseArgs({
+      args,
+      options: {
+        ...COMMON_OPTIONS,
+        from: { type: 'string' },
+        to: { type: 'string' },
+        'skip-existing': { type: 'boolean', default: false },
+        concurrency: { type: 'string' },
+        quiet: { type: 'boolean', default: false }
+      }
+    });
+
+    if (!values.from || !values.to) {
+      throw new UsageError('--from and --to are required');
+    }
+    const concurrency = parseInteger(values.concurrency, 'concurrency');
+
+    const storage = createStorage(loadCommandConfig(values));
+    const options = {
+      overwrite: !values['skip-existing'],
+      concurrency,
+      onProgress: reportBulkProgress(stderr, values.quiet)
+    };
+
+    let report;
+    if (values.from.endsWith('/')) {
+      report = await (move ? storage.movePrefix(values.from, values.to, options) : storage.copyPrefix(values.from, values.to, options));
+    } else {
+      const items = [{ from: values.from, to: values.to }];
+      report = await (move ? storage.moveObjects(items, options) : storage.copyObjects(items, options));
+    }
+
+    if (values.json) {
+      stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+    } else {
+      stdout.write([
+        `${report.requested} objects to ${move ? 'move' : 'copy'}`,
+        `  ${move ? 'moved' : 'copied'}: ${move ? report.moved : report.copied} (${formatBytes(report.bytes)})`,
+        `  skipped: ${report.skipped}`,
+        `  failed: ${report.failed.length}`
+      ].join('\n') + '\n');
+    }
+
+    return (await waitForReplication(storage, stderr)) || (report.failed.length ? 1 : 0);
+  };
+}
+
+/**
+ * delete command
+ */
+async function deleteCommand(args, { stdout, stderr, createStorage }) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      ...COMMON_OPTIONS,
+      key: { type: 'string', multiple: true },
+      keys: { type: 'string' },
+      prefix: { type: 'string' },
+      quiet: { type: 'boolean', default: false }
+    }
+  });
+
+  const keys = [...(values.key || [])];
+  if (values.keys) {
+    keys.push(...fs.readFileSync(values.keys, 'utf8').split(/\r?\n/).map((line) => line.trim()).filter(Boolean));
+  }
+  if (!keys.length && !values.prefix) {
+    throw new UsageError('--key, --keys or --prefix is required');
+  }
+  if (keys.length && values.prefix) {
+    throw new UsageError('--prefix cannot be combined with --key or --keys');
+  }
+
+  const storage = createStorage(loadCommandConfig(values));
+  const options = { onProgress: reportBulkProgress(stderr, values.quiet) };
+  const report = values.prefix ? await storage.deletePrefix(values.prefix, options) : await storage.deleteObjects(keys, options);
+
+  if (values.json) {
+    stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    stdout.write([
+      `${report.requested} objects to delete`,
+      `  deleted: ${report.deleted}`,
+      ...(report.trashed ? [`  moved to the trash: ${report.trashed}`] : []),
+      `  failed: ${report.failed.length}`
+    ].join('\n') + '\n');
+  }
+
+  return (await waitForReplication(storage, stderr)) || (report.failed.length ? 1 : 0);
+}
+
+/**
+ * inventory command
+ */
+async function inventoryCommand(args, { stdout, stderr, createStorage }) {
+  const { values } = parseArgs({
+    args,
+    options: {
+      ...COMMON_OPTIONS,
+      csv: { type: 'boolean', default: false },
+      top: { type: 'string' }
+    }
+  });
+
+  if (values.csv && values.json) {
+    throw new UsageError('--csv and --json cannot be combined');
+  }
+  const top = parseInteger(values.top, 'top');
+
+  const storage = createStorage(loadCommandConfig(values));
+  const report = await storage.inventory({
+    roles: values.role ? [values.role] : undefined,
+    top,
+    onProgress(event) {
+      stderr.write(`${event.role}: ${event.objects} objects scanned\n`);
+    }
+  });
+
+  if (values.json) {
+    stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else if (values.csv) {
+    stdout.write(toCsv(report));
+  } else {
+    stdout.write([
+      `${report.objects} objects, ${formatBytes(report.bytes)}`,
+      'Roles:',
+      ...report.roles.map((usage) => `  ${usage.role.padEnd(12)} ${String(usage.objects).padStart(8)}  ${formatBytes(usage.bytes).padStart(10)}`),
+      'Months:',
+      ...report.months.map((entry) => `  ${entry.month.padEnd(12)} ${String(entry.objects).padStart(8)}  ${formatBytes(entry.bytes).padStart(10)}`),
+      'Content types:',
+      ...report.contentTypes.map((entry) => `  ${entry.contentType.padEnd(24)} ${String(entry.objects).padStart(8)}  ${formatBytes(entry.bytes).padStart(10)}`),
+      'Largest objects:',
+      ...report.largest.map((object) => `  ${formatBytes(object.size).padStart(10)}  ${object.key}`),
+      `Duplicates: ${report.duplicates.length} (${formatBytes(report.duplicateBytes)} could be saved)`,
+      ...report.duplicates.map((duplicate) => `  ${formatBytes(duplicate.size).padStart(10)}  ${duplicate.keys.join(', ')}`)
+    ].join('\n') + '\n');
+  }
+
+  return 0;
+}
+
+const COMMANDS = {
+  migrate: migrateCommand,
+  gc: gcCommand,
+  trash: trashCommand,
+  restore: restoreCommand,
+  tenants: tenantsCommand,
+  copy: copyCommand(false),
+  move: copyCommand(true),
+  delete: deleteCommand,
+  inventory: inventoryCommand
+};
+
+/**
+ * Runs the command line interface
+ *
+ * @param {String[]} argv arguments, without the node executable and script path
+ * @param {Object} [io]
+ * @param {Object} [io.stdout]
+ * @param {Object} [io.stderr]
+ * @param {Function} [io.createStorage] creates the adapter from its configuration
+ * @returns {Promise<Number>} exit code
+ */
+async function run(argv, {
+  stdout = process.stdout,
+  stderr = process.stderr,
+  createStorage = (config) => new (require('../index'))(config)
+} = {}) {
+  const [command, ...args] = argv;
+
+  if (!command || command === '--help' || command === 'help') {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  if (!COMMANDS[command]) {
+    stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (args.includes('--help')) {
+    stdout.write(USAGE);
+    return 0;
+  }
+
+  try {
+    return await COMMANDS[command](args, { stdout, stderr, createStorage });
+  } catch (error) {
+    if (error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ||
+      error.code === 'ERR_PARSE_ARGS_INVALID_OPTION_VALUE' || error.code === 'ERR_PARSE_ARGS_UNEXPECTED_POSITIONAL') {
+      stderr.write(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    stderr.write(`${error.message}\n`);
+    return 1;
+  }
+}
+
+module.exports = {
+  run
+};
@@ -0,0 +1,625 @@
+'use strict';
+
+const os = require('node:os');
+const path = require('node:path');
+const { InvalidConfigError } = require('./errors');
+const { strategies } = require('./naming');
+const { CANNED_ACLS } = require('./object-params');
+const { DEFAULT_IMAGE_SIZES } = require('./image');
+const { CREDENTIAL_SOURCES } = require('./credentials');
+
+const ENV_PREFIX = 'storage__objectStore__';
+const MiB = 1024 * 1024;
+
+// Ghost storage roles the adapter can be instantiated for, with the paths Ghost serves them under
+const ROLES = ['images', 'media', 'files'];
+const ROLE_DEFAULTS = {
+  images: { storagePath: 'content/images/', staticFileURLPrefix: 'content/images/' },
+  media: { storagePath: 'content/media/', staticFileURLPrefix: 'content/media/' },
+  files: { storagePath: 'content/files/', staticFileURLPrefix: 'content/files/' }
+};
+
+/**
+ * Adapter options
+ *
+ * Every option can be set in the adapter configuration or through a `storage__objectStore__<name>`
+ * environment variable, the configuration taking precedence. `type` decides how the value is
+ * normalised and validated.
+ */
+const OPTIONS = {
+  // Multi-tenant mode: the objects of a tenant are kept below <tenantPrefix><tenant>/. The tenant is a fixed id,
+  // a function `({hostname, siteUrl, role}) => id`, or derived from the `hostname` or Ghost's `siteUrl` (tenantFrom).
+  // `false` addresses the shared bucket, outside any tenant.
+  tenant: { type: 'tenant', allowFunction: true },
+  tenantFrom: { type: 'enum', values: ['hostname', 'siteUrl'] },
+  tenantPrefix: { type: 'prefix', default: 'tenants/' },
+  // Options of each tenant, taking precedence over the others, e.g.
+  // {"nation": {"bucket": "nation-media", "accessKey": "...", "secretKey": "..."}}
+  tenants: { type: 'object' },
+  // `s3` talks to an Object Store, `filesystem` keeps the objects as files below localPath, with the same key
+  // layout (for local development, or as a replica to fall back to while the Object Store is unreachable)
+  driver: { type: 'enum', values: ['s3', 'filesystem'], default: 's3' },
+  localPath: { type: 'string' },
+  // Follows the scheme of the endpoint, which wins when they disagree
+  useSSL: { type: 'boolean' },
+  // Defaults to MinIO in a docker-compose setup, use e.g. https://s3.eu-west-1.amazonaws.com for Amazon S3.
+  // A scheme-less endpoint (e.g. localhost:9000) gets one based on useSSL.
+  endpoint: { type: 'url', default: 'http://minio:9000' },
+  // Where credentials come from: `static` (accessKey, secretKey and an optional sessionToken), `default` (the AWS
+  // default chain: environment, shared files with `profile`, web identity, ECS and EC2 roles), `webIdentity`
+  // (a token file, e.g. on EKS), `file` (JSON or ini credentialsFile, read again when rotated) or a function
+  // returning credentials. See lib/credentials.js.
+  credentials: { type: 'enum', values: CREDENTIAL_SOURCES, allowFunction: true, default: 'static' },
+  // Only required by static credentials
+  accessKey: { type: 'string', required: true },
+  secretKey: { type: 'string', required: true },
+  sessionToken: { type: 'string' },
+  profile: { type: 'string' },
+  credentialsFile: { type: 'string' },
+  webIdentityTokenFile: { type: 'string' },
+  // Role assumed with the credentials above and assumed again before it expires, or the role of the web identity
+  // token. Session duration in seconds, STS endpoint for stores with their own (e.g. MinIO).
+  roleArn: { type: 'string' },
+  roleSessionName: { type: 'string', default: 'ghost-object-store' },
+  externalId: { type: 'string' },
+  roleDuration: { type: 'integer', min: 900, max: 43200, default: 3600 },
+  stsEndpoint: { type: 'url' },
+  bucket: { type: 'bucket', default: 'ghost' },
+  region: { type: 'string', default: 'eu-west-1' },
+  // For Ghost's static file handling
+  storagePath: { type: 'prefix', default: 'content/media/' },
+  staticFileURLPrefix: { type: 'prefix', default: 'content/media/' },
+  // Prefix added to every object key, so several sites can share a bucket, e.g. "blog-a/"
+  keyPrefix: { type: 'prefix', default: '' },
+  // Public base URL of the bucket, a CDN or a custom domain. When set, saved files get absolute URLs.
+  assetHost: { type: 'url' },
+  // `proxy` streams files through serve(), `redirect` sends clients to the assetHost instead
+  // and `presigned` sends them to a time-limited presigned URL (for private buckets)
+  serveMode: { type: 'enum', values: ['proxy', 'redirect', 'presigned'], default: 'proxy' },
+  // How object keys are generated: `date` (YYYY/MM, Ghost's default), `hash` (SHA-256 of the content),
+  // `uuid` or a function `(file, targetDir) => objectKey`
+  namingStrategy: { type: 'enum', values: Object.keys(strategies), allowFunction: true, default: 'date' },
+  // Lifetime of presigned URLs, in seconds (SigV4 allows at most 7 days)
+  signedUrlExpiry: { type: 'integer', min: 1, max: 604800, default: 3600 },
+  // Request policy: retries with jittered backoff, per-request timeout and circuit breaker (times in ms)
+  maxRetries: { type: 'integer', min: 0, default: 3 },
+  retryBaseDelay: { type: 'integer', min: 0, default: 100 },
+  retryMaxDelay: { type: 'integer', min: 0, default: 2000 },
+  requestTimeout: { type: 'integer', min: 0, default: 60000 },
+  circuitBreakerThreshold: { type: 'integer', min: 0, default: 5 },
+  circuitBreakerResetTimeout: { type: 'integer', min: 0, default: 30000 },
+  // Uploads larger than the threshold are streamed from disk in parts using S3 multipart upload
+  multipartThreshold: { type: 'integer', min: 0, default: 16 * MiB },
+  multipartPartSize: { type: 'integer', min: 5 * MiB, default: 8 * MiB },
+  multipartConcurrency: { type: 'integer', min: 1, default: 4 },
+  // Cache-Control header sent by serve()
+  cacheControl: { type: 'string', default: 'public, max-age=31536000' },
+  // Content types save() accepts, e.g. "image/*, application/pdf". Everything is accepted when empty.
+  allowedContentTypes: { type: 'list' },
+  // Largest upload accepted, in bytes. 0 means no limit.
+  maxFileSize: { type: 'integer', min: 0, default: 0 },
+  // Detect the content type of uploads from their first bytes rather than trusting the browser
+  detectContentType: { type: 'boolean', default: true },
+  // Strip scripts, event handlers and javascript: URLs from uploaded SVG images
+  sanitizeSvg: { type: 'boolean', default: true },
+  // Check the bucket is reachable and writable before the first operation
+  startupCheck: { type: 'boolean', default: false },
+  // Server-side encryption of uploads: SSE-S3, SSE-KMS (with an optional kmsKeyId) or SSE-C (with sseCustomerKey)
+  encryption: { type: 'enum', values: ['SSE-S3', 'SSE-KMS', 'SSE-C'] },
+  kmsKeyId: { type: 'string' },
+  // Base64-encoded 256-bit key for SSE-C
+  sseCustomerKey: { type: 'base64Key' },
+  acl: { type: 'enum', values: CANNED_ACLS },
+  storageClass: { type: 'string' },
+  // Custom metadata stored with uploads: an object (or JSON string) or a function `(file) => metadata`
+  metadata: { type: 'object', allowFunction: true },
+  // `inline`, `attachment` or a function `(file) => disposition`. The original file name is appended.
+  contentDisposition: { type: 'enum', values: ['inline', 'attachment'], allowFunction: true },
+  // Generate resized images (size/w600/...) and format conversions (size/w600/format/webp/...) from the
+  // original when first requested. Requires the optional `sharp` package.
+  resizeImages: { type: 'boolean', default: true },
+  // Sizes serve() generates, e.g. "w600, w1000, w600h400". "*" allows any size.
+  imageSizes: { type: 'list', default: DEFAULT_IMAGE_SIZES },
+  // Read-through cache for serve() and read(), kept in `memory` or on `disk`. Disabled when unset.
+  cache: { type: 'enum', values: ['memory', 'disk'] },
+  cacheDir: { type: 'string', default: path.join(os.tmpdir(), 'ghost-object-store-cache') },
+  // Total size of the cache and largest object cached, in bytes
+  cacheMaxSize: { type: 'integer', min: 0, default: 256 * MiB },
+  cacheMaxObjectSize: { type: 'integer', min: 0, default: 8 * MiB },
+  // Seconds cached objects are served for before being revalidated with the Object Store
+  cacheTtl: { type: 'integer', min: 0, default: 300 },
+  // Secondary Object Stores writes are replicated to and reads fall back to, e.g.
+  // [{"endpoint": "https://<account>.r2.cloudflarestorage.com", "accessKey": "...", "secretKey": "...", "bucket": "ghost"}]
+  // Bucket and region default to the primary's, and the endpoint scheme wins over useSSL as for the primary.
+  replicas: { type: 'array' },
+  // `sync` writes to every store before save() returns, `async` only to the primary and replicates in the background
+  replicationMode: { type: 'enum', values: ['sync', 'async'], default: 'sync' },
+  // Writes a secondary missed are retried in the background, with a delay doubled on each attempt (in ms)
+  replicationMaxAttempts: { type: 'integer', min: 1, default: 5 },
+  replicationRetryDelay: { type: 'integer', min: 0, default: 1000 },
+  // Move deleted objects, and the previous content of objects saveRaw() overwrites, below trashPrefix
+  // instead of removing them. Trashed copies are kept for trashRetention days.
+  softDelete: { type: 'boolean', default: false },
+  trashPrefix: { type: 'prefix', default: 'trash/' },
+  trashRetention: { type: 'integer', min: 0, default: 30 },
+  // Serve Prometheus metrics at http://<metricsHost>:<metricsPort>/metrics. Disabled when 0.
+  metricsPort: { type: 'integer', min: 0, max: 65535, default: 0 },
+  metricsHost: { type: 'string', default: '127.0.0.1' },
+  // Record OpenTelemetry spans, when @opentelemetry/api is installed and an SDK is registered
+  tracing: { type: 'boolean', default: true }
+};
+
+// Options tenants cannot override
+const TENANCY_OPTIONS = ['tenant', 'tenantFrom', 'tenantPrefix', 'tenants'];
+
+// Options of each replica
+const REPLICA_OPTIONS = [
+  'driver', 'localPath', 'useSSL', 'endpoint', 'credentials', 'accessKey', 'secretKey', 'sessionToken', 'profile',
+  'credentialsFile', 'webIdentityTokenFile', 'roleArn', 'roleSessionName', 'externalId', 'roleDuration', 'stsEndpoint',
+  'bucket', 'region'
+];
+
+const TRUE_VALUES = new Set(['true', '1', 'yes', 'on']);
+const FALSE_VALUES = new Set(['false', '0', 'no', 'off']);
+
+/**
+ * Makes useSSL follow the scheme of the endpoint, which decides as it always has with the S3 client,
+ * with a warning when they disagree
+ *
+ * @param {Object} settings normalised options of the primary or a replica
+ * @param {String} prefix prefix of the option names in the warning, e.g. `replicas[0].`
+ * @param {String[]} warnings
+ */
+function followEndpointScheme(settings, prefix, warnings) {
+  if (!settings.endpoint) {
+    return;
+  }
+
+  const isHttps = settings.endpoint.startsWith('https://');
+  const scheme = isHttps ? 'https' : 'http';
+  if (typeof settings.useSSL === 'boolean' && isHttps !== settings.useSSL) {
+    warnings.push(`${prefix}useSSL is ${settings.useSSL} but ${prefix}endpoint ${settings.endpoint} uses ${scheme}, using ${scheme}`);
+  }
+  settings.useSSL = isHttps;
+}
+
+/**
+ * Normalises a single option value
+ * Returns the normalised value, or throws an error describing the problem.
+ *
+ * @param {String} name
+ * @param {*} value
+ * @param {Object} definition
+ * @returns {*}
+ */
+function normalizeValue(name, value, definition) {
+  switch (definition.type) {
+  case 'boolean': {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const lowered = String(value).trim().toLowerCase();
+    if (TRUE_VALUES.has(lowered)) {
+      return true;
+    }
+    if (FALSE_VALUES.has(lowered)) {
+      return false;
+    }
+    throw new Error(`${name} must be a boolean, got "${value}"`);
+  }
+
+  case 'integer': {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (!Number.isInteger(number)) {
+      throw new Error(`${name} must be an integer, got "${value}"`);
+    }
+    if (definition.min !== undefined && number < definition.min) {
+      throw new Error(`${name} must be at least ${definition.min}, got ${number}`);
+    }
+    if (definition.max !== undefined && number > definition.max) {
+      throw new Error(`${name} must be at most ${definition.max}, got ${number}`);
+    }
+    return number;
+  }
+
+  case 'enum': {
+    if (definition.allowFunction && typeof value === 'function') {
+      return value;
+    }
+    if (!definition.values.includes(value)) {
+      throw new Error(`${name} must be one of ${definition.values.join(', ')}${definition.allowFunction ? ' or a function' : ''}, got "${value}"`);
+    }
+    return value;
+  }
+
+  case 'prefix': {
+    // No leading slash and exactly one trailing slash, e.g. "content/media/"; empty means the bucket root
+    const segments = String(value).trim().replace(/\\/g, '/').split('/').filter(Boolean);
+    if (segments.some((segment) => segment === '.' || segment === '..')) {
+      throw new Error(`${name} must not contain "." or ".." segments, got "${value}"`);
+    }
+    return segments.length ? `${segments.join('/')}/` : '';
+  }
+
+  case 'url': {
+    const url = String(value).trim().replace(/\/+$/, '');
+    try {
+      const parsed = new URL(url);
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw new Error();
+      }
+    } catch (error) {
+      throw new Error(`${name} must be an http(s) URL, got "${value}"`);
+    }
+    return url;
+  }
+
+  case 'object': {
+    if (definition.allowFunction && typeof value === 'function') {
+      return value;
+    }
+    let object = value;
+    if (typeof value === 'string') {
+      try {
+        object = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`${name} must be valid JSON, got "${value}"`);
+      }
+    }
+    if (!object || typeof object !== 'object' || Array.isArray(object)) {
+      throw new Error(`${name} must be an object${definition.allowFunction ? ' or a function' : ''}`);
+    }
+    return object;
+  }
+
+  case 'array': {
+    let items = value;
+    if (typeof value === 'string') {
+      try {
+        items = JSON.parse(value);
+      } catch (error) {
+        throw new Error(`${name} must be valid JSON, got "${value}"`);
+      }
+    }
+    if (!Array.isArray(items)) {
+      throw new Error(`${name} must be an array`);
+    }
+    return items;
+  }
+
+  case 'list': {
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map((item) => String(item).trim().toLowerCase()).filter(Boolean);
+  }
+
+  case 'tenant': {
+    if (value === false || (definition.allowFunction && typeof value === 'function')) {
+      return value;
+    }
+    const tenant = String(value).trim().toLowerCase();
+    if (!/^[a-z0-9]([a-z0-9._-]{0,61}[a-z0-9])?$/.test(tenant)) {
+      throw new Error(`${name} must be 1-63 letters, digits, dots, hyphens or underscores, got "${value}"`);
+    }
+    return tenant;
+  }
+
+  case 'base64Key':
+    if (typeof value !== 'string' || !/^[A-Za-z0-9+/]{43}=$/.test(value.trim())) {
+      throw new Error(`${name} must be a base64-encoded 256-bit key`);
+    }
+    return value.trim();
+
+  case 'bucket':
+    if (!/^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/.test(value)) {
+      throw new Error(`${name} must be a valid bucket name (3-63 lowercase letters, digits, dots or hyphens), got "${value}"`);
+    }
+    return value;
+
+  default:
+    if (typeof value !== 'string' || !value.trim()) {
+      throw new Error(`${name} must be a non-empty string`);
+    }
+    return value.trim();
+  }
+}
+
+/**
+ * Checks whether an option was left unset
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isUnset(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Checks whether an option is required by the driver and credential source chosen so far
+ * Credentials are only needed to reach an Object Store, and keys only for static credentials.
+ *
+ * @param {Object} definition
+ * @param {Object} settings options normalised so far
+ * @returns {Boolean}
+ */
+function isRequired(definition, settings) {
+  return Boolean(definition.required) && settings.driver !== 'filesystem' && [undefined, 'static'].includes(settings.credentials);
+}
+
+/**
+ * Checks the credential options of a store fit together
+ *
+ * @param {Object} settings normalised settings of the store
+ * @returns {String[]} problems
+ */
+function credentialProblems(settings) {
+  const problems = [];
+
+  if (settings.driver === 'filesystem') {
+    return problems;
+  }
+  if (settings.credentials === 'file' && !settings.credentialsFile) {
+    problems.push('credentials "file" requires a credentialsFile');
+  }
+  if (settings.externalId && !settings.roleArn) {
+    problems.push('externalId requires a roleArn');
+  }
+
+  return problems;
+}
+
+/**
+ * Normalises the settings of a secondary Object Store
+ * Bucket and region default to the primary's, problems are added to `problems`.
+ *
+ * @param {Object} replica
+ * @param {Number} index
+ * @param {Object} config normalised primary configuration
+ * @param {String[]} problems
+ * @returns {Object}
+ */
+function normalizeReplica(replica, index, config, problems) {
+  const prefix = `replicas[${index}].`;
+
+  if (!replica || typeof replica !== 'object' || Array.isArray(replica)) {
+    problems.push(`${prefix.slice(0, -1)} must be an object`);
+    return {};
+  }
+
+  const normalized = {};
+  for (const name of REPLICA_OPTIONS) {
+    const definition = OPTIONS[name];
+    let value = replica[name];
+
+    if (isUnset(value)) {
+      if (isRequired(definition, normalized)) {
+        problems.push(`${prefix}${name} is required`);
+      }
+      normalized[name] = ['bucket', 'region'].includes(name) ? config[name] : undefined;
+      continue;
+    }
+
+    if (name === 'endpoint' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(String(value).trim())) {
+      value = `${normalized.useSSL === true ? 'https' : 'http'}://${String(value).trim()}`;
+    }
+
+    try {
+      normalized[name] = normalizeValue(`${prefix}${name}`, value, definition);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  followEndpointScheme(normalized, prefix, config.warnings);
+  if (normalized.useSSL === undefined) {
+    normalized.useSSL = true;
+  }
+
+  if (normalized.driver === 'filesystem' && !normalized.localPath) {
+    problems.push(`${prefix}localPath is required by the filesystem driver`);
+  }
+
+  for (const problem of credentialProblems(normalized)) {
+    problems.push(`${prefix}${problem}`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Resolves the tenant of a multi-tenant configuration, once the tenancy options are normalised
+ * Sets `config.tenant` and returns the options of the tenant from the `tenants` mapping.
+ *
+ * @param {Object} config configuration normalised so far
+ * @param {Object} env environment variables
+ * @param {String[]} problems
+ * @returns {Object}
+ */
+function resolveTenant(config, env, problems) {
+  let tenant = config.tenant;
+  // Fixed tenants were validated with the other options
+  let derived = true;
+
+  if (typeof tenant === 'function') {
+    let siteUrl;
+    try {
+      siteUrl = env.url && new URL(env.url).href;
+    } catch (error) {
+      // Passed on as unset
+    }
+    try {
+      tenant = tenant({ hostname: os.hostname(), siteUrl, role: config.role });
+    } catch (error) {
+      problems.push(`tenant resolver failed: ${error.message}`);
+      return {};
+    }
+  } else if (isUnset(tenant) && config.tenantFrom === 'hostname') {
+    tenant = os.hostname();
+  } else if (isUnset(tenant) && config.tenantFrom === 'siteUrl') {
+    // Ghost's `url` setting, as set in the environment of Ghost containers
+    try {
+      tenant = new URL(env.url).hostname;
+    } catch (error) {
+      problems.push(`tenantFrom "siteUrl" requires Ghost's url setting in the url environment variable, got "${env.url || ''}"`);
+      return {};
+    }
+  } else {
+    derived = false;
+  }
+
+  if (isUnset(tenant) || tenant === false) {
+    config.tenant = undefined;
+    return {};
+  }
+
+  try {
+    config.tenant = normalizeValue('tenant', tenant, { type: 'tenant' });
+  } catch (error) {
+    if (derived) {
+      problems.push(error.message);
+    }
+    config.tenant = undefined;
+    return {};
+  }
+
+  const tenantOptions = (config.tenants || {})[config.tenant] || {};
+  if (typeof tenantOptions !== 'object' || Array.isArray(tenantOptions)) {
+    problems.push(`tenants.${config.tenant} must be an object`);
+    return {};
+  }
+
+  return tenantOptions;
+}
+
+/**
+ * Merges the adapter options with `storage__objectStore__*` environment variables and defaults,
+ * normalises every value and validates the result
+ *
+ * When a `role` (images, media or files) is set, role-specific overrides from `options[role]` and
+ * `storage__objectStore__<role>__<name>` environment variables take precedence, and the storage path
+ * and URL prefix default to the directory Ghost uses for that role. In multi-tenant mode, the options
+ * of the tenant from the `tenants` mapping take precedence over all others, and every key is prefixed
+ * with the tenant namespace.
+ *
+ * All problems are collected and reported at once, in a single InvalidConfigError
+ * whose `problems` property lists them.
+ *
+ * @param {Object} [options] adapter configuration from Ghost
+ * @param {Object} [env] environment variables
+ * @returns {Object} normalised configuration
+ */
+function normalizeConfig(options = {}, env = process.env) {
+  const config = { ...options };
+  const problems = [];
+
+  const role = isUnset(options.role) ? env[`${ENV_PREFIX}role`] : options.role;
+  if (!isUnset(role) && !ROLES.includes(role)) {
+    problems.push(`role must be one of ${ROLES.join(', ')}, got "${role}"`);
+  }
+  const roleOptions = (ROLES.includes(role) && options[role]) || {};
+  const roleDefaults = ROLE_DEFAULTS[role] || {};
+  config.role = ROLES.includes(role) ? role : undefined;
+
+  let tenantOptions;
+
+  for (const [name, definition] of Object.entries(OPTIONS)) {
+    // The tenancy options come first, the tenant is known once they are normalised
+    if (!tenantOptions && !TENANCY_OPTIONS.includes(name)) {
+      tenantOptions = resolveTenant(config, env, problems);
+    }
+
+    const candidates = [
+      tenantOptions && tenantOptions[name],
+      roleOptions[name],
+      config.role && env[`${ENV_PREFIX}${config.role}__${name}`],
+      options[name],
+      env[`${ENV_PREFIX}${name}`]
+    ];
+    let value = candidates.find((candidate) => !isUnset(candidate));
+
+    if (isUnset(value)) {
+      if (isRequired(definition, config)) {
+        problems.push(`${name} is required (set it in the adapter config or ${ENV_PREFIX}${name})`);
+      }
+      config[name] = name in roleDefaults ? roleDefaults[name] : definition.default;
+      continue;
+    }
+
+    // Endpoints are often given as host:port (useSSL is normalised first), add the scheme
+    if (name === 'endpoint' && !/^[a-z][a-z0-9+.-]*:\/\//i.test(String(value).trim())) {
+      value = `${config.useSSL === true ? 'https' : 'http'}://${String(value).trim()}`;
+    }
+
+    try {
+      config[name] = normalizeValue(name, value, definition);
+    } catch (error) {
+      problems.push(error.message);
+    }
+  }
+
+  if (config.tenant) {
+    config.tenantNamespace = `${config.tenantPrefix}${config.tenant}/`;
+    config.keyPrefix = `${config.tenantNamespace}${config.keyPrefix}`;
+  }
+
+  config.warnings = [];
+  followEndpointScheme(config, '', config.warnings);
+
+  problems.push(...credentialProblems(config));
+
+  config.replicas = (Array.isArray(config.replicas) ? config.replicas : []).map((replica, index) => normalizeReplica(replica, index, config, problems));
+
+  if (config.driver === 'filesystem') {
+    if (!config.localPath) {
+      problems.push('driver "filesystem" requires a localPath');
+    }
+    if (config.serveMode === 'presigned') {
+      problems.push('serveMode "presigned" requires driver "s3"');
+    }
+  }
+
+  if (config.softDelete && !config.trashPrefix) {
+    problems.push('softDelete requires a trashPrefix');
+  }
+
+  if (config.serveMode === 'redirect' && !config.assetHost) {
+    problems.push('serveMode "redirect" requires an assetHost');
+  }
+
+  if (config.kmsKeyId && config.encryption !== 'SSE-KMS') {
+    problems.push('kmsKeyId requires encryption "SSE-KMS"');
+  }
+
+  if (config.encryption === 'SSE-C') {
+    if (!config.sseCustomerKey) {
+      problems.push('encryption "SSE-C" requires an sseCustomerKey');
+    }
+    if (config.useSSL === false) {
+      problems.push('encryption "SSE-C" requires an https endpoint');
+    }
+    // Clients cannot send the customer key, so SSE-C objects have to be proxied
+    if (config.serveMode !== 'proxy') {
+      problems.push(`encryption "SSE-C" requires serveMode "proxy", got "${config.serveMode}"`);
+    }
+  } else if (config.sseCustomerKey) {
+    problems.push('sseCustomerKey requires encryption "SSE-C"');
+  }
+
+  const invalidSizes = (config.imageSizes || []).filter((size) => !/^(\*|w\d+(h\d+)?|h\d+)$/.test(size));
+  if (invalidSizes.length) {
+    problems.push(`imageSizes must be sizes like w600 or w600h400, got "${invalidSizes.join(', ')}"`);
+  }
+
+  if (problems.length) {
+    const error = new InvalidConfigError(`Invalid Object Store configuration:\n - ${problems.join('\n - ')}`);
+    error.problems = problems;
+    throw error;
+  }
+
+  return config;
+}
+
+module.exports = {
+  OPTIONS,
+  ROLES,
+  normalizeConfig
+};
@@ -0,0 +1,178 @@
+'use strict';
+
+const fs = require('node:fs');
+const { fromNodeProviderChain, fromTemporaryCredentials, fromTokenFile } = require('@aws-sdk/credential-providers');
+const { InvalidConfigError } = require('./errors');
+
+// Where credentials come from, see the `credentials` option in lib/config.js
+const CREDENTIAL_SOURCES = ['static', 'default', 'webIdentity', 'file'];
+
+/**
+ * Reads credentials from the JSON or ini text of a credentials file
+ *
+ * JSON files hold `{accessKeyId, secretAccessKey, sessionToken, expiration}`, in that casing or in the
+ * casing of STS (`AccessKeyId`, ... optionally below `Credentials`), as written by `aws sts assume-role`
+ * or a credential_process. Ini files are shared credentials files, the `profile` section is used.
+ *
+ * @param {String} text
+ * @param {String} file path of the file, for error messages
+ * @param {String} [profile] ini section, `default` by default
+ * @returns {{accessKeyId: String, secretAccessKey: String, sessionToken: String, expiration: Date}}
+ * @throws {InvalidConfigError}
+ */
+function parseCredentialsFile(text, file, profile = 'default') {
+  let values;
+
+  if (text.trim().startsWith('{')) {
+    let json;
+    try {
+      json = JSON.parse(text);
+    } catch (error) {
+      throw new InvalidConfigError(`Credentials file ${file} is not valid JSON: ${error.message}`);
+    }
+    const credentials = json.Credentials || json;
+    values = {
+      accessKeyId: credentials.accessKeyId || credentials.AccessKeyId,
+      secretAccessKey: credentials.secretAccessKey || credentials.SecretAccessKey,
+      sessionToken: credentials.sessionToken || credentials.SessionToken,
+      expiration: credentials.expiration || credentials.Expiration
+    };
+  } else {
+    const sections = { '': {} };
+    let section = sections[''];
+
+    for (const line of text.split(/\r?\n/)) {
+      const trimmed = line.trim();
+      const header = /^\[\s*(?:profile\s+)?([^\]]+?)\s*\]$/.exec(trimmed);
+
+      if (header) {
+        section = sections[header[1]] = sections[header[1]] || {};
+      } else if (trimmed && !/^[#;]/.test(trimmed) && trimmed.includes('=')) {
+        const separator = trimmed.indexOf('=');
+        section[trimmed.slice(0, separator).trim().toLowerCase()] = trimmed.slice(separator + 1).trim();
+      }
+    }
+
+    // Files without sections, e.g. a mounted secret, hold the keys at the top
+    const entries = sections[profile] || sections[''];
+    values = {
+      accessKeyId: entries.aws_access_key_id,
+      secretAccessKey: entries.aws_secret_access_key,
+      sessionToken: entries.aws_session_token,
+      expiration: entries.aws_expiration || entries.expiration
+    };
+  }
+
+  if (!values.accessKeyId || !values.secretAccessKey) {
+    throw new InvalidConfigError(`Credentials file ${file} has no access key and secret key${text.trim().startsWith('{') ? '' : ` in profile "${profile}"`}`);
+  }
+
+  const expiration = values.expiration ? new Date(values.expiration) : undefined;
+
+  return {
+    accessKeyId: values.accessKeyId,
+    secretAccessKey: values.secretAccessKey,
+    ...(values.sessionToken ? { sessionToken: values.sessionToken } : {}),
+    ...(expiration && !Number.isNaN(expiration.getTime()) ? { expiration } : {})
+  };
+}
+
+/**
+ * Creates a provider of the credentials kept in a file that is replaced when they are rotated,
+ * e.g. by Vault Agent or a mounted Kubernetes secret
+ *
+ * The file is checked before each request and only read again once its modification time or size changed.
+ *
+ * @param {String} file
+ * @param {String} [profile]
+ * @returns {Function} credential provider
+ */
+function fromRotatedFile(file, profile) {
+  let version;
+  let credentials;
+
+  return async () => {
+    let stats;
+    try {
+      stats = await fs.promises.stat(file);
+    } catch (error) {
+      throw new InvalidConfigError(`Cannot read credentials file ${file}: ${error.message}`, { cause: error });
+    }
+
+    const current = `${stats.mtimeMs}:${stats.size}`;
+    if (current !== version) {
+      credentials = parseCredentialsFile(await fs.promises.readFile(file, 'utf8'), file, profile);
+      version = current;
+    }
+
+    // The client caches credentials until 5 minutes before they expire, credentials expiring now
+    // make it ask again before each request, so a rotated file is picked up right away
+    return { ...credentials, expiration: new Date(Math.min(Date.now(), credentials.expiration ? credentials.expiration.getTime() : Infinity)) };
+  };
+}
+
+/**
+ * Creates the credentials of the S3 client of an Object Store
+ *
+ * `static` credentials are the accessKey, secretKey and optional sessionToken. The `default` AWS chain
+ * reads the environment, the shared files (with `profile`), web identity tokens, and ECS and EC2
+ * instance roles. `webIdentity` exchanges the token in webIdentityTokenFile for the credentials of
+ * roleArn. `file` reads a credentials file again whenever it is rotated. A function is used as the
+ * credential provider as is.
+ *
+ * Except with `webIdentity`, where it is the role of the token, roleArn is assumed with the
+ * credentials above, and assumed again before the session expires.
+ *
+ * @param {Object} settings normalised configuration of the store
+ * @returns {Object|Function} credentials or credential provider, for the S3Client `credentials` option
+ */
+function createCredentials(settings) {
+  const source = settings.credentials || 'static';
+  // STS clients of the providers, e.g. to assume roles on MinIO's STS API rather than AWS's
+  const clientConfig = { region: settings.region, ...(settings.stsEndpoint ? { endpoint: settings.stsEndpoint } : {}) };
+  let credentials;
+
+  if (typeof source === 'function') {
+    credentials = source;
+  } else if (source === 'default') {
+    credentials = fromNodeProviderChain({ profile: settings.profile, clientConfig });
+  } else if (source === 'webIdentity') {
+    // Unset options fall back to the AWS_WEB_IDENTITY_TOKEN_FILE, AWS_ROLE_ARN and AWS_ROLE_SESSION_NAME variables
+    return fromTokenFile({
+      webIdentityTokenFile: settings.webIdentityTokenFile,
+      roleArn: settings.roleArn,
+      roleSessionName: settings.roleSessionName,
+      durationSeconds: settings.roleDuration,
+      clientConfig
+    });
+  } else if (source === 'file') {
+    credentials = fromRotatedFile(settings.credentialsFile, settings.profile);
+  } else {
+    credentials = {
+      accessKeyId: settings.accessKey,
+      secretAccessKey: settings.secretKey,
+      ...(settings.sessionToken ? { sessionToken: settings.sessionToken } : {})
+    };
+  }
+
+  if (!settings.roleArn) {
+    return credentials;
+  }
+
+  return fromTemporaryCredentials({
+    params: {
+      RoleArn: settings.roleArn,
+      RoleSessionName: settings.roleSessionName,
+      ExternalId: settings.externalId,
+      DurationSeconds: settings.roleDuration
+    },
+    masterCredentials: credentials,
+    clientConfig
+  });
+}
+
+module.exports = {
+  CREDENTIAL_SOURCES,
+  createCredentials,
+  parseCredentialsFile
+};
@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Base class for every error the adapter throws
+ *
+ * Besides the message, errors carry the original Object Store error as `cause`, the HTTP `statusCode`
+ * Ghost should respond with, the `errorType` Ghost uses for that status, the S3 request id(s) to
+ * correlate with bucket logs and the object key the operation was about.
+ */
+class ObjectStoreError extends Error {
+  /**
+   * @param {String} message
+   * @param {Object} [options]
+   * @param {Error} [options.cause] original error
+   * @param {Number} [options.statusCode]
+   * @param {String} [options.code] Object Store error code, e.g. NoSuchKey
+   * @param {String} [options.requestId]
+   * @param {String} [options.extendedRequestId]
+   * @param {String} [options.key] object key
+   */
+  constructor(message, { cause, statusCode, code, requestId, extendedRequestId, key } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.statusCode = statusCode || this.constructor.statusCode;
+    this.errorType = this.constructor.errorType;
+    this.code = code;
+    this.requestId = requestId;
+    this.extendedRequestId = extendedRequestId;
+    this.key = key;
+  }
+}
+ObjectStoreError.statusCode = 500;
+ObjectStoreError.errorType = 'InternalServerError';
+
+class NotFoundError extends ObjectStoreError {}
+NotFoundError.statusCode = 404;
+NotFoundError.errorType = 'NotFoundError';
+
+class AccessDeniedError extends ObjectStoreError {}
+AccessDeniedError.statusCode = 403;
+AccessDeniedError.errorType = 'NoPermissionError';
+
+class ThrottledError extends ObjectStoreError {}
+ThrottledError.statusCode = 429;
+ThrottledError.errorType = 'TooManyRequestsError';
+
+class InvalidConfigError extends ObjectStoreError {}
+InvalidConfigError.statusCode = 500;
+InvalidConfigError.errorType = 'IncorrectUsageError';
+
+class StoreUnavailableError extends ObjectStoreError {}
+StoreUnavailableError.statusCode = 503;
+StoreUnavailableError.errorType = 'InternalServerError';
+
+class UnsupportedMediaTypeError extends ObjectStoreError {}
+UnsupportedMediaTypeError.statusCode = 415;
+UnsupportedMediaTypeError.errorType = 'UnsupportedMediaTypeError';
+
+class FileTooLargeError extends ObjectStoreError {}
+FileTooLargeError.statusCode = 413;
+FileTooLargeError.errorType = 'RequestEntityTooLargeError';
+
+class InvalidKeyError extends ObjectStoreError {}
+InvalidKeyError.statusCode = 400;
+InvalidKeyError.errorType = 'BadRequestError';
+
+const NOT_FOUND = new Set(['NotFound', 'NoSuchKey', 'NoSuchVersion']);
+const ACCESS_DENIED = new Set(['AccessDenied', 'AllAccessDisabled', 'InvalidObjectState']);
+const THROTTLED = new Set(['SlowDown', 'Throttling', 'ThrottlingException', 'TooManyRequestsException']);
+// Errors that only go away by fixing the adapter configuration (credentials, bucket, region)
+const INVALID_CONFIG = new Set([
+  'NoSuchBucket',
+  'InvalidBucketName',
+  'InvalidAccessKeyId',
+  'SignatureDoesNotMatch',
+  'AuthorizationHeaderMalformed',
+  'PermanentRedirect',
+  'CredentialsProviderError'
+]);
+const UNAVAILABLE = new Set(['CircuitOpenError', 'TimeoutError', 'RequestTimeout', 'ServiceUnavailable', 'InternalError']);
+const NETWORK_ERROR_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH']);
+
+/**
+ * Picks the error class matching an Object Store error
+ *
+ * @param {Error} error
+ * @returns {typeof ObjectStoreError}
+ */
+function getErrorClass(error) {
+  const statusCode = error.statusCode || (error.$metadata && error.$metadata.httpStatusCode);
+
+  if (error instanceof ObjectStoreError) {
+    const classes = [
+      NotFoundError,
+      AccessDeniedError,
+      ThrottledError,
+      InvalidConfigError,
+      StoreUnavailableError,
+      UnsupportedMediaTypeError,
+      FileTooLargeError,
+      InvalidKeyError
+    ];
+    return classes.find((ErrorClass) => error instanceof ErrorClass) || ObjectStoreError;
+  }
+  if (INVALID_CONFIG.has(error.name)) {
+    return InvalidConfigError;
+  }
+  if (NOT_FOUND.has(error.name) || statusCode === 404) {
+    return NotFoundError;
+  }
+  if (ACCESS_DENIED.has(error.name) || statusCode === 403) {
+    return AccessDeniedError;
+  }
+  if (THROTTLED.has(error.name) || statusCode === 429) {
+    return ThrottledError;
+  }
+  if (UNAVAILABLE.has(error.name) || NETWORK_ERROR_CODES.has(error.code) || statusCode >= 500) {
+    return StoreUnavailableError;
+  }
+
+  return ObjectStoreError;
+}
+
+/**
+ * Wraps an error raised while talking to the Object Store into the matching ObjectStoreError
+ *
+ * @param {Error} error original error
+ * @param {Object} [options]
+ * @param {String} [options.message] message prefix, e.g. "Failed to save file to Object Store"
+ * @param {String} [options.key] object key the operation was about
+ * @returns {ObjectStoreError}
+ */
+function toObjectStoreError(error, { message, key } = {}) {
+  const ErrorClass = getErrorClass(error);
+  const metadata = error.$metadata || {};
+  const statusCode = error.statusCode || metadata.httpStatusCode;
+
+  return new ErrorClass(message ? `${message}: ${error.message}` : error.message, {
+    cause: error,
+    // Keep the more specific Object Store status for otherwise unclassified client errors
+    statusCode: ErrorClass === ObjectStoreError && statusCode >= 400 ? statusCode : undefined,
+    code: error.code || error.Code || error.name,
+    requestId: error.requestId || metadata.requestId,
+    extendedRequestId: error.extendedRequestId || metadata.extendedRequestId,
+    key: error.key || key
+  });
+}
+
+module.exports = {
+  NETWORK_ERROR_CODES,
+  ObjectStoreError,
+  NotFoundError,
+  AccessDeniedError,
+  ThrottledError,
+  InvalidConfigError,
+  StoreUnavailableError,
+  UnsupportedMediaTypeError,
+  FileTooLargeError,
+  InvalidKeyError,
+  getErrorClass,
+  toObjectStoreError
+};
@@ -0,0 +1,791 @@
+'use strict';
+
+const http = require('node:http');
+const { createHash, createHmac, randomBytes, timingSafeEqual } = require('node:crypto');
+
+const MiB = 1024 * 1024;
+const XMLNS = 'http://s3.amazonaws.com/doc/2006-03-01/';
+
+// Status codes of the S3 errors the server answers with
+const ERROR_STATUS = {
+  AccessDenied: 403,
+  AuthorizationHeaderMalformed: 400,
+  EntityTooSmall: 400,
+  InternalError: 500,
+  InvalidAccessKeyId: 403,
+  InvalidArgument: 400,
+  InvalidPart: 400,
+  InvalidRange: 416,
+  MalformedXML: 400,
+  MethodNotAllowed: 405,
+  NoSuchBucket: 404,
+  NoSuchKey: 404,
+  NoSuchUpload: 404,
+  NoSuchVersion: 404,
+  NotImplemented: 501,
+  PreconditionFailed: 412,
+  ServiceUnavailable: 503,
+  SignatureDoesNotMatch: 403,
+  SlowDown: 503,
+  XAmzContentSHA256Mismatch: 400
+};
+
+/**
+ * Error answered to the client as an S3 error document
+ */
+class S3Error extends Error {
+  constructor(code, message, status = ERROR_STATUS[code] || 400) {
+    super(message);
+    this.name = 'S3Error';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+/**
+ * Escapes text for an XML document
+ *
+ * @param {*} value
+ * @returns {String}
+ */
+function escapeXml(value) {
+  return String(value).replace(/[<>&'"]/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Serialises an object to XML elements, arrays giving repeated elements and undefined values being skipped
+ *
+ * @param {Object} fields
+ * @returns {String}
+ */
+function toXml(fields) {
+  return Object.entries(fields).map(([name, value]) => {
+    if (value === undefined) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => toXml({ [name]: item })).join('');
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return `<${name}>${toXml(value)}</${name}>`;
+    }
+
+    return `<${name}>${escapeXml(value instanceof Date ? value.toISOString() : value)}</${name}>`;
+  }).join('');
+}
+
+/**
+ * Reads the text of the elements with a name in an XML document
+ *
+ * @param {String} xml
+ * @param {String} name
+ * @returns {String[]}
+ */
+function readXml(xml, name) {
+  const decode = (text) => text
+    .replace(/&#(\d+);/g, (match, code) => String.fromCharCode(code))
+    .replace(/&quot;/g, '"').replace(/&apos;/g, '\'').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+
+  return [...xml.matchAll(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, 'g'))].map(([, text]) => decode(text));
+}
+
+/**
+ * URI-encodes a value the way SigV4 expects
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+const sha256 = (data) => createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => createHmac('sha256', key).update(data).digest();
+const md5 = (data) => createHash('md5').update(data).digest('hex');
+
+/**
+ * Decodes an aws-chunked request body, as sent by the SDK for streaming uploads
+ *
+ * @param {Buffer} body
+ * @returns {Buffer}
+ */
+function decodeChunked(body) {
+  const chunks = [];
+  let offset = 0;
+
+  while (offset < body.length) {
+    const lineEnd = body.indexOf('\r\n', offset);
+    const size = parseInt(body.toString('latin1', offset, lineEnd).split(';')[0], 16);
+    if (!size) {
+      break;
+    }
+
+    offset = lineEnd + 2;
+    chunks.push(body.subarray(offset, offset + size));
+    offset += size + 2;
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Resolves a Range header against an object size
+ *
+ * @param {String} header
+ * @param {Number} size
+ * @returns {{start: Number, end: Number}|null} null to send the whole object
+ */
+function resolveRange(header, size) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    return null;
+  }
+
+  const range = match[1] === '' ?
+    { start: Math.max(0, size - Number(match[2])), end: size - 1 } :
+    { start: Number(match[1]), end: match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1) };
+
+  if (range.start >= size || range.start > range.end) {
+    throw new S3Error('InvalidRange', 'The requested range is not satisfiable');
+  }
+
+  return range;
+}
+
+/**
+ * In-process S3-compatible server, for tests and local development
+ *
+ * Speaks enough of the S3 REST API for every adapter operation, with path-style addressing:
+ * bucket checks, object reads (ranges and conditional requests), writes, copies, deletes,
+ * multipart uploads, listing and versions. Like S3, it verifies SigV4 signatures (headers and
+ * presigned URLs), decodes aws-chunked uploads, answers HEAD errors without a body (the SDK then
+ * reports `NotFound` rather than `NoSuchKey`) and rejects multipart parts under 5 MiB.
+ *
+ * Objects are kept in memory. Failures can be injected with `injectFault()`.
+ */
+class FakeS3Server {
+  /**
+   * @param {Object} [options]
+   * @param {String} [options.accessKey]
+   * @param {String} [options.secretKey]
+   * @param {String} [options.region] region requests must be signed for
+   * @param {String[]} [options.buckets] buckets to create
+   * @param {Boolean} [options.versioning] keep every version of objects, with delete markers
+   * @param {Number} [options.minPartSize] smallest multipart part but the last, in bytes
+   */
+  constructor({
+    accessKey = 'test-access-key',
+    secretKey = 'test-secret-key',
+    region = 'us-east-1',
+    buckets = ['ghost'],
+    versioning = false,
+    minPartSize = 5 * MiB
+  } = {}) {
+    this.accessKey = accessKey;
+    this.secretKey = secretKey;
+    this.region = region;
+    this.versioning = versioning;
+    this.minPartSize = minPartSize;
+    this.buckets = new Map(buckets.map((name) => [name, { objects: new Map(), uploads: new Map() }]));
+    this.faults = [];
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  /**
+   * Starts listening, on a random port by default
+   *
+   * @param {Number} [port]
+   * @param {String} [host]
+   * @returns {Promise<String>} endpoint, e.g. http://127.0.0.1:54321
+   */
+  async start(port = 0, host = '127.0.0.1') {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+
+    return this.endpoint;
+  }
+
+  /**
+   * Stops the server, closing kept-alive connections
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  /**
+   * @returns {String}
+   */
+  get endpoint() {
+    const { address, port } = this.server.address();
+    return `http://${address}:${port}`;
+  }
+
+  /**
+   * Fails matching requests with an S3 error
+   *
+   * @param {Object} fault
+   * @param {String} [fault.method] e.g. PUT, any method when omitted
+   * @param {String|RegExp} [fault.key] object key, any key when omitted
+   * @param {String} [fault.code] S3 error code, ServiceUnavailable by default
+   * @param {Number} [fault.times] number of requests failed, 1 by default
+   */
+  injectFault({ method, key, code = 'ServiceUnavailable', times = 1 } = {}) {
+    this.faults.push({ method, key, code, times });
+  }
+
+  /**
+   * Removes every object, upload and injected fault
+   */
+  reset() {
+    for (const bucket of this.buckets.values()) {
+      bucket.objects.clear();
+      bucket.uploads.clear();
+    }
+    this.faults = [];
+    this.requests = [];
+  }
+
+  /**
+   * Returns the current version of an object, for assertions
+   *
+   * @param {String} bucketName
+   * @param {String} key
+   * @returns {Object|undefined} {body, contentType, metadata, etag, lastModified, ...}
+   */
+  getObject(bucketName, key) {
+    const bucket = this.buckets.get(bucketName);
+    return bucket && this.current(bucket, key);
+  }
+
+  current(bucket, key) {
+    const versions = bucket.objects.get(key) || [];
+    const latest = versions[versions.length - 1];
+
+    return latest && !latest.deleteMarker ? latest : undefined;
+  }
+
+  findVersion(bucket, key, versionId) {
+    if (!versionId || versionId === 'null') {
+      const object = this.current(bucket, key);
+      if (!object && versionId) {
+        throw new S3Error('NoSuchVersion', 'The specified version does not exist.');
+      }
+      return object;
+    }
+
+    const version = (bucket.objects.get(key) || []).find((item) => item.versionId === versionId);
+    if (!version) {
+      throw new S3Error('NoSuchVersion', 'The specified version does not exist.');
+    }
+    if (version.deleteMarker) {
+      throw new S3Error('MethodNotAllowed', 'The specified method is not allowed against a delete marker.');
+    }
+
+    return version;
+  }
+
+  store(bucket, key, object) {
+    const version = { ...object, lastModified: new Date(), versionId: this.versioning ? randomBytes(12).toString('hex') : 'null' };
+    bucket.objects.set(key, this.versioning ? [...(bucket.objects.get(key) || []), version] : [version]);
+
+    return version;
+  }
+
+  remove(bucket, key) {
+    if (!this.versioning) {
+      bucket.objects.delete(key);
+      return undefined;
+    }
+
+    const marker = { deleteMarker: true, versionId: randomBytes(12).toString('hex'), lastModified: new Date() };
+    bucket.objects.set(key, [...(bucket.objects.get(key) || []), marker]);
+
+    return marker;
+  }
+
+  /**
+   * Verifies the SigV4 signature of a request, from its Authorization header or presigned URL query
+   *
+   * @param {http.IncomingMessage} req
+   * @param {URL} url
+   * @param {Buffer} body
+   */
+  authenticate(req, url, body) {
+    const query = url.searchParams;
+    let credential;
+    let signedHeaders;
+    let signature;
+    let amzDate;
+    let payloadHash = req.headers['x-amz-content-sha256'] || 'UNSIGNED-PAYLOAD';
+
+    if (query.has('X-Amz-Signature')) {
+      credential = query.get('X-Amz-Credential');
+      signedHeaders = query.get('X-Amz-SignedHeaders');
+      signature = query.get('X-Amz-Signature');
+      amzDate = query.get('X-Amz-Date');
+      payloadHash = 'UNSIGNED-PAYLOAD';
+
+      const issued = Date.parse(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+      if (Date.now() > issued + Number(query.get('X-Amz-Expires')) * 1000) {
+        throw new S3Error('AccessDenied', 'Request has expired');
+      }
+    } else {
+      const match = /^AWS4-HMAC-SHA256 Credential=([^,]+), ?SignedHeaders=([^,]+), ?Signature=([0-9a-f]+)$/.exec(req.headers.authorization || '');
+      if (!match) {
+        throw new S3Error('AccessDenied', 'Access Denied');
+      }
+      [, credential, signedHeaders, signature] = match;
+      amzDate = req.headers['x-amz-date'];
+    }
+
+    const [accessKey, date, region, service, terminator] = credential.split('/');
+    if (accessKey !== this.accessKey) {
+      throw new S3Error('InvalidAccessKeyId', 'The AWS Access Key Id you provided does not exist in our records.');
+    }
+    if (region !== this.region || service !== 's3' || terminator !== 'aws4_request') {
+      throw new S3Error('AuthorizationHeaderMalformed', `The authorization header is malformed; the region '${region}' is wrong; expecting '${this.region}'`);
+    }
+
+    const canonicalQuery = url.search.slice(1).split('&').filter(Boolean)
+      .map((pair) => {
+        const [name, value = ''] = pair.split(/=(.*)/s);
+        return [encodeRfc3986(decodeURIComponent(name)), encodeRfc3986(decodeURIComponent(value))];
+      })
+      .filter(([name]) => name !== 'X-Amz-Signature')
+      .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+    const canonicalHeaders = signedHeaders.split(';')
+      .map((name) => `${name}:${String(req.headers[name] || '').trim().replace(/\s+/g, ' ')}\n`)
+      .join('');
+    const canonicalRequest = [req.method, url.pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, `${date}/${region}/s3/aws4_request`, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${this.secretKey}`, date), region), 's3'), 'aws4_request');
+    const expected = Buffer.from(hmac(signingKey, stringToSign).toString('hex'));
+
+    if (expected.length !== signature.length || !timingSafeEqual(expected, Buffer.from(signature))) {
+      throw new S3Error('SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided.');
+    }
+
+    if (!payloadHash.startsWith('STREAMING-') && payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== sha256(body)) {
+      throw new S3Error('XAmzContentSHA256Mismatch', 'The provided x-amz-content-sha256 header does not match what was computed.');
+    }
+  }
+
+  /**
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handle(req, res) {
+    const requestId = randomBytes(8).toString('hex').toUpperCase();
+    res.setHeader('x-amz-request-id', requestId);
+
+    const url = new URL(req.url, 'http://localhost');
+    const [bucketName, ...keyParts] = url.pathname.slice(1).split('/');
+    const key = keyParts.length ? decodeURIComponent(keyParts.join('/')) : '';
+
+    try {
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+      let body = Buffer.concat(chunks);
+
+      this.authenticate(req, url, body);
+
+      if (String(req.headers['x-amz-content-sha256']).startsWith('STREAMING-') || /aws-chunked/.test(req.headers['content-encoding'] || '')) {
+        body = decodeChunked(body);
+      }
+
+      this.requests.push({ method: req.method, bucket: bucketName, key, query: Object.fromEntries(url.searchParams), headers: req.headers });
+
+      const fault = this.faults.find((candidate) => (!candidate.method || candidate.method === req.method) &&
+        (!candidate.key || (candidate.key instanceof RegExp ? candidate.key.test(key) : candidate.key === key)));
+      if (fault) {
+        fault.times--;
+        this.faults = this.faults.filter((candidate) => candidate.times > 0);
+        throw new S3Error(fault.code, `Injected ${fault.code}`);
+      }
+
+      const bucket = this.buckets.get(decodeURIComponent(bucketName));
+      if (!bucket) {
+        throw new S3Error('NoSuchBucket', 'The specified bucket does not exist');
+      }
+
+      if (key) {
+        await this.handleObject(req, res, url, bucket, key, body);
+      } else {
+        this.handleBucket(req, res, url, bucket, decodeURIComponent(bucketName), body);
+      }
+    } catch (error) {
+      const s3Error = error instanceof S3Error ? error : new S3Error('InternalError', error.message);
+
+      res.statusCode = s3Error.status;
+      let actualObjectSize;
+      if (s3Error.code === 'InvalidRange') {
+        const object = this.getObject(decodeURIComponent(bucketName), key);
+        actualObjectSize = object ? object.body.length : 0;
+        res.setHeader('Content-Range', `bytes */${actualObjectSize}`);
+      }
+
+      // Like S3, errors to HEAD requests have no body, so clients only see the status code
+      if (req.method === 'HEAD') {
+        res.end();
+        return;
+      }
+
+      this.sendXml(res, 'Error', {
+        Code: s3Error.code,
+        Message: s3Error.message,
+        Key: key || undefined,
+        BucketName: bucketName || undefined,
+        ActualObjectSize: actualObjectSize,
+        RequestId: requestId
+      }, false);
+    }
+  }
+
+  sendXml(res, root, fields, namespaced = true) {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<${root}${namespaced ? ` xmlns="${XMLNS}"` : ''}>${toXml(fields)}</${root}>`;
+
+    res.setHeader('Content-Type', 'application/xml');
+    res.setHeader('Content-Length', Buffer.byteLength(xml));
+    res.end(xml);
+  }
+
+  handleBucket(req, res, url, bucket, bucketName, body) {
+    const query = url.searchParams;
+
+    if (req.method === 'HEAD') {
+      res.end();
+    } else if (req.method === 'GET' && query.has('versions')) {
+      this.listVersions(res, query, bucket, bucketName);
+    } else if (req.method === 'GET') {
+      this.listObjects(res, query, bucket, bucketName);
+    } else if (req.method === 'POST' && query.has('delete')) {
+      const xml = body.toString('utf8');
+      const keys = readXml(xml, 'Object').map((object) => readXml(object, 'Key')[0]);
+      const deleted = keys.map((key) => {
+        const marker = this.remove(bucket, key);
+        return { Key: key, DeleteMarker: marker ? 'true' : undefined, DeleteMarkerVersionId: marker && marker.versionId };
+      });
+
+      this.sendXml(res, 'DeleteResult', { Deleted: readXml(xml, 'Quiet')[0] === 'true' ? [] : deleted });
+    } else {
+      throw new S3Error('NotImplemented', 'A header you provided implies functionality that is not implemented');
+    }
+  }
+
+  listObjects(res, query, bucket, bucketName) {
+    const prefix = query.get('prefix') || '';
+    const delimiter = query.get('delimiter') || '';
+    const maxKeys = Math.min(Number(query.get('max-keys') || 1000), 1000);
+    const token = query.get('continuation-token');
+    const after = token ? Buffer.from(token, 'base64').toString('utf8') : (query.get('start-after') || '');
+
+    const contents = [];
+    const prefixes = new Set();
+    let truncated = false;
+    let lastKey;
+
+    for (const key of [...bucket.objects.keys()].sort()) {
+      const object = this.current(bucket, key);
+      if (!object || !key.startsWith(prefix) || key <= after) {
+        continue;
+      }
+
+      if (contents.length + prefixes.size >= maxKeys) {
+        truncated = true;
+        break;
+      }
+
+      const delimiterIndex = delimiter ? key.indexOf(delimiter, prefix.length) : -1;
+      if (delimiterIndex >= 0) {
+        prefixes.add(key.slice(0, delimiterIndex + delimiter.length));
+      } else {
+        contents.push({ Key: key, LastModified: object.lastModified, ETag: object.etag, Size: object.body.length, StorageClass: object.storageClass || 'STANDARD' });
+      }
+      lastKey = key;
+    }
+
+    this.sendXml(res, 'ListBucketResult', {
+      Name: bucketName,
+      Prefix: prefix,
+      Delimiter: delimiter || undefined,
+      MaxKeys: maxKeys,
+      KeyCount: contents.length + prefixes.size,
+      IsTruncated: truncated,
+      ContinuationToken: token || undefined,
+      NextContinuationToken: truncated ? Buffer.from(lastKey).toString('base64') : undefined,
+      Contents: contents,
+      CommonPrefixes: [...prefixes].map((commonPrefix) => ({ Prefix: commonPrefix }))
+    });
+  }
+
+  listVersions(res, query, bucket, bucketName) {
+    const prefix = query.get('prefix') || '';
+    const versions = [];
+    const deleteMarkers = [];
+
+    for (const key of [...bucket.objects.keys()].sort()) {
+      if (!key.startsWith(prefix)) {
+        continue;
+      }
+
+      const items = bucket.objects.get(key);
+      // Newest first, as S3 lists them
+      [...items].reverse().forEach((item, index) => {
+        const entry = { Key: key, VersionId: item.versionId, IsLatest: index === 0, LastModified: item.lastModified };
+
+        if (item.deleteMarker) {
+          deleteMarkers.push(entry);
+        } else {
+          versions.push({ ...entry, ETag: item.etag, Size: item.body.length, StorageClass: item.storageClass || 'STANDARD' });
+        }
+      });
+    }
+
+    this.sendXml(res, 'ListVersionsResult', {
+      Name: bucketName,
+      Prefix: prefix,
+      MaxKeys: 1000,
+      IsTruncated: false,
+      Version: versions,
+      DeleteMarker: deleteMarkers
+    });
+  }
+
+  /**
+   * Reads the stored attributes of an object from upload headers
+   */
+  readAttributes(req) {
+    const metadata = {};
+    for (const [name, value] of Object.entries(req.headers)) {
+      if (name.startsWith('x-amz-meta-')) {
+        metadata[name.slice('x-amz-meta-'.length)] = value;
+      }
+    }
+
+    return {
+      contentType: req.headers['content-type'] || 'binary/octet-stream',
+      cacheControl: req.headers['cache-control'],
+      contentDisposition: req.headers['content-disposition'],
+      storageClass: req.headers['x-amz-storage-class'],
+      metadata
+    };
+  }
+
+  async handleObject(req, res, url, bucket, key, body) {
+    const query = url.searchParams;
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      this.sendObject(req, res, bucket, key, query.get('versionId'));
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      if (query.has('uploadId')) {
+        bucket.uploads.delete(query.get('uploadId'));
+      } else {
+        const marker = this.remove(bucket, key);
+        if (marker) {
+          res.setHeader('x-amz-delete-marker', 'true');
+          res.setHeader('x-amz-version-id', marker.versionId);
+        }
+      }
+      res.statusCode = 204;
+      res.end();
+      return;
+    }
+
+    if (req.method === 'POST' && query.has('uploads')) {
+      const uploadId = randomBytes(16).toString('hex');
+      bucket.uploads.set(uploadId, { key, attributes: this.readAttributes(req), parts: new Map() });
+      this.sendXml(res, 'InitiateMultipartUploadResult', { Bucket: url.pathname.split('/')[1], Key: key, UploadId: uploadId });
+      return;
+    }
+
+    if (req.method === 'POST' && query.has('uploadId')) {
+      this.completeUpload(res, url, bucket, key, query.get('uploadId'), body.toString('utf8'));
+      return;
+    }
+
+    if (req.method === 'PUT' && query.has('uploadId')) {
+      const upload = bucket.uploads.get(query.get('uploadId'));
+      if (!upload) {
+        throw new S3Error('NoSuchUpload', 'The specified upload does not exist.');
+      }
+
+      if (req.headers['x-amz-copy-source']) {
+        // UploadPartCopy, of the whole source object or of a byte range
+        const source = this.findCopySource(req).body;
+        const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers['x-amz-copy-source-range'] || '');
+        if (req.headers['x-amz-copy-source-range'] && (!range || Number(range[2]) >= source.length || Number(range[1]) > Number(range[2]))) {
+          throw new S3Error('InvalidArgument', 'The x-amz-copy-source-range value must be of the form bytes=first-last where first and last are the zero-based offsets of the first and last bytes to copy');
+        }
+        const part = range ? source.subarray(Number(range[1]), Number(range[2]) + 1) : source;
+        const etag = `"${md5(part)}"`;
+        upload.parts.set(Number(query.get('partNumber')), { body: part, etag });
+        this.sendXml(res, 'CopyPartResult', { ETag: etag, LastModified: new Date() });
+        return;
+      }
+
+      const etag = `"${md5(body)}"`;
+      upload.parts.set(Number(query.get('partNumber')), { body, etag });
+      res.setHeader('ETag', etag);
+      res.end();
+      return;
+    }
+
+    if (req.method === 'PUT' && req.headers['x-amz-copy-source']) {
+      this.copyObject(req, res, bucket, key);
+      return;
+    }
+
+    if (req.method === 'PUT') {
+      if (req.headers['if-none-match'] === '*' && this.current(bucket, key)) {
+        throw new S3Error('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+      }
+
+      const version = this.store(bucket, key, { ...this.readAttributes(req), body, etag: `"${md5(body)}"` });
+      res.setHeader('ETag', version.etag);
+      if (this.versioning) {
+        res.setHeader('x-amz-version-id', version.versionId);
+      }
+      res.end();
+      return;
+    }
+
+    throw new S3Error('MethodNotAllowed', 'The specified method is not allowed against this resource.');
+  }
+
+  sendObject(req, res, bucket, key, versionId) {
+    const object = this.findVersion(bucket, key, versionId);
+    if (!object) {
+      throw new S3Error('NoSuchKey', 'The specified key does not exist.');
+    }
+
+    const headers = req.headers;
+    if (headers['if-match'] && headers['if-match'] !== object.etag) {
+      throw new S3Error('PreconditionFailed', 'At least one of the pre-conditions you specified did not hold');
+    }
+
+    res.setHeader('ETag', object.etag);
+    res.setHeader('Last-Modified', object.lastModified.toUTCString());
+    res.setHeader('Accept-Ranges', 'bytes');
+    if (this.versioning) {
+      res.setHeader('x-amz-version-id', object.versionId);
+    }
+
+    const notModified = headers['if-none-match'] ?
+      headers['if-none-match'].split(',').some((tag) => tag.trim() === '*' || tag.trim() === object.etag) :
+      Boolean(headers['if-modified-since']) && Math.floor(object.lastModified.getTime() / 1000) * 1000 <= Date.parse(headers['if-modified-since']);
+    if (notModified) {
+      res.statusCode = 304;
+      res.end();
+      return;
+    }
+
+    res.setHeader('Content-Type', object.contentType);
+    if (object.cacheControl) {
+      res.setHeader('Cache-Control', object.cacheControl);
+    }
+    if (object.contentDisposition) {
+      res.setHeader('Content-Disposition', object.contentDisposition);
+    }
+    for (const [name, value] of Object.entries(object.metadata)) {
+      res.setHeader(`x-amz-meta-${name}`, value);
+    }
+
+    let content = object.body;
+    const range = req.method === 'GET' ? resolveRange(headers.range, object.body.length) : null;
+    if (range) {
+      content = object.body.subarray(range.start, range.end + 1);
+      res.statusCode = 206;
+      res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${object.body.length}`);
+    }
+
+    res.setHeader('Content-Length', content.length);
+    res.end(req.method === 'HEAD' ? undefined : content);
+  }
+
+  findCopySource(req) {
+    const [source, sourceQuery = ''] = decodeURIComponent(req.headers['x-amz-copy-source']).replace(/^\//, '').split('?');
+    const [sourceBucketName, ...sourceKeyParts] = source.split('/');
+    const sourceBucket = this.buckets.get(sourceBucketName);
+    if (!sourceBucket) {
+      throw new S3Error('NoSuchBucket', 'The specified bucket does not exist');
+    }
+
+    const object = this.findVersion(sourceBucket, sourceKeyParts.join('/'), new URLSearchParams(sourceQuery).get('versionId'));
+    if (!object) {
+      throw new S3Error('NoSuchKey', 'The specified key does not exist.');
+    }
+
+    return object;
+  }
+
+  copyObject(req, res, bucket, key) {
+    const object = this.findCopySource(req);
+
+    const attributes = req.headers['x-amz-metadata-directive'] === 'REPLACE' ?
+      this.readAttributes(req) :
+      { contentType: object.contentType, cacheControl: object.cacheControl, contentDisposition: object.contentDisposition, metadata: object.metadata };
+    const version = this.store(bucket, key, {
+      ...attributes,
+      storageClass: req.headers['x-amz-storage-class'] || object.storageClass,
+      body: object.body,
+      etag: object.etag
+    });
+
+    this.sendXml(res, 'CopyObjectResult', { ETag: version.etag, LastModified: version.lastModified });
+  }
+
+  completeUpload(res, url, bucket, key, uploadId, xml) {
+    const upload = bucket.uploads.get(uploadId);
+    if (!upload || upload.key !== key) {
+      throw new S3Error('NoSuchUpload', 'The specified upload does not exist.');
+    }
+
+    const requested = readXml(xml, 'Part').map((part) => ({
+      number: Number(readXml(part, 'PartNumber')[0]),
+      etag: readXml(part, 'ETag')[0]
+    }));
+    if (!requested.length) {
+      throw new S3Error('MalformedXML', 'The XML you provided was not well-formed or did not validate against our published schema.');
+    }
+
+    const parts = requested.map(({ number, etag }, index) => {
+      const part = upload.parts.get(number);
+      if (!part || part.etag !== etag) {
+        throw new S3Error('InvalidPart', 'One or more of the specified parts could not be found.');
+      }
+      if (index < requested.length - 1 && part.body.length < this.minPartSize) {
+        throw new S3Error('EntityTooSmall', 'Your proposed upload is smaller than the minimum allowed object size.');
+      }
+      return part;
+    });
+
+    const body = Buffer.concat(parts.map((part) => part.body));
+    const etag = `"${md5(Buffer.concat(parts.map((part) => Buffer.from(part.etag.replace(/"/g, ''), 'hex'))))}-${parts.length}"`;
+    bucket.uploads.delete(uploadId);
+    const version = this.store(bucket, key, { ...upload.attributes, body, etag });
+
+    this.sendXml(res, 'CompleteMultipartUploadResult', {
+      Location: `${this.endpoint}${url.pathname}`,
+      Bucket: url.pathname.split('/')[1],
+      Key: key,
+      ETag: version.etag
+    });
+  }
+}
+
+module.exports = {
+  FakeS3Server
+};
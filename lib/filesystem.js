@@ -0,0 +1,584 @@
+'use strict';
+
+const fs = require('node:fs');
+const fsp = require('node:fs/promises');
+const path = require('node:path');
+const { pipeline } = require('node:stream/promises');
+const { Readable } = require('node:stream');
+const { randomUUID } = require('node:crypto');
+const { lookup } = require('./mime');
+
+// Directory below the root holding object metadata, pending multipart uploads and partial writes
+const INTERNAL_DIR = '.object-store';
+
+/**
+ * Creates an error shaped like the ones the AWS SDK throws, so callers handle both drivers alike
+ *
+ * @param {String} name S3 error code, e.g. NoSuchKey
+ * @param {String} message
+ * @param {Number} statusCode
+ * @param {Object} [fields] extra properties, e.g. ActualObjectSize
+ * @returns {Error}
+ */
+function createError(name, message, statusCode, fields = {}) {
+  const error = new Error(message);
+  error.name = name;
+  error.$fault = statusCode >= 500 ? 'server' : 'client';
+  error.$metadata = { httpStatusCode: statusCode };
+
+  return Object.assign(error, fields);
+}
+
+/**
+ * Maps a filesystem error to the S3 error a bucket would answer with
+ *
+ * @param {Error} error
+ * @param {String} key
+ * @param {String} [notFound] error name for missing objects, `NotFound` for HEAD requests
+ * @returns {Error}
+ */
+function toS3Error(error, key, notFound = 'NoSuchKey') {
+  if (error.code === 'ENOENT' || error.code === 'ENOTDIR' || error.code === 'EISDIR') {
+    return createError(notFound, `The specified key does not exist: ${key}`, 404);
+  }
+  if (error.code === 'EACCES' || error.code === 'EPERM') {
+    return createError('AccessDenied', `Access denied: ${error.message}`, 403);
+  }
+
+  return error;
+}
+
+/**
+ * Resolves a `bytes=` range against an object size
+ *
+ * @param {String} range normalised range, e.g. bytes=0-99 or bytes=-500
+ * @param {Number} size
+ * @returns {{start: Number, end: Number}|null} inclusive bounds, null when the range cannot be satisfied
+ */
+function resolveRange(range, size) {
+  const [, start, end] = /^bytes=(\d*)-(\d*)$/.exec(range) || [];
+
+  if (start === undefined) {
+    return null;
+  }
+  if (start === '') {
+    return size > 0 ? { start: Math.max(0, size - Number(end)), end: size - 1 } : null;
+  }
+  if (Number(start) >= size) {
+    return null;
+  }
+
+  return { start: Number(start), end: end === '' ? size - 1 : Math.min(Number(end), size - 1) };
+}
+
+/**
+ * Reads a request body into a buffer
+ *
+ * @param {Buffer|Uint8Array|String|Readable} [body]
+ * @returns {Promise<Buffer>}
+ */
+async function toBuffer(body) {
+  if (body === undefined || body === null) {
+    return Buffer.alloc(0);
+  }
+  if (typeof body === 'string' || body instanceof Uint8Array) {
+    return Buffer.from(body);
+  }
+
+  const chunks = [];
+  for await (const chunk of body) {
+    chunks.push(Buffer.from(chunk));
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Stores objects as plain files below a local directory, keeping the key layout of the bucket
+ *
+ * The store answers the S3 commands the adapter sends (`send(command)`), with the same responses and
+ * error names as an Object Store, so every adapter method works unchanged on top of it. An object
+ * `content/images/2026/10/photo.png` is stored as `<root>/content/images/2026/10/photo.png`, which lets
+ * the files be synced to a bucket later with the migrate command. Content types, headers and custom
+ * metadata are kept next to the files in `<root>/.object-store/`. Buckets and versioning are not
+ * supported: every bucket name maps to the same directory.
+ */
+class FileSystemStore {
+  /**
+   * @param {String} root directory the objects are stored in, created when missing
+   */
+  constructor(root) {
+    this.root = path.resolve(root);
+  }
+
+  /**
+   * Returns the path of the file storing an object
+   * Keys escaping the root directory or pointing into the internal directory are rejected.
+   *
+   * @param {String} key
+   * @returns {String}
+   */
+  getFilePath(key) {
+    const filePath = path.resolve(this.root, ...String(key).split('/'));
+    const relativePath = path.relative(this.root, filePath);
+
+    if (!key || !relativePath || relativePath.startsWith('..') || path.isAbsolute(relativePath) ||
+      relativePath.split(path.sep)[0] === INTERNAL_DIR) {
+      throw createError('InvalidArgument', `Invalid object key: ${key}`, 400);
+    }
+
+    return filePath;
+  }
+
+  /**
+   * @param {String} key
+   * @returns {String} path of the file holding the metadata of an object
+   */
+  getMetadataPath(key) {
+    return `${path.join(this.root, INTERNAL_DIR, 'metadata', path.relative(this.root, this.getFilePath(key)))}.json`;
+  }
+
+  /**
+   * Answers an S3 command
+   *
+   * @param {Object} command AWS SDK command
+   * @returns {Promise<Object>} the response the Object Store would send
+   */
+  async send(command) {
+    const name = command.constructor.name.replace(/Command$/, '');
+    const handler = this[`handle${name}`];
+
+    if (!handler) {
+      throw createError('NotImplemented', `${name} is not supported by the filesystem driver`, 501);
+    }
+
+    return handler.call(this, command.input || {});
+  }
+
+  /**
+   * Reads the stored metadata of an object, falling back to its file extension for files written
+   * by other means
+   *
+   * @param {String} key
+   * @returns {Promise<Object>}
+   */
+  async readMetadata(key) {
+    try {
+      return JSON.parse(await fsp.readFile(this.getMetadataPath(key), 'utf8'));
+    } catch (error) {
+      return { ContentType: lookup(key) };
+    }
+  }
+
+  /**
+   * Writes a file atomically, so readers never see a partial object
+   *
+   * @param {String} filePath
+   * @param {Buffer|Readable} content
+   * @returns {Promise<void>}
+   */
+  async writeFile(filePath, content) {
+    const tmpDir = path.join(this.root, INTERNAL_DIR, 'tmp');
+    const tmpPath = path.join(tmpDir, randomUUID());
+
+    await fsp.mkdir(tmpDir, { recursive: true });
+    await fsp.mkdir(path.dirname(filePath), { recursive: true });
+
+    try {
+      if (Buffer.isBuffer(content)) {
+        await fsp.writeFile(tmpPath, content);
+      } else {
+        await pipeline(content, fs.createWriteStream(tmpPath));
+      }
+      await fsp.rename(tmpPath, filePath);
+    } catch (error) {
+      await fsp.rm(tmpPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Stores an object with its metadata
+   *
+   * @param {String} key
+   * @param {Buffer|Readable} content
+   * @param {Object} metadata
+   * @returns {Promise<{ETag: String}>}
+   */
+  async putObject(key, content, metadata) {
+    const filePath = this.getFilePath(key);
+
+    try {
+      await this.writeFile(filePath, content);
+      await this.writeFile(this.getMetadataPath(key), Buffer.from(JSON.stringify(metadata)));
+    } catch (error) {
+      throw toS3Error(error, key);
+    }
+
+    return { ETag: this.getETag(await fsp.stat(filePath)) };
+  }
+
+  /**
+   * Builds an ETag from the size and modification time of a file, like static file servers do
+   *
+   * @param {fs.Stats} stats
+   * @returns {String}
+   */
+  getETag(stats) {
+    return `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+  }
+
+  /**
+   * Returns the metadata headers of an object, evaluating the conditional request parameters
+   *
+   * @param {Object} input HeadObject or GetObject input
+   * @param {String} notFound error name for missing objects
+   * @returns {Promise<{stats: fs.Stats, response: Object}>}
+   */
+  async headObject(input, notFound) {
+    if (input.VersionId) {
+      throw createError('NoSuchVersion', 'The filesystem driver does not keep object versions', 404);
+    }
+
+    const filePath = this.getFilePath(input.Key);
+    let stats;
+    try {
+      stats = await fsp.stat(filePath);
+    } catch (error) {
+      throw toS3Error(error, input.Key, notFound);
+    }
+    if (!stats.isFile()) {
+      throw createError(notFound, `The specified key does not exist: ${input.Key}`, 404);
+    }
+
+    const metadata = await this.readMetadata(input.Key);
+    const response = {
+      ContentLength: stats.size,
+      ContentType: metadata.ContentType,
+      CacheControl: metadata.CacheControl,
+      ContentDisposition: metadata.ContentDisposition,
+      Metadata: metadata.Metadata || {},
+      ETag: this.getETag(stats),
+      LastModified: stats.mtime,
+      AcceptRanges: 'bytes'
+    };
+
+    const etag = (tag) => tag.trim().replace(/^W\//, '');
+    if (input.IfMatch && !input.IfMatch.split(',').some((tag) => etag(tag) === '*' || etag(tag) === response.ETag)) {
+      throw createError('PreconditionFailed', 'At least one of the preconditions you specified did not hold', 412);
+    }
+
+    const notModified = input.IfNoneMatch ?
+      input.IfNoneMatch.split(',').some((tag) => etag(tag) === '*' || etag(tag) === response.ETag) :
+      // HTTP dates have a one second resolution
+      Boolean(input.IfModifiedSince) && Math.floor(stats.mtimeMs / 1000) <= Math.floor(new Date(input.IfModifiedSince).getTime() / 1000);
+    if (notModified) {
+      throw createError('NotModified', 'Not Modified', 304);
+    }
+
+    return { stats, response };
+  }
+
+  async handleHeadBucket() {
+    try {
+      await fsp.mkdir(this.root, { recursive: true });
+      await fsp.access(this.root, fs.constants.R_OK | fs.constants.W_OK);
+    } catch (error) {
+      throw createError('AccessDenied', `Directory "${this.root}" is not writable: ${error.message}`, 403);
+    }
+
+    return {};
+  }
+
+  async handleHeadObject(input) {
+    const { response } = await this.headObject(input, 'NotFound');
+
+    return response;
+  }
+
+  async handleGetObject(input) {
+    const { stats, response } = await this.headObject(input, 'NoSuchKey');
+
+    if (!input.Range) {
+      return { ...response, Body: fs.createReadStream(this.getFilePath(input.Key)) };
+    }
+
+    const range = resolveRange(input.Range, stats.size);
+    if (!range) {
+      throw createError('InvalidRange', 'The requested range is not satisfiable', 416, { ActualObjectSize: stats.size });
+    }
+
+    return {
+      ...response,
+      ContentLength: range.end - range.start + 1,
+      ContentRange: `bytes ${range.start}-${range.end}/${stats.size}`,
+      Body: fs.createReadStream(this.getFilePath(input.Key), range)
+    };
+  }
+
+  async handlePutObject(input) {
+    const body = input.Body instanceof Readable ? input.Body : await toBuffer(input.Body);
+
+    return this.putObject(input.Key, body, {
+      ContentType: input.ContentType,
+      CacheControl: input.CacheControl,
+      ContentDisposition: input.ContentDisposition,
+      Metadata: input.Metadata
+    });
+  }
+
+  async handleCopyObject(input) {
+    const [source, versionId] = input.CopySource.split('?versionId=');
+    if (versionId) {
+      throw createError('NoSuchVersion', 'The filesystem driver does not keep object versions', 404);
+    }
+    // The source is `<bucket>/<encoded key>`, the bucket is not used
+    const sourceKey = decodeURIComponent(source.replace(/^\/?[^/]+\//, ''));
+
+    let content;
+    try {
+      content = await fsp.readFile(this.getFilePath(sourceKey));
+    } catch (error) {
+      throw toS3Error(error, sourceKey);
+    }
+
+    const metadata = input.MetadataDirective === 'REPLACE' ?
+      {
+        ContentType: input.ContentType,
+        CacheControl: input.CacheControl,
+        ContentDisposition: input.ContentDisposition,
+        Metadata: input.Metadata
+      } :
+      await this.readMetadata(sourceKey);
+    const { ETag } = await this.putObject(input.Key, content, metadata);
+
+    return { CopyObjectResult: { ETag, LastModified: new Date() } };
+  }
+
+  /**
+   * Removes an object and its metadata, then the directories left empty
+   * Like on S3, removing a missing object succeeds.
+   *
+   * @param {String} key
+   * @returns {Promise<void>}
+   */
+  async removeObject(key) {
+    const filePath = this.getFilePath(key);
+
+    try {
+      await fsp.rm(filePath, { force: true });
+      await fsp.rm(this.getMetadataPath(key), { force: true });
+    } catch (error) {
+      throw toS3Error(error, key);
+    }
+
+    for (const file of [filePath, this.getMetadataPath(key)]) {
+      let dir = path.dirname(file);
+      while (dir !== this.root && dir.startsWith(this.root)) {
+        try {
+          await fsp.rmdir(dir);
+        } catch (error) {
+          // Not empty, or already gone
+          break;
+        }
+        dir = path.dirname(dir);
+      }
+    }
+  }
+
+  async handleDeleteObject(input) {
+    await this.removeObject(input.Key);
+
+    return {};
+  }
+
+  async handleDeleteObjects(input) {
+    const response = { Deleted: [], Errors: [] };
+
+    for (const { Key } of input.Delete.Objects) {
+      try {
+        await this.removeObject(Key);
+        response.Deleted.push({ Key });
+      } catch (error) {
+        response.Errors.push({ Key, Code: error.name, Message: error.message });
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Lists the files below a directory, recursively
+   *
+   * @param {String} dir
+   * @returns {AsyncGenerator<{key: String, stats: fs.Stats}>}
+   */
+  async* walk(dir) {
+    let entries;
+    try {
+      entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+        return;
+      }
+      throw error;
+    }
+
+    for (const entry of entries) {
+      const filePath = path.join(dir, entry.name);
+
+      if (entry.isDirectory() && !(dir === this.root && entry.name === INTERNAL_DIR)) {
+        yield* this.walk(filePath);
+      } else if (entry.isFile()) {
+        yield { key: path.relative(this.root, filePath).split(path.sep).join('/'), stats: await fsp.stat(filePath) };
+      }
+    }
+  }
+
+  async handleListObjectsV2(input) {
+    const prefix = input.Prefix || '';
+    const maxKeys = input.MaxKeys || 1000;
+    // Only walk the directory the prefix points into
+    const dir = path.join(this.root, ...prefix.split('/').slice(0, -1));
+    const entries = new Map();
+
+    for await (const { key, stats } of this.walk(dir)) {
+      if (!key.startsWith(prefix)) {
+        continue;
+      }
+      // Keys below a delimiter are rolled up into their common prefix, as S3 does
+      const index = input.Delimiter ? key.indexOf(input.Delimiter, prefix.length) : -1;
+      if (index !== -1) {
+        const commonPrefix = key.slice(0, index + input.Delimiter.length);
+        entries.set(commonPrefix, { Prefix: commonPrefix });
+      } else {
+        entries.set(key, { Key: key, Size: stats.size, LastModified: stats.mtime, ETag: this.getETag(stats) });
+      }
+    }
+
+    const names = [...entries.keys()]
+      .filter((name) => !input.ContinuationToken || name > input.ContinuationToken)
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    const page = names.slice(0, maxKeys).map((name) => entries.get(name));
+    const isTruncated = names.length > maxKeys;
+    const contents = page.filter((entry) => entry.Key !== undefined);
+
+    return {
+      Contents: contents,
+      CommonPrefixes: input.Delimiter ? page.filter((entry) => entry.Prefix !== undefined) : undefined,
+      KeyCount: page.length,
+      IsTruncated: isTruncated,
+      NextContinuationToken: isTruncated ? names[maxKeys - 1] : undefined
+    };
+  }
+
+  async handleCreateMultipartUpload(input) {
+    const uploadId = randomUUID();
+    const uploadDir = path.join(this.root, INTERNAL_DIR, 'uploads', uploadId);
+
+    await fsp.mkdir(uploadDir, { recursive: true });
+    await fsp.writeFile(path.join(uploadDir, 'upload.json'), JSON.stringify({
+      Key: input.Key,
+      ContentType: input.ContentType,
+      CacheControl: input.CacheControl,
+      ContentDisposition: input.ContentDisposition,
+      Metadata: input.Metadata
+    }));
+
+    return { UploadId: uploadId };
+  }
+
+  /**
+   * @param {String} uploadId
+   * @returns {Promise<String>} directory of a pending multipart upload
+   */
+  async getUploadDir(uploadId) {
+    const uploadDir = path.join(this.root, INTERNAL_DIR, 'uploads', path.basename(String(uploadId)));
+
+    try {
+      await fsp.access(uploadDir);
+    } catch (error) {
+      throw createError('NoSuchUpload', 'The specified multipart upload does not exist', 404);
+    }
+
+    return uploadDir;
+  }
+
+  async handleUploadPart(input) {
+    const uploadDir = await this.getUploadDir(input.UploadId);
+    const partPath = path.join(uploadDir, String(input.PartNumber));
+
+    await fsp.writeFile(partPath, await toBuffer(input.Body));
+
+    return { ETag: this.getETag(await fsp.stat(partPath)) };
+  }
+
+  async handleUploadPartCopy(input) {
+    const uploadDir = await this.getUploadDir(input.UploadId);
+    const partPath = path.join(uploadDir, String(input.PartNumber));
+    const sourceKey = decodeURIComponent(input.CopySource.split('?')[0].replace(/^\/?[^/]+\//, ''));
+
+    let handle;
+    try {
+      handle = await fsp.open(this.getFilePath(sourceKey), 'r');
+    } catch (error) {
+      throw toS3Error(error, sourceKey);
+    }
+
+    let content;
+    try {
+      const { size } = await handle.stat();
+      const range = /^bytes=(\d+)-(\d+)$/.exec(input.CopySourceRange || `bytes=0-${size - 1}`);
+      if (!range || Number(range[2]) >= size || Number(range[1]) > Number(range[2])) {
+        throw createError('InvalidArgument', `Invalid copy source range "${input.CopySourceRange}"`, 400);
+      }
+      // Only the part is read, not the whole object
+      content = Buffer.alloc(Number(range[2]) - Number(range[1]) + 1);
+      await handle.read(content, 0, content.length, Number(range[1]));
+    } finally {
+      await handle.close();
+    }
+
+    await fsp.writeFile(partPath, content);
+    const stats = await fsp.stat(partPath);
+
+    return { CopyPartResult: { ETag: this.getETag(stats), LastModified: stats.mtime } };
+  }
+
+  async handleCompleteMultipartUpload(input) {
+    const uploadDir = await this.getUploadDir(input.UploadId);
+    const { Key, ...metadata } = JSON.parse(await fsp.readFile(path.join(uploadDir, 'upload.json'), 'utf8'));
+    const parts = [...input.MultipartUpload.Parts].sort((a, b) => a.PartNumber - b.PartNumber);
+
+    const partPaths = parts.map(({ PartNumber }) => path.join(uploadDir, String(PartNumber)));
+    try {
+      await Promise.all(partPaths.map((partPath) => fsp.access(partPath)));
+    } catch (error) {
+      throw createError('InvalidPart', 'One or more of the specified parts could not be found', 400);
+    }
+
+    const content = Readable.from((async function* () {
+      for (const partPath of partPaths) {
+        yield* fs.createReadStream(partPath);
+      }
+    }()));
+
+    try {
+      const { ETag } = await this.putObject(Key, content, metadata);
+
+      return { Key, ETag };
+    } finally {
+      await fsp.rm(uploadDir, { recursive: true, force: true });
+    }
+  }
+
+  async handleAbortMultipartUpload(input) {
+    await fsp.rm(path.join(this.root, INTERNAL_DIR, 'uploads', path.basename(String(input.UploadId))), { recursive: true, force: true });
+
+    return {};
+  }
+}
+
+module.exports = {
+  FileSystemStore
+};
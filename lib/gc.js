@@ -0,0 +1,267 @@
+'use strict';
+
+const fs = require('node:fs');
+const readline = require('node:readline');
+const { DeleteObjectCommand, ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { copyObject } = require('./multipart');
+const { InvalidConfigError, toObjectStoreError } = require('./errors');
+const { decodePath, escapeRegExp } = require('./keys');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Lists the objects stored under a prefix, following continuation tokens
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {String} prefix
+ * @returns {AsyncGenerator<{Key: String, Size: Number, LastModified: Date}>}
+ */
+async function* listObjects(storage, prefix) {
+  let ContinuationToken;
+
+  do {
+    const response = await storage.send(new ListObjectsV2Command({
+      Bucket: storage.bucket,
+      Prefix: prefix,
+      ContinuationToken
+    }));
+
+    yield* response.Contents || [];
+    ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+}
+
+/**
+ * Collects the object keys under a prefix referenced by a text
+ * Matches relative, `__GHOST_URL__` and absolute (site or asset host) URLs, including the escaped
+ * forms found in JSON exports and SQL dumps.
+ *
+ * @param {String} text
+ * @param {String} prefix key prefix the URLs point to, e.g. content/images/
+ * @param {Set<String>} [keys] set to add the keys to
+ * @returns {Set<String>}
+ */
+function findReferencedKeys(text, prefix, keys = new Set()) {
+  const pattern = new RegExp(`/${escapeRegExp(prefix)}([^"'\\\\\\s)?#<>]+)`, 'g');
+
+  for (const [, path] of text.matchAll(pattern)) {
+    keys.add(`${prefix}${decodePath(path)}`);
+  }
+
+  return keys;
+}
+
+/**
+ * Reads the keys referenced by a Ghost export or database dump, line by line so large dumps
+ * do not have to fit in memory
+ *
+ * @param {String} filePath
+ * @param {String} prefix
+ * @param {Set<String>} keys
+ * @returns {Promise<Set<String>>}
+ */
+async function readReferencedKeys(filePath, prefix, keys) {
+  const lines = readline.createInterface({
+    input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+    crlfDelay: Infinity
+  });
+
+  for await (const line of lines) {
+    findReferencedKeys(line, prefix, keys);
+  }
+
+  return keys;
+}
+
+/**
+ * Returns the key of the image an object was derived from
+ * Ghost references resized images (size/w600/...) and unoptimised originals (photo_o.jpg) through
+ * the image they belong to, so they are kept as long as that image is referenced.
+ *
+ * @param {String} key
+ * @param {String} prefix
+ * @returns {String}
+ */
+function getSourceKey(key, prefix) {
+  const relativePath = key.slice(prefix.length)
+    .replace(/^size\/[^/]+\/(format\/[^/]+\/)?/, '')
+    .replace(/_o(\.[^./]+)$/, '$1');
+
+  return `${prefix}${relativePath}`;
+}
+
+/**
+ * Runs a task over items with a limited number in flight
+ *
+ * @param {Array} items
+ * @param {Number} concurrency
+ * @param {Function} task
+ * @returns {Promise<void>}
+ */
+async function forEachLimit(items, concurrency, task) {
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      await task(items[next++]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+}
+
+/**
+ * Finds objects under the storage path that no post, page, setting or member record references
+ * and optionally removes them
+ *
+ * Objects modified within the grace period are always kept, as they may have been uploaded after
+ * the export was taken. Unless `quarantinePrefix` is empty, removed objects are moved below it
+ * rather than deleted, and only purged by a later run once they have spent the grace period there.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {Object} options
+ * @param {String[]} [options.referencePaths] Ghost JSON exports or database dumps
+ * @param {String[]} [options.references] contents of exports or dumps
+ * @param {Boolean} [options.delete] remove orphaned objects, otherwise only report them
+ * @param {Number} [options.gracePeriod] days an object is kept for after being modified or quarantined
+ * @param {String} [options.quarantinePrefix] prefix orphaned objects are moved to, empty to delete them right away
+ * @param {Boolean} [options.purge] delete quarantined objects older than the grace period
+ * @param {Number} [options.concurrency] number of objects removed in parallel
+ * @param {Function} [options.onProgress] called with {status, key, size, error} for each orphaned object
+ * @returns {Promise<Object>} report
+ */
+async function collectGarbage(storage, options = {}) {
+  const {
+    referencePaths = [],
+    references = [],
+    gracePeriod = 7,
+    quarantinePrefix = 'gc-quarantine/',
+    purge = false,
+    concurrency = 4,
+    onProgress = () => {}
+  } = options;
+  const remove = Boolean(options.delete);
+  const prefix = storage.storagePath;
+
+  if (!referencePaths.length && !references.length) {
+    throw new InvalidConfigError('At least one Ghost export or database dump is required');
+  }
+  if (typeof gracePeriod !== 'number' || !(gracePeriod >= 0)) {
+    throw new InvalidConfigError(`gracePeriod must be a number of days, got "${gracePeriod}"`);
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidConfigError(`concurrency must be a positive integer, got "${concurrency}"`);
+  }
+
+  const referencedKeys = new Set();
+  for (const text of references) {
+    findReferencedKeys(text, prefix, referencedKeys);
+  }
+  for (const filePath of referencePaths) {
+    await readReferencedKeys(filePath, prefix, referencedKeys);
+  }
+
+  if (remove && !referencedKeys.size) {
+    throw new InvalidConfigError(`No references to "${prefix}" were found, refusing to delete every object`);
+  }
+
+  const cutoff = Date.now() - gracePeriod * DAY;
+  const report = {
+    dryRun: !remove,
+    scanned: 0,
+    referenced: 0,
+    recent: 0,
+    orphaned: [],
+    bytes: 0,
+    quarantined: 0,
+    deleted: 0,
+    purged: 0,
+    failed: []
+  };
+
+  for await (const object of listObjects(storage, prefix)) {
+    if (quarantinePrefix && object.Key.startsWith(quarantinePrefix)) {
+      continue;
+    }
+    // Trashed copies are removed by emptyTrash() once their retention period is over
+    if (storage.config.softDelete && object.Key.startsWith(storage.config.trashPrefix)) {
+      continue;
+    }
+
+    report.scanned++;
+
+    if (referencedKeys.has(object.Key) || referencedKeys.has(getSourceKey(object.Key, prefix))) {
+      report.referenced++;
+    } else if (new Date(object.LastModified).getTime() > cutoff) {
+      report.recent++;
+    } else {
+      report.orphaned.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+      report.bytes += object.Size || 0;
+    }
+  }
+
+  // Objects are removed from every store, as delete() does, so replicas cannot keep serving them
+  const deleteObject = async (key, beforeDelete = () => {}) => {
+    await storage.replicator.remove(key, async (target) => {
+      await beforeDelete(target);
+      await target.send(new DeleteObjectCommand({ Bucket: target.bucket, Key: key }));
+    });
+    await storage.invalidate(key);
+  };
+
+  if (!remove) {
+    report.orphaned.forEach(({ key, size }) => onProgress({ status: 'orphaned', key, size }));
+    return report;
+  }
+
+  await forEachLimit(report.orphaned, concurrency, async ({ key, size }) => {
+    try {
+      if (quarantinePrefix) {
+        await deleteObject(key, (target) => copyObject(target, storage.config, key, `${quarantinePrefix}${key}`));
+        report.quarantined++;
+        onProgress({ status: 'quarantined', key, size });
+      } else {
+        await deleteObject(key);
+        report.deleted++;
+        onProgress({ status: 'deleted', key, size });
+      }
+    } catch (error) {
+      const storeError = toObjectStoreError(error, { message: 'Failed to remove orphaned object from Object Store', key });
+
+      report.failed.push({ key, error: storeError.message });
+      onProgress({ status: 'failed', key, size, error: storeError });
+    }
+  });
+
+  if (purge && quarantinePrefix) {
+    const expired = [];
+    for await (const object of listObjects(storage, quarantinePrefix)) {
+      if (new Date(object.LastModified).getTime() <= cutoff) {
+        expired.push(object);
+      }
+    }
+
+    await forEachLimit(expired, concurrency, async ({ Key: key, Size: size }) => {
+      try {
+        await deleteObject(key);
+        report.purged++;
+        onProgress({ status: 'purged', key, size });
+      } catch (error) {
+        const storeError = toObjectStoreError(error, { message: 'Failed to purge quarantined object from Object Store', key });
+
+        report.failed.push({ key, error: storeError.message });
+        onProgress({ status: 'failed', key, size, error: storeError });
+      }
+    });
+  }
+
+  return report;
+}
+
+module.exports = {
+  collectGarbage,
+  findReferencedKeys,
+  forEachLimit,
+  getSourceKey,
+  listObjects
+};
@@ -0,0 +1,118 @@
+'use strict';
+
+const path = require('node:path');
+
+// Sizes Ghost and its default themes request: theme image_sizes, member avatars and site icons
+const DEFAULT_IMAGE_SIZES = ['w30', 'w100', 'w256h256', 'w300', 'w600', 'w720', 'w960', 'w1000', 'w1200', 'w1600', 'w2000'];
+
+// Output formats of the size/<size>/format/<format>/ paths, with their content types
+const FORMATS = {
+  avif: 'image/avif',
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+// Source images that can be resized, the same as Ghost (SVG and ICO are served as is)
+const RESIZABLE_EXTENSIONS = ['.avif', '.gif', '.jpeg', '.jpg', '.png', '.tif', '.tiff', '.webp'];
+
+let sharp;
+
+/**
+ * Loads the optional `sharp` image processing package, once
+ *
+ * @returns {Function|null} sharp, or null when it is not installed
+ */
+function loadSharp() {
+  if (sharp === undefined) {
+    try {
+      sharp = require('sharp');
+    } catch (error) {
+      sharp = null;
+    }
+  }
+
+  return sharp;
+}
+
+/**
+ * Parses the path of a resized image, as requested by Ghost's responsive image URLs
+ * e.g. size/w600/2024/01/photo.jpg or size/w600h400/format/webp/2024/01/photo.jpg
+ *
+ * @param {String} filePath path relative to the static file prefix
+ * @returns {{size: String, width: Number, height: Number, format: String, path: String}|null}
+ * null when the path is not a resized image of a resizable source
+ */
+function parseImageVariant(filePath) {
+  const match = /^size\/((?:w(\d+))?(?:h(\d+))?)\/(?:format\/([a-z]+)\/)?(.+)$/.exec(filePath);
+
+  if (!match || !match[1] || (match[4] && !FORMATS[match[4]])) {
+    return null;
+  }
+
+  const sourcePath = match[5];
+  if (!RESIZABLE_EXTENSIONS.includes(path.extname(sourcePath).toLowerCase())) {
+    return null;
+  }
+
+  return {
+    size: match[1],
+    width: match[2] ? Number(match[2]) : undefined,
+    height: match[3] ? Number(match[3]) : undefined,
+    format: match[4],
+    path: sourcePath
+  };
+}
+
+/**
+ * Checks a size (w600, w600h400...) against the sizes allowed to be generated
+ *
+ * @param {String} size
+ * @param {String[]} allowedSizes "*" allows any size
+ * @returns {Boolean}
+ */
+function isSizeAllowed(size, allowedSizes) {
+  return allowedSizes.includes('*') || allowedSizes.includes(size);
+}
+
+/**
+ * Resizes an image, and converts it when a format is requested
+ * Images are never enlarged, keep their aspect ratio unless both dimensions are given, and are
+ * rotated according to their EXIF orientation.
+ *
+ * @param {Function} sharpModule
+ * @param {Buffer} buffer source image
+ * @param {Object} variant as returned by parseImageVariant
+ * @returns {Promise<{buffer: Buffer, contentType: String}>} contentType is undefined when the format is unchanged
+ */
+async function resizeImage(sharpModule, buffer, variant) {
+  const animated = /\.(gif|webp)$/i.test(variant.path) && (!variant.format || ['gif', 'webp'].includes(variant.format));
+
+  let image = sharpModule(buffer, { animated })
+    .rotate()
+    .resize({
+      width: variant.width,
+      height: variant.height,
+      fit: variant.width && variant.height ? 'cover' : 'inside',
+      withoutEnlargement: true
+    });
+
+  if (variant.format) {
+    image = image.toFormat(variant.format === 'jpg' ? 'jpeg' : variant.format);
+  }
+
+  return {
+    buffer: await image.toBuffer(),
+    contentType: variant.format ? FORMATS[variant.format] : undefined
+  };
+}
+
+module.exports = {
+  DEFAULT_IMAGE_SIZES,
+  isSizeAllowed,
+  loadSharp,
+  parseImageVariant,
+  resizeImage
+};
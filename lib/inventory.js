@@ -0,0 +1,168 @@
+'use strict';
+
+const { ROLES, normalizeConfig } = require('./config');
+const { createTarget } = require('./replication');
+const { listObjects } = require('./gc');
+const mime = require('./mime');
+const { InvalidConfigError } = require('./errors');
+
+// Ghost stores uploads below YYYY/MM/, resized images below size/<size>/YYYY/MM/
+const MONTH_PATTERN = /(?:^|\/)(\d{4})\/(0[1-9]|1[0-2])\//;
+
+/**
+ * Adds an object to a count of objects and bytes
+ *
+ * @param {Map<String, Object>} counts
+ * @param {String} name
+ * @param {Number} size
+ */
+function count(counts, name, size) {
+  const entry = counts.get(name) || { objects: 0, bytes: 0 };
+  entry.objects++;
+  entry.bytes += size;
+  counts.set(name, entry);
+}
+
+/**
+ * Walks the storage path of each role and reports what is stored there
+ *
+ * Content types are inferred from the key extension, objects are not fetched. Objects uploaded
+ * outside a YYYY/MM/ directory, such as theme assets or hash-named files, are counted under the
+ * `none` month. Duplicates are objects with the same ETag and size, which is only reliable for
+ * objects uploaded in a single request or with the same part size.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {Object} [options]
+ * @param {String[]} [options.roles] roles to report on, all of them by default
+ * @param {Number} [options.top] number of largest objects to list
+ * @param {Function} [options.onProgress] called with {role, objects} every 1000 objects, and once a role is done
+ * @returns {Promise<Object>} report
+ */
+async function getInventory(storage, options = {}) {
+  const { roles = ROLES, top = 10, onProgress = () => {} } = options;
+
+  const unknownRoles = roles.filter((role) => !ROLES.includes(role));
+  if (unknownRoles.length) {
+    throw new InvalidConfigError(`roles must be some of ${ROLES.join(', ')}, got "${unknownRoles.join(', ')}"`);
+  }
+  if (!Number.isInteger(top) || top < 0) {
+    throw new InvalidConfigError(`top must be a non-negative integer, got "${top}"`);
+  }
+
+  const report = {
+    generatedAt: new Date(Date.now()).toISOString(),
+    objects: 0,
+    bytes: 0,
+    roles: [],
+    months: [],
+    contentTypes: [],
+    largest: [],
+    duplicates: [],
+    duplicateBytes: 0
+  };
+  const months = new Map();
+  const contentTypes = new Map();
+  const byETag = new Map();
+  const walked = new Set();
+
+  for (const role of roles) {
+    const config = role === storage.role ? storage.config : normalizeConfig({ ...storage.adapterOptions, role });
+    const location = `${config.bucket}/${config.keyPrefix}${config.storagePath}`;
+
+    // Roles sharing a bucket and storage path are only counted once
+    if (walked.has(location)) {
+      continue;
+    }
+    walked.add(location);
+
+    const target = role === storage.role ? storage : createTarget(role, config, config);
+    const usage = { role, bucket: config.bucket, storagePath: config.storagePath, objects: 0, bytes: 0 };
+    report.roles.push(usage);
+
+    for await (const object of listObjects(target, config.storagePath)) {
+      const size = object.Size || 0;
+      const month = MONTH_PATTERN.exec(object.Key.slice(config.storagePath.length));
+
+      usage.objects++;
+      usage.bytes += size;
+      count(months, month ? `${month[1]}/${month[2]}` : 'none', size);
+      count(contentTypes, mime.lookup(object.Key) || 'application/octet-stream', size);
+
+      if (top && (report.largest.length < top || size > report.largest[report.largest.length - 1].size)) {
+        report.largest.push({ key: object.Key, role, size, lastModified: object.LastModified });
+        report.largest.sort((a, b) => b.size - a.size);
+        report.largest.length = Math.min(report.largest.length, top);
+      }
+
+      if (object.ETag && size) {
+        const id = `${object.ETag}:${size}`;
+        const keys = byETag.get(id) || [];
+        keys.push(object.Key);
+        byETag.set(id, keys);
+      }
+
+      if (usage.objects % 1000 === 0) {
+        onProgress({ role, objects: usage.objects });
+      }
+    }
+
+    onProgress({ role, objects: usage.objects });
+    report.objects += usage.objects;
+    report.bytes += usage.bytes;
+  }
+
+  report.months = [...months].map(([month, entry]) => ({ month, ...entry }))
+    .sort((a, b) => (a.month < b.month ? -1 : a.month > b.month ? 1 : 0));
+  report.contentTypes = [...contentTypes].map(([contentType, entry]) => ({ contentType, ...entry }))
+    .sort((a, b) => b.bytes - a.bytes);
+
+  for (const [id, keys] of byETag) {
+    if (keys.length > 1) {
+      const separator = id.lastIndexOf(':');
+      const size = Number(id.slice(separator + 1));
+      report.duplicates.push({ etag: id.slice(0, separator), size, keys, wastedBytes: size * (keys.length - 1) });
+      report.duplicateBytes += size * (keys.length - 1);
+    }
+  }
+  report.duplicates.sort((a, b) => b.wastedBytes - a.wastedBytes);
+
+  return report;
+}
+
+/**
+ * Quotes a CSV field when needed
+ *
+ * @param {*} value
+ * @returns {String}
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value instanceof Date ? value.toISOString() : value);
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Formats an inventory report as CSV, one row per role, month, content type, large object and
+ * duplicate object, for spreadsheets
+ *
+ * @param {Object} report as returned by getInventory()
+ * @returns {String}
+ */
+function toCsv(report) {
+  const rows = [
+    ['section', 'name', 'objects', 'bytes', 'detail'],
+    ['total', '', report.objects, report.bytes, report.generatedAt],
+    ...report.roles.map((usage) => ['role', usage.role, usage.objects, usage.bytes, `${usage.bucket}/${usage.storagePath}`]),
+    ...report.months.map((entry) => ['month', entry.month, entry.objects, entry.bytes, '']),
+    ...report.contentTypes.map((entry) => ['contentType', entry.contentType, entry.objects, entry.bytes, '']),
+    ...report.largest.map((object) => ['largest', object.key, 1, object.size, object.lastModified]),
+    ...report.duplicates.flatMap((duplicate) => duplicate.keys.map((key) => ['duplicate', key, 1, duplicate.size, duplicate.etag]))
+  ];
+
+  return rows.map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  getInventory,
+  toCsv
+};
@@ -0,0 +1,195 @@
+'use strict';
+
+const { InvalidKeyError } = require('./errors');
+
+/**
+ * Key resolution
+ *
+ * The adapter deals with three forms of the same file:
+ * - Ghost URLs: `/content/images/2026/10/photo.jpg`, or `https://cdn.example.com/content/images/...`
+ *   with an assetHost
+ * - keys: the path of the file below the site root, `content/images/2026/10/photo.jpg`. Every adapter
+ *   method, the trash, garbage collection and migration work with keys.
+ * - object keys: the key prefixed with the global `keyPrefix`, e.g. `blog-a/content/images/...`. They
+ *   only appear in the requests sent to the stores (see scopeCommand), so several sites can share a
+ *   bucket without seeing each other's objects, trash or quarantine.
+ */
+
+/**
+ * Escapes a string for use in a regular expression
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Normalises a key: backslashes become slashes, leading and repeated slashes are dropped
+ * Keys with `.` or `..` segments are rejected, so no key can point outside its prefix.
+ *
+ * @param {String} value
+ * @returns {String}
+ * @throws {InvalidKeyError}
+ */
+function normalizeKey(value) {
+  const raw = String(value === undefined || value === null ? '' : value);
+  const segments = raw.replace(/\\/g, '/').split('/');
+  const trailingSlash = segments.length > 1 && segments[segments.length - 1] === '';
+  const parts = segments.filter(Boolean);
+
+  if (!parts.length) {
+    throw new InvalidKeyError(`Invalid key "${raw}": it is empty`, { key: raw });
+  }
+  if (parts.some((part) => part === '.' || part === '..')) {
+    throw new InvalidKeyError(`Invalid key "${raw}": "." and ".." segments are not allowed`, { key: raw });
+  }
+
+  return `${parts.join('/')}${trailingSlash ? '/' : ''}`;
+}
+
+/**
+ * Joins a directory and a file name, or a prefix and a relative path, into a normalised key
+ *
+ * @param {...String} parts empty parts are skipped
+ * @returns {String}
+ */
+function joinKey(...parts) {
+  return normalizeKey(parts.filter((part) => part !== undefined && part !== null && part !== '').join('/'));
+}
+
+/**
+ * Decodes a URL path, keeping it as is when it is not URI-encoded
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+function decodePath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Builds the URL Ghost stores for a key
+ * With an assetHost, the URL points at the object in the bucket (prefixed with keyPrefix), otherwise
+ * it is a site-relative path served by serve().
+ *
+ * @param {String} key
+ * @param {Object} [options]
+ * @param {String} [options.assetHost]
+ * @param {String} [options.keyPrefix]
+ * @returns {String}
+ */
+function keyToUrl(key, { assetHost, keyPrefix = '' } = {}) {
+  if (assetHost) {
+    return `${assetHost}/${keyPrefix}${key}`;
+  }
+
+  return `/${key}`;
+}
+
+/**
+ * Maps a URL returned by keyToUrl(), a site-relative path or a key back to the key
+ *
+ * @param {String} url
+ * @param {Object} [options]
+ * @param {String} [options.assetHost]
+ * @param {String} [options.keyPrefix]
+ * @returns {String}
+ * @throws {InvalidKeyError}
+ */
+function urlToKey(url, { assetHost, keyPrefix = '' } = {}) {
+  let urlPath = String(url);
+
+  if (assetHost && urlPath.startsWith(`${assetHost}/`)) {
+    urlPath = urlPath.slice(assetHost.length + 1);
+    if (keyPrefix && urlPath.startsWith(keyPrefix)) {
+      urlPath = urlPath.slice(keyPrefix.length);
+    }
+  } else if (/^https?:\/\//i.test(urlPath)) {
+    urlPath = new URL(urlPath).pathname;
+  }
+
+  return normalizeKey(decodePath(urlPath));
+}
+
+/**
+ * Adds the key prefix to the keys of a command sent to a store
+ * Returns the command itself when there is no prefix.
+ *
+ * @param {Object} command AWS SDK command
+ * @param {String} keyPrefix
+ * @returns {Object}
+ */
+function scopeCommand(command, keyPrefix) {
+  if (!keyPrefix || !command.input) {
+    return command;
+  }
+
+  const input = { ...command.input };
+  for (const name of ['Key', 'Prefix', 'StartAfter', 'KeyMarker']) {
+    if (typeof input[name] === 'string') {
+      input[name] = `${keyPrefix}${input[name]}`;
+    }
+  }
+  // Listing without a prefix must not list the other sites
+  if (/^List/.test(command.constructor.name) && input.Prefix === undefined) {
+    input.Prefix = keyPrefix;
+  }
+  if (input.CopySource) {
+    const [, bucket, sourceKey] = /^\/?([^/]+)\/(.*)$/.exec(input.CopySource);
+    input.CopySource = `${bucket}/${keyPrefix.split('/').map(encodeURIComponent).join('/')}${sourceKey}`;
+  }
+  if (input.Delete && input.Delete.Objects) {
+    input.Delete = { ...input.Delete, Objects: input.Delete.Objects.map((object) => ({ ...object, Key: `${keyPrefix}${object.Key}` })) };
+  }
+
+  return new command.constructor(input);
+}
+
+/**
+ * Removes the key prefix from the keys of a store response
+ *
+ * @param {Object} response
+ * @param {String} keyPrefix
+ * @returns {Object}
+ */
+function unscopeResponse(response, keyPrefix) {
+  if (!keyPrefix || !response) {
+    return response;
+  }
+
+  const unscope = (key) => (typeof key === 'string' && key.startsWith(keyPrefix) ? key.slice(keyPrefix.length) : key);
+  const result = { ...response };
+
+  for (const name of ['Key', 'Prefix', 'StartAfter', 'NextKeyMarker', 'KeyMarker']) {
+    if (name in result) {
+      result[name] = unscope(result[name]);
+    }
+  }
+  for (const name of ['Contents', 'Versions', 'DeleteMarkers', 'Deleted', 'Errors']) {
+    if (Array.isArray(result[name])) {
+      result[name] = result[name].map((item) => ({ ...item, Key: unscope(item.Key) }));
+    }
+  }
+  if (Array.isArray(result.CommonPrefixes)) {
+    result.CommonPrefixes = result.CommonPrefixes.map((item) => ({ ...item, Prefix: unscope(item.Prefix) }));
+  }
+
+  return result;
+}
+
+module.exports = {
+  decodePath,
+  escapeRegExp,
+  joinKey,
+  keyToUrl,
+  normalizeKey,
+  scopeCommand,
+  unscopeResponse,
+  urlToKey
+};
@@ -0,0 +1,82 @@
+'use strict';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+let ghostLogging;
+
+/**
+ * Loads an optional package, from the adapter's dependencies or, when installed in Ghost's
+ * content/adapters directory, from Ghost's own
+ *
+ * @param {String} name
+ * @returns {*} the module, or null when it is not installed
+ */
+function requireOptional(name) {
+  try {
+    return require(name);
+  } catch (error) {
+    try {
+      return require.main ? require.main.require(name) : null;
+    } catch (mainError) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Loads Ghost's logger, once
+ *
+ * @returns {Object|null}
+ */
+function loadGhostLogging() {
+  if (ghostLogging === undefined) {
+    ghostLogging = requireOptional('@tryghost/logging');
+  }
+
+  return ghostLogging;
+}
+
+/**
+ * Creates the adapter logger
+ *
+ * Messages come with a `fields` object describing the operation (role, key, error...). Ghost's logger,
+ * and any bunyan or pino compatible logger, receives them as structured fields; the console fallback
+ * prints them after the message.
+ *
+ * @param {Object} [logger] logger with debug/info/warn/error methods, defaults to Ghost's logger
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+function createLogger(logger = loadGhostLogging()) {
+  const log = {};
+
+  for (const level of LEVELS) {
+    log[level] = (message, fields) => {
+      const hasFields = fields && Object.keys(fields).length > 0;
+
+      if (logger && typeof logger[level] === 'function') {
+        if (hasFields) {
+          logger[level](fields, message);
+        } else {
+          logger[level](message);
+        }
+        return;
+      }
+
+      // Keep the console quiet unless something needs attention
+      if (level === 'warn' || level === 'error') {
+        if (hasFields) {
+          console[level](message, fields);
+        } else {
+          console[level](message);
+        }
+      }
+    };
+  }
+
+  return log;
+}
+
+module.exports = {
+  createLogger,
+  requireOptional
+};
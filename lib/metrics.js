@@ -0,0 +1,208 @@
+'use strict';
+
+const http = require('node:http');
+
+// Histogram buckets for durations, in seconds
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Formats label values for the Prometheus text format
+ *
+ * @param {Object} labels
+ * @returns {String} e.g. {operation="save",role="images"}, empty without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.keys(labels)
+    .sort()
+    .filter((name) => labels[name] !== undefined && labels[name] !== null)
+    .map((name) => `${name}="${String(labels[name]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Counter, one series per label combination
+ */
+class Counter {
+  constructor(name, help) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.series = new Map();
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {Number} [value]
+   */
+  inc(labels = {}, value = 1) {
+    const key = formatLabels(labels);
+    this.series.set(key, (this.series.get(key) || 0) + value);
+  }
+
+  format() {
+    return [...this.series].map(([labels, value]) => `${this.name}${labels} ${value}`);
+  }
+}
+
+/**
+ * Histogram with fixed buckets, one series per label combination
+ */
+class Histogram {
+  constructor(name, help, buckets = DURATION_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  /**
+   * @param {Object} labels
+   * @param {Number} value
+   */
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  format() {
+    const lines = [];
+
+    for (const [key, { labels, counts, sum, count }] of this.series) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${key} ${sum}`);
+      lines.push(`${this.name}_count${key} ${count}`);
+    }
+
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics, exported in the Prometheus text format
+ * Metrics are created on first use and shared by everyone asking for the same name, so the adapter
+ * instances Ghost creates for each role report to a single registry.
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * @param {String} name
+   * @param {String} help
+   * @returns {Counter}
+   */
+  counter(name, help) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, new Counter(name, help));
+    }
+
+    return this.metrics.get(name);
+  }
+
+  /**
+   * @param {String} name
+   * @param {String} help
+   * @param {Number[]} [buckets]
+   * @returns {Histogram}
+   */
+  histogram(name, help, buckets) {
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, new Histogram(name, help, buckets));
+    }
+
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Drops every recorded value
+   */
+  reset() {
+    this.metrics.clear();
+  }
+
+  /**
+   * @returns {String} metrics in the Prometheus text exposition format
+   */
+  toPrometheus() {
+    const lines = [];
+
+    for (const metric of this.metrics.values()) {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      lines.push(...metric.format());
+    }
+
+    return lines.length ? `${lines.join('\n')}\n` : '';
+  }
+}
+
+// Registry of the process, shared by every adapter instance
+const registry = new MetricsRegistry();
+
+// Exporters already listening, by address, as each role's instance asks for one
+const servers = new Map();
+
+/**
+ * Serves the metrics of a registry at /metrics on a separate port, for Prometheus to scrape
+ * Only one server is started per address, however many adapter instances ask for it.
+ *
+ * @param {MetricsRegistry} metricsRegistry
+ * @param {Object} options
+ * @param {Number} options.port
+ * @param {String} [options.host]
+ * @param {Object} [options.logger] adapter logger, see lib/logging.js
+ * @returns {http.Server}
+ */
+function startMetricsServer(metricsRegistry, { port, host = '127.0.0.1', logger } = {}) {
+  const address = `${host}:${port}`;
+
+  if (!servers.has(address)) {
+    const server = http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404).end();
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+      res.end(metricsRegistry.toPrometheus());
+    });
+
+    server.on('error', (error) => {
+      servers.delete(address);
+      if (logger) {
+        logger.error(`Failed to start the metrics exporter on ${address}: ${error.message}`, { err: error });
+      }
+    });
+
+    // The exporter must not keep Ghost running on shutdown
+    server.listen(port, host);
+    server.unref();
+    servers.set(address, server);
+  }
+
+  return servers.get(address);
+}
+
+module.exports = {
+  DURATION_BUCKETS,
+  MetricsRegistry,
+  registry,
+  startMetricsServer
+};
@@ -0,0 +1,273 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+const { lookup } = require('./mime');
+const { InvalidConfigError, toObjectStoreError } = require('./errors');
+const { escapeRegExp, joinKey, normalizeKey } = require('./keys');
+
+// Naming strategies whose keys only depend on the file, so an existing object means it was migrated
+const DETERMINISTIC_STRATEGIES = ['date', 'hash'];
+
+/**
+ * Lists the files below a directory, recursively and in a stable order
+ * Hidden files and directories (.DS_Store, .git...) are skipped.
+ *
+ * @param {String} root
+ * @param {String} [dir]
+ * @returns {AsyncGenerator<{path: String, relativePath: String, size: Number}>}
+ */
+async function* walk(root, dir = root) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+  for (const entry of entries) {
+    if (entry.name.startsWith('.')) {
+      continue;
+    }
+
+    const filePath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      yield* walk(root, filePath);
+    } else if (entry.isFile()) {
+      const { size } = await fs.stat(filePath);
+
+      yield {
+        path: filePath,
+        relativePath: path.relative(root, filePath).split(path.sep).join('/'),
+        size
+      };
+    }
+  }
+}
+
+/**
+ * Reads the files recorded by a previous run from a state file
+ *
+ * @param {String} statePath
+ * @returns {Promise<Map<String, {key: String, url: String}>>} entries by relative path
+ */
+async function readState(statePath) {
+  const state = new Map();
+  let content;
+
+  try {
+    content = await fs.readFile(statePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return state;
+    }
+    throw error;
+  }
+
+  for (const line of content.split('\n')) {
+    if (!line.trim()) {
+      continue;
+    }
+
+    try {
+      const entry = JSON.parse(line);
+      state.set(entry.path, { key: entry.key, url: entry.url });
+    } catch (error) {
+      // A run interrupted mid-write can leave a truncated last line, that file is simply uploaded again
+    }
+  }
+
+  return state;
+}
+
+/**
+ * Resolves the object key a local file is migrated to, the one `save()` or `saveRaw()` would use
+ *
+ * Resized images (size/...) are written by Ghost through `saveRaw()`, so they keep their path below
+ * the static file prefix. With the date strategy, originals keep their YYYY/MM path below the
+ * storage path so existing URLs map one to one; other strategies name them as on upload.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {Object} file Ghost-like file object with the path relative to the source directory
+ * @returns {Promise<String>}
+ */
+async function getMigrationKey(storage, file) {
+  if (file.relativePath.startsWith('size/')) {
+    return joinKey(storage.staticFileURLPrefix, file.relativePath);
+  }
+
+  if (storage.namingStrategy === 'date') {
+    return joinKey(storage.storagePath, file.relativePath);
+  }
+
+  const dir = path.posix.dirname(file.relativePath);
+  const targetDir = dir === '.' ? storage.storagePath : `${storage.storagePath}${dir}/`;
+
+  return normalizeKey(await storage.generateKey(file, targetDir));
+}
+
+/**
+ * Rewrites the URLs of migrated files in a text, typically a Ghost JSON export
+ *
+ * Both relative URLs (/content/images/...) and absolute ones, prefixed with `__GHOST_URL__` or
+ * the site URL, are matched. When a file is served by the adapter under a relative URL, the
+ * original prefix is kept so the link still resolves against the site.
+ *
+ * @param {String} text
+ * @param {Object<String, String>} files new URLs by path relative to the source directory
+ * @param {Object} [options]
+ * @param {String} [options.sourceUrlPrefix] URL prefix the files were served under, e.g. content/images/
+ * @param {String} [options.siteUrl] absolute URL of the site, e.g. https://example.com
+ * @returns {String}
+ */
+function rewriteUrls(text, files, { sourceUrlPrefix = 'content/images/', siteUrl } = {}) {
+  const origins = ['__GHOST_URL__'];
+  if (siteUrl) {
+    origins.push(escapeRegExp(siteUrl.replace(/\/+$/, '')));
+  }
+
+  const prefix = escapeRegExp(sourceUrlPrefix.replace(/^\/+/, ''));
+  const pattern = new RegExp(`(${origins.join('|')})?/${prefix}([^"'\\\\\\s)?#<>]+)`, 'g');
+
+  return text.replace(pattern, (match, origin, relativePath) => {
+    const url = files[relativePath];
+
+    if (!url) {
+      return match;
+    }
+
+    return /^https?:\/\//i.test(url) ? url : `${origin || ''}${url}`;
+  });
+}
+
+/**
+ * Uploads the files of a local Ghost content directory to the Object Store
+ *
+ * Files recorded in the state file, or already stored under a deterministic key, are skipped so an
+ * interrupted run can be started again. Failures do not stop the migration; they are listed in
+ * the report.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {Object} options
+ * @param {String} options.source local content directory, e.g. /var/lib/ghost/content/images
+ * @param {Boolean} [options.dryRun] resolve keys without uploading anything
+ * @param {Number} [options.concurrency] number of files uploaded in parallel
+ * @param {String} [options.statePath] JSON lines file recording migrated files, used to resume
+ * @param {Boolean} [options.overwrite] upload files even when their object already exists
+ * @param {String} [options.sourceUrlPrefix] URL prefix the files were served under, defaults to content/<source dir name>/
+ * @param {String} [options.exportPath] Ghost JSON export to rewrite URLs in
+ * @param {String} [options.outputPath] where to write the rewritten export, defaults to <export>.migrated.json
+ * @param {String} [options.siteUrl] absolute URL of the site, to also rewrite absolute URLs
+ * @param {Function} [options.onProgress] called with {status, path, key, url, size, error} for each file
+ * @returns {Promise<Object>} report
+ */
+async function migrate(storage, options = {}) {
+  const {
+    source,
+    dryRun = false,
+    concurrency = 4,
+    statePath,
+    overwrite = false,
+    exportPath,
+    siteUrl,
+    onProgress = () => {}
+  } = options;
+
+  if (!source) {
+    throw new InvalidConfigError('A source directory is required');
+  }
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new InvalidConfigError(`concurrency must be a positive integer, got "${concurrency}"`);
+  }
+
+  const sourceUrlPrefix = options.sourceUrlPrefix || `content/${path.basename(path.resolve(source))}/`;
+  const state = statePath ? await readState(statePath) : new Map();
+  const checkExisting = !overwrite && DETERMINISTIC_STRATEGIES.includes(storage.namingStrategy);
+
+  const report = {
+    dryRun,
+    scanned: 0,
+    uploaded: 0,
+    skipped: 0,
+    failed: [],
+    bytes: 0,
+    files: {}
+  };
+
+  const migrateFile = async (file) => {
+    const previous = state.get(file.relativePath);
+    if (previous) {
+      report.skipped++;
+      report.files[file.relativePath] = previous.url;
+      return onProgress({ status: 'skipped', path: file.relativePath, key: previous.key, url: previous.url, size: file.size });
+    }
+
+    const upload = {
+      path: file.path,
+      relativePath: file.relativePath,
+      name: path.posix.basename(file.relativePath),
+      type: lookup(file.relativePath) || 'application/octet-stream',
+      size: file.size
+    };
+
+    let key;
+    try {
+      key = await getMigrationKey(storage, upload);
+      const url = storage.getObjectUrl(key);
+
+      if (checkExisting && await storage.exists(key)) {
+        report.skipped++;
+        report.files[file.relativePath] = url;
+        return onProgress({ status: 'skipped', path: file.relativePath, key, url, size: file.size });
+      }
+
+      if (!dryRun) {
+        await storage.uploadFile(upload, key, file.size);
+
+        if (statePath) {
+          await fs.appendFile(statePath, `${JSON.stringify({ path: file.relativePath, key, url })}\n`);
+        }
+      }
+
+      report.uploaded++;
+      report.bytes += file.size;
+      report.files[file.relativePath] = url;
+      onProgress({ status: dryRun ? 'planned' : 'uploaded', path: file.relativePath, key, url, size: file.size });
+    } catch (error) {
+      const storeError = toObjectStoreError(error, { message: 'Failed to migrate file to Object Store', key });
+
+      report.failed.push({ path: file.relativePath, key, error: storeError.message });
+      onProgress({ status: 'failed', path: file.relativePath, key, size: file.size, error: storeError });
+    }
+  };
+
+  const files = walk(path.resolve(source));
+
+  const worker = async () => {
+    // Workers share the generator, each pulling the next file once it is done with the previous one
+    for await (const file of files) {
+      report.scanned++;
+      await migrateFile(file);
+    }
+  };
+
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  if (exportPath) {
+    const outputPath = options.outputPath || exportPath.replace(/(\.json)?$/i, '.migrated.json');
+    const text = await fs.readFile(exportPath, 'utf8');
+
+    if (!dryRun) {
+      await fs.writeFile(outputPath, rewriteUrls(text, report.files, { sourceUrlPrefix, siteUrl }));
+    }
+
+    report.export = { path: exportPath, outputPath };
+  }
+
+  return report;
+}
+
+module.exports = {
+  getMigrationKey,
+  migrate,
+  readState,
+  rewriteUrls,
+  walk
+};
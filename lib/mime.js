@@ -0,0 +1,298 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const path = require('node:path');
+
+// Content types of the files Ghost stores, by extension
+const TYPES = {
+  '.apng': 'image/apng',
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.svgz': 'image/svg+xml',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.webp': 'image/webp',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.mp4': 'video/mp4',
+  '.mpeg': 'video/mpeg',
+  '.ogv': 'video/ogg',
+  '.webm': 'video/webm',
+  '.aac': 'audio/aac',
+  '.flac': 'audio/flac',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.oga': 'audio/ogg',
+  '.ogg': 'audio/ogg',
+  '.opus': 'audio/opus',
+  '.wav': 'audio/wav',
+  '.csv': 'text/csv',
+  '.css': 'text/css',
+  '.htm': 'text/html',
+  '.html': 'text/html',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.md': 'text/markdown',
+  '.txt': 'text/plain',
+  '.xml': 'application/xml',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.epub': 'application/epub+zip',
+  '.gz': 'application/gzip',
+  '.key': 'application/vnd.apple.keynote',
+  '.odp': 'application/vnd.oasis.opendocument.presentation',
+  '.ods': 'application/vnd.oasis.opendocument.spreadsheet',
+  '.odt': 'application/vnd.oasis.opendocument.text',
+  '.pdf': 'application/pdf',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.rtf': 'application/rtf',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.zip': 'application/zip',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.ttf': 'font/ttf',
+  '.otf': 'font/otf'
+};
+
+// Bytes read from the start of a file to detect its type
+const HEADER_SIZE = 4100;
+
+// Formats that share a signature with others, and the more specific types the file name can pick
+const FAMILIES = {
+  'application/gzip': ['image/svg+xml'],
+  'application/x-cfb': ['application/msword', 'application/vnd.ms-excel', 'application/vnd.ms-powerpoint'],
+  'application/zip': [
+    'application/epub+zip',
+    'application/vnd.apple.keynote',
+    'application/vnd.oasis.opendocument.presentation',
+    'application/vnd.oasis.opendocument.spreadsheet',
+    'application/vnd.oasis.opendocument.text',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  ],
+  'audio/ogg': ['audio/opus', 'video/ogg'],
+  'image/png': ['image/apng'],
+  'video/mp4': ['audio/mp4'],
+  'video/webm': ['audio/webm']
+};
+
+// Types browsers run scripts in when they render them, only used when the upload claims to be one
+const ACTIVE_TYPES = new Set([
+  'application/xhtml+xml',
+  'application/xml',
+  'image/svg+xml',
+  'text/html',
+  'text/javascript',
+  'text/xml'
+]);
+
+/**
+ * Checks whether a buffer starts with a signature at an offset
+ *
+ * @param {Buffer} buffer
+ * @param {Number[]|String} signature bytes, or latin1 text
+ * @param {Number} [offset]
+ * @returns {Boolean}
+ */
+function startsWith(buffer, signature, offset = 0) {
+  const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : signature;
+
+  return buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+}
+
+/**
+ * Detects the type of markup documents: SVG images and HTML pages
+ *
+ * @param {Buffer} buffer
+ * @returns {String|undefined}
+ */
+function sniffMarkup(buffer) {
+  // Skip the byte order mark, XML declaration, comments and doctype
+  const text = buffer.toString('utf8')
+    .replace(/^\uFEFF/, '')
+    .replace(/^(\s|<\?xml[^>]*>|<!--[\s\S]*?-->)*/i, '');
+
+  if (/^(<!doctype\s+svg[^>]*>\s*)?<svg[\s>/]/i.test(text)) {
+    return 'image/svg+xml';
+  }
+
+  if (/^<(!doctype\s+html|html|head|body|script|iframe)[\s>]/i.test(text)) {
+    return 'text/html';
+  }
+
+  return undefined;
+}
+
+/**
+ * Detects the content type of a file from its first bytes
+ * Only formats with a reliable signature are detected, plain text formats such as CSV are not.
+ *
+ * @param {Buffer} buffer start of the file
+ * @returns {String|undefined}
+ */
+function sniff(buffer) {
+  if (startsWith(buffer, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) {
+    return 'image/png';
+  }
+  if (startsWith(buffer, [0xff, 0xd8, 0xff])) {
+    return 'image/jpeg';
+  }
+  if (startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a')) {
+    return 'image/gif';
+  }
+  if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WEBP', 8)) {
+    return 'image/webp';
+  }
+  if (startsWith(buffer, 'RIFF') && startsWith(buffer, 'WAVE', 8)) {
+    return 'audio/wav';
+  }
+  if (startsWith(buffer, 'ftyp', 4)) {
+    const brand = buffer.toString('latin1', 8, 12);
+    if (['avif', 'avis'].includes(brand)) {
+      return 'image/avif';
+    }
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) {
+      return 'image/heic';
+    }
+    if (brand === 'qt  ') {
+      return 'video/quicktime';
+    }
+    return brand.startsWith('M4A') ? 'audio/mp4' : 'video/mp4';
+  }
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0x00])) {
+    return 'image/x-icon';
+  }
+  if (startsWith(buffer, 'II*\0') || startsWith(buffer, 'MM\0*')) {
+    return 'image/tiff';
+  }
+  if (startsWith(buffer, 'BM') && buffer.length >= 14 && buffer.readUInt32LE(2) > 0) {
+    return 'image/bmp';
+  }
+  if (startsWith(buffer, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return 'video/webm';
+  }
+  if (startsWith(buffer, [0x00, 0x00, 0x01, 0xba]) || startsWith(buffer, [0x00, 0x00, 0x01, 0xb3])) {
+    return 'video/mpeg';
+  }
+  if (startsWith(buffer, 'OggS')) {
+    return 'audio/ogg';
+  }
+  if (startsWith(buffer, 'fLaC')) {
+    return 'audio/flac';
+  }
+  if (startsWith(buffer, 'ID3')) {
+    return 'audio/mpeg';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xf6) === 0xf0) {
+    return 'audio/aac';
+  }
+  if (buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0) {
+    return 'audio/mpeg';
+  }
+  if (startsWith(buffer, '%PDF-')) {
+    return 'application/pdf';
+  }
+  if (startsWith(buffer, 'PK\x03\x04') || startsWith(buffer, 'PK\x05\x06')) {
+    return 'application/zip';
+  }
+  if (startsWith(buffer, [0x1f, 0x8b])) {
+    return 'application/gzip';
+  }
+  if (startsWith(buffer, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) {
+    return 'application/x-cfb';
+  }
+  if (startsWith(buffer, '{\\rtf')) {
+    return 'application/rtf';
+  }
+  if (startsWith(buffer, 'wOFF')) {
+    return 'font/woff';
+  }
+  if (startsWith(buffer, 'wOF2')) {
+    return 'font/woff2';
+  }
+  if (startsWith(buffer, [0x00, 0x01, 0x00, 0x00, 0x00])) {
+    return 'font/ttf';
+  }
+  if (startsWith(buffer, 'OTTO')) {
+    return 'font/otf';
+  }
+
+  return sniffMarkup(buffer);
+}
+
+/**
+ * Works out the content type of an upload
+ *
+ * The type detected from the content wins over the one sent by the browser and the extension.
+ * Those are only used to refine formats sharing a signature (a .docx is a ZIP archive), and
+ * for formats without a signature. Markup is never detected into an active type the upload does
+ * not claim to be: an HTML page named photo.png is application/octet-stream, which browsers download.
+ *
+ * @param {Buffer} header start of the file, see readHeader
+ * @param {String} [fileName]
+ * @param {String} [declaredType] content type sent by the browser
+ * @returns {String|undefined}
+ */
+function detect(header, fileName, declaredType) {
+  const sniffed = sniff(header);
+  const byName = lookup(fileName);
+
+  if (!sniffed) {
+    return declaredType || byName;
+  }
+
+  const claimed = [declaredType, byName]
+    .filter(Boolean)
+    .map((type) => type.split(';')[0].trim().toLowerCase());
+
+  if (ACTIVE_TYPES.has(sniffed) && !claimed.includes(sniffed)) {
+    return 'application/octet-stream';
+  }
+
+  return claimed.find((type) => (FAMILIES[sniffed] || []).includes(type)) || sniffed;
+}
+
+/**
+ * Reads the first bytes of a file, enough to detect its type
+ *
+ * @param {String} filePath
+ * @returns {Promise<Buffer>}
+ */
+async function readHeader(filePath) {
+  const handle = await fs.open(filePath, 'r');
+
+  try {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const { bytesRead } = await handle.read(buffer, 0, HEADER_SIZE, 0);
+
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Looks up the content type of a file from its extension
+ *
+ * @param {String} fileName
+ * @returns {String|undefined}
+ */
+function lookup(fileName) {
+  return TYPES[path.extname(fileName || '').toLowerCase()];
+}
+
+module.exports = {
+  detect,
+  lookup,
+  readHeader,
+  sniff
+};
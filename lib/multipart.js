@@ -0,0 +1,283 @@
+'use strict';
+
+const fs = require('node:fs/promises');
+const {
+  CopyObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  UploadPartCopyCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { getCopyParams, getCustomerKeyParams } = require('./object-params');
+
+/**
+ * Picks the SSE-C parameters from the upload parameters, the parts and the completion have to carry them
+ *
+ * @param {Object} params
+ * @returns {Object}
+ */
+function pickCustomerKeyParams(params) {
+  if (!params.SSECustomerKey) {
+    return {};
+  }
+
+  return {
+    SSECustomerAlgorithm: params.SSECustomerAlgorithm,
+    SSECustomerKey: params.SSECustomerKey
+  };
+}
+
+// S3 limits: every part but the last must be at least 5 MiB and an upload has at most 10,000 parts
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PARTS = 10000;
+
+/**
+ * Reads a response body stream into a buffer
+ *
+ * @param {AsyncIterable<Buffer>} stream
+ * @returns {Promise<Buffer>}
+ */
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Creates a part source backed by an in-memory buffer
+ *
+ * @param {Buffer} buffer
+ * @returns {{size: Number, read: Function, close: Function}}
+ */
+function bufferSource(buffer) {
+  return {
+    size: buffer.length,
+    read: async (start, end) => buffer.subarray(start, end),
+    close: async () => {}
+  };
+}
+
+/**
+ * Creates a part source that reads byte ranges from a file on disk
+ * Only the parts currently being uploaded are held in memory.
+ *
+ * @param {String} filePath
+ * @param {Number} size
+ * @returns {Promise<{size: Number, read: Function, close: Function}>}
+ */
+async function fileSource(filePath, size) {
+  const handle = await fs.open(filePath, 'r');
+
+  return {
+    size,
+    read: async (start, end) => {
+      const chunk = Buffer.alloc(end - start);
+      const { bytesRead } = await handle.read(chunk, 0, chunk.length, start);
+      return chunk.subarray(0, bytesRead);
+    },
+    close: () => handle.close()
+  };
+}
+
+/**
+ * Creates a part source that reads byte ranges of an object from another store, one GetObject per part
+ * Parts are fetched again when their upload is retried, unlike a single response stream.
+ *
+ * @param {Object} store store to read from, see lib/replication.js
+ * @param {Object} getParams GetObject parameters (Key and, for SSE-C objects, the customer key) without Bucket
+ * @param {Number} size size of the object
+ * @returns {{size: Number, read: Function, close: Function}}
+ */
+function rangeSource(store, getParams, size) {
+  return {
+    size,
+    read: async (start, end) => {
+      const { Body } = await store.send(new GetObjectCommand({ ...getParams, Bucket: store.bucket, Range: `bytes=${start}-${end - 1}` }));
+      return streamToBuffer(Body);
+    },
+    close: async () => {}
+  };
+}
+
+/**
+ * Creates a part source that copies byte ranges of an object already in the bucket, with UploadPartCopy
+ * Nothing goes through the adapter, the Object Store copies the parts itself.
+ *
+ * @param {Object} copyParams CopySource and, for SSE-C objects, its CopySourceSSECustomer* parameters
+ * @param {Number} size size of the source object
+ * @returns {{size: Number, copyParams: Object, close: Function}}
+ */
+function copySource(copyParams, size) {
+  return {
+    size,
+    copyParams,
+    close: async () => {}
+  };
+}
+
+/**
+ * Works out the part size to use for an object, growing it when the configured size
+ * would need more parts than S3 allows
+ *
+ * @param {Number} size total object size in bytes
+ * @param {Number} partSize configured part size in bytes
+ * @returns {Number}
+ */
+function getPartSize(size, partSize) {
+  return Math.max(MIN_PART_SIZE, partSize, Math.ceil(size / MAX_PARTS));
+}
+
+/**
+ * Uploads an object using S3 multipart upload
+ * Parts are uploaded `concurrency` at a time. If anything fails the multipart upload is aborted,
+ * so no incomplete parts are left behind in the bucket, and the original error is rethrown.
+ *
+ * @param {Function} send function sending a command to the Object Store
+ * @param {Object} params PutObject-style parameters (Bucket, Key, ContentType, ...) without Body
+ * @param {{size: Number, read: Function}|{size: Number, copyParams: Object}} source where to read or copy the parts from
+ * @param {Object} [options]
+ * @param {Number} [options.partSize]
+ * @param {Number} [options.concurrency]
+ * @returns {Promise<Object>} the CompleteMultipartUpload response
+ */
+async function uploadMultipart(send, params, source, { partSize = MIN_PART_SIZE, concurrency = 4 } = {}) {
+  const size = getPartSize(source.size, partSize);
+  const totalParts = Math.max(1, Math.ceil(source.size / size));
+
+  const { UploadId } = await send(new CreateMultipartUploadCommand(params));
+
+  const parts = [];
+  let nextPart = 1;
+  let failed = false;
+
+  const worker = async () => {
+    while (!failed && nextPart <= totalParts) {
+      const partNumber = nextPart++;
+      const start = (partNumber - 1) * size;
+      const end = Math.min(start + size, source.size);
+      const partParams = {
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId,
+        PartNumber: partNumber,
+        ...pickCustomerKeyParams(params)
+      };
+
+      if (source.copyParams) {
+        const { CopyPartResult } = await send(new UploadPartCopyCommand({
+          ...partParams,
+          ...source.copyParams,
+          CopySourceRange: `bytes=${start}-${end - 1}`
+        }));
+        parts.push({ ETag: CopyPartResult.ETag, PartNumber: partNumber });
+      } else {
+        const { ETag } = await send(new UploadPartCommand({ ...partParams, Body: await source.read(start, end) }));
+        parts.push({ ETag, PartNumber: partNumber });
+      }
+    }
+  };
+
+  try {
+    const workerCount = Math.min(Math.max(1, concurrency), totalParts);
+    const workers = Array.from({ length: workerCount }, () => worker().catch((error) => {
+      failed = true;
+      throw error;
+    }));
+
+    // Wait for in-flight parts to settle before aborting, otherwise they could outlive the abort
+    const results = await Promise.allSettled(workers);
+    const rejected = results.find((result) => result.status === 'rejected');
+    if (rejected) {
+      throw rejected.reason;
+    }
+
+    return await send(new CompleteMultipartUploadCommand({
+      Bucket: params.Bucket,
+      Key: params.Key,
+      UploadId,
+      MultipartUpload: {
+        Parts: parts.sort((a, b) => a.PartNumber - b.PartNumber)
+      },
+      ...pickCustomerKeyParams(params)
+    }));
+  } catch (error) {
+    try {
+      await send(new AbortMultipartUploadCommand({
+        Bucket: params.Bucket,
+        Key: params.Key,
+        UploadId
+      }));
+    } catch (abortError) {
+      // Keep the original error, it is the one worth reporting
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Copies an object within a store, keeping its content type, headers and metadata
+ * Objects larger than multipartThreshold are copied in parts with UploadPartCopy, as CopyObject
+ * is limited to 5 GiB.
+ *
+ * @param {Object} target store, see lib/replication.js
+ * @param {Object} config adapter configuration
+ * @param {String} sourceKey
+ * @param {String} destinationKey
+ * @param {Object} [options]
+ * @param {String} [options.versionId] version of the source to copy
+ * @param {Object} [options.head] HeadObject response of the source, requested when not given
+ * @param {Function} [options.metadata] `(metadata) => metadata` transforming the user metadata
+ * @returns {Promise<Object>} the CopyObject or CompleteMultipartUpload response
+ */
+async function copyObject(target, config, sourceKey, destinationKey, { versionId, head, metadata = (values) => values } = {}) {
+  const source = head || await target.send(new HeadObjectCommand({
+    Bucket: target.bucket,
+    Key: sourceKey,
+    VersionId: versionId,
+    ...getCustomerKeyParams(config)
+  }));
+
+  const { CopySource, CopySourceSSECustomerAlgorithm, CopySourceSSECustomerKey, ...storageParams } = getCopyParams(config, target.bucket, sourceKey);
+  const copyParams = {
+    CopySource: versionId ? `${CopySource}?versionId=${encodeURIComponent(versionId)}` : CopySource,
+    ...(CopySourceSSECustomerKey ? { CopySourceSSECustomerAlgorithm, CopySourceSSECustomerKey } : {})
+  };
+  const params = {
+    Bucket: target.bucket,
+    Key: destinationKey,
+    ContentType: source.ContentType,
+    ContentDisposition: source.ContentDisposition,
+    CacheControl: source.CacheControl,
+    Metadata: metadata({ ...source.Metadata }),
+    ...storageParams
+  };
+
+  if (source.ContentLength > config.multipartThreshold) {
+    return uploadMultipart((command) => target.send(command), params, copySource(copyParams, source.ContentLength), {
+      partSize: config.multipartPartSize,
+      concurrency: config.multipartConcurrency
+    });
+  }
+
+  // Replacing the metadata drops the headers of the source, so they are copied explicitly
+  return target.send(new CopyObjectCommand({ ...params, ...copyParams, MetadataDirective: 'REPLACE' }));
+}
+
+module.exports = {
+  MIN_PART_SIZE,
+  bufferSource,
+  copyObject,
+  copySource,
+  fileSource,
+  getPartSize,
+  rangeSource,
+  streamToBuffer,
+  uploadMultipart
+};
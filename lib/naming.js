@@ -0,0 +1,89 @@
+'use strict';
+
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const { pipeline } = require('node:stream/promises');
+const { InvalidConfigError } = require('./errors');
+
+/**
+ * Returns the extension of a file name, ignoring "extensions" that are only digits
+ * (.1 or .342 is not a valid extension, .mp4 is though!), the same way ghost-storage-base does
+ *
+ * @param {String} fileName
+ * @returns {String}
+ */
+function getExtension(fileName) {
+  const ext = path.extname(fileName || '');
+
+  return /^\.\d+$/.test(ext) ? '' : ext.toLowerCase();
+}
+
+/**
+ * Computes the SHA-256 of a file, streaming it from disk
+ *
+ * @param {String} filePath
+ * @returns {Promise<String>} hex digest
+ */
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+
+  await pipeline(fs.createReadStream(filePath), hash);
+
+  return hash.digest('hex');
+}
+
+/**
+ * Built-in naming strategies
+ * Each is called with the adapter as `this`, receives the Ghost file object and the optional
+ * target directory, and resolves with the object key the file should be stored under.
+ */
+const strategies = {
+  // storagePath/YYYY/MM/name[-n].ext, probing the Object Store for collisions (the Ghost default)
+  date(file, targetDir) {
+    // NOTE: the base implementation of `getTargetDir` returns the format this.storagePath/YYYY/MM
+    const storagePath = targetDir || this.getTargetDir(this.storagePath);
+    // ghost-storage-base 2.x removed getUniqueSecureFilePath, we fall back to
+    // getUniqueFileName, which remains available (Promise-returning).
+    return this.getUniqueFileName(file, storagePath);
+  },
+
+  // storagePath/<sha256>.ext, identical files share a single object
+  async hash(file, targetDir) {
+    const digest = await hashFile(file.path);
+
+    return path.posix.join(targetDir || this.storagePath, `${digest}${getExtension(file.name)}`);
+  },
+
+  // storagePath/YYYY/MM/<uuid>.ext, unique without any round trip to the Object Store
+  async uuid(file, targetDir) {
+    const storagePath = (targetDir || this.getTargetDir(this.storagePath)).replace(/\\/g, '/');
+
+    return path.posix.join(storagePath, `${crypto.randomUUID()}${getExtension(file.name)}`);
+  }
+};
+
+/**
+ * Resolves the configured naming strategy
+ *
+ * @param {String|Function} strategy name of a built-in strategy or a function `(file, targetDir) => objectKey`
+ * @returns {Function} strategy to call with the adapter as `this`
+ */
+function getNamingStrategy(strategy) {
+  if (typeof strategy === 'function') {
+    return strategy;
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(strategies, strategy)) {
+    throw new InvalidConfigError(`Unknown naming strategy "${strategy}", expected one of: ${Object.keys(strategies).join(', ')}`);
+  }
+
+  return strategies[strategy];
+}
+
+module.exports = {
+  getExtension,
+  getNamingStrategy,
+  hashFile,
+  strategies
+};
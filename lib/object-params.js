@@ -0,0 +1,177 @@
+'use strict';
+
+const path = require('node:path');
+
+const CANNED_ACLS = [
+  'private',
+  'public-read',
+  'public-read-write',
+  'authenticated-read',
+  'aws-exec-read',
+  'bucket-owner-read',
+  'bucket-owner-full-control'
+];
+
+/**
+ * Builds the SSE-C parameters every request touching an SSE-C object needs
+ * (PutObject, UploadPart, GetObject, HeadObject). The SDK adds the key MD5 itself.
+ *
+ * @param {Object} config
+ * @returns {Object}
+ */
+function getCustomerKeyParams({ encryption, sseCustomerKey }) {
+  if (encryption !== 'SSE-C') {
+    return {};
+  }
+
+  return {
+    SSECustomerAlgorithm: 'AES256',
+    SSECustomerKey: sseCustomerKey
+  };
+}
+
+/**
+ * Builds the server-side encryption parameters for uploads
+ *
+ * @param {Object} config
+ * @returns {Object}
+ */
+function getEncryptionParams(config) {
+  switch (config.encryption) {
+  case 'SSE-S3':
+    return { ServerSideEncryption: 'AES256' };
+  case 'SSE-KMS':
+    return config.kmsKeyId ? { ServerSideEncryption: 'aws:kms', SSEKMSKeyId: config.kmsKeyId } : { ServerSideEncryption: 'aws:kms' };
+  case 'SSE-C':
+    return getCustomerKeyParams(config);
+  default:
+    return {};
+  }
+}
+
+/**
+ * Builds a Content-Disposition header value
+ * The plain filename is limited to ASCII, the RFC 6266 `filename*` carries the original name.
+ *
+ * @param {String} disposition `inline` or `attachment`
+ * @param {String} [fileName]
+ * @returns {String}
+ */
+function formatContentDisposition(disposition, fileName) {
+  if (!fileName) {
+    return disposition;
+  }
+
+  const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encodedName = encodeURIComponent(fileName).replace(/['()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+  return `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
+
+/**
+ * Resolves user metadata for an upload
+ * Keys are lowercased and values URI-encoded when needed, because S3 metadata travels as ASCII HTTP headers.
+ *
+ * @param {Object|Function} metadata static metadata or a function `(file) => metadata`
+ * @param {Object} file Ghost file object, or `{name}` for saveRaw
+ * @returns {Object|undefined}
+ */
+function resolveMetadata(metadata, file) {
+  const values = typeof metadata === 'function' ? metadata(file) : metadata;
+  if (!values) {
+    return undefined;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    const text = String(value);
+    result[key.toLowerCase()] = /^[\x20-\x7e]*$/.test(text) ? text : encodeURIComponent(text);
+  }
+
+  return Object.keys(result).length ? result : undefined;
+}
+
+/**
+ * Builds the parameters applied to every object the adapter writes: encryption, ACL and storage class
+ *
+ * @param {Object} config adapter configuration
+ * @returns {Object}
+ */
+function getStorageParams(config) {
+  const params = getEncryptionParams(config);
+
+  if (config.acl) {
+    params.ACL = config.acl;
+  }
+
+  if (config.storageClass) {
+    params.StorageClass = config.storageClass;
+  }
+
+  return params;
+}
+
+/**
+ * Builds the extra PutObject / CreateMultipartUpload parameters configured for uploads:
+ * encryption, ACL, storage class, metadata and Content-Disposition
+ *
+ * @param {Object} config adapter configuration
+ * @param {Object} file Ghost file object (`name` is the original file name)
+ * @returns {Object}
+ */
+function getUploadParams(config, file) {
+  const params = getStorageParams(config);
+
+  const metadata = resolveMetadata(config.metadata, file);
+  if (metadata) {
+    params.Metadata = metadata;
+  }
+
+  const disposition = typeof config.contentDisposition === 'function' ?
+    config.contentDisposition(file) :
+    config.contentDisposition;
+  if (disposition) {
+    params.ContentDisposition = /;/.test(disposition) ?
+      disposition :
+      formatContentDisposition(disposition, file.name && path.basename(file.name));
+  }
+
+  return params;
+}
+
+/**
+ * Builds the extra CopyObject parameters for copying an object within the bucket
+ * The copy keeps the source metadata and is written with the configured encryption, ACL and storage class.
+ *
+ * @param {Object} config adapter configuration
+ * @param {String} bucket
+ * @param {String} sourceKey
+ * @returns {Object}
+ */
+function getCopyParams(config, bucket, sourceKey) {
+  const params = {
+    CopySource: `${bucket}/${sourceKey.split('/').map(encodeURIComponent).join('/')}`,
+    ...getStorageParams(config)
+  };
+
+  if (config.encryption === 'SSE-C') {
+    params.CopySourceSSECustomerAlgorithm = 'AES256';
+    params.CopySourceSSECustomerKey = config.sseCustomerKey;
+  }
+
+  return params;
+}
+
+module.exports = {
+  CANNED_ACLS,
+  formatContentDisposition,
+  getCopyParams,
+  getCustomerKeyParams,
+  getEncryptionParams,
+  getStorageParams,
+  getUploadParams,
+  resolveMetadata
+};
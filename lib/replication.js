@@ -0,0 +1,354 @@
+'use strict';
+
+const { S3Client, GetObjectCommand, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { RequestPolicy, getStatusCode } = require('./request');
+const { getCustomerKeyParams, getStorageParams } = require('./object-params');
+const { createLogger } = require('./logging');
+const { FileSystemStore } = require('./filesystem');
+const { scopeCommand, unscopeResponse } = require('./keys');
+const { createCredentials } = require('./credentials');
+const { rangeSource, streamToBuffer, uploadMultipart } = require('./multipart');
+
+// Answers that depend on the request rather than on the store, other stores would answer the same
+const REQUEST_ERROR_NAMES = new Set(['NotModified', 'PreconditionFailed', 'InvalidRange']);
+const REQUEST_STATUS_CODES = new Set([304, 412, 416]);
+
+/**
+ * Creates an S3 client with its own request policy for an Object Store
+ * With the filesystem driver, the client is a FileSystemStore answering the same commands.
+ *
+ * @param {String} name
+ * @param {Object} settings driver, endpoint, credentials, bucket and region of the store
+ * @param {Object} config adapter configuration, for the request policy
+ * @param {Telemetry} [telemetry] measures the requests sent to the store
+ * @returns {{name: String, bucket: String, client: S3Client|FileSystemStore, policy: RequestPolicy, request: Function, send: Function}}
+ */
+function createTarget(name, settings, config, telemetry) {
+  const client = settings.driver === 'filesystem' ? new FileSystemStore(settings.localPath) : new S3Client({
+    endpoint: settings.endpoint,
+    region: settings.region,
+    credentials: createCredentials(settings),
+    forcePathStyle: true,
+    tls: settings.useSSL,
+    // Retries are handled by the request policy below
+    maxAttempts: 1
+  });
+
+  const policy = new RequestPolicy(client, {
+    maxRetries: config.maxRetries,
+    baseDelay: config.retryBaseDelay,
+    maxDelay: config.retryMaxDelay,
+    timeout: config.requestTimeout,
+    failureThreshold: config.circuitBreakerThreshold,
+    resetTimeout: config.circuitBreakerResetTimeout
+  });
+
+  // Keys are only prefixed with the keyPrefix here, on their way to the store
+  const request = async (command) => unscopeResponse(await policy.send(scopeCommand(command, config.keyPrefix)), config.keyPrefix);
+
+  return {
+    name,
+    bucket: settings.bucket,
+    client,
+    policy,
+    request,
+    send: telemetry ?
+      (command) => telemetry.request(command, name, () => request(command)) :
+      request
+  };
+}
+
+/**
+ * Checks whether a failed read should be retried on the next store
+ *
+ * @param {Error} error
+ * @returns {Boolean}
+ */
+function shouldFailover(error) {
+  return !REQUEST_ERROR_NAMES.has(error.name) && !REQUEST_STATUS_CODES.has(getStatusCode(error));
+}
+
+/**
+ * Writes to a primary and secondary Object Stores and reads from the first one that answers
+ *
+ * In `sync` mode, writes go to every store at once. In `async` mode, they go to the primary, and
+ * are copied to the secondaries in the background. Either way, a write succeeds as soon as one store
+ * accepted it: stores that failed are brought up to date from the retry queue, by copying the
+ * object from a store that has it (or deleting it again).
+ */
+class Replicator {
+  /**
+   * @param {Object} primary
+   * @param {Object[]} secondaries
+   * @param {Object} options
+   * @param {String} options.mode sync or async
+   * @param {Number} options.maxAttempts attempts of a queued task before giving up on it
+   * @param {Number} options.retryDelay delay before the first retry of a queued task, in ms, doubled on each attempt
+   * @param {Object} options.config adapter configuration, for encryption and upload parameters
+   * @param {Object} [options.logger] adapter logger, see lib/logging.js
+   */
+  constructor(primary, secondaries, { mode = 'sync', maxAttempts = 5, retryDelay = 1000, config = {}, logger = createLogger() } = {}) {
+    this.primary = primary;
+    this.targets = [primary, ...secondaries];
+    this.mode = mode;
+    this.maxAttempts = maxAttempts;
+    this.retryDelay = retryDelay;
+    this.config = config;
+    this.logger = logger;
+    this.queue = [];
+    this.timer = null;
+    this.running = null;
+    // Tasks given up on after maxAttempts, see flush()
+    this.failedTasks = 0;
+  }
+
+  /**
+   * Runs a read on the primary, then on each secondary until one succeeds
+   *
+   * @param {Function} operation `(target) => Promise`
+   * @returns {Promise<*>} the result of the first successful read
+   */
+  async read(operation) {
+    let firstError;
+
+    for (const target of this.targets) {
+      try {
+        return await operation(target);
+      } catch (error) {
+        if (!shouldFailover(error)) {
+          throw error;
+        }
+        firstError = firstError || error;
+      }
+    }
+
+    throw firstError;
+  }
+
+  /**
+   * Writes an object to the stores
+   *
+   * @param {String} key
+   * @param {Function} operation `(target) => Promise` uploading the object to a store
+   * @returns {Promise<void>}
+   */
+  write(key, operation) {
+    return this.apply(key, operation, 'copy');
+  }
+
+  /**
+   * Deletes an object from the stores
+   *
+   * @param {String} key
+   * @param {Function} operation `(target) => Promise` deleting the object from a store
+   * @returns {Promise<void>}
+   */
+  remove(key, operation) {
+    return this.apply(key, operation, 'delete');
+  }
+
+  /**
+   * Copies an object written to a single store to the other stores, or deletes it from them, in the background
+   * Used for writes that cannot be repeated on each store, such as restoring an earlier version.
+   *
+   * @param {String} key
+   * @param {Object} [source] store the object was written to, the primary by default
+   * @param {String} [type] copy, or delete for an object deleted from the source
+   */
+  sync(key, source = this.primary, type = 'copy') {
+    for (const target of this.targets.filter((target) => target !== source)) {
+      this.enqueue({ type, key, source, target, attempts: 0 });
+    }
+  }
+
+  /**
+   * Applies a write to the stores, queueing the stores that missed it
+   *
+   * @param {String} key
+   * @param {Function} operation
+   * @param {String} type queued task bringing a store up to date: copy or delete
+   * @returns {Promise<void>}
+   */
+  async apply(key, operation, type) {
+    if (this.targets.length === 1) {
+      await operation(this.primary);
+      return;
+    }
+
+    let succeeded = [];
+    let failed = [];
+    let firstError;
+
+    if (this.mode === 'sync') {
+      const results = await Promise.allSettled(this.targets.map((target) => operation(target)));
+      results.forEach((result, index) => {
+        (result.status === 'fulfilled' ? succeeded : failed).push(this.targets[index]);
+        if (result.status === 'rejected' && !firstError) {
+          firstError = result.reason;
+        }
+      });
+    } else {
+      // Fail over to the secondaries, in order, when the primary rejects the write
+      for (const target of this.targets) {
+        try {
+          await operation(target);
+          succeeded = [target];
+          break;
+        } catch (error) {
+          firstError = firstError || error;
+          failed.push(target);
+        }
+      }
+      failed = this.targets.filter((target) => !succeeded.includes(target));
+    }
+
+    if (!succeeded.length) {
+      throw firstError;
+    }
+
+    for (const target of failed) {
+      this.enqueue({ type, key, source: succeeded[0], target, attempts: 0 });
+    }
+  }
+
+  /**
+   * Queues a task, replacing the queued tasks for the same object and store
+   *
+   * @param {Object} task
+   */
+  enqueue(task) {
+    this.queue = this.queue.filter((queued) => queued.key !== task.key || queued.target !== task.target);
+    task.runAt = Date.now() + (task.attempts ? this.retryDelay * 2 ** (task.attempts - 1) : 0);
+    this.queue.push(task);
+    this.schedule();
+  }
+
+  /**
+   * Schedules processing of the next due task
+   */
+  schedule() {
+    if (this.timer || this.running || !this.queue.length) {
+      return;
+    }
+
+    const delay = Math.max(0, Math.min(...this.queue.map((task) => task.runAt)) - Date.now());
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.running = this.process().finally(() => {
+        this.running = null;
+        this.schedule();
+      });
+    }, delay);
+    // Pending replication must not keep the process alive
+    this.timer.unref();
+  }
+
+  /**
+   * Runs the queued tasks that are due
+   *
+   * @param {Boolean} [all] also run tasks waiting for a retry
+   * @returns {Promise<void>}
+   */
+  async process(all = false) {
+    const now = Date.now();
+    const due = this.queue.filter((task) => all || task.runAt <= now);
+    this.queue = this.queue.filter((task) => !due.includes(task));
+
+    for (const task of due) {
+      try {
+        await this.run(task);
+      } catch (error) {
+        task.attempts++;
+        const fields = { key: task.key, target: task.target.name, attempts: task.attempts, err: error };
+
+        if (task.attempts < this.maxAttempts) {
+          this.logger.debug(`Retrying ${task.type} of "${task.key}" to ${task.target.name}`, fields);
+          this.enqueue(task);
+        } else {
+          this.failedTasks++;
+          this.logger.error(`Failed to replicate ${task.type} of "${task.key}" to ${task.target.name}: ${error.message}`, fields);
+        }
+      }
+    }
+  }
+
+  /**
+   * Brings a store up to date with a write it missed
+   *
+   * @param {Object} task
+   * @returns {Promise<void>}
+   */
+  async run({ type, key, source, target }) {
+    if (type === 'delete') {
+      await target.send(new DeleteObjectCommand({ Bucket: target.bucket, Key: key }));
+      return;
+    }
+
+    const getParams = { Key: key, ...getCustomerKeyParams(this.config) };
+    const object = await source.send(new GetObjectCommand({ Bucket: source.bucket, ...getParams }));
+    const params = {
+      Bucket: target.bucket,
+      Key: key,
+      ContentType: object.ContentType,
+      ContentDisposition: object.ContentDisposition,
+      CacheControl: object.CacheControl,
+      Metadata: object.Metadata,
+      ...getStorageParams(this.config)
+    };
+
+    // The request policy may send the upload again, which a response stream cannot be: small objects
+    // are buffered, larger ones uploaded in parts fetched from the source one range at a time
+    if (object.ContentLength > this.config.multipartThreshold) {
+      object.Body.destroy();
+      await uploadMultipart((command) => target.send(command), params, rangeSource(source, getParams, object.ContentLength), {
+        partSize: this.config.multipartPartSize,
+        concurrency: this.config.multipartConcurrency
+      });
+      return;
+    }
+
+    const body = await streamToBuffer(object.Body);
+    await target.send(new PutObjectCommand({ ...params, Body: body, ContentLength: body.length }));
+  }
+
+  /**
+   * Runs every queued task now, then their retries as they fall due until the queue is empty,
+   * e.g. before a command line exits
+   *
+   * @returns {Promise<Number>} number of tasks given up on meanwhile, after maxAttempts
+   */
+  async flush() {
+    const failedBefore = this.failedTasks;
+    let all = true;
+
+    while (this.queue.length || this.running) {
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = null;
+      }
+      if (this.running) {
+        await this.running;
+        continue;
+      }
+
+      const delay = all ? 0 : Math.max(0, Math.min(...this.queue.map((task) => task.runAt)) - Date.now());
+      if (delay) {
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        continue;
+      }
+
+      this.running = this.process(all).finally(() => {
+        this.running = null;
+      });
+      all = false;
+    }
+
+    return this.failedTasks - failedBefore;
+  }
+}
+
+module.exports = {
+  Replicator,
+  createTarget,
+  shouldFailover
+};
@@ -0,0 +1,231 @@
+'use strict';
+
+const { NETWORK_ERROR_CODES, StoreUnavailableError } = require('./errors');
+
+// Error names the Object Store uses for transient failures
+const RETRYABLE_ERROR_NAMES = new Set([
+  'TimeoutError',
+  'RequestTimeout',
+  'RequestTimeTooSkewed',
+  'InternalError',
+  'ServiceUnavailable',
+  'SlowDown',
+  'Throttling',
+  'ThrottlingException',
+  'TooManyRequestsException'
+]);
+
+/**
+ * Thrown without contacting the Object Store while the circuit breaker is open
+ */
+class CircuitOpenError extends StoreUnavailableError {
+  constructor(retryAt) {
+    super('Object Store is unavailable, failing fast until the circuit breaker resets');
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Returns the HTTP status code of an Object Store error, if any
+ *
+ * @param {Error} error
+ * @returns {Number|undefined}
+ */
+function getStatusCode(error) {
+  return error.statusCode || (error.$metadata && error.$metadata.httpStatusCode);
+}
+
+/**
+ * Checks whether a failed request is worth retrying
+ * Transient network errors, timeouts, throttling and 5xx responses are, 4xx responses are not.
+ *
+ * @param {Error} error
+ * @returns {Boolean}
+ */
+function isRetryable(error) {
+  if (!error || error.name === 'CircuitOpenError') {
+    return false;
+  }
+
+  const statusCode = getStatusCode(error);
+
+  return RETRYABLE_ERROR_NAMES.has(error.name) ||
+    NETWORK_ERROR_CODES.has(error.code) ||
+    statusCode === 429 ||
+    statusCode >= 500 ||
+    Boolean(error.$retryable);
+}
+
+/**
+ * Shared request layer for every call made to the Object Store
+ *
+ * Each request gets a timeout (via an abort signal) and is retried with jittered exponential backoff
+ * when it fails transiently. Consecutive transient failures open a circuit breaker, after which requests
+ * fail fast with a CircuitOpenError until `resetTimeout` has passed and a trial request succeeds.
+ */
+class RequestPolicy {
+  /**
+   * @param {Object} client S3 client
+   * @param {Object} [options]
+   * @param {Number} [options.maxRetries] retries after the first attempt
+   * @param {Number} [options.baseDelay] backoff base delay in milliseconds
+   * @param {Number} [options.maxDelay] backoff cap in milliseconds
+   * @param {Number} [options.timeout] per-attempt timeout in milliseconds, 0 to disable
+   * @param {Number} [options.failureThreshold] consecutive failures that open the circuit, 0 to disable
+   * @param {Number} [options.resetTimeout] how long the circuit stays open, in milliseconds
+   */
+  constructor(client, {
+    maxRetries = 3,
+    baseDelay = 100,
+    maxDelay = 2000,
+    timeout = 60000,
+    failureThreshold = 5,
+    resetTimeout = 30000
+  } = {}) {
+    this.client = client;
+    this.maxRetries = maxRetries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.timeout = timeout;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Sends a command to the Object Store, applying the timeout, retry and circuit breaker policy
+   *
+   * @param {Object} command
+   * @returns {Promise<Object>}
+   */
+  async send(command) {
+    const isTrial = this.acquire();
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await this.attempt(command);
+          this.recordAvailable();
+          return response;
+        } catch (error) {
+          if (!isRetryable(error)) {
+            // The Object Store answered (e.g. NotFound), so it is up
+            this.recordAvailable();
+            throw error;
+          }
+
+          if (attempt >= this.maxRetries || isTrial) {
+            this.recordFailure();
+            throw error;
+          }
+
+          await sleep(this.getDelay(attempt));
+        }
+      }
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false;
+      }
+    }
+  }
+
+  /**
+   * Sends the command once, aborting it when it takes longer than the timeout
+   *
+   * @param {Object} command
+   * @returns {Promise<Object>}
+   */
+  async attempt(command) {
+    if (!this.timeout) {
+      return this.client.send(command);
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      return await this.client.send(command, { abortSignal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        const timeoutError = new Error(`Object Store request timed out after ${this.timeout}ms`);
+        timeoutError.name = 'TimeoutError';
+        timeoutError.cause = error;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      // Only the request itself is bounded, response bodies are streamed at the reader's pace
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Full jitter backoff: a random delay between 0 and the capped exponential delay
+   *
+   * @param {Number} attempt zero-based attempt that just failed
+   * @returns {Number} milliseconds
+   */
+  getDelay(attempt) {
+    return Math.random() * Math.min(this.maxDelay, this.baseDelay * 2 ** attempt);
+  }
+
+  /**
+   * Checks the circuit breaker before sending a request
+   *
+   * @returns {Boolean} whether the request is the half-open trial request
+   */
+  acquire() {
+    if (this.openedAt === null) {
+      return false;
+    }
+
+    const retryAt = this.openedAt + this.resetTimeout;
+    if (Date.now() < retryAt || this.trialInFlight) {
+      throw new CircuitOpenError(new Date(retryAt));
+    }
+
+    // Half-open: let a single request through to probe the Object Store
+    this.trialInFlight = true;
+    return true;
+  }
+
+  /**
+   * Closes the circuit after the Object Store responded
+   */
+  recordAvailable() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Counts a request that failed transiently even after retries, opening the circuit once
+   * the threshold is reached (or straight away when the half-open trial request failed)
+   */
+  recordFailure() {
+    this.failures++;
+
+    if (this.failureThreshold && (this.openedAt !== null || this.failures >= this.failureThreshold)) {
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+/**
+ * @param {Number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+module.exports = {
+  CircuitOpenError,
+  RequestPolicy,
+  getStatusCode,
+  isRetryable
+};
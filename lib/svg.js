@@ -0,0 +1,143 @@
+'use strict';
+
+const zlib = require('node:zlib');
+
+// Elements that run scripts or embed HTML documents, removed with their content
+const UNSAFE_ELEMENTS = ['script', 'foreignObject', 'iframe', 'embed', 'object', 'handler', 'listener'];
+
+// Rest of a start tag, attribute values may contain ">"
+const TAG_REST = '(?:"[^"]*"|\'[^\']*\'|[^>"\'])*>';
+
+// URL schemes that run code when followed, after decoding entities and removing whitespace
+const UNSAFE_URL = /^(javascript|vbscript|data:(?!image\/(png|jpeg|jpg|gif|webp|avif);))/i;
+
+// Animations can set links, e.g. <animate attributeName="href" values="0;javascript:...">
+const ANIMATIONS = ['animate', 'set'];
+
+// Attributes holding animation values, `values` is a list separated by ";" (not the one of data:...;base64,)
+const ANIMATION_VALUES = new Set(['values', 'from', 'to', 'by']);
+
+/**
+ * Decodes the character references browsers decode in attribute values, e.g. `&#106;avascript:`
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);?/g, (match, decimal) => String.fromCodePoint(Number(decimal)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&tab;|&newline;/gi, '');
+}
+
+/**
+ * Decodes an attribute value as browsers read it, without quotes and whitespace
+ *
+ * @param {String} quoted value as written in the tag
+ * @returns {String}
+ */
+function attributeValue(quoted) {
+  return decodeEntities(quoted.replace(/^["']|["']$/g, '')).replace(/[\s\u0000-\u001f]/g, '');
+}
+
+/**
+ * Removes event handlers and attributes pointing to scripts from a start tag
+ *
+ * @param {String} tag
+ * @returns {String}
+ */
+function sanitizeTag(tag) {
+  return tag.replace(/\s+([^\s=/>]+)(\s*=\s*("[^"]*"|'[^']*'|[^\s>]+))?/g, (attribute, name, assignment, quoted) => {
+    if (/^on/i.test(name)) {
+      return '';
+    }
+
+    const value = quoted ? attributeValue(quoted) : '';
+    const values = ANIMATION_VALUES.has(name.toLowerCase()) ? value.split(/;(?!base64,)/) : [value];
+    // Covers href and xlink:href, as well as animations setting them (<set to="javascript:...">)
+    if (values.some((part) => UNSAFE_URL.test(part))) {
+      return '';
+    }
+
+    return attribute;
+  });
+}
+
+/**
+ * Checks whether an animation start tag animates a link
+ *
+ * @param {String} tag
+ * @returns {Boolean}
+ */
+function animatesLink(tag) {
+  const match = /\sattributeName\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/i.exec(tag);
+
+  return Boolean(match) && /^([\w.-]+:)?href$/i.test(attributeValue(match[1]));
+}
+
+/**
+ * Strips scripts from an SVG document so it can be served from the site's own domain
+ *
+ * Removes script-running elements (script, foreignObject, iframe...), animations of links, event
+ * handler attributes, javascript: and data: URLs other than raster images, also among animation
+ * values, DOCTYPE internal subsets with their entity declarations, and processing instructions
+ * such as xml-stylesheet. The rest of the document is left untouched.
+ *
+ * @param {String} source
+ * @returns {String}
+ */
+function sanitizeSvg(source) {
+  let svg = source;
+  let previous;
+
+  // Removing a tag can join the pieces around it into a new one, so repeat until nothing changes
+  do {
+    previous = svg;
+
+    for (const element of UNSAFE_ELEMENTS) {
+      // Elements may carry a namespace prefix, e.g. <svg:script>
+      const name = `(?:[\\w.-]+:)?${element}`;
+      svg = svg
+        .replace(new RegExp(`<${name}\\b[\\s\\S]*?</${name}\\s*>`, 'gi'), '')
+        // Self-closing, or left unclosed to hide the rest of the document
+        .replace(new RegExp(`<${name}\\b${TAG_REST}`, 'gi'), '');
+    }
+
+    for (const element of ANIMATIONS) {
+      const name = `(?:[\\w.-]+:)?${element}`;
+      const dropLink = (match, tag) => (animatesLink(tag) ? '' : match);
+      svg = svg
+        .replace(new RegExp(`(<${name}\\b${TAG_REST})(?<!/>)[\\s\\S]*?</${name}\\s*>`, 'gi'), dropLink)
+        .replace(new RegExp(`(<${name}\\b${TAG_REST})`, 'gi'), dropLink);
+    }
+
+    // Internal DTD subsets declare entities that expand into markup, and default attributes such as onload
+    svg = svg
+      .replace(new RegExp(`<!(ENTITY|ATTLIST|ELEMENT|NOTATION)\\b${TAG_REST}`, 'gi'), '')
+      .replace(/(<!DOCTYPE[^[>]*)\[[\s\S]*?\]\s*>/gi, (subset, doctype) => `${doctype.trimEnd()}>`)
+      .replace(/<\?(?!xml\s)[\s\S]*?\?>/gi, '')
+      .replace(new RegExp(`<[a-z][^\\s/>]*${TAG_REST}`, 'gi'), sanitizeTag);
+  } while (svg !== previous);
+
+  return svg;
+}
+
+/**
+ * Sanitises an SVG or gzip-compressed SVGZ file
+ *
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function sanitizeSvgBuffer(buffer) {
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    return zlib.gzipSync(sanitizeSvgBuffer(zlib.gunzipSync(buffer)));
+  }
+
+  return Buffer.from(sanitizeSvg(buffer.toString('utf8')));
+}
+
+module.exports = {
+  sanitizeSvg,
+  sanitizeSvgBuffer
+};
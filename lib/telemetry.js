@@ -0,0 +1,235 @@
+'use strict';
+
+const { EventEmitter } = require('node:events');
+const { registry: defaultRegistry } = require('./metrics');
+const { requireOptional } = require('./logging');
+
+// OpenTelemetry span kinds and status codes, as defined by @opentelemetry/api
+const SPAN_KIND_INTERNAL = 0;
+const SPAN_KIND_CLIENT = 2;
+const SPAN_STATUS_ERROR = 2;
+
+let otel;
+
+/**
+ * Loads the OpenTelemetry API, once
+ * Spans are only recorded when the application registered an OpenTelemetry SDK, the API is a no-op otherwise.
+ *
+ * @returns {Object|null} @opentelemetry/api, or null when it is not installed
+ */
+function loadOpenTelemetry() {
+  if (otel === undefined) {
+    otel = requireOptional('@opentelemetry/api');
+  }
+
+  return otel;
+}
+
+/**
+ * Returns the duration since a start time, in seconds
+ *
+ * @param {BigInt} start from process.hrtime.bigint()
+ * @returns {Number}
+ */
+function secondsSince(start) {
+  return Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * Returns the name of an S3 command, e.g. PutObject
+ *
+ * @param {Object} command
+ * @returns {String}
+ */
+function getCommandName(command) {
+  return command.constructor.name.replace(/Command$/, '');
+}
+
+/**
+ * Records metrics, events and spans for storage operations and the Object Store requests they make
+ *
+ * Events:
+ * - `operation` for every adapter method call (save, saveRaw, delete, exists, read, serve):
+ *   `{operation, role, key, duration, bytes, status, error}` where duration is in seconds, status is
+ *   `success` or `error` (the HTTP status code for serve) and error the error class name
+ * - `request` for every Object Store request: `{command, target, bucket, key, duration, status, error}`
+ * - `cache` for every cache lookup: `{role, key, result}`, result being hit, revalidated, miss or bypass
+ */
+class Telemetry extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {String} [options.role] Ghost storage role, added to every metric
+   * @param {MetricsRegistry} [options.registry] defaults to the registry of the process
+   * @param {Boolean} [options.tracing] record OpenTelemetry spans when the API is installed
+   */
+  constructor({ role, registry = defaultRegistry, tracing = true } = {}) {
+    super();
+    this.role = role || 'default';
+    this.registry = registry;
+
+    const api = tracing ? loadOpenTelemetry() : null;
+    this.tracer = api ? api.trace.getTracer('ghost-object-store') : null;
+  }
+
+  /**
+   * Runs a function in an active span, so spans started inside it become its children
+   *
+   * @param {String} name
+   * @param {Object} options span kind and attributes
+   * @param {Function} fn `(span) => Promise`, span is null without tracing
+   * @returns {Promise<*>}
+   */
+  trace(name, options, fn) {
+    if (!this.tracer) {
+      return fn(null);
+    }
+
+    // Attributes must not be undefined
+    const attributes = {};
+    for (const [attribute, value] of Object.entries(options.attributes || {})) {
+      if (value !== undefined && value !== null) {
+        attributes[attribute] = value;
+      }
+    }
+
+    return this.tracer.startActiveSpan(name, { ...options, attributes }, async (span) => {
+      try {
+        return await fn(span);
+      } catch (error) {
+        span.recordException(error);
+        span.setStatus({ code: SPAN_STATUS_ERROR, message: error.message });
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Measures an adapter operation
+   *
+   * @param {String} operation
+   * @param {String} [key] object key
+   * @param {Function} fn `(record) => Promise`, may set `record.bytes` and `record.status`
+   * @returns {Promise<*>} the result of fn
+   */
+  operation(operation, key, fn) {
+    const record = { operation, role: this.role, key, duration: 0, bytes: undefined, status: 'success', error: undefined };
+    const start = process.hrtime.bigint();
+
+    return this.trace(`object-store.${operation}`, {
+      kind: SPAN_KIND_INTERNAL,
+      attributes: { 'ghost.storage.role': this.role, 'ghost.storage.operation': operation, 'aws.s3.key': key }
+    }, async (span) => {
+      try {
+        return await fn(record);
+      } catch (error) {
+        record.status = 'error';
+        record.error = error.name;
+        throw error;
+      } finally {
+        record.duration = secondsSince(start);
+        if (span) {
+          // save() only knows the key once it has been generated
+          if (record.key !== key) {
+            span.setAttribute('aws.s3.key', record.key);
+          }
+          if (record.bytes !== undefined) {
+            span.setAttribute('ghost.storage.bytes', record.bytes);
+          }
+          if (typeof record.status === 'number') {
+            span.setAttribute('http.response.status_code', record.status);
+          }
+        }
+        this.recordOperation(record);
+      }
+    });
+  }
+
+  /**
+   * Measures a request to an Object Store
+   *
+   * @param {Object} command S3 command
+   * @param {String} target store the request is sent to, primary or a replica
+   * @param {Function} send `() => Promise`
+   * @returns {Promise<Object>} the response
+   */
+  request(command, target, send) {
+    const input = command.input || {};
+    const record = {
+      command: getCommandName(command),
+      target,
+      bucket: input.Bucket,
+      key: input.Key,
+      duration: 0,
+      status: 'success',
+      error: undefined
+    };
+    const start = process.hrtime.bigint();
+
+    return this.trace(`S3.${record.command}`, {
+      kind: SPAN_KIND_CLIENT,
+      attributes: {
+        'rpc.system': 'aws-api',
+        'rpc.service': 'S3',
+        'rpc.method': record.command,
+        'aws.s3.bucket': record.bucket,
+        'aws.s3.key': record.key,
+        'ghost.storage.target': target
+      }
+    }, async () => {
+      try {
+        return await send();
+      } catch (error) {
+        record.status = 'error';
+        record.error = error.name;
+        throw error;
+      } finally {
+        record.duration = secondsSince(start);
+        this.recordRequest(record);
+      }
+    });
+  }
+
+  /**
+   * Records the result of a cache lookup
+   *
+   * @param {String} key
+   * @param {String} result hit, revalidated, miss or bypass
+   */
+  cacheLookup(key, result) {
+    this.registry.counter('ghost_object_store_cache_lookups_total', 'Cache lookups by result')
+      .inc({ role: this.role, result });
+    this.emit('cache', { role: this.role, key, result });
+  }
+
+  recordOperation(record) {
+    const { operation, role, status, error } = record;
+
+    this.registry.counter('ghost_object_store_operations_total', 'Storage operations by status and error class')
+      .inc({ operation, role, status, error });
+    this.registry.histogram('ghost_object_store_operation_duration_seconds', 'Duration of storage operations')
+      .observe({ operation, role }, record.duration);
+    if (record.bytes) {
+      this.registry.counter('ghost_object_store_operation_bytes_total', 'Bytes written or read by storage operations')
+        .inc({ operation, role }, record.bytes);
+    }
+
+    this.emit('operation', record);
+  }
+
+  recordRequest(record) {
+    const { command, target, status, error } = record;
+
+    this.registry.counter('ghost_object_store_requests_total', 'Object Store requests by status and error class')
+      .inc({ command, target, role: this.role, status, error });
+    this.registry.histogram('ghost_object_store_request_duration_seconds', 'Duration of Object Store requests, retries included')
+      .observe({ command, target, role: this.role }, record.duration);
+
+    this.emit('request', record);
+  }
+}
+
+module.exports = {
+  Telemetry
+};
@@ -0,0 +1,97 @@
+'use strict';
+
+const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { normalizeConfig } = require('./config');
+const { createTarget } = require('./replication');
+const { listObjects } = require('./gc');
+const { toObjectStoreError } = require('./errors');
+
+/**
+ * Lists the tenants with objects in the shared bucket, from the namespaces below tenantPrefix
+ *
+ * @param {Object} config configuration of the shared bucket, outside any tenant
+ * @returns {Promise<String[]>}
+ */
+async function listTenantNamespaces(config) {
+  // The namespaces are listed from the bucket root, whatever the keyPrefix
+  const target = createTarget('shared', config, { ...config, keyPrefix: '' });
+  const tenants = [];
+  let ContinuationToken;
+
+  do {
+    const response = await target.send(new ListObjectsV2Command({
+      Bucket: target.bucket,
+      Prefix: config.tenantPrefix,
+      Delimiter: '/',
+      ContinuationToken
+    }));
+
+    for (const { Prefix } of response.CommonPrefixes || []) {
+      tenants.push(Prefix.slice(config.tenantPrefix.length, -1));
+    }
+    ContinuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+  } while (ContinuationToken);
+
+  return tenants;
+}
+
+/**
+ * Measures the storage used by a tenant: every object in its namespace, in its own bucket when
+ * the `tenants` mapping gives it one
+ *
+ * @param {Object} options adapter options
+ * @param {String} tenant
+ * @returns {Promise<Object>}
+ */
+async function getUsage(options, tenant) {
+  const usage = { tenant, bucket: undefined, objects: 0, bytes: 0 };
+
+  try {
+    const config = normalizeConfig({ ...options, tenant });
+    const target = createTarget(tenant, config, { ...config, keyPrefix: config.tenantNamespace });
+    usage.bucket = config.bucket;
+
+    for await (const object of listObjects(target, '')) {
+      usage.objects++;
+      usage.bytes += object.Size || 0;
+    }
+  } catch (error) {
+    usage.error = toObjectStoreError(error, { message: `Failed to measure the storage of tenant "${tenant}"` }).message;
+  }
+
+  return usage;
+}
+
+/**
+ * Reports the storage used by each tenant
+ * Tenants are those of the `tenants` mapping and those with objects in the shared bucket, or the
+ * given ones. A tenant that cannot be measured is reported with its error, the others still are.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {Object} [options]
+ * @param {String[]} [options.tenants] only report these tenants
+ * @returns {Promise<Object>} `{tenants: [{tenant, bucket, objects, bytes, error?}], objects, bytes}`, with error messages
+ */
+async function getTenantUsage(storage, { tenants } = {}) {
+  const shared = normalizeConfig({ ...storage.adapterOptions, tenant: false });
+  let ids = tenants && tenants.length ? tenants : [
+    ...Object.keys(shared.tenants || {}),
+    ...await listTenantNamespaces(shared)
+  ];
+  ids = [...new Set(ids.map((id) => String(id).toLowerCase()))].sort();
+
+  const report = { tenants: [], objects: 0, bytes: 0 };
+
+  for (const id of ids) {
+    const usage = await getUsage(storage.adapterOptions, id);
+    report.tenants.push(usage);
+    report.objects += usage.objects;
+    report.bytes += usage.bytes;
+  }
+
+  return report;
+}
+
+module.exports = {
+  getTenantUsage
+};
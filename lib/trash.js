@@ -0,0 +1,279 @@
+'use strict';
+
+const { DeleteObjectCommand, ListObjectVersionsCommand } = require('@aws-sdk/client-s3');
+const { copyObject } = require('./multipart');
+const { listObjects } = require('./gc');
+const { InvalidConfigError, NotFoundError, toObjectStoreError } = require('./errors');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Metadata recorded on trashed copies, dropped again when they are restored
+const TRASH_METADATA = ['trashed-at', 'trash-reason', 'retain-until'];
+
+/**
+ * Returns the key an object is moved to when deleted or overwritten
+ * Each deletion gets its own key, so earlier copies of an object are kept too.
+ *
+ * @param {String} trashPrefix
+ * @param {String} key
+ * @param {Date} [date]
+ * @returns {String} e.g. trash/content/images/2026/10/a.png/2026-10-19T12:00:00.000Z
+ */
+function getTrashKey(trashPrefix, key, date = new Date(Date.now())) {
+  return `${trashPrefix}${key}/${date.toISOString()}`;
+}
+
+/**
+ * Parses a key returned by getTrashKey
+ *
+ * @param {String} trashPrefix
+ * @param {String} trashKey
+ * @returns {{key: String, deletedAt: String}|null} null for keys not written by getTrashKey
+ */
+function parseTrashKey(trashPrefix, trashKey) {
+  const match = /^(.+)\/(\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z)$/.exec(trashKey.slice(trashPrefix.length));
+
+  if (!trashKey.startsWith(trashPrefix) || !match) {
+    return null;
+  }
+
+  return { key: match[1], deletedAt: match[2] };
+}
+
+/**
+ * Copies an object to the trash of a store, recording when and why it was trashed
+ * Objects that do not exist are skipped.
+ *
+ * @param {Object} target store, see lib/replication.js
+ * @param {Object} config adapter configuration
+ * @param {String} key
+ * @param {Object} options
+ * @param {String} options.trashKey as returned by getTrashKey
+ * @param {String} options.reason `delete` or `overwrite`
+ * @returns {Promise<void>}
+ */
+async function copyToTrash(target, config, key, { trashKey, reason }) {
+  const { deletedAt } = parseTrashKey(config.trashPrefix, trashKey);
+  const retainUntil = new Date(Date.parse(deletedAt) + config.trashRetention * DAY).toISOString();
+
+  try {
+    await copyObject(target, config, key, trashKey, {
+      metadata: (metadata) => ({ ...metadata, 'trashed-at': deletedAt, 'trash-reason': reason, 'retain-until': retainUntil })
+    });
+  } catch (error) {
+    if (!(toObjectStoreError(error) instanceof NotFoundError)) {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Moves an object to the trash of a store, or only copies it there when it is being overwritten
+ * Objects that do not exist are skipped.
+ *
+ * @param {Object} target store, see lib/replication.js
+ * @param {Object} config adapter configuration
+ * @param {String} key
+ * @param {Object} options
+ * @param {String} options.trashKey as returned by getTrashKey
+ * @param {String} options.reason `delete` or `overwrite`
+ * @returns {Promise<void>}
+ */
+async function moveToTrash(target, config, key, { trashKey, reason }) {
+  await copyToTrash(target, config, key, { trashKey, reason });
+
+  if (reason === 'delete') {
+    await target.send(new DeleteObjectCommand({ Bucket: target.bucket, Key: key }));
+  }
+}
+
+/**
+ * Lists the trashed copies under a prefix, or of a single object, newest first
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {Object} [options]
+ * @param {String} [options.key] only list the copies of this object
+ * @param {String} [options.prefix] object key prefix, defaults to the storage path
+ * @returns {Promise<Array<{key: String, trashKey: String, deletedAt: String, retainUntil: String, size: Number}>>}
+ */
+async function listTrash(storage, { key, prefix = storage.storagePath } = {}) {
+  const { trashPrefix, trashRetention } = storage.config;
+  const entries = [];
+
+  for await (const object of listObjects(storage, `${trashPrefix}${key ? `${key}/` : prefix}`)) {
+    const entry = parseTrashKey(trashPrefix, object.Key);
+
+    if (entry && (!key || entry.key === key)) {
+      entries.push({
+        ...entry,
+        trashKey: object.Key,
+        retainUntil: new Date(Date.parse(entry.deletedAt) + trashRetention * DAY).toISOString(),
+        size: object.Size
+      });
+    }
+  }
+
+  return entries.sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
+
+/**
+ * Lists the versions and delete markers of an object in a versioned bucket, newest first
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {String} key
+ * @returns {Promise<Array<{versionId: String, lastModified: Date, size: Number, isLatest: Boolean, deleteMarker: Boolean}>>}
+ */
+async function listVersions(storage, key) {
+  const versions = [];
+  let KeyMarker;
+  let VersionIdMarker;
+
+  do {
+    const response = await storage.send(new ListObjectVersionsCommand({
+      Bucket: storage.bucket,
+      Prefix: key,
+      KeyMarker,
+      VersionIdMarker
+    }));
+
+    for (const [items, deleteMarker] of [[response.Versions, false], [response.DeleteMarkers, true]]) {
+      for (const item of items || []) {
+        if (item.Key === key) {
+          versions.push({
+            versionId: item.VersionId,
+            lastModified: item.LastModified,
+            size: deleteMarker ? 0 : item.Size,
+            isLatest: Boolean(item.IsLatest),
+            deleteMarker
+          });
+        }
+      }
+    }
+
+    KeyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+    VersionIdMarker = response.IsTruncated ? response.NextVersionIdMarker : undefined;
+  } while (KeyMarker);
+
+  return versions.sort((a, b) => new Date(b.lastModified) - new Date(a.lastModified));
+}
+
+/**
+ * Restores a deleted or overwritten object
+ *
+ * Without options, the most recent trashed copy is restored. Without one, the most recent earlier
+ * version is restored from a versioned bucket. The object is restored on the primary store and
+ * copied to the secondaries in the background.
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {String} key
+ * @param {Object} [options]
+ * @param {String} [options.versionId] restore this version of a versioned bucket
+ * @param {String} [options.deletedAt] restore the trashed copy deleted at this time, as listed by listTrash
+ * @returns {Promise<{key: String, trashKey: String}|{key: String, versionId: String}>}
+ */
+async function restore(storage, key, { versionId, deletedAt } = {}) {
+  const primary = storage.replicator.primary;
+
+  if (versionId && deletedAt) {
+    throw new InvalidConfigError('versionId and deletedAt cannot be combined');
+  }
+
+  let source;
+
+  if (!versionId) {
+    const entries = storage.config.trashPrefix ? await listTrash(storage, { key }) : [];
+    source = deletedAt ? entries.find((entry) => entry.deletedAt === deletedAt) : entries[0];
+
+    if (!source && deletedAt) {
+      throw new NotFoundError(`No copy of "${key}" deleted at ${deletedAt} was found in the trash`, { key });
+    }
+  }
+
+  if (!source && !versionId) {
+    let versions = [];
+    try {
+      versions = await listVersions(storage, key);
+    } catch (error) {
+      // Buckets without versioning support may reject the request, there is nothing to restore then
+      if (!(toObjectStoreError(error) instanceof NotFoundError) && error.name !== 'NotImplemented') {
+        throw error;
+      }
+    }
+
+    const previous = versions.find((version) => !version.isLatest && !version.deleteMarker);
+    if (!previous) {
+      throw new NotFoundError(`No deleted or earlier version of "${key}" was found`, { key });
+    }
+    versionId = previous.versionId;
+  }
+
+  if (source) {
+    await copyObject(primary, storage.config, source.trashKey, key, {
+      metadata: (metadata) => {
+        TRASH_METADATA.forEach((name) => delete metadata[name]);
+        return metadata;
+      }
+    });
+    await storage.replicator.remove(source.trashKey, (target) => target.send(new DeleteObjectCommand({
+      Bucket: target.bucket,
+      Key: source.trashKey
+    })));
+  } else {
+    await copyObject(primary, storage.config, key, key, { versionId });
+  }
+
+  storage.replicator.sync(key);
+  await storage.invalidate(key);
+
+  return source ? { key, trashKey: source.trashKey } : { key, versionId };
+}
+
+/**
+ * Permanently deletes trashed copies once their retention period is over
+ *
+ * @param {ObjectStoreStorage} storage
+ * @param {Object} [options]
+ * @param {Number} [options.olderThan] days trashed copies are kept for, defaults to trashRetention
+ * @param {String} [options.prefix] object key prefix, defaults to the storage path
+ * @param {Function} [options.onProgress] called with {status, key, trashKey, error} for each expired copy
+ * @returns {Promise<{scanned: Number, purged: Number, bytes: Number, failed: Array}>}
+ */
+async function emptyTrash(storage, { olderThan = storage.config.trashRetention, prefix, onProgress = () => {} } = {}) {
+  if (typeof olderThan !== 'number' || !(olderThan >= 0)) {
+    throw new InvalidConfigError(`olderThan must be a number of days, got "${olderThan}"`);
+  }
+
+  const cutoff = Date.now() - olderThan * DAY;
+  const entries = await listTrash(storage, { prefix });
+  const report = { scanned: entries.length, purged: 0, bytes: 0, failed: [] };
+
+  for (const entry of entries.filter(({ deletedAt }) => Date.parse(deletedAt) <= cutoff)) {
+    try {
+      await storage.replicator.remove(entry.trashKey, (target) => target.send(new DeleteObjectCommand({
+        Bucket: target.bucket,
+        Key: entry.trashKey
+      })));
+      report.purged++;
+      report.bytes += entry.size || 0;
+      onProgress({ status: 'purged', key: entry.key, trashKey: entry.trashKey });
+    } catch (error) {
+      const storeError = toObjectStoreError(error, { message: 'Failed to purge trashed object from Object Store', key: entry.trashKey });
+
+      report.failed.push({ key: entry.trashKey, error: storeError.message });
+      onProgress({ status: 'failed', key: entry.key, trashKey: entry.trashKey, error: storeError });
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  copyToTrash,
+  emptyTrash,
+  getTrashKey,
+  listTrash,
+  listVersions,
+  moveToTrash,
+  parseTrashKey,
+  restore
+};
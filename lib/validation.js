@@ -0,0 +1,55 @@
+'use strict';
+
+const { FileTooLargeError, UnsupportedMediaTypeError } = require('./errors');
+
+/**
+ * Checks a content type against a list of allowed types
+ * Entries can be exact types (`application/pdf`), wildcards (`image/*`) or `*` / `*\/*`.
+ * An empty list allows everything.
+ *
+ * @param {String} contentType
+ * @param {String[]} allowedContentTypes
+ * @returns {Boolean}
+ */
+function isContentTypeAllowed(contentType, allowedContentTypes) {
+  if (!allowedContentTypes || !allowedContentTypes.length) {
+    return true;
+  }
+
+  // Ignore parameters such as "; charset=utf-8"
+  const type = String(contentType || '').split(';')[0].trim().toLowerCase();
+
+  return allowedContentTypes.some((allowed) => {
+    if (allowed === '*' || allowed === '*/*') {
+      return true;
+    }
+    if (allowed.endsWith('/*')) {
+      return type.startsWith(allowed.slice(0, -1));
+    }
+    return type === allowed;
+  });
+}
+
+/**
+ * Rejects uploads the configuration does not allow
+ *
+ * @param {Object} upload
+ * @param {String} [upload.contentType]
+ * @param {Number} upload.size size in bytes
+ * @param {String} upload.key object key the upload would be stored under
+ * @param {Object} config adapter configuration
+ */
+function assertUploadAllowed({ contentType, size, key }, config) {
+  if (config.maxFileSize && size > config.maxFileSize) {
+    throw new FileTooLargeError(`File is too large: ${size} bytes exceeds the ${config.maxFileSize} bytes limit`, { key });
+  }
+
+  if (!isContentTypeAllowed(contentType, config.allowedContentTypes)) {
+    throw new UnsupportedMediaTypeError(`Content type "${contentType || 'unknown'}" is not allowed`, { key });
+  }
+}
+
+module.exports = {
+  assertUploadAllowed,
+  isContentTypeAllowed
+};
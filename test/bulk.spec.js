@@ -0,0 +1,181 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { HeadObjectCommand } = require('@aws-sdk/client-s3');
+const ObjectStoreStorage = require('../index.js');
+
+describe('bulk', () => {
+  const MiB = 1024 * 1024;
+  const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+  let tmpDir;
+  let storage;
+
+  const createStorage = (options = {}) => new ObjectStoreStorage({
+    driver: 'filesystem',
+    localPath: path.join(tmpDir, 'primary'),
+    role: 'images',
+    logger,
+    ...options
+  });
+  const file = (key, root = 'primary') => path.join(tmpDir, root, key);
+  const exists = (key, root) => fs.existsSync(file(key, root));
+  const head = (key) => storage.send(new HeadObjectCommand({ Bucket: storage.bucket, Key: key }));
+  const trashReason = async (key) => {
+    const [entry] = await storage.listTrash({ key });
+    return entry && (await head(entry.trashKey)).Metadata['trash-reason'];
+  };
+
+  beforeEach(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'object-store-bulk-'));
+    storage = createStorage();
+    for (const name of ['a.txt', 'b.txt', 'sub/c.txt']) {
+      await storage.saveRaw(Buffer.from(name), `2026/10/${name}`);
+    }
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('deleteObjects', () => {
+    it('should delete objects in batches and report each one', async () => {
+      const onProgress = jest.fn();
+
+      const report = await storage.deleteObjects([
+        'content/images/2026/10/a.txt',
+        '/content/images/2026/10/b.txt',
+        'content/images/2026/10/a.txt',
+        'content/../secret'
+      ], { batchSize: 1, onProgress });
+
+      expect(report).toEqual({
+        requested: 4,
+        deleted: 2,
+        trashed: 0,
+        failed: [{ key: 'content/../secret', error: expect.stringMatching(/"\." and "\.\." segments/) }]
+      });
+      expect(onProgress).toHaveBeenCalledWith({ status: 'deleted', key: 'content/images/2026/10/b.txt' });
+      expect(exists('content/images/2026/10/a.txt')).toBe(false);
+      expect(exists('content/images/2026/10/sub/c.txt')).toBe(true);
+    });
+
+    it('should move the objects to the trash in soft delete mode', async () => {
+      storage = createStorage({ softDelete: true });
+
+      const report = await storage.deleteObjects(['content/images/2026/10/a.txt']);
+
+      expect(report).toMatchObject({ deleted: 0, trashed: 1, failed: [] });
+      await expect(trashReason('content/images/2026/10/a.txt')).resolves.toBe('delete');
+      expect(exists('content/images/2026/10/a.txt')).toBe(false);
+    });
+
+    it('should move the objects to the trash of every store in soft delete mode', async () => {
+      storage = createStorage({ softDelete: true, replicas: [{ driver: 'filesystem', localPath: path.join(tmpDir, 'replica') }] });
+      await storage.saveRaw(Buffer.from('x'), 'x.txt');
+
+      await expect(storage.deleteObjects(['content/images/x.txt'])).resolves.toMatchObject({ trashed: 1, failed: [] });
+
+      const [entry] = await storage.listTrash({ key: 'content/images/x.txt' });
+      expect(exists(entry.trashKey, 'replica')).toBe(true);
+      expect(exists('content/images/x.txt', 'replica')).toBe(false);
+      expect(storage.replicator.queue).toHaveLength(0);
+    });
+
+    it('should delete every object under a prefix', async () => {
+      await expect(storage.deletePrefix('content/images/2026/10/sub')).resolves.toMatchObject({ requested: 1, deleted: 1 });
+
+      expect(exists('content/images/2026/10/sub/c.txt')).toBe(false);
+      expect(exists('content/images/2026/10/a.txt')).toBe(true);
+    });
+
+    it('should reject invalid options', async () => {
+      await expect(storage.deleteObjects([], { batchSize: 1001 })).rejects.toMatchObject({ name: 'InvalidConfigError' });
+      await expect(storage.deletePrefix('')).rejects.toMatchObject({ name: 'InvalidKeyError' });
+    });
+  });
+
+  describe('copyObjects', () => {
+    it('should copy objects with their content type', async () => {
+      const onProgress = jest.fn();
+
+      const report = await storage.copyObjects([
+        { from: 'content/images/2026/10/a.txt', to: 'archive/a.txt' },
+        { from: 'content/images/2026/10/missing.txt', to: 'archive/missing.txt' },
+        { from: 'content/images/2026/10/b.txt', to: 'content/images/2026/10/b.txt' }
+      ], { onProgress });
+
+      expect(report).toEqual({
+        requested: 3,
+        copied: 1,
+        skipped: 0,
+        bytes: 5,
+        failed: expect.arrayContaining([
+          { key: 'content/images/2026/10/missing.txt', to: 'archive/missing.txt', error: expect.stringMatching(/^Failed to copy file/) },
+          { key: 'content/images/2026/10/b.txt', to: 'content/images/2026/10/b.txt', error: expect.stringMatching(/onto itself/) }
+        ])
+      });
+      expect(onProgress).toHaveBeenCalledWith({ status: 'copied', key: 'content/images/2026/10/a.txt', to: 'archive/a.txt', size: 5 });
+      expect(fs.readFileSync(file('archive/a.txt'), 'utf8')).toBe('a.txt');
+      await expect(head('archive/a.txt')).resolves.toMatchObject({ ContentType: 'text/plain' });
+      expect(exists('content/images/2026/10/a.txt')).toBe(true);
+    });
+
+    it('should skip existing objects unless overwriting', async () => {
+      const report = await storage.copyObjects([{ from: 'content/images/2026/10/a.txt', to: 'content/images/2026/10/b.txt' }], { overwrite: false });
+
+      expect(report).toMatchObject({ copied: 0, skipped: 1 });
+      expect(fs.readFileSync(file('content/images/2026/10/b.txt'), 'utf8')).toBe('b.txt');
+    });
+
+    it('should keep overwritten objects in the trash in soft delete mode', async () => {
+      storage = createStorage({ softDelete: true });
+
+      await storage.copyObjects([{ from: 'content/images/2026/10/a.txt', to: 'content/images/2026/10/b.txt' }]);
+
+      expect(fs.readFileSync(file('content/images/2026/10/b.txt'), 'utf8')).toBe('a.txt');
+      await expect(trashReason('content/images/2026/10/b.txt')).resolves.toBe('overwrite');
+    });
+
+    it('should copy large objects in parts', async () => {
+      storage = createStorage({ multipartThreshold: MiB, multipartPartSize: 5 * MiB });
+      const body = Buffer.alloc(5 * MiB + 10, 1);
+      body.write('end', body.length - 3);
+      await storage.saveRaw(body, 'video.mp4');
+      const send = jest.spyOn(storage.s3Client, 'send');
+
+      await expect(storage.copyObjects([{ from: 'content/images/video.mp4', to: 'archive/video.mp4' }])).resolves.toMatchObject({ copied: 1 });
+
+      expect(send.mock.calls.filter(([command]) => command.constructor.name === 'UploadPartCopyCommand')).toHaveLength(2);
+      expect(fs.readFileSync(file('archive/video.mp4')).equals(body)).toBe(true);
+    });
+
+    it('should move objects and prefixes', async () => {
+      await expect(storage.moveObjects([{ from: 'content/images/2026/10/a.txt', to: 'content/images/2026/11/a.txt' }]))
+        .resolves.toEqual({ requested: 1, moved: 1, skipped: 0, bytes: 5, failed: [] });
+      expect(exists('content/images/2026/10/a.txt')).toBe(false);
+      expect(exists('content/images/2026/11/a.txt')).toBe(true);
+
+      const onProgress = jest.fn();
+      await expect(storage.movePrefix('content/images/2026/10/', 'archive/2026/10', { onProgress })).resolves.toMatchObject({ requested: 2, moved: 2 });
+      expect(onProgress).toHaveBeenCalledWith({ status: 'moved', key: 'content/images/2026/10/sub/c.txt', to: 'archive/2026/10/sub/c.txt', size: 9 });
+      expect(exists('archive/2026/10/b.txt')).toBe(true);
+      expect(exists('content/images/2026/10/b.txt')).toBe(false);
+    });
+
+    it('should reject overlapping prefixes', async () => {
+      await expect(storage.copyPrefix('content/images/', 'content/images/2026/')).rejects.toThrow('Prefixes "content/images/" and "content/images/2026/" overlap');
+    });
+
+    it('should bring replicas up to date', async () => {
+      storage = createStorage({ replicas: [{ driver: 'filesystem', localPath: path.join(tmpDir, 'replica') }] });
+      await storage.saveRaw(Buffer.from('x'), 'x.txt');
+
+      await storage.moveObjects([{ from: 'content/images/x.txt', to: 'archive/x.txt' }]);
+      await storage.replicator.flush();
+
+      expect(exists('archive/x.txt', 'replica')).toBe(true);
+      expect(exists('content/images/x.txt', 'replica')).toBe(false);
+    });
+  });
+});
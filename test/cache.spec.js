@@ -0,0 +1,196 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { Readable } = require('node:stream');
+const { DiskStore, MemoryStore, ObjectCache, createCache } = require('../lib/cache');
+
+describe('cache', () => {
+  describe('ObjectCache', () => {
+    let cache;
+    let now;
+    let objects;
+    let loaders;
+
+    const loadersFor = (key) => ({
+      head: jest.fn(async () => {
+        const { Body, ...metadata } = objects[key];
+        return { ...metadata, ContentLength: Body.length };
+      }),
+      get: jest.fn(async () => ({ ...objects[key], Body: Readable.from([objects[key].Body]), ContentLength: objects[key].Body.length }))
+    });
+
+    beforeEach(() => {
+      now = 0;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+      objects = {
+        a: { ETag: '"a1"', ContentType: 'image/png', Body: Buffer.from('aaaa') },
+        b: { ETag: '"b1"', ContentType: 'image/png', Body: Buffer.from('bbbb') },
+        c: { ETag: '"c1"', ContentType: 'image/png', Body: Buffer.from('cccc') },
+        big: { ETag: '"big"', ContentType: 'video/mp4', Body: Buffer.alloc(20) }
+      };
+      loaders = loadersFor('a');
+      cache = new ObjectCache({ store: new MemoryStore(), maxSize: 10, maxObjectSize: 8, ttl: 1000 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should download an object once and serve it from the cache within the TTL', async () => {
+      const first = await cache.fetch('a', loaders);
+      now = 999;
+      const second = await cache.fetch('a', loaders);
+
+      expect(first).toEqual({ metadata: { ETag: '"a1"', ContentType: 'image/png', ContentLength: 4 }, body: Buffer.from('aaaa') });
+      expect(second).toEqual(first);
+      expect(loaders.head).not.toHaveBeenCalled();
+      expect(loaders.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should revalidate expired entries with a HEAD request', async () => {
+      await cache.fetch('a', loaders);
+      now = 1000;
+
+      const result = await cache.fetch('a', loaders);
+
+      expect(result.body).toEqual(Buffer.from('aaaa'));
+      expect(loaders.head).toHaveBeenCalledTimes(1);
+      expect(loaders.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should download the object again when its ETag changed', async () => {
+      await cache.fetch('a', loaders);
+      objects.a = { ETag: '"a2"', ContentType: 'image/png', Body: Buffer.from('AAAA') };
+      now = 1000;
+
+      const result = await cache.fetch('a', loaders);
+
+      expect(result.body).toEqual(Buffer.from('AAAA'));
+      expect(loaders.get).toHaveBeenCalledTimes(2);
+      expect(cache.size).toBe(4);
+    });
+
+    it('should share a single download between concurrent misses', async () => {
+      const results = await Promise.all([cache.fetch('a', loaders), cache.fetch('a', loaders), cache.fetch('a', loaders)]);
+
+      expect(loaders.get).toHaveBeenCalledTimes(1);
+      expect(results[1]).toBe(results[0]);
+    });
+
+    it('should not cache objects larger than the maximum object size, nor look them up again within the TTL', async () => {
+      const body = Readable.from([objects.big.Body]);
+      const big = loadersFor('big');
+      big.get.mockResolvedValue({ ETag: '"big"', ContentType: 'video/mp4', ContentLength: 20, Body: body });
+
+      const result = await cache.fetch('big', big);
+      await expect(cache.fetch('big', big)).resolves.toEqual(result);
+
+      expect(result).toEqual({ metadata: { ETag: '"big"', ContentType: 'video/mp4', ContentLength: 20 }, body: null });
+      expect(body.destroyed).toBe(true);
+      expect(big.get).toHaveBeenCalledTimes(1);
+      expect(big.head).not.toHaveBeenCalled();
+      expect(cache.entries.size).toBe(0);
+
+      // Once the TTL is over, a HEAD request tells whether it is still too large
+      now = 1000;
+      await expect(cache.fetch('big', big)).resolves.toEqual(result);
+      expect(big.head).toHaveBeenCalledTimes(1);
+      expect(big.get).toHaveBeenCalledTimes(1);
+    });
+
+    it('should evict the least recently used objects beyond the maximum size', async () => {
+      await cache.fetch('a', loaders);
+      await cache.fetch('b', loadersFor('b'));
+      // a becomes the most recently used, b is evicted next
+      await cache.fetch('a', loaders);
+      await cache.fetch('c', loadersFor('c'));
+
+      expect([...cache.entries.keys()]).toEqual(['a', 'c']);
+      expect(cache.size).toBe(8);
+    });
+
+    it('should forget invalidated objects', async () => {
+      await cache.fetch('a', loaders);
+      await cache.delete('a');
+      await cache.fetch('a', loaders);
+
+      expect(loaders.get).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not cache a download that was invalidated while in flight', async () => {
+      const loading = cache.fetch('a', loaders);
+      await cache.delete('a');
+      await loading;
+
+      expect(cache.entries.size).toBe(0);
+    });
+
+    it('should reject when the object cannot be loaded', async () => {
+      loaders.get.mockRejectedValue(new Error('Not Found'));
+
+      await expect(cache.fetch('a', loaders)).rejects.toThrow('Not Found');
+      expect(cache.pending.size).toBe(0);
+    });
+  });
+
+  describe('DiskStore', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should write, read and remove bodies', async () => {
+      const store = new DiskStore(dir);
+
+      await store.write('content/images/a.jpg', Buffer.from('body'));
+      expect(await store.read('content/images/a.jpg')).toEqual(Buffer.from('body'));
+
+      await store.remove('content/images/a.jpg');
+      expect(await store.read('content/images/a.jpg')).toBeUndefined();
+    });
+
+    it('should keep its files apart from other processes and stores', async () => {
+      const live = path.join(dir, `${os.hostname()}-${process.ppid}-1`, 'a'.repeat(64));
+      const stale = path.join(dir, `${os.hostname()}-2147483646-1`, 'a'.repeat(64));
+      const otherHost = path.join(dir, 'other-host-2147483646-1', 'a'.repeat(64));
+      const foreign = path.join(dir, 'notes.txt');
+      for (const file of [live, stale, otherHost, foreign]) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, 'body');
+      }
+
+      const first = new DiskStore(dir);
+      const second = new DiskStore(dir);
+      await first.write('content/images/a.jpg', Buffer.from('first'));
+      await second.write('content/images/a.jpg', Buffer.from('second'));
+
+      expect(first.dir).not.toBe(second.dir);
+      expect(await first.read('content/images/a.jpg')).toEqual(Buffer.from('first'));
+      expect(fs.existsSync(stale)).toBe(false);
+      expect([live, otherHost, foreign].filter((file) => fs.existsSync(file))).toEqual([live, otherHost, foreign]);
+    });
+  });
+
+  describe('createCache', () => {
+    const config = { cacheDir: '/tmp/cache', cacheMaxSize: 100, cacheMaxObjectSize: 10, cacheTtl: 60 };
+
+    it('should be disabled by default', () => {
+      expect(createCache(config)).toBeNull();
+    });
+
+    it('should create a memory or per-role disk cache', () => {
+      expect(createCache({ ...config, cache: 'memory' }).store).toBeInstanceOf(MemoryStore);
+
+      const cache = createCache({ ...config, cache: 'disk', role: 'images' });
+      expect(cache.store.parent).toBe(path.join('/tmp/cache', 'images'));
+      expect(path.dirname(cache.store.dir)).toBe(path.join('/tmp/cache', 'images'));
+      expect(cache.ttl).toBe(60000);
+    });
+  });
+});
@@ -0,0 +1,417 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { run } = require('../lib/cli');
+
+describe('cli', () => {
+  let stdout;
+  let stderr;
+  let storage;
+  let createStorage;
+
+  const output = (stream) => stream.write.mock.calls.map(([chunk]) => chunk).join('');
+
+  beforeEach(() => {
+    stdout = { write: jest.fn() };
+    stderr = { write: jest.fn() };
+    storage = {
+      migrate: jest.fn(async (options) => {
+        options.onProgress({ status: 'uploaded', path: '2023/05/photo.jpg', key: 'content/images/2023/05/photo.jpg' });
+        return { dryRun: options.dryRun, scanned: 1, uploaded: 1, skipped: 0, failed: [], bytes: 2048, files: {} };
+      }),
+      replicator: { flush: jest.fn(async () => 0) }
+    };
+    createStorage = jest.fn(() => storage);
+  });
+
+  it('should print the usage without a command', async () => {
+    const code = await run([], { stdout, stderr, createStorage });
+
+    expect(code).toBe(0);
+    expect(output(stdout)).toContain('Usage: ghost-object-store <command>');
+  });
+
+  it('should reject unknown commands', async () => {
+    const code = await run(['frobnicate'], { stdout, stderr, createStorage });
+
+    expect(code).toBe(2);
+    expect(output(stderr)).toContain('Unknown command "frobnicate"');
+  });
+
+  describe('migrate', () => {
+    it('should migrate the source directory and print a summary', async () => {
+      const code = await run([
+        'migrate', '--source', 'content/images', '--concurrency', '8', '--state', 'state.jsonl', '--dry-run'
+      ], { stdout, stderr, createStorage });
+
+      expect(code).toBe(0);
+      expect(createStorage).toHaveBeenCalledWith({});
+      expect(storage.migrate).toHaveBeenCalledWith(expect.objectContaining({
+        source: 'content/images',
+        concurrency: 8,
+        statePath: 'state.jsonl',
+        dryRun: true,
+        overwrite: false
+      }));
+      expect(output(stderr)).toContain('uploaded  2023/05/photo.jpg -> content/images/2023/05/photo.jpg');
+      expect(output(stdout)).toBe([
+        'Dry run: 1 files scanned',
+        '  to upload: 1 (2.0 KiB)',
+        '  skipped: 0',
+        '  failed: 0',
+        ''
+      ].join('\n'));
+    });
+
+    it('should print the report as JSON', async () => {
+      await run(['migrate', '--source', 'content/images', '--json', '--quiet'], { stdout, stderr, createStorage });
+
+      expect(JSON.parse(output(stdout))).toMatchObject({ scanned: 1, uploaded: 1 });
+      expect(stderr.write).not.toHaveBeenCalled();
+    });
+
+    it('should exit with 1 when files failed', async () => {
+      storage.migrate.mockResolvedValue({
+        scanned: 1, uploaded: 0, skipped: 0, bytes: 0, files: {},
+        failed: [{ path: 'a.jpg', error: 'Access Denied' }]
+      });
+
+      expect(await run(['migrate', '--source', 'content/images'], { stdout, stderr, createStorage })).toBe(1);
+    });
+
+    it('should wait for replication and exit with 1 when it failed', async () => {
+      storage.replicator.flush.mockResolvedValue(2);
+
+      const code = await run(['migrate', '--source', 'content/images'], { stdout, stderr, createStorage });
+
+      expect(code).toBe(1);
+      expect(storage.replicator.flush).toHaveBeenCalledTimes(1);
+      expect(output(stderr)).toContain('failed to replicate 2 objects to the replicas, see the log');
+    });
+
+    it('should load the adapter configuration from a Ghost config file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+      const configPath = path.join(dir, 'config.production.json');
+      fs.writeFileSync(configPath, JSON.stringify({
+        url: 'https://example.com',
+        storage: { active: 'object-store', 'object-store': { bucket: 'blog' } }
+      }));
+
+      try {
+        await run(['migrate', '--source', 'content/media', '--config', configPath, '--role', 'media'], {
+          stdout, stderr, createStorage
+        });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(createStorage).toHaveBeenCalledWith({ bucket: 'blog', role: 'media' });
+    });
+
+    it('should merge the storage section of the role from a Ghost config file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+      const configPath = path.join(dir, 'config.production.json');
+      fs.writeFileSync(configPath, JSON.stringify({
+        storage: {
+          active: 'object-store',
+          'object-store': { bucket: 'blog', region: 'eu-west-1', tags: { site: 'blog', env: 'prod' } },
+          media: { adapter: 'object-store', bucket: 'blog-media', tags: { kind: 'media' } },
+          files: 'object-store'
+        }
+      }));
+
+      try {
+        await run(['migrate', '--source', 'content/media', '--config', configPath, '--role', 'media'], { stdout, stderr, createStorage });
+        await run(['migrate', '--source', 'content/files', '--config', configPath, '--role', 'files'], { stdout, stderr, createStorage });
+        await run(['migrate', '--source', 'content/images', '--config', configPath], { stdout, stderr, createStorage });
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+
+      expect(createStorage.mock.calls.map(([config]) => config)).toEqual([
+        { bucket: 'blog-media', region: 'eu-west-1', tags: { site: 'blog', env: 'prod', kind: 'media' }, role: 'media' },
+        { bucket: 'blog', region: 'eu-west-1', tags: { site: 'blog', env: 'prod' }, role: 'files' },
+        { bucket: 'blog', region: 'eu-west-1', tags: { site: 'blog', env: 'prod' } }
+      ]);
+    });
+
+    it('should report usage errors', async () => {
+      expect(await run(['migrate'], { stdout, stderr, createStorage })).toBe(2);
+      expect(output(stderr)).toContain('--source is required');
+
+      expect(await run(['migrate', '--source', 'x', '--concurrency', 'lots'], { stdout, stderr, createStorage })).toBe(2);
+      expect(await run(['migrate', '--source', 'x', '--bogus'], { stdout, stderr, createStorage })).toBe(2);
+      expect(storage.migrate).not.toHaveBeenCalled();
+    });
+
+    it('should report configuration errors', async () => {
+      createStorage.mockImplementation(() => {
+        throw new Error('Invalid Object Store configuration:\n - accessKey is required');
+      });
+
+      expect(await run(['migrate', '--source', 'x'], { stdout, stderr, createStorage })).toBe(1);
+      expect(output(stderr)).toContain('accessKey is required');
+    });
+  });
+
+  describe('gc', () => {
+    beforeEach(() => {
+      storage.collectGarbage = jest.fn(async (options) => {
+        options.onProgress({ status: 'quarantined', key: 'content/images/a.jpg', size: 1024 });
+        return {
+          dryRun: !options.delete, scanned: 3, referenced: 1, recent: 1, bytes: 1024,
+          orphaned: [{ key: 'content/images/a.jpg', size: 1024 }],
+          quarantined: 1, deleted: 0, purged: 0, failed: []
+        };
+      });
+    });
+
+    it('should collect garbage and print a summary', async () => {
+      const code = await run([
+        'gc', '--export', 'export.json', '--export', 'ghost.sql', '--delete', '--grace-period', '14', '--purge'
+      ], { stdout, stderr, createStorage });
+
+      expect(code).toBe(0);
+      expect(storage.collectGarbage).toHaveBeenCalledWith(expect.objectContaining({
+        referencePaths: ['export.json', 'ghost.sql'],
+        delete: true,
+        gracePeriod: 14,
+        quarantinePrefix: undefined,
+        purge: true
+      }));
+      expect(output(stderr)).toContain('quarantined content/images/a.jpg');
+      expect(output(stdout)).toContain('  orphaned: 1 (1.0 KiB)');
+      expect(output(stdout)).toContain('  quarantined: 1');
+    });
+
+    it('should delete right away with --permanent', async () => {
+      await run(['gc', '--export', 'export.json', '--delete', '--permanent'], { stdout, stderr, createStorage });
+
+      expect(storage.collectGarbage).toHaveBeenCalledWith(expect.objectContaining({ quarantinePrefix: '' }));
+    });
+
+    it('should only report without --delete', async () => {
+      await run(['gc', '--export', 'export.json'], { stdout, stderr, createStorage });
+
+      expect(output(stdout)).toContain('run with --delete to remove orphaned objects');
+    });
+
+    it('should report usage errors', async () => {
+      expect(await run(['gc'], { stdout, stderr, createStorage })).toBe(2);
+      expect(output(stderr)).toContain('--export is required');
+
+      expect(await run(['gc', '--export', 'x', '--grace-period', 'soon'], { stdout, stderr, createStorage })).toBe(2);
+      expect(await run(['gc', '--export', 'x', '--permanent', '--quarantine', 'trash/'], { stdout, stderr, createStorage })).toBe(2);
+      expect(storage.collectGarbage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('trash', () => {
+    beforeEach(() => {
+      storage.listTrash = jest.fn(async () => [{
+        key: 'content/images/a.jpg',
+        trashKey: 'trash/content/images/a.jpg/2026-10-18T00:00:00.000Z',
+        deletedAt: '2026-10-18T00:00:00.000Z',
+        size: 2048
+      }]);
+      storage.emptyTrash = jest.fn(async (options) => {
+        options.onProgress({ status: 'purged', key: 'content/images/a.jpg', trashKey: 'trash/content/images/a.jpg/2026-09-01T00:00:00.000Z' });
+        return { scanned: 2, purged: 1, bytes: 1024, failed: [] };
+      });
+    });
+
+    it('should list the trash', async () => {
+      const code = await run(['trash', '--key', 'content/images/a.jpg'], { stdout, stderr, createStorage });
+
+      expect(code).toBe(0);
+      expect(storage.listTrash).toHaveBeenCalledWith({ key: 'content/images/a.jpg' });
+      expect(output(stdout)).toContain('2026-10-18T00:00:00.000Z     2.0 KiB  content/images/a.jpg');
+    });
+
+    it('should empty the trash', async () => {
+      const code = await run(['trash', '--empty', '--older-than', '7'], { stdout, stderr, createStorage });
+
+      expect(code).toBe(0);
+      expect(storage.emptyTrash).toHaveBeenCalledWith(expect.objectContaining({ olderThan: 7 }));
+      expect(output(stderr)).toContain('purged trash/content/images/a.jpg/2026-09-01T00:00:00.000Z');
+      expect(output(stdout)).toContain('  purged: 1 (1.0 KiB)');
+    });
+
+    it('should report usage errors', async () => {
+      expect(await run(['trash', '--empty', '--older-than', 'soon'], { stdout, stderr, createStorage })).toBe(2);
+      expect(await run(['trash', '--empty', '--key', 'a.jpg'], { stdout, stderr, createStorage })).toBe(2);
+      expect(storage.emptyTrash).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('restore', () => {
+    beforeEach(() => {
+      storage.restore = jest.fn(async (key) => ({ key, trashKey: `trash/${key}/2026-10-18T00:00:00.000Z` }));
+      storage.listTrash = jest.fn(async () => []);
+      storage.listVersions = jest.fn(async () => [
+        { versionId: 'v2', lastModified: new Date('2026-10-18T00:00:00.000Z'), size: 10, isLatest: true, deleteMarker: false }
+      ]);
+    });
+
+    it('should restore an object', async () => {
+      const code = await run(['restore', '--key', 'content/images/a.jpg', '--deleted-at', '2026-10-18T00:00:00.000Z'], { stdout, stderr, createStorage });
+
+      expect(code).toBe(0);
+      expect(storage.restore).toHaveBeenCalledWith('content/images/a.jpg', { deletedAt: '2026-10-18T00:00:00.000Z', versionId: undefined });
+      expect(output(stdout)).toContain('Restored content/images/a.jpg from the trash');
+    });
+
+    it('should list what can be restored', async () => {
+      await run(['restore', '--key', 'content/images/a.jpg', '--list'], { stdout, stderr, createStorage });
+
+      expect(storage.restore).not.toHaveBeenCalled();
+      expect(output(stdout)).toContain('--version-id v2  2026-10-18T00:00:00.000Z  10 B (current)');
+    });
+
+    it('should report usage errors', async () => {
+      expect(await run(['restore'], { stdout, stderr, createStorage })).toBe(2);
+      expect(output(stderr)).toContain('--key is required');
+
+      expect(await run(['restore', '--key', 'a.jpg', '--deleted-at', 'x', '--version-id', 'v1'], { stdout, stderr, createStorage })).toBe(2);
+      expect(storage.restore).not.toHaveBeenCalled();
+    });
+
+    it('should exit with 1 when there is nothing to restore', async () => {
+      storage.restore.mockRejectedValue(new Error('No deleted or earlier version of "a.jpg" was found'));
+
+      expect(await run(['restore', '--key', 'a.jpg'], { stdout, stderr, createStorage })).toBe(1);
+      expect(output(stderr)).toContain('No deleted or earlier version');
+    });
+  });
+
+  describe('tenants', () => {
+    beforeEach(() => {
+      storage.tenantUsage = jest.fn(async () => ({
+        tenants: [
+          { tenant: 'blog', bucket: 'ghost', objects: 2, bytes: 2048 },
+          { tenant: 'gone', bucket: 'missing', objects: 0, bytes: 0, error: 'Failed to measure the storage of tenant "gone": NoSuchBucket' }
+        ],
+        objects: 2,
+        bytes: 2048
+      }));
+    });
+
+    it('should report the usage of each tenant', async () => {
+      const code = await run(['tenants', '--tenant', 'blog', '--tenant', 'gone'], { stdout, stderr, createStorage });
+
+      expect(code).toBe(1);
+      expect(createStorage).toHaveBeenCalledWith({});
+      expect(storage.tenantUsage).toHaveBeenCalledWith({ tenants: ['blog', 'gone'] });
+      expect(output(stdout)).toContain('blog  2 objects  2.0 KiB  (ghost)');
+      expect(output(stdout)).toContain('gone  failed: Failed to measure the storage of tenant "gone"');
+      expect(output(stdout)).toContain('2 tenants, 2 objects, 2.0 KiB');
+    });
+
+    it('should work on the tenant given to the other commands', async () => {
+      storage.listTrash = jest.fn(async () => []);
+
+      await run(['trash', '--tenant', 'blog', '--role', 'media'], { stdout, stderr, createStorage });
+
+      expect(createStorage).toHaveBeenCalledWith({ role: 'media', tenant: 'blog' });
+    });
+  });
+
+  describe('copy, move and delete', () => {
+    beforeEach(() => {
+      const copyReport = async (from, to, options) => {
+        options.onProgress({ status: 'copied', key: 'content/images/a.jpg', to: 'archive/a.jpg', size: 1024 });
+        options.onProgress({ status: 'failed', key: 'content/images/b.jpg', to: 'archive/b.jpg', error: new Error('Access Denied') });
+        return { requested: 2, copied: 1, skipped: 0, bytes: 1024, failed: [{ key: 'content/images/b.jpg', error: 'Access Denied' }] };
+      };
+      storage.copyPrefix = jest.fn(copyReport);
+      storage.moveObjects = jest.fn(async () => ({ requested: 1, moved: 1, skipped: 0, bytes: 10, failed: [] }));
+      storage.deleteObjects = jest.fn(async () => ({ requested: 2, deleted: 2, trashed: 0, failed: [] }));
+      storage.deletePrefix = jest.fn(async () => ({ requested: 5, deleted: 0, trashed: 5, failed: [] }));
+    });
+
+    it('should copy every object under a prefix', async () => {
+      const code = await run(['copy', '--from', 'content/images/', '--to', 'archive/', '--skip-existing', '--concurrency', '8'], { stdout, stderr, createStorage });
+
+      expect(code).toBe(1);
+      expect(storage.copyPrefix).toHaveBeenCalledWith('content/images/', 'archive/', expect.objectContaining({ overwrite: false, concurrency: 8 }));
+      expect(output(stderr)).toContain('copied  content/images/a.jpg -> archive/a.jpg');
+      expect(output(stderr)).toContain('failed  content/images/b.jpg -> archive/b.jpg: Access Denied');
+      expect(output(stdout)).toContain('  copied: 1 (1.0 KiB)');
+    });
+
+    it('should move a single object', async () => {
+      const code = await run(['move', '--from', 'content/images/a.jpg', '--to', 'content/images/b.jpg', '--json'], { stdout, stderr, createStorage });
+
+      expect(code).toBe(0);
+      expect(storage.moveObjects).toHaveBeenCalledWith([{ from: 'content/images/a.jpg', to: 'content/images/b.jpg' }], expect.objectContaining({ overwrite: true }));
+      expect(JSON.parse(output(stdout))).toMatchObject({ moved: 1 });
+    });
+
+    it('should delete the keys given or listed in a file', async () => {
+      const keysPath = path.join(os.tmpdir(), `object-store-keys-${process.pid}.txt`);
+      fs.writeFileSync(keysPath, 'content/images/b.jpg\r\n\ncontent/images/c.jpg\n');
+
+      try {
+        expect(await run(['delete', '--key', 'content/images/a.jpg', '--keys', keysPath], { stdout, stderr, createStorage })).toBe(0);
+      } finally {
+        fs.rmSync(keysPath, { force: true });
+      }
+
+      expect(storage.deleteObjects).toHaveBeenCalledWith(['content/images/a.jpg', 'content/images/b.jpg', 'content/images/c.jpg'], expect.any(Object));
+      expect(output(stdout)).toContain('  deleted: 2');
+
+      await run(['delete', '--prefix', 'content/images/2019/'], { stdout, stderr, createStorage });
+      expect(storage.deletePrefix).toHaveBeenCalledWith('content/images/2019/', expect.any(Object));
+      expect(output(stdout)).toContain('  moved to the trash: 5');
+    });
+
+    it('should report usage errors', async () => {
+      expect(await run(['copy', '--from', 'a.jpg'], { stdout, stderr, createStorage })).toBe(2);
+      expect(await run(['delete'], { stdout, stderr, createStorage })).toBe(2);
+      expect(await run(['delete', '--key', 'a.jpg', '--prefix', 'content/'], { stdout, stderr, createStorage })).toBe(2);
+      expect(storage.deleteObjects).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('inventory', () => {
+    beforeEach(() => {
+      storage.inventory = jest.fn(async (options) => {
+        options.onProgress({ role: 'images', objects: 2 });
+        return {
+          generatedAt: '2026-10-19T12:00:00.000Z',
+          objects: 2,
+          bytes: 3072,
+          roles: [{ role: 'images', bucket: 'ghost', storagePath: 'content/images/', objects: 2, bytes: 3072 }],
+          months: [{ month: '2026/10', objects: 2, bytes: 3072 }],
+          contentTypes: [{ contentType: 'image/jpeg', objects: 2, bytes: 3072 }],
+          largest: [{ key: 'content/images/2026/10/a.jpg', role: 'images', size: 2048, lastModified: '2026-10-01T00:00:00.000Z' }],
+          duplicates: [],
+          duplicateBytes: 0
+        };
+      });
+    });
+
+    it('should print the inventory of every role', async () => {
+      const code = await run(['inventory', '--top', '5'], { stdout, stderr, createStorage });
+
+      expect(code).toBe(0);
+      expect(storage.inventory).toHaveBeenCalledWith(expect.objectContaining({ roles: undefined, top: 5 }));
+      expect(output(stderr)).toContain('images: 2 objects scanned');
+      expect(output(stdout)).toContain('2 objects, 3.0 KiB');
+      expect(output(stdout)).toContain('  2026/10             2     3.0 KiB');
+      expect(output(stdout)).toContain('Duplicates: 0 (0 B could be saved)');
+    });
+
+    it('should print the inventory of a role as CSV', async () => {
+      await run(['inventory', '--role', 'images', '--csv'], { stdout, stderr, createStorage });
+
+      expect(storage.inventory).toHaveBeenCalledWith(expect.objectContaining({ roles: ['images'] }));
+      expect(output(stdout).split('\n')).toContain('contentType,image/jpeg,2,3072,');
+    });
+
+    it('should report usage errors', async () => {
+      expect(await run(['inventory', '--csv', '--json'], { stdout, stderr, createStorage })).toBe(2);
+      expect(await run(['inventory', '--top', 'all'], { stdout, stderr, createStorage })).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,453 @@
+const os = require('node:os');
+const { InvalidConfigError } = require('../lib/errors');
+const { normalizeConfig } = require('../lib/config');
+
+describe('config', () => {
+  const credentials = { accessKey: 'access', secretKey: 'secret' };
+
+  const problemsOf = (options, env = {}) => {
+    try {
+      normalizeConfig(options, env);
+    } catch (error) {
+      expect(error).toBeInstanceOf(InvalidConfigError);
+      return error.problems;
+    }
+    throw new Error('Expected the configuration to be rejected');
+  };
+
+  it('should apply defaults', () => {
+    const config = normalizeConfig(credentials, {});
+
+    expect(config).toMatchObject({
+      endpoint: 'http://minio:9000',
+      bucket: 'ghost',
+      region: 'eu-west-1',
+      useSSL: false,
+      storagePath: 'content/media/',
+      staticFileURLPrefix: 'content/media/',
+      serveMode: 'proxy',
+      namingStrategy: 'date',
+      signedUrlExpiry: 3600,
+      maxRetries: 3,
+      multipartPartSize: 8 * 1024 * 1024,
+      startupCheck: false
+    });
+  });
+
+  it('should read options from storage__objectStore__ environment variables', () => {
+    const config = normalizeConfig({}, {
+      storage__objectStore__accessKey: 'env-access',
+      storage__objectStore__secretKey: 'env-secret',
+      storage__objectStore__bucket: 'env-bucket',
+      storage__objectStore__maxRetries: '0',
+      storage__objectStore__startupCheck: 'yes'
+    });
+
+    expect(config).toMatchObject({
+      accessKey: 'env-access',
+      bucket: 'env-bucket',
+      maxRetries: 0,
+      startupCheck: true
+    });
+  });
+
+  it('should prefer the adapter configuration over environment variables', () => {
+    const config = normalizeConfig({ ...credentials, bucket: 'config-bucket' }, { storage__objectStore__bucket: 'env-bucket' });
+
+    expect(config.bucket).toBe('config-bucket');
+  });
+
+  it.each([
+    [true, true],
+    ['true', true],
+    ['TRUE', true],
+    ['1', true],
+    [false, false],
+    ['false', false],
+    ['off', false]
+  ])('should normalise the boolean %p', (useSSL, expected) => {
+    expect(normalizeConfig({ ...credentials, endpoint: 'minio:9000', useSSL }, {}).useSSL).toBe(expected);
+  });
+
+  it.each([
+    ['localhost:9000', false, 'http://localhost:9000'],
+    ['minio.example.com', true, 'https://minio.example.com'],
+    ['http://minio:9000/', undefined, 'http://minio:9000']
+  ])('should normalise the endpoint %s', (endpoint, useSSL, expected) => {
+    expect(normalizeConfig({ ...credentials, endpoint, useSSL }, {}).endpoint).toBe(expected);
+  });
+
+  it('should derive useSSL from the endpoint scheme', () => {
+    expect(normalizeConfig({ ...credentials, endpoint: 'http://minio:9000' }, {}).useSSL).toBe(false);
+    expect(normalizeConfig({ ...credentials, endpoint: 'https://s3.example.com' }, {}).useSSL).toBe(true);
+  });
+
+  it.each([
+    ['content/media', 'content/media/'],
+    ['/content/media/', 'content/media/'],
+    ['content//media///', 'content/media/'],
+    ['content\\media', 'content/media/'],
+    ['/', '']
+  ])('should normalise the prefix %s', (storagePath, expected) => {
+    expect(normalizeConfig({ ...credentials, storagePath, staticFileURLPrefix: storagePath }, {})).toMatchObject({
+      storagePath: expected,
+      staticFileURLPrefix: expected
+    });
+  });
+
+  it('should strip trailing slashes from the asset host', () => {
+    expect(normalizeConfig({ ...credentials, assetHost: 'https://cdn.example.com//' }, {}).assetHost)
+      .toBe('https://cdn.example.com');
+  });
+
+  it('should accept a naming strategy function', () => {
+    const namingStrategy = () => 'key';
+
+    expect(normalizeConfig({ ...credentials, namingStrategy }, {}).namingStrategy).toBe(namingStrategy);
+  });
+
+  it('should report every problem at once', () => {
+    const problems = problemsOf({
+      bucket: 'Not_A_Bucket',
+      useSSL: 'maybe',
+      storagePath: 'content/../secrets',
+      assetHost: 'ftp://cdn.example.com',
+      serveMode: 'stream',
+      namingStrategy: 'random',
+      signedUrlExpiry: 999999,
+      maxRetries: -1,
+      multipartPartSize: 1024,
+      requestTimeout: 'soon'
+    });
+
+    expect(problems).toEqual([
+      'useSSL must be a boolean, got "maybe"',
+      'accessKey is required (set it in the adapter config or storage__objectStore__accessKey)',
+      'secretKey is required (set it in the adapter config or storage__objectStore__secretKey)',
+      'bucket must be a valid bucket name (3-63 lowercase letters, digits, dots or hyphens), got "Not_A_Bucket"',
+      'storagePath must not contain "." or ".." segments, got "content/../secrets"',
+      'assetHost must be an http(s) URL, got "ftp://cdn.example.com"',
+      'serveMode must be one of proxy, redirect, presigned, got "stream"',
+      'namingStrategy must be one of date, hash, uuid or a function, got "random"',
+      'signedUrlExpiry must be at most 604800, got 999999',
+      'maxRetries must be at least 0, got -1',
+      'requestTimeout must be an integer, got "soon"',
+      'multipartPartSize must be at least 5242880, got 1024'
+    ]);
+  });
+
+  it('should list the problems in the error message', () => {
+    expect(() => normalizeConfig({}, {})).toThrow(
+      'Invalid Object Store configuration:\n' +
+      ' - accessKey is required (set it in the adapter config or storage__objectStore__accessKey)\n' +
+      ' - secretKey is required (set it in the adapter config or storage__objectStore__secretKey)'
+    );
+  });
+
+  it('should let the endpoint scheme win over a contradicting useSSL, with a warning', () => {
+    expect(normalizeConfig({ ...credentials, endpoint: 'https://s3.example.com', useSSL: false }, {})).toMatchObject({
+      useSSL: true,
+      warnings: ['useSSL is false but endpoint https://s3.example.com uses https, using https']
+    });
+    expect(normalizeConfig({ ...credentials, useSSL: true }, {})).toMatchObject({ endpoint: 'http://minio:9000', useSSL: false });
+    expect(normalizeConfig(credentials, {}).warnings).toEqual([]);
+  });
+
+  it('should parse metadata from a JSON environment variable', () => {
+    const config = normalizeConfig(credentials, { storage__objectStore__metadata: '{"site":"newsroom"}' });
+
+    expect(config.metadata).toEqual({ site: 'newsroom' });
+  });
+
+  it('should validate the upload options', () => {
+    expect(problemsOf({
+      ...credentials,
+      acl: 'everyone',
+      metadata: '{not json',
+      contentDisposition: 'download',
+      kmsKeyId: 'alias/ghost',
+      sseCustomerKey: 'short'
+    })).toEqual([
+      'sseCustomerKey must be a base64-encoded 256-bit key',
+      expect.stringMatching(/^acl must be one of private, public-read/),
+      'metadata must be valid JSON, got "{not json"',
+      'contentDisposition must be one of inline, attachment or a function, got "download"',
+      'kmsKeyId requires encryption "SSE-KMS"',
+      'sseCustomerKey requires encryption "SSE-C"'
+    ]);
+  });
+
+  it('should require a key, https and proxying for SSE-C', () => {
+    expect(problemsOf({
+      ...credentials,
+      endpoint: 'http://minio:9000',
+      encryption: 'SSE-C',
+      serveMode: 'presigned'
+    })).toEqual([
+      'encryption "SSE-C" requires an sseCustomerKey',
+      'encryption "SSE-C" requires an https endpoint',
+      'encryption "SSE-C" requires serveMode "proxy", got "presigned"'
+    ]);
+  });
+
+  describe('roles', () => {
+    it('should default the paths to the directory Ghost uses for the role', () => {
+      expect(normalizeConfig({ ...credentials, role: 'images' }, {})).toMatchObject({
+        role: 'images',
+        storagePath: 'content/images/',
+        staticFileURLPrefix: 'content/images/'
+      });
+      expect(normalizeConfig({ ...credentials, role: 'files' }, {}).storagePath).toBe('content/files/');
+    });
+
+    it('should keep the historical defaults without a role', () => {
+      expect(normalizeConfig(credentials, {})).toMatchObject({
+        role: undefined,
+        storagePath: 'content/media/'
+      });
+    });
+
+    it('should apply per-role overrides from the configuration and environment', () => {
+      const options = {
+        ...credentials,
+        role: 'media',
+        bucket: 'ghost',
+        cacheControl: 'public, max-age=60',
+        media: { bucket: 'ghost-media', allowedContentTypes: ['video/*', 'audio/*'] },
+        files: { bucket: 'ghost-files' }
+      };
+
+      const config = normalizeConfig(options, {
+        storage__objectStore__media__maxFileSize: '1073741824',
+        storage__objectStore__files__maxFileSize: '1024'
+      });
+
+      expect(config).toMatchObject({
+        bucket: 'ghost-media',
+        cacheControl: 'public, max-age=60',
+        allowedContentTypes: ['video/*', 'audio/*'],
+        maxFileSize: 1073741824
+      });
+    });
+
+    it('should read the role from the environment', () => {
+      expect(normalizeConfig(credentials, { storage__objectStore__role: 'files' }).role).toBe('files');
+    });
+
+    it('should reject unknown roles', () => {
+      expect(problemsOf({ ...credentials, role: 'themes' })).toEqual(['role must be one of images, media, files, got "themes"']);
+    });
+  });
+
+  it('should parse comma-separated content type lists', () => {
+    expect(normalizeConfig(credentials, { storage__objectStore__allowedContentTypes: 'image/*, Application/PDF' }).allowedContentTypes)
+      .toEqual(['image/*', 'application/pdf']);
+  });
+
+  it('should require an assetHost for the redirect serve mode', () => {
+    expect(problemsOf({ ...credentials, serveMode: 'redirect' })).toEqual(['serveMode "redirect" requires an assetHost']);
+  });
+
+  it('should read the allowed image sizes from a comma-separated list', () => {
+    const config = normalizeConfig({ ...credentials, imageSizes: 'w600, W1000,w600h400' }, {});
+
+    expect(config.imageSizes).toEqual(['w600', 'w1000', 'w600h400']);
+    expect(normalizeConfig(credentials, {}).imageSizes).toContain('w600');
+  });
+
+  it('should reject malformed image sizes', () => {
+    expect(() => normalizeConfig({ ...credentials, imageSizes: 'w600,large' }, {}))
+      .toThrow('imageSizes must be sizes like w600 or w600h400, got "large"');
+  });
+
+  describe('replicas', () => {
+    it('should read replicas from a JSON environment variable, defaulting to the primary bucket and region', () => {
+      const config = normalizeConfig({ ...credentials, bucket: 'primary', region: 'us-east-1' }, {
+        storage__objectStore__replicas: '[{"endpoint": "r2.example.com", "useSSL": true, "accessKey": "r2", "secretKey": "r2-secret"}]',
+        storage__objectStore__replicationMode: 'async'
+      });
+
+      expect(config.replicas).toEqual([{
+        useSSL: true,
+        endpoint: 'https://r2.example.com',
+        accessKey: 'r2',
+        secretKey: 'r2-secret',
+        bucket: 'primary',
+        region: 'us-east-1'
+      }]);
+      expect(config).toMatchObject({ replicationMode: 'async', replicationMaxAttempts: 5, replicationRetryDelay: 1000 });
+    });
+
+    it('should let the endpoint scheme of a replica win over useSSL, with a warning', () => {
+      const config = normalizeConfig({ ...credentials, replicas: [{ endpoint: 'http://minio-2:9000', useSSL: true, accessKey: 'a', secretKey: 'b' }] }, {});
+
+      expect(config.replicas[0]).toMatchObject({ endpoint: 'http://minio-2:9000', useSSL: false });
+      expect(config.warnings).toEqual(['replicas[0].useSSL is true but replicas[0].endpoint http://minio-2:9000 uses http, using http']);
+    });
+
+    it('should have no replicas by default', () => {
+      expect(normalizeConfig(credentials, {})).toMatchObject({ replicas: [], replicationMode: 'sync' });
+    });
+
+    it('should report problems of each replica', () => {
+      expect(problemsOf({ ...credentials, replicas: [{ accessKey: 'a', bucket: 'Bad_Bucket' }, 'minio'] })).toEqual([
+        'replicas[0].secretKey is required',
+        'replicas[0].bucket must be a valid bucket name (3-63 lowercase letters, digits, dots or hyphens), got "Bad_Bucket"',
+        'replicas[1] must be an object'
+      ]);
+      expect(problemsOf({ ...credentials, replicas: '{"endpoint"' })).toEqual(['replicas must be valid JSON, got "{"endpoint""']);
+    });
+  });
+
+  it('should normalise the key prefix', () => {
+    expect(normalizeConfig(credentials, {}).keyPrefix).toBe('');
+    expect(normalizeConfig({ ...credentials, keyPrefix: '/sites//blog-a' }, {}).keyPrefix).toBe('sites/blog-a/');
+    expect(problemsOf({ ...credentials, keyPrefix: 'sites/../other' })).toEqual([
+      'keyPrefix must not contain "." or ".." segments, got "sites/../other"'
+    ]);
+  });
+
+  describe('filesystem driver', () => {
+    it('should default to the s3 driver', () => {
+      expect(normalizeConfig(credentials, {}).driver).toBe('s3');
+      expect(problemsOf({}, {})).toEqual([
+        'accessKey is required (set it in the adapter config or storage__objectStore__accessKey)',
+        'secretKey is required (set it in the adapter config or storage__objectStore__secretKey)'
+      ]);
+    });
+
+    it('should not require credentials', () => {
+      expect(normalizeConfig({}, {
+        storage__objectStore__driver: 'filesystem',
+        storage__objectStore__localPath: '/var/lib/ghost'
+      })).toMatchObject({ driver: 'filesystem', localPath: '/var/lib/ghost' });
+    });
+
+    it('should require a localPath and reject presigned URLs', () => {
+      expect(problemsOf({ driver: 'filesystem', serveMode: 'presigned' })).toEqual([
+        'driver "filesystem" requires a localPath',
+        'serveMode "presigned" requires driver "s3"'
+      ]);
+      expect(problemsOf({ ...credentials, driver: 'ftp' })).toEqual([expect.stringMatching(/^driver must be one of/)]);
+    });
+
+    it('should accept filesystem replicas', () => {
+      expect(normalizeConfig({ ...credentials, replicas: [{ driver: 'filesystem', localPath: '/backup' }] }, {}).replicas)
+        .toEqual([expect.objectContaining({ driver: 'filesystem', localPath: '/backup', bucket: 'ghost' })]);
+      expect(problemsOf({ ...credentials, replicas: [{ driver: 'filesystem' }] })).toEqual([
+        'replicas[0].localPath is required by the filesystem driver'
+      ]);
+    });
+  });
+
+  describe('credentials', () => {
+    it('should default to static credentials', () => {
+      expect(normalizeConfig({ ...credentials, sessionToken: 'token' }, {})).toMatchObject({
+        credentials: 'static',
+        sessionToken: 'token',
+        roleArn: undefined,
+        roleSessionName: 'ghost-object-store',
+        roleDuration: 3600
+      });
+    });
+
+    it('should only require keys for static credentials', () => {
+      expect(normalizeConfig({}, { storage__objectStore__credentials: 'default' })).toMatchObject({ credentials: 'default', accessKey: undefined });
+      expect(normalizeConfig({ credentials: 'webIdentity', roleArn: 'arn:aws:iam::123456789012:role/ghost' }, {}).roleArn)
+        .toBe('arn:aws:iam::123456789012:role/ghost');
+      expect(normalizeConfig({ credentials: async () => ({}) }, {}).credentials).toBeInstanceOf(Function);
+      expect(problemsOf({ credentials: 'vault' })).toEqual([
+        'credentials must be one of static, default, webIdentity, file or a function, got "vault"'
+      ]);
+    });
+
+    it('should check the credential options fit together', () => {
+      expect(problemsOf({ credentials: 'file', externalId: 'blog', roleDuration: 60 })).toEqual([
+        'roleDuration must be at least 900, got 60',
+        'credentials "file" requires a credentialsFile',
+        'externalId requires a roleArn'
+      ]);
+    });
+
+    it('should accept credential options for each replica', () => {
+      const config = normalizeConfig({
+        ...credentials,
+        replicas: [{ endpoint: 'https://s3.example.com', credentials: 'file', credentialsFile: '/run/secrets/replica', roleArn: 'arn:aws:iam::1:role/r' }]
+      }, {});
+
+      expect(config.replicas[0]).toMatchObject({ credentials: 'file', credentialsFile: '/run/secrets/replica', roleArn: 'arn:aws:iam::1:role/r' });
+      expect(problemsOf({ ...credentials, replicas: [{ credentials: 'file' }] })).toEqual([
+        'replicas[0].credentials "file" requires a credentialsFile'
+      ]);
+    });
+  });
+
+  describe('multi-tenant mode', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should namespace the keys of a fixed tenant', () => {
+      expect(normalizeConfig(credentials, {})).toMatchObject({ tenant: undefined, keyPrefix: '' });
+      expect(normalizeConfig({ ...credentials, tenant: 'Nation', keyPrefix: 'ghost' }, {})).toMatchObject({
+        tenant: 'nation',
+        tenantNamespace: 'tenants/nation/',
+        keyPrefix: 'tenants/nation/ghost/'
+      });
+      expect(normalizeConfig(credentials, {
+        storage__objectStore__tenant: 'blog-a',
+        storage__objectStore__tenantPrefix: 'sites'
+      })).toMatchObject({ tenant: 'blog-a', keyPrefix: 'sites/blog-a/' });
+    });
+
+    it('should resolve the tenant with a function, the hostname or the site URL', () => {
+      jest.spyOn(os, 'hostname').mockReturnValue('ghost-7f9c');
+      const resolver = jest.fn(({ siteUrl }) => new URL(siteUrl).hostname.split('.')[0]);
+
+      expect(normalizeConfig({ ...credentials, role: 'media', tenant: resolver }, { url: 'https://nation.example.com' }).tenant).toBe('nation');
+      expect(resolver).toHaveBeenCalledWith({ hostname: 'ghost-7f9c', siteUrl: 'https://nation.example.com/', role: 'media' });
+      expect(normalizeConfig({ ...credentials, tenantFrom: 'hostname' }, {}).tenant).toBe('ghost-7f9c');
+      expect(normalizeConfig({ ...credentials, tenantFrom: 'siteUrl' }, { url: 'https://Blog.Example.com/' }).tenant).toBe('blog.example.com');
+      // An explicit tenant wins, false leaves multi-tenant mode
+      expect(normalizeConfig({ ...credentials, tenant: 'other', tenantFrom: 'hostname' }, {}).tenant).toBe('other');
+      expect(normalizeConfig({ ...credentials, tenant: false, tenantFrom: 'hostname' }, {})).toMatchObject({ tenant: undefined, keyPrefix: '' });
+    });
+
+    it('should apply the options of the tenant', () => {
+      const tenants = { nation: { bucket: 'nation-media', accessKey: 'nation-access', tenant: 'ignored' } };
+
+      expect(normalizeConfig({ ...credentials, bucket: 'shared', tenants, tenant: 'nation', media: { bucket: 'media' }, role: 'media' }, {}))
+        .toMatchObject({ tenant: 'nation', bucket: 'nation-media', accessKey: 'nation-access', secretKey: 'secret' });
+      expect(normalizeConfig({ ...credentials, bucket: 'shared', tenants: JSON.stringify(tenants), tenant: 'other' }, {}).bucket).toBe('shared');
+      // Tenants can bring their own credentials
+      expect(normalizeConfig({ tenants: { nation: credentials }, tenant: 'nation' }, {}).accessKey).toBe('access');
+    });
+
+    it('should reject invalid tenants', () => {
+      expect(problemsOf({ ...credentials, tenant: '../other' })).toEqual([expect.stringMatching(/^tenant must be 1-63 letters/)]);
+      expect(problemsOf({ ...credentials, tenant: () => 'a/b' })).toEqual([expect.stringMatching(/^tenant must be 1-63 letters/)]);
+      expect(problemsOf({ ...credentials, tenant: () => { throw new Error('no site'); } })).toEqual(['tenant resolver failed: no site']);
+      expect(problemsOf({ ...credentials, tenantFrom: 'siteUrl' }, {})).toEqual([expect.stringMatching(/^tenantFrom "siteUrl" requires/)]);
+      expect(problemsOf({ ...credentials, tenant: 'nation', tenants: { nation: 'bucket' } })).toEqual(['tenants.nation must be an object']);
+    });
+  });
+
+  it('should read the soft delete settings', () => {
+    expect(normalizeConfig(credentials, {})).toMatchObject({ softDelete: false, trashPrefix: 'trash/', trashRetention: 30 });
+    expect(normalizeConfig(credentials, {
+      storage__objectStore__softDelete: 'yes',
+      storage__objectStore__trashPrefix: '/deleted',
+      storage__objectStore__trashRetention: '7'
+    })).toMatchObject({ softDelete: true, trashPrefix: 'deleted/', trashRetention: 7 });
+    expect(problemsOf({ ...credentials, softDelete: true, trashPrefix: '/' })).toEqual(['softDelete requires a trashPrefix']);
+  });
+
+  it('should read the metrics exporter settings', () => {
+    expect(normalizeConfig(credentials, {})).toMatchObject({ metricsPort: 0, metricsHost: '127.0.0.1', tracing: true });
+    expect(normalizeConfig(credentials, {
+      storage__objectStore__metricsPort: '9464',
+      storage__objectStore__tracing: 'false'
+    })).toMatchObject({ metricsPort: 9464, tracing: false });
+    expect(problemsOf({ ...credentials, metricsPort: 70000 })).toEqual([expect.stringMatching(/^metricsPort /)]);
+  });
+});
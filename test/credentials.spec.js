@@ -0,0 +1,223 @@
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { S3Client } = require('@aws-sdk/client-s3');
+const { createCredentials, parseCredentialsFile } = require('../lib/credentials');
+
+describe('credentials', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'object-store-credentials-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  describe('static', () => {
+    it('should use the access key, secret key and session token', () => {
+      expect(createCredentials({ accessKey: 'access', secretKey: 'secret' })).toEqual({ accessKeyId: 'access', secretAccessKey: 'secret' });
+      expect(createCredentials({ credentials: 'static', accessKey: 'access', secretKey: 'secret', sessionToken: 'token' }))
+        .toEqual({ accessKeyId: 'access', secretAccessKey: 'secret', sessionToken: 'token' });
+    });
+
+    it('should use a function as the credential provider', () => {
+      const provider = async () => ({ accessKeyId: 'access', secretAccessKey: 'secret' });
+
+      expect(createCredentials({ credentials: provider })).toBe(provider);
+    });
+  });
+
+  describe('default', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+      process.env = env;
+    });
+
+    it('should read the credentials from the AWS default chain', async () => {
+      process.env = { ...env, AWS_ACCESS_KEY_ID: 'env-access', AWS_SECRET_ACCESS_KEY: 'env-secret', AWS_SESSION_TOKEN: 'env-token' };
+
+      await expect(createCredentials({ credentials: 'default', region: 'us-east-1' })()).resolves.toMatchObject({
+        accessKeyId: 'env-access',
+        secretAccessKey: 'env-secret',
+        sessionToken: 'env-token'
+      });
+    });
+  });
+
+  describe('file', () => {
+    const file = () => path.join(tmpDir, 'credentials');
+
+    it('should read JSON and ini files', () => {
+      expect(parseCredentialsFile('{"accessKeyId": "a", "secretAccessKey": "s"}', 'creds.json')).toEqual({ accessKeyId: 'a', secretAccessKey: 's' });
+      expect(parseCredentialsFile(JSON.stringify({
+        Credentials: { AccessKeyId: 'a', SecretAccessKey: 's', SessionToken: 't', Expiration: '2026-10-19T12:00:00Z' }
+      }), 'sts.json')).toEqual({ accessKeyId: 'a', secretAccessKey: 's', sessionToken: 't', expiration: new Date('2026-10-19T12:00:00Z') });
+
+      const ini = [
+        '[default]',
+        'aws_access_key_id = default-a',
+        'aws_secret_access_key = default-s',
+        '',
+        '# rotated nightly',
+        '[profile ghost]',
+        'aws_access_key_id=ghost-a',
+        'aws_secret_access_key=ghost-s',
+        'aws_session_token=ghost-t'
+      ].join('\n');
+      expect(parseCredentialsFile(ini, 'credentials')).toEqual({ accessKeyId: 'default-a', secretAccessKey: 'default-s' });
+      expect(parseCredentialsFile(ini, 'credentials', 'ghost')).toEqual({ accessKeyId: 'ghost-a', secretAccessKey: 'ghost-s', sessionToken: 'ghost-t' });
+      expect(parseCredentialsFile('aws_access_key_id=a\naws_secret_access_key=s\n', 'secret')).toEqual({ accessKeyId: 'a', secretAccessKey: 's' });
+    });
+
+    it('should reject files without keys', () => {
+      expect(() => parseCredentialsFile('{"accessKeyId": ', 'creds.json')).toThrow(/^Credentials file creds.json is not valid JSON/);
+      expect(() => parseCredentialsFile('[other]\naws_access_key_id=a\n', 'credentials', 'ghost'))
+        .toThrow('Credentials file credentials has no access key and secret key in profile "ghost"');
+    });
+
+    it('should read the file again once it is rotated', async () => {
+      fs.writeFileSync(file(), '{"accessKeyId": "first", "secretAccessKey": "s"}');
+      const provider = createCredentials({ credentials: 'file', credentialsFile: file() });
+      const readFile = jest.spyOn(fs.promises, 'readFile');
+
+      await expect(provider()).resolves.toMatchObject({ accessKeyId: 'first' });
+      await expect(provider()).resolves.toMatchObject({ accessKeyId: 'first' });
+      expect(readFile).toHaveBeenCalledTimes(1);
+
+      fs.writeFileSync(file(), '{"accessKeyId": "second", "secretAccessKey": "s"}');
+      fs.utimesSync(file(), new Date(), new Date(Date.now() + 1000));
+
+      await expect(provider()).resolves.toMatchObject({ accessKeyId: 'second' });
+      expect(readFile).toHaveBeenCalledTimes(2);
+    });
+
+    it('should expire right away so the client checks the file before each request', async () => {
+      fs.writeFileSync(file(), '{"accessKeyId": "a", "secretAccessKey": "s"}');
+
+      const { expiration } = await createCredentials({ credentials: 'file', credentialsFile: file() })();
+
+      expect(expiration.getTime()).toBeLessThanOrEqual(Date.now());
+    });
+
+    it('should report a missing file as a configuration problem', async () => {
+      await expect(createCredentials({ credentials: 'file', credentialsFile: file() })()).rejects.toMatchObject({
+        name: 'InvalidConfigError',
+        message: expect.stringMatching(/^Cannot read credentials file .*credentials: ENOENT/)
+      });
+    });
+  });
+
+  describe('roles', () => {
+    let sts;
+    let stsEndpoint;
+    let requests;
+    let expiresIn;
+
+    const credentialsXml = (id) => `<Credentials><AccessKeyId>${id}</AccessKeyId><SecretAccessKey>role-secret</SecretAccessKey>` +
+      `<SessionToken>role-token</SessionToken><Expiration>${new Date(Date.now() + expiresIn).toISOString()}</Expiration></Credentials>`;
+
+    beforeAll(async () => {
+      // Answers AssumeRole and AssumeRoleWithWebIdentity like STS does
+      sts = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          const params = Object.fromEntries(new URLSearchParams(body));
+          requests.push({ params, authorization: req.headers.authorization });
+
+          const id = `role-access-${requests.length}`;
+          res.setHeader('content-type', 'text/xml');
+          res.end(`<${params.Action}Response xmlns="https://sts.amazonaws.com/doc/2011-06-15/"><${params.Action}Result>` +
+            `${credentialsXml(id)}</${params.Action}Result></${params.Action}Response>`);
+        });
+      });
+      await new Promise((resolve) => sts.listen(0, '127.0.0.1', resolve));
+      stsEndpoint = `http://127.0.0.1:${sts.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise((resolve) => sts.close(resolve));
+    });
+
+    beforeEach(() => {
+      requests = [];
+      expiresIn = 3600 * 1000;
+    });
+
+    it('should assume the role with the configured credentials', async () => {
+      const provider = createCredentials({
+        accessKey: 'access',
+        secretKey: 'secret',
+        region: 'us-east-1',
+        roleArn: 'arn:aws:iam::123456789012:role/ghost',
+        roleSessionName: 'ghost-object-store',
+        externalId: 'blog',
+        roleDuration: 900,
+        stsEndpoint
+      });
+
+      await expect(provider()).resolves.toMatchObject({ accessKeyId: 'role-access-1', sessionToken: 'role-token' });
+      expect(requests).toEqual([{
+        params: expect.objectContaining({
+          Action: 'AssumeRole',
+          RoleArn: 'arn:aws:iam::123456789012:role/ghost',
+          RoleSessionName: 'ghost-object-store',
+          ExternalId: 'blog',
+          DurationSeconds: '900'
+        }),
+        authorization: expect.stringContaining('Credential=access/')
+      }]);
+    });
+
+    it('should assume the role again once the session is about to expire', async () => {
+      const settings = {
+        accessKey: 'access',
+        secretKey: 'secret',
+        region: 'us-east-1',
+        roleArn: 'arn:aws:iam::123456789012:role/ghost',
+        stsEndpoint
+      };
+      // The client caches the credentials of its provider until 5 minutes before they expire
+      const clientCredentials = () => new S3Client({ region: 'us-east-1', credentials: createCredentials(settings) }).config.credentials;
+
+      const cached = clientCredentials();
+      await expect(cached()).resolves.toMatchObject({ accessKeyId: 'role-access-1' });
+      await expect(cached()).resolves.toMatchObject({ accessKeyId: 'role-access-1' });
+      expect(requests).toHaveLength(1);
+
+      expiresIn = 60 * 1000;
+      const refreshed = clientCredentials();
+      const { accessKeyId } = await refreshed();
+      await expect(refreshed()).resolves.not.toMatchObject({ accessKeyId });
+      expect(requests.length).toBeGreaterThan(2);
+    });
+
+    it('should exchange a web identity token for the credentials of its role', async () => {
+      const webIdentityTokenFile = path.join(tmpDir, 'token');
+      fs.writeFileSync(webIdentityTokenFile, 'projected-token');
+
+      const provider = createCredentials({
+        credentials: 'webIdentity',
+        region: 'us-east-1',
+        webIdentityTokenFile,
+        roleArn: 'arn:aws:iam::123456789012:role/ghost',
+        roleSessionName: 'ghost-object-store',
+        stsEndpoint
+      });
+
+      await expect(provider()).resolves.toMatchObject({ accessKeyId: 'role-access-1' });
+      expect(requests[0].params).toMatchObject({
+        Action: 'AssumeRoleWithWebIdentity',
+        RoleArn: 'arn:aws:iam::123456789012:role/ghost',
+        WebIdentityToken: 'projected-token'
+      });
+    });
+  });
+});
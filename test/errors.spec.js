@@ -0,0 +1,90 @@
+const {
+  ObjectStoreError,
+  NotFoundError,
+  AccessDeniedError,
+  ThrottledError,
+  InvalidConfigError,
+  StoreUnavailableError,
+  UnsupportedMediaTypeError,
+  FileTooLargeError,
+  getErrorClass,
+  toObjectStoreError
+} = require('../lib/errors');
+const { CircuitOpenError } = require('../lib/request');
+
+describe('errors', () => {
+  const s3Error = (name, httpStatusCode) => Object.assign(new Error(`${name} message`), {
+    name,
+    $metadata: { httpStatusCode, requestId: 'REQ123' }
+  });
+
+  describe('error classes', () => {
+    it.each([
+      [NotFoundError, 404, 'NotFoundError'],
+      [AccessDeniedError, 403, 'NoPermissionError'],
+      [ThrottledError, 429, 'TooManyRequestsError'],
+      [InvalidConfigError, 500, 'IncorrectUsageError'],
+      [StoreUnavailableError, 503, 'InternalServerError'],
+      [UnsupportedMediaTypeError, 415, 'UnsupportedMediaTypeError'],
+      [FileTooLargeError, 413, 'RequestEntityTooLargeError']
+    ])('should map %p to Ghost status %i and error type %s', (ErrorClass, statusCode, errorType) => {
+      const error = new ErrorClass('message', { key: 'content/media/file.jpg' });
+
+      expect(error).toBeInstanceOf(ObjectStoreError);
+      expect(error).toBeInstanceOf(Error);
+      expect(error.name).toBe(ErrorClass.name);
+      expect(error.statusCode).toBe(statusCode);
+      expect(error.errorType).toBe(errorType);
+      expect(error.key).toBe('content/media/file.jpg');
+    });
+  });
+
+  describe('getErrorClass', () => {
+    it.each([
+      ['NotFound', 404, NotFoundError],
+      ['NoSuchKey', 404, NotFoundError],
+      ['Unknown', 404, NotFoundError],
+      ['AccessDenied', 403, AccessDeniedError],
+      ['SlowDown', 503, ThrottledError],
+      ['Unknown', 429, ThrottledError],
+      ['NoSuchBucket', 404, InvalidConfigError],
+      ['InvalidAccessKeyId', 403, InvalidConfigError],
+      ['SignatureDoesNotMatch', 403, InvalidConfigError],
+      ['ServiceUnavailable', 503, StoreUnavailableError],
+      ['Unknown', 502, StoreUnavailableError],
+      ['TimeoutError', undefined, StoreUnavailableError],
+      ['BadDigest', 400, ObjectStoreError]
+    ])('should map %s (%s) to the right class', (name, status, ErrorClass) => {
+      expect(getErrorClass(s3Error(name, status))).toBe(ErrorClass);
+    });
+
+    it('should map network errors to StoreUnavailableError', () => {
+      expect(getErrorClass(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).toBe(StoreUnavailableError);
+    });
+
+    it('should keep the public class of adapter errors', () => {
+      expect(getErrorClass(new CircuitOpenError(new Date()))).toBe(StoreUnavailableError);
+      expect(getErrorClass(new NotFoundError('gone'))).toBe(NotFoundError);
+    });
+  });
+
+  describe('toObjectStoreError', () => {
+    it('should prefix the message and keep the original error details', () => {
+      const original = s3Error('AccessDenied', 403);
+
+      const error = toObjectStoreError(original, { message: 'Failed to delete file', key: 'a/b.jpg' });
+
+      expect(error).toBeInstanceOf(AccessDeniedError);
+      expect(error.message).toBe('Failed to delete file: AccessDenied message');
+      expect(error.cause).toBe(original);
+      expect(error.code).toBe('AccessDenied');
+      expect(error.requestId).toBe('REQ123');
+      expect(error.key).toBe('a/b.jpg');
+    });
+
+    it('should keep the Object Store status of unclassified client errors', () => {
+      expect(toObjectStoreError(s3Error('BadDigest', 400)).statusCode).toBe(400);
+      expect(toObjectStoreError(new Error('Boom')).statusCode).toBe(500);
+    });
+  });
+});
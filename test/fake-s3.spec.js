@@ -0,0 +1,111 @@
+const {
+  S3Client,
+  CompleteMultipartUploadCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadBucketCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  UploadPartCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const { FakeS3Server } = require('../lib/fake-s3');
+
+describe('FakeS3Server', () => {
+  let server;
+  let client;
+
+  const createClient = (credentials = {}) => new S3Client({
+    endpoint: server.endpoint,
+    region: 'us-east-1',
+    forcePathStyle: true,
+    maxAttempts: 1,
+    credentials: { accessKeyId: 'test-access-key', secretAccessKey: 'test-secret-key', ...credentials }
+  });
+
+  beforeAll(async () => {
+    server = new FakeS3Server({ minPartSize: 1024 });
+    await server.start();
+    client = createClient();
+  });
+
+  afterAll(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  it('should reject unknown access keys and wrong signatures', async () => {
+    await expect(createClient({ accessKeyId: 'someone-else' }).send(new ListObjectsV2Command({ Bucket: 'ghost' })))
+      .rejects.toMatchObject({ name: 'InvalidAccessKeyId' });
+    await expect(createClient({ secretAccessKey: 'wrong' }).send(new ListObjectsV2Command({ Bucket: 'ghost' })))
+      .rejects.toMatchObject({ name: 'SignatureDoesNotMatch' });
+  });
+
+  it('should report missing buckets', async () => {
+    await expect(client.send(new ListObjectsV2Command({ Bucket: 'missing' }))).rejects.toMatchObject({ name: 'NoSuchBucket' });
+    await expect(client.send(new HeadBucketCommand({ Bucket: 'missing' }))).rejects.toMatchObject({ name: 'NotFound' });
+  });
+
+  it('should reject expired presigned URLs', async () => {
+    await client.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'a.txt', Body: 'a' }));
+    const url = await getSignedUrl(client, new GetObjectCommand({ Bucket: 'ghost', Key: 'a.txt' }), { expiresIn: 60 });
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 120 * 1000);
+
+    try {
+      const response = await fetch(url);
+      expect(response.status).toBe(403);
+      expect(await response.text()).toContain('<Code>AccessDenied</Code>');
+    } finally {
+      jest.restoreAllMocks();
+    }
+  });
+
+  it('should list objects with prefixes, delimiters and pages', async () => {
+    for (const key of ['a/1.txt', 'a/2.txt', 'a/b/3.txt', 'c.txt']) {
+      await client.send(new PutObjectCommand({ Bucket: 'ghost', Key: key, Body: key }));
+    }
+
+    const folders = await client.send(new ListObjectsV2Command({ Bucket: 'ghost', Prefix: 'a/', Delimiter: '/' }));
+    expect(folders.Contents.map(({ Key }) => Key)).toEqual(['a/1.txt', 'a/2.txt']);
+    expect(folders.CommonPrefixes).toEqual([{ Prefix: 'a/b/' }]);
+
+    const first = await client.send(new ListObjectsV2Command({ Bucket: 'ghost', MaxKeys: 3 }));
+    expect(first).toMatchObject({ IsTruncated: true, KeyCount: 3 });
+    const second = await client.send(new ListObjectsV2Command({ Bucket: 'ghost', ContinuationToken: first.NextContinuationToken }));
+    expect(second.Contents.map(({ Key }) => Key)).toEqual(['c.txt']);
+  });
+
+  it('should delete objects in bulk', async () => {
+    await client.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'a.txt', Body: 'a' }));
+
+    const response = await client.send(new DeleteObjectsCommand({ Bucket: 'ghost', Delete: { Objects: [{ Key: 'a.txt' }, { Key: 'b.txt' }] } }));
+
+    expect(response.Deleted).toEqual([{ Key: 'a.txt' }, { Key: 'b.txt' }]);
+    expect(server.getObject('ghost', 'a.txt')).toBeUndefined();
+  });
+
+  it('should reject multipart parts under the minimum size but the last', async () => {
+    const { UploadId } = await client.send(new CreateMultipartUploadCommand({ Bucket: 'ghost', Key: 'a.bin' }));
+    const parts = [];
+    for (const [index, size] of [500, 2000].entries()) {
+      const { ETag } = await client.send(new UploadPartCommand({ Bucket: 'ghost', Key: 'a.bin', UploadId, PartNumber: index + 1, Body: Buffer.alloc(size) }));
+      parts.push({ PartNumber: index + 1, ETag });
+    }
+
+    await expect(client.send(new CompleteMultipartUploadCommand({ Bucket: 'ghost', Key: 'a.bin', UploadId, MultipartUpload: { Parts: parts } })))
+      .rejects.toMatchObject({ name: 'EntityTooSmall' });
+  });
+
+  it('should fail requests with injected faults', async () => {
+    server.injectFault({ method: 'PUT', key: /\.png$/, code: 'SlowDown', times: 2 });
+
+    await expect(client.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'a.png', Body: 'a' }))).rejects.toMatchObject({ name: 'SlowDown' });
+    await client.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'a.txt', Body: 'a' }));
+    await expect(client.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'b.png', Body: 'b' }))).rejects.toMatchObject({ name: 'SlowDown' });
+    await client.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'c.png', Body: 'c' }));
+  });
+});
@@ -0,0 +1,271 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { PassThrough } = require('node:stream');
+const {
+  CompleteMultipartUploadCommand,
+  CopyObjectCommand,
+  CreateMultipartUploadCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  UploadPartCommand
+} = require('@aws-sdk/client-s3');
+const ObjectStoreStorage = require('../index.js');
+const { FileSystemStore } = require('../lib/filesystem');
+const { NotFoundError } = require('../lib/errors');
+
+describe('filesystem driver', () => {
+  const logger = { debug() {}, info() {}, warn() {}, error() {} };
+  let root;
+
+  const streamToString = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString();
+  };
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'object-store-fs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  describe('FileSystemStore', () => {
+    let store;
+
+    beforeEach(() => {
+      store = new FileSystemStore(root);
+    });
+
+    it('should store objects as files with the key layout of the bucket', async () => {
+      await store.send(new PutObjectCommand({
+        Bucket: 'ghost',
+        Key: 'content/images/2026/10/a.png',
+        Body: Buffer.from('png'),
+        ContentType: 'image/png',
+        CacheControl: 'max-age=60',
+        Metadata: { author: 'ada' }
+      }));
+
+      expect(fs.readFileSync(path.join(root, 'content/images/2026/10/a.png'), 'utf8')).toBe('png');
+
+      const head = await store.send(new HeadObjectCommand({ Bucket: 'ghost', Key: 'content/images/2026/10/a.png' }));
+      expect(head).toMatchObject({ ContentLength: 3, ContentType: 'image/png', CacheControl: 'max-age=60', Metadata: { author: 'ada' } });
+      expect(head.ETag).toMatch(/^"[0-9a-f]+-[0-9a-f]+"$/);
+    });
+
+    it('should fall back to the file extension for files written by other means', async () => {
+      fs.mkdirSync(path.join(root, 'content/images'), { recursive: true });
+      fs.writeFileSync(path.join(root, 'content/images/b.jpg'), 'jpg');
+
+      const response = await store.send(new GetObjectCommand({ Bucket: 'ghost', Key: 'content/images/b.jpg' }));
+
+      expect(response.ContentType).toBe('image/jpeg');
+      expect(await streamToString(response.Body)).toBe('jpg');
+    });
+
+    it('should answer missing objects with the error names S3 uses', async () => {
+      await expect(store.send(new GetObjectCommand({ Bucket: 'ghost', Key: 'missing.png' })))
+        .rejects.toMatchObject({ name: 'NoSuchKey', $metadata: { httpStatusCode: 404 } });
+      await expect(store.send(new HeadObjectCommand({ Bucket: 'ghost', Key: 'missing.png' })))
+        .rejects.toMatchObject({ name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+    });
+
+    it('should reject keys outside the directory', async () => {
+      for (const key of ['../escape.txt', 'content/../../escape.txt', '.object-store/tmp/x', '']) {
+        await expect(store.send(new PutObjectCommand({ Bucket: 'ghost', Key: key, Body: 'x' })))
+          .rejects.toMatchObject({ name: 'InvalidArgument' });
+      }
+      expect(fs.existsSync(path.join(root, '..', 'escape.txt'))).toBe(false);
+    });
+
+    it('should answer range and conditional requests', async () => {
+      await store.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'a.txt', Body: '0123456789' }));
+      const { ETag, LastModified } = await store.send(new HeadObjectCommand({ Bucket: 'ghost', Key: 'a.txt' }));
+
+      const range = await store.send(new GetObjectCommand({ Bucket: 'ghost', Key: 'a.txt', Range: 'bytes=2-4' }));
+      expect(range).toMatchObject({ ContentLength: 3, ContentRange: 'bytes 2-4/10' });
+      expect(await streamToString(range.Body)).toBe('234');
+
+      const suffix = await store.send(new GetObjectCommand({ Bucket: 'ghost', Key: 'a.txt', Range: 'bytes=-3' }));
+      expect(await streamToString(suffix.Body)).toBe('789');
+
+      await expect(store.send(new GetObjectCommand({ Bucket: 'ghost', Key: 'a.txt', Range: 'bytes=10-' })))
+        .rejects.toMatchObject({ name: 'InvalidRange', ActualObjectSize: 10 });
+      await expect(store.send(new GetObjectCommand({ Bucket: 'ghost', Key: 'a.txt', IfNoneMatch: ETag })))
+        .rejects.toMatchObject({ name: 'NotModified', $metadata: { httpStatusCode: 304 } });
+      await expect(store.send(new GetObjectCommand({ Bucket: 'ghost', Key: 'a.txt', IfModifiedSince: new Date(LastModified.getTime() + 1000) })))
+        .rejects.toMatchObject({ name: 'NotModified' });
+    });
+
+    it('should list objects by prefix, in pages', async () => {
+      for (const key of ['content/images/b.png', 'content/images/a/c.png', 'content/images-old/d.png', 'content/media/e.mp4']) {
+        await store.send(new PutObjectCommand({ Bucket: 'ghost', Key: key, Body: key }));
+      }
+
+      const first = await store.send(new ListObjectsV2Command({ Bucket: 'ghost', Prefix: 'content/images/', MaxKeys: 1 }));
+      expect(first).toMatchObject({ IsTruncated: true, Contents: [{ Key: 'content/images/a/c.png', Size: 22 }] });
+
+      const second = await store.send(new ListObjectsV2Command({ Bucket: 'ghost', Prefix: 'content/images/', ContinuationToken: first.NextContinuationToken }));
+      expect(second).toMatchObject({ IsTruncated: false, Contents: [{ Key: 'content/images/b.png' }] });
+
+      const all = await store.send(new ListObjectsV2Command({ Bucket: 'ghost', Prefix: 'content/images' }));
+      expect(all.Contents.map(({ Key }) => Key)).toEqual(['content/images-old/d.png', 'content/images/a/c.png', 'content/images/b.png']);
+
+      const folders = await store.send(new ListObjectsV2Command({ Bucket: 'ghost', Prefix: 'content/', Delimiter: '/', MaxKeys: 2 }));
+      expect(folders).toMatchObject({ IsTruncated: true, Contents: [], CommonPrefixes: [{ Prefix: 'content/images-old/' }, { Prefix: 'content/images/' }] });
+      await expect(store.send(new ListObjectsV2Command({ Bucket: 'ghost', Prefix: 'content/', Delimiter: '/', ContinuationToken: folders.NextContinuationToken })))
+        .resolves.toMatchObject({ IsTruncated: false, CommonPrefixes: [{ Prefix: 'content/media/' }] });
+    });
+
+    it('should copy objects with their metadata, or replace it', async () => {
+      await store.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'a b.txt', Body: 'a', ContentType: 'text/plain', Metadata: { x: '1' } }));
+
+      await store.send(new CopyObjectCommand({ Bucket: 'ghost', Key: 'copy.txt', CopySource: 'ghost/a%20b.txt' }));
+      await store.send(new CopyObjectCommand({
+        Bucket: 'ghost',
+        Key: 'replaced.txt',
+        CopySource: 'ghost/a%20b.txt',
+        MetadataDirective: 'REPLACE',
+        ContentType: 'text/csv',
+        Metadata: { y: '2' }
+      }));
+
+      await expect(store.send(new HeadObjectCommand({ Bucket: 'ghost', Key: 'copy.txt' }))).resolves.toMatchObject({ ContentType: 'text/plain', Metadata: { x: '1' } });
+      await expect(store.send(new HeadObjectCommand({ Bucket: 'ghost', Key: 'replaced.txt' }))).resolves.toMatchObject({ ContentType: 'text/csv', Metadata: { y: '2' } });
+    });
+
+    it('should remove deleted objects and the directories left empty', async () => {
+      await store.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'content/images/2026/10/a.png', Body: 'a' }));
+      await store.send(new PutObjectCommand({ Bucket: 'ghost', Key: 'content/images/b.png', Body: 'b' }));
+
+      await store.send(new DeleteObjectCommand({ Bucket: 'ghost', Key: 'content/images/2026/10/a.png' }));
+      await store.send(new DeleteObjectCommand({ Bucket: 'ghost', Key: 'content/images/missing.png' }));
+
+      expect(fs.existsSync(path.join(root, 'content/images/2026'))).toBe(false);
+      expect(fs.existsSync(path.join(root, 'content/images/b.png'))).toBe(true);
+    });
+
+    it('should assemble multipart uploads', async () => {
+      const { UploadId } = await store.send(new CreateMultipartUploadCommand({ Bucket: 'ghost', Key: 'video.mp4', ContentType: 'video/mp4' }));
+      const parts = [];
+      for (const [index, body] of ['first ', 'second'].entries()) {
+        const { ETag } = await store.send(new UploadPartCommand({ Bucket: 'ghost', Key: 'video.mp4', UploadId, PartNumber: index + 1, Body: Buffer.from(body) }));
+        parts.push({ PartNumber: index + 1, ETag });
+      }
+
+      await store.send(new CompleteMultipartUploadCommand({ Bucket: 'ghost', Key: 'video.mp4', UploadId, MultipartUpload: { Parts: parts.reverse() } }));
+
+      expect(fs.readFileSync(path.join(root, 'video.mp4'), 'utf8')).toBe('first second');
+      await expect(store.send(new HeadObjectCommand({ Bucket: 'ghost', Key: 'video.mp4' }))).resolves.toMatchObject({ ContentType: 'video/mp4' });
+      expect(fs.readdirSync(path.join(root, '.object-store', 'uploads'))).toEqual([]);
+    });
+  });
+
+  describe('adapter', () => {
+    let storage;
+
+    const createStorage = (options = {}) => new ObjectStoreStorage({
+      driver: 'filesystem',
+      localPath: root,
+      role: 'images',
+      logger,
+      ...options
+    });
+
+    beforeEach(() => {
+      storage = createStorage();
+    });
+
+    it('should not need Object Store credentials', () => {
+      expect(storage.driver).toBe('filesystem');
+      expect(storage.accessKey).toBeUndefined();
+    });
+
+    it('should save, check, read and delete files', async () => {
+      const filePath = path.join(root, 'upload.png');
+      fs.writeFileSync(filePath, Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'));
+
+      await expect(storage.save({ path: filePath, name: 'photo.png', type: 'image/png' }, 'content/images/2026/10'))
+        .resolves.toBe('/content/images/2026/10/photo.png');
+      expect(fs.existsSync(path.join(root, 'content/images/2026/10/photo.png'))).toBe(true);
+      await expect(storage.exists('photo.png', 'content/images/2026/10')).resolves.toBe(true);
+      await expect(storage.read({ path: 'content/images/2026/10/photo.png' })).resolves.toEqual(fs.readFileSync(filePath));
+
+      await storage.delete('photo.png', 'content/images/2026/10');
+      await expect(storage.exists('photo.png', 'content/images/2026/10')).resolves.toBe(false);
+      await expect(storage.read({ path: 'content/images/2026/10/photo.png' })).rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should save raw files and serve them', async () => {
+      await expect(storage.saveRaw(Buffer.from('0123456789'), '2026/10/file.txt')).resolves.toBe('/content/images/2026/10/file.txt');
+
+      const res = new PassThrough();
+      const headers = {};
+      res.set = (name, value) => {
+        headers[name] = value;
+        return res;
+      };
+      res.status = (statusCode) => {
+        res.statusCode = statusCode;
+        return res;
+      };
+      const next = jest.fn();
+
+      await storage.serve()({ path: '/2026/10/file.txt', method: 'GET', headers: { range: 'bytes=0-3' } }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.statusCode).toBe(206);
+      expect(headers).toMatchObject({ 'Content-Type': 'text/plain', 'Content-Range': 'bytes 0-3/10', 'Content-Length': '4' });
+      expect(await streamToString(res)).toBe('0123');
+    });
+
+    it('should pass the startup check', async () => {
+      storage = createStorage({ localPath: path.join(root, 'new'), startupCheck: true });
+
+      await expect(storage.ensureReady()).resolves.toBeUndefined();
+      expect(fs.existsSync(path.join(root, 'new'))).toBe(true);
+    });
+
+    it('should refuse to presign URLs', async () => {
+      await expect(storage.getPresignedUrl('content/images/a.png')).rejects.toMatchObject({ name: 'InvalidConfigError' });
+    });
+
+    it('should restore files from the trash in soft delete mode', async () => {
+      storage = createStorage({ softDelete: true });
+      await storage.saveRaw(Buffer.from('a'), 'a.txt');
+
+      await storage.delete('a.txt', 'content/images');
+      await expect(storage.exists('a.txt', 'content/images')).resolves.toBe(false);
+
+      await storage.restore('content/images/a.txt');
+      await expect(storage.read({ path: 'content/images/a.txt' })).resolves.toEqual(Buffer.from('a'));
+    });
+
+    it('should keep working from a filesystem replica while the Object Store is unreachable', async () => {
+      storage = new ObjectStoreStorage({
+        endpoint: 'http://127.0.0.1:9',
+        accessKey: 'key',
+        secretKey: 'secret',
+        role: 'images',
+        maxRetries: 0,
+        logger,
+        replicas: [{ driver: 'filesystem', localPath: root }]
+      });
+
+      await expect(storage.saveRaw(Buffer.from('a'), 'a.txt')).resolves.toBe('/content/images/a.txt');
+      clearTimeout(storage.replicator.timer);
+
+      // The primary is brought up to date from the retry queue once it is back
+      expect(storage.replicator.queue).toEqual([expect.objectContaining({ type: 'copy', key: 'content/images/a.txt' })]);
+      await expect(storage.read({ path: 'content/images/a.txt' })).resolves.toEqual(Buffer.from('a'));
+    });
+  });
+});
@@ -0,0 +1,225 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  S3Client,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const ObjectStoreStorage = require('../index.js');
+const { findReferencedKeys, getSourceKey } = require('../lib/gc');
+
+jest.mock('@aws-sdk/client-s3');
+
+describe('gc', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.parse('2026-06-30T00:00:00Z');
+  const old = new Date(now - 30 * DAY);
+
+  let mockS3Client;
+  let storage;
+  let objects;
+
+  const exportText = JSON.stringify({
+    db: [{
+      data: {
+        posts: [{
+          feature_image: '__GHOST_URL__/content/images/2023/05/photo.jpg',
+          lexical: '{\\"src\\":\\"https://cdn.example.com/content/images/2024/01/my%20logo.svg\\"}'
+        }],
+        settings: [{ key: 'icon', value: '/content/images/2022/01/icon.png' }]
+      }
+    }]
+  });
+
+  const deletedKeys = () => DeleteObjectCommand.mock.calls.map(([params]) => params.Key).sort();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    objects = {
+      'content/images/': [
+        { Key: 'content/images/2022/01/icon.png', Size: 10, LastModified: old },
+        { Key: 'content/images/2023/05/photo.jpg', Size: 10, LastModified: old },
+        { Key: 'content/images/2023/05/photo_o.jpg', Size: 10, LastModified: old },
+        { Key: 'content/images/size/w600/format/webp/2023/05/photo.jpg', Size: 10, LastModified: old },
+        { Key: 'content/images/2023/05/photo-1.jpg', Size: 100, LastModified: old },
+        { Key: 'content/images/2024/01/my logo.svg', Size: 10, LastModified: old },
+        { Key: 'content/images/2026/06/new.jpg', Size: 50, LastModified: new Date(now - DAY) }
+      ],
+      'gc-quarantine/': [
+        { Key: 'gc-quarantine/content/images/2020/01/a.jpg', Size: 5, LastModified: old },
+        { Key: 'gc-quarantine/content/images/2026/06/b.jpg', Size: 5, LastModified: new Date(now - DAY) }
+      ]
+    };
+
+    mockS3Client = {
+      send: jest.fn(async (command) => {
+        if (command instanceof ListObjectsV2Command) {
+          return { Contents: objects[ListObjectsV2Command.mock.calls.at(-1)[0].Prefix] };
+        }
+        return {};
+      })
+    };
+    S3Client.mockImplementation(() => mockS3Client);
+
+    storage = new ObjectStoreStorage({
+      endpoint: 'localhost:9000',
+      accessKey: 'test-access-key',
+      secretKey: 'test-secret-key',
+      bucket: 'test-bucket',
+      role: 'images',
+      retryBaseDelay: 0
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('findReferencedKeys', () => {
+    it('should find relative, __GHOST_URL__ and absolute URLs, decoding them', () => {
+      expect([...findReferencedKeys(exportText, 'content/images/')].sort()).toEqual([
+        'content/images/2022/01/icon.png',
+        'content/images/2023/05/photo.jpg',
+        'content/images/2024/01/my logo.svg'
+      ]);
+    });
+
+    it('should stop at query strings, fragments and srcset descriptors', () => {
+      const html = '<img srcset="/content/images/size/w600/a.jpg 600w, /content/images/b.jpg?v=2 1000w" src="/content/images/c.jpg#x">';
+
+      expect([...findReferencedKeys(html, 'content/images/')]).toEqual([
+        'content/images/size/w600/a.jpg',
+        'content/images/b.jpg',
+        'content/images/c.jpg'
+      ]);
+    });
+  });
+
+  describe('getSourceKey', () => {
+    it('should map resized images and originals to the image they belong to', () => {
+      expect(getSourceKey('content/images/size/w600/2023/05/photo.jpg', 'content/images/')).toBe('content/images/2023/05/photo.jpg');
+      expect(getSourceKey('content/images/size/w600h400/format/webp/2023/05/photo.jpg', 'content/images/')).toBe('content/images/2023/05/photo.jpg');
+      expect(getSourceKey('content/images/2023/05/photo_o.jpg', 'content/images/')).toBe('content/images/2023/05/photo.jpg');
+      expect(getSourceKey('content/images/2023/05/photo.jpg', 'content/images/')).toBe('content/images/2023/05/photo.jpg');
+    });
+  });
+
+  it('should only report orphaned objects by default', async () => {
+    const report = await storage.collectGarbage({ references: [exportText] });
+
+    expect(ListObjectsV2Command).toHaveBeenCalledWith({ Bucket: 'test-bucket', Prefix: 'content/images/', ContinuationToken: undefined });
+    expect(report).toMatchObject({
+      dryRun: true,
+      scanned: 7,
+      referenced: 5,
+      recent: 1,
+      orphaned: [{ key: 'content/images/2023/05/photo-1.jpg', size: 100, lastModified: old }],
+      bytes: 100
+    });
+    expect(DeleteObjectCommand).not.toHaveBeenCalled();
+    expect(CopyObjectCommand).not.toHaveBeenCalled();
+  });
+
+  it('should follow continuation tokens', async () => {
+    mockS3Client.send.mockImplementation(async () => {
+      const { ContinuationToken } = ListObjectsV2Command.mock.calls.at(-1)[0];
+      return ContinuationToken ?
+        { Contents: [{ Key: 'content/images/b.jpg', Size: 1, LastModified: old }] } :
+        { Contents: [{ Key: 'content/images/a.jpg', Size: 1, LastModified: old }], IsTruncated: true, NextContinuationToken: 'next' };
+    });
+
+    const report = await storage.collectGarbage({ references: ['/content/images/a.jpg'] });
+
+    expect(report.scanned).toBe(2);
+    expect(report.orphaned.map(({ key }) => key)).toEqual(['content/images/b.jpg']);
+  });
+
+  it('should move orphaned objects to the quarantine prefix', async () => {
+    const report = await storage.collectGarbage({ references: [exportText], delete: true });
+
+    expect(CopyObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+      Bucket: 'test-bucket',
+      Key: 'gc-quarantine/content/images/2023/05/photo-1.jpg',
+      CopySource: 'test-bucket/content/images/2023/05/photo-1.jpg',
+      MetadataDirective: 'REPLACE'
+    }));
+    expect(deletedKeys()).toEqual(['content/images/2023/05/photo-1.jpg']);
+    expect(report).toMatchObject({ dryRun: false, quarantined: 1, deleted: 0, purged: 0, failed: [] });
+  });
+
+  it('should delete orphaned objects right away without a quarantine prefix', async () => {
+    const report = await storage.collectGarbage({ references: [exportText], delete: true, quarantinePrefix: '' });
+
+    expect(CopyObjectCommand).not.toHaveBeenCalled();
+    expect(deletedKeys()).toEqual(['content/images/2023/05/photo-1.jpg']);
+    expect(report.deleted).toBe(1);
+  });
+
+  it('should purge quarantined objects older than the grace period', async () => {
+    const report = await storage.collectGarbage({ references: [exportText], delete: true, purge: true });
+
+    expect(deletedKeys()).toEqual([
+      'content/images/2023/05/photo-1.jpg',
+      'gc-quarantine/content/images/2020/01/a.jpg'
+    ]);
+    expect(report.purged).toBe(1);
+  });
+
+  it('should honour the grace period', async () => {
+    const report = await storage.collectGarbage({ references: [exportText], gracePeriod: 0 });
+
+    expect(report.orphaned.map(({ key }) => key)).toEqual([
+      'content/images/2023/05/photo-1.jpg',
+      'content/images/2026/06/new.jpg'
+    ]);
+  });
+
+  it('should read references from export and dump files', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gc-'));
+    const dumpPath = path.join(dir, 'ghost.sql');
+    fs.writeFileSync(dumpPath, [
+      'INSERT INTO `posts` VALUES (\'1\',\'<img src=\\"__GHOST_URL__/content/images/2023/05/photo.jpg\\">\'),',
+      '(\'2\',\'__GHOST_URL__/content/images/2023/05/photo-1.jpg\');',
+      'INSERT INTO `settings` VALUES (\'icon\',\'/content/images/2022/01/icon.png\');'
+    ].join('\n'));
+
+    try {
+      const report = await storage.collectGarbage({ referencePaths: [dumpPath] });
+
+      expect(report.orphaned.map(({ key }) => key)).toEqual(['content/images/2024/01/my logo.svg']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('should report objects that could not be removed', async () => {
+    mockS3Client.send.mockImplementation(async (command) => {
+      if (command instanceof ListObjectsV2Command) {
+        return { Contents: objects['content/images/'] };
+      }
+      throw Object.assign(new Error('Access Denied'), { name: 'AccessDenied' });
+    });
+
+    const report = await storage.collectGarbage({ references: [exportText], delete: true });
+
+    expect(report.quarantined).toBe(0);
+    expect(report.failed).toEqual([{
+      key: 'content/images/2023/05/photo-1.jpg',
+      error: expect.stringContaining('Access Denied')
+    }]);
+  });
+
+  it('should refuse to delete when no references were found', async () => {
+    await expect(storage.collectGarbage({ references: ['{}'], delete: true }))
+      .rejects.toThrow('No references to "content/images/" were found');
+    expect(DeleteObjectCommand).not.toHaveBeenCalled();
+  });
+
+  it('should require references', async () => {
+    await expect(storage.collectGarbage({})).rejects.toThrow('At least one Ghost export or database dump is required');
+  });
+});
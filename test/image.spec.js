@@ -0,0 +1,85 @@
+const { isSizeAllowed, parseImageVariant, resizeImage } = require('../lib/image');
+
+describe('image', () => {
+  describe('parseImageVariant', () => {
+    it('should parse widths, heights and formats', () => {
+      expect(parseImageVariant('size/w600/2024/01/photo.jpg')).toEqual({
+        size: 'w600', width: 600, height: undefined, format: undefined, path: '2024/01/photo.jpg'
+      });
+      expect(parseImageVariant('size/w256h256/format/avif/icon.png')).toEqual({
+        size: 'w256h256', width: 256, height: 256, format: 'avif', path: 'icon.png'
+      });
+      expect(parseImageVariant('size/h400/2024/01/photo.JPEG')).toMatchObject({ size: 'h400', height: 400 });
+    });
+
+    it('should ignore paths that are not resized images', () => {
+      expect(parseImageVariant('2024/01/photo.jpg')).toBeNull();
+      expect(parseImageVariant('size/large/2024/01/photo.jpg')).toBeNull();
+      expect(parseImageVariant('size/w600/format/bmp/2024/01/photo.jpg')).toBeNull();
+    });
+
+    it('should ignore sources that cannot be resized', () => {
+      expect(parseImageVariant('size/w600/2024/01/logo.svg')).toBeNull();
+      expect(parseImageVariant('size/w600/favicon.ico')).toBeNull();
+    });
+  });
+
+  describe('isSizeAllowed', () => {
+    it('should only allow listed sizes', () => {
+      expect(isSizeAllowed('w600', ['w300', 'w600'])).toBe(true);
+      expect(isSizeAllowed('w601', ['w300', 'w600'])).toBe(false);
+    });
+
+    it('should allow any size with a wildcard', () => {
+      expect(isSizeAllowed('w4321', ['*'])).toBe(true);
+    });
+  });
+
+  describe('resizeImage', () => {
+    let image;
+    let sharp;
+
+    beforeEach(() => {
+      image = {
+        rotate: jest.fn().mockReturnThis(),
+        resize: jest.fn().mockReturnThis(),
+        toFormat: jest.fn().mockReturnThis(),
+        toBuffer: jest.fn().mockResolvedValue(Buffer.from('resized'))
+      };
+      sharp = jest.fn().mockReturnValue(image);
+    });
+
+    it('should crop to both dimensions when given', async () => {
+      await resizeImage(sharp, Buffer.from('x'), parseImageVariant('size/w256h256/icon.png'));
+
+      expect(image.rotate).toHaveBeenCalled();
+      expect(image.resize).toHaveBeenCalledWith({ width: 256, height: 256, fit: 'cover', withoutEnlargement: true });
+    });
+
+    it('should convert the format and report its content type', async () => {
+      const result = await resizeImage(sharp, Buffer.from('x'), parseImageVariant('size/w600/format/jpg/photo.png'));
+
+      expect(image.toFormat).toHaveBeenCalledWith('jpeg');
+      expect(result).toEqual({ buffer: Buffer.from('resized'), contentType: 'image/jpeg' });
+    });
+
+    it('should keep animations of animated formats', async () => {
+      await resizeImage(sharp, Buffer.from('x'), parseImageVariant('size/w600/format/webp/anim.gif'));
+      await resizeImage(sharp, Buffer.from('x'), parseImageVariant('size/w600/format/png/anim.gif'));
+
+      expect(sharp.mock.calls.map(([, options]) => options)).toEqual([{ animated: true }, { animated: false }]);
+    });
+  });
+
+  describe('loadSharp', () => {
+    it('should return null when sharp is not installed', () => {
+      jest.isolateModules(() => {
+        jest.doMock('sharp', () => {
+          throw new Error('Cannot find module \'sharp\'');
+        }, { virtual: true });
+
+        expect(require('../lib/image').loadSharp()).toBeNull();
+      });
+    });
+  });
+});
@@ -1,9 +1,22 @@
-const { S3Client, PutObjectCommand, GetObjectCommand, HeadObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  HeadBucketCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const sharp = require('sharp');
 const ObjectStoreStorage = require('../index.js');
 
 jest.mock('@aws-sdk/client-s3');
+jest.mock('@aws-sdk/s3-request-presigner');
+// sharp is an optional dependency, it may not be installed
+jest.mock('sharp', () => jest.fn(), { virtual: true });
 
 describe('ObjectStoreStorage', () => {
+  const credentials = { accessKey: 'test-access-key', secretKey: 'test-secret-key' };
   let objectStoreStorage;
   let mockS3Client;
 
@@ -24,13 +37,14 @@ describe('ObjectStoreStorage', () => {
       region: 'us-east-1',
       useSSL: false,
       storagePath: 'content/media/',
-      staticFileURLPrefix: 'content/media/'
+      staticFileURLPrefix: 'content/media/',
+      retryBaseDelay: 0
     });
   });
 
   describe('constructor', () => {
     it('should initialize with provided configuration', () => {
-      expect(objectStoreStorage.endpoint).toBe('localhost:9000');
+      expect(objectStoreStorage.endpoint).toBe('http://localhost:9000');
       expect(objectStoreStorage.accessKey).toBe('test-access-key');
       expect(objectStoreStorage.secretKey).toBe('test-secret-key');
       expect(objectStoreStorage.bucket).toBe('test-bucket');
@@ -38,18 +52,41 @@ describe('ObjectStoreStorage', () => {
       expect(objectStoreStorage.useSSL).toBe(false);
       expect(objectStoreStorage.storagePath).toBe('content/media/');
       expect(objectStoreStorage.staticFileURLPrefix).toBe('content/media/');
+      expect(objectStoreStorage.assetHost).toBeUndefined();
+      expect(objectStoreStorage.serveMode).toBe('proxy');
+      expect(objectStoreStorage.signedUrlExpiry).toBe(3600);
+    });
+
+    it('should reject invalid configuration with every problem listed', () => {
+      expect(() => new ObjectStoreStorage({ bucket: 'Bad_Bucket' })).toThrow(ObjectStoreStorage.errors.InvalidConfigError);
+      expect(() => new ObjectStoreStorage({ bucket: 'Bad_Bucket' })).toThrow(/accessKey is required[\s\S]*bucket must be a valid bucket name/);
+    });
+
+    it('should log configuration warnings', () => {
+      const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+      new ObjectStoreStorage({ ...credentials, endpoint: 'https://s3.example.com', useSSL: false, logger });
+
+      expect(logger.warn).toHaveBeenCalledWith({ role: undefined }, 'useSSL is false but endpoint https://s3.example.com uses https, using https');
+    });
+
+    it('should strip trailing slashes from the asset host', () => {
+      const storage = new ObjectStoreStorage({ ...credentials, assetHost: 'https://cdn.example.com//' });
+
+      expect(storage.assetHost).toBe('https://cdn.example.com');
     });
 
     it('should set up S3 client with correct configuration', () => {
       expect(S3Client).toHaveBeenCalledWith({
-        endpoint: 'localhost:9000',
+        endpoint: 'http://localhost:9000',
         region: 'us-east-1',
         credentials: {
           accessKeyId: 'test-access-key',
           secretAccessKey: 'test-secret-key'
         },
         forcePathStyle: true,
-        tls: false
+        tls: false,
+        maxAttempts: 1
       });
     });
   });
@@ -64,7 +101,12 @@ describe('ObjectStoreStorage', () => {
 
     beforeEach(() => {
       fs = require('fs');
-      fs.promises.readFile = jest.fn();
+      jest.spyOn(fs.promises, 'readFile').mockResolvedValue(Buffer.alloc(0));
+      jest.spyOn(fs.promises, 'stat').mockResolvedValue({ size: 17 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
     });
 
     it('should save a file and return the object key URL', async () => {
@@ -120,6 +162,151 @@ describe('ObjectStoreStorage', () => {
       await expect(objectStoreStorage.save(mockFile, 'images'))
         .rejects.toThrow('Failed to save file to Object Store: Save failed');
     });
+
+    it('should use a user-supplied naming strategy', async () => {
+      const namingStrategy = jest.fn().mockResolvedValue('custom/key.png');
+      const storage = new ObjectStoreStorage({ ...credentials, bucket: 'test-bucket', namingStrategy });
+      fs.promises.readFile.mockResolvedValue(Buffer.from('x'));
+      mockS3Client.send.mockResolvedValue({});
+
+      const result = await storage.save(mockFile, 'images');
+
+      expect(namingStrategy).toHaveBeenCalledWith(mockFile, 'images');
+      expect(namingStrategy.mock.contexts[0]).toBe(storage);
+      expect(result).toBe('/custom/key.png');
+    });
+
+    describe('with the hash naming strategy', () => {
+      const digest = require('crypto').createHash('sha256').update('same bytes').digest('hex');
+      let hashStorage;
+      let dir;
+      let file;
+
+      beforeEach(() => {
+        const os = require('os');
+        const path = require('path');
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'save-'));
+        file = { name: 'photo.png', path: path.join(dir, 'upload'), type: 'image/png', size: 10 };
+        fs.writeFileSync(file.path, 'same bytes');
+        fs.promises.readFile.mockResolvedValue(Buffer.from('same bytes'));
+
+        hashStorage = new ObjectStoreStorage({
+          ...credentials,
+          bucket: 'test-bucket',
+          storagePath: 'content/media/',
+          namingStrategy: 'hash'
+        });
+      });
+
+      afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+      });
+
+      it('should skip the upload when the content already exists', async () => {
+        mockS3Client.send.mockResolvedValue({});
+
+        const result = await hashStorage.save(file);
+
+        expect(HeadObjectCommand).toHaveBeenCalledTimes(1);
+        expect(HeadObjectCommand).toHaveBeenCalledWith({
+          Bucket: 'test-bucket',
+          Key: `content/media/${digest}.png`
+        });
+        expect(PutObjectCommand).not.toHaveBeenCalled();
+        expect(result).toBe(`/content/media/${digest}.png`);
+      });
+
+      it('should upload new content under its hash', async () => {
+        const notFound = new Error('Not Found');
+        notFound.name = 'NotFound';
+        mockS3Client.send.mockRejectedValueOnce(notFound).mockResolvedValue({});
+
+        const result = await hashStorage.save(file);
+
+        expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+          Key: `content/media/${digest}.png`
+        }));
+        expect(result).toBe(`/content/media/${digest}.png`);
+      });
+    });
+
+    it('should use the size Ghost provides instead of stat-ing the file', async () => {
+      fs.promises.readFile.mockResolvedValue(Buffer.from('x'));
+      objectStoreStorage.getUniqueFileName = jest.fn().mockResolvedValue(mockFile.name);
+      mockS3Client.send.mockResolvedValue({});
+
+      await objectStoreStorage.save({ ...mockFile, size: 1 }, 'images');
+
+      expect(fs.promises.stat).not.toHaveBeenCalled();
+      expect(PutObjectCommand).toHaveBeenCalled();
+    });
+
+    it('should store the content type detected from the file rather than the declared one', async () => {
+      const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00]);
+      fs.promises.readFile.mockResolvedValue(jpeg);
+      objectStoreStorage.getUniqueFileName = jest.fn().mockResolvedValue('images/photo.png');
+      mockS3Client.send.mockResolvedValue({});
+
+      await objectStoreStorage.save(mockFile, 'images');
+
+      expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({ ContentType: 'image/jpeg', Body: jpeg }));
+    });
+
+    it('should trust the declared content type when detection is disabled', async () => {
+      const storage = new ObjectStoreStorage({ ...credentials, bucket: 'test-bucket', detectContentType: false });
+      storage.getUniqueFileName = jest.fn().mockResolvedValue('images/photo.png');
+      fs.promises.readFile.mockResolvedValue(Buffer.from([0xff, 0xd8, 0xff, 0xe0]));
+      mockS3Client.send.mockResolvedValue({});
+
+      await storage.save(mockFile, 'images');
+
+      expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({ ContentType: 'image/png' }));
+    });
+
+    it('should sanitise SVG images', async () => {
+      fs.promises.readFile.mockResolvedValue(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg" onload="alert(1)"><script>alert(1)</script></svg>'));
+      objectStoreStorage.getUniqueFileName = jest.fn().mockResolvedValue('images/logo.svg');
+      mockS3Client.send.mockResolvedValue({});
+
+      await objectStoreStorage.save({ ...mockFile, name: 'logo.svg', type: 'image/svg+xml' }, 'images');
+
+      expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+        ContentType: 'image/svg+xml',
+        Body: Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"></svg>')
+      }));
+    });
+
+    it('should sanitise SVG images declared with parameters when detection is disabled', async () => {
+      const storage = new ObjectStoreStorage({ ...credentials, bucket: 'test-bucket', detectContentType: false });
+      storage.getUniqueFileName = jest.fn().mockResolvedValue('images/logo.svg');
+      fs.promises.readFile.mockResolvedValue(Buffer.from('<svg onload="alert(1)"/>'));
+      mockS3Client.send.mockResolvedValue({});
+
+      await storage.save({ ...mockFile, name: 'logo.svg', type: 'Image/SVG+XML; charset=utf-8' }, 'images');
+
+      expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({ Body: Buffer.from('<svg/>') }));
+    });
+
+    it('should stream files above the multipart threshold from disk', async () => {
+      const fileHandle = { read: jest.fn().mockResolvedValue({ bytesRead: 0 }), close: jest.fn() };
+      jest.spyOn(fs.promises, 'open').mockResolvedValue(fileHandle);
+      fs.promises.stat.mockResolvedValue({ size: 20 });
+      objectStoreStorage.multipartThreshold = 10;
+      objectStoreStorage.getUniqueFileName = jest.fn().mockResolvedValue('images/video.mp4');
+      const multipartSpy = jest.spyOn(objectStoreStorage, 'multipartUpload').mockResolvedValue({});
+
+      const result = await objectStoreStorage.save({ ...mockFile, type: 'video/mp4' }, 'images');
+
+      expect(fs.promises.open).toHaveBeenCalledWith(mockFile.path, 'r');
+      expect(fs.promises.readFile).not.toHaveBeenCalled();
+      expect(PutObjectCommand).not.toHaveBeenCalled();
+      expect(multipartSpy).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'images/video.mp4',
+        ContentType: 'video/mp4'
+      }, expect.objectContaining({ size: 20 }), objectStoreStorage.replicator.primary);
+      expect(result).toBe('/images/video.mp4');
+    });
   });
 
   describe('saveRaw', () => {
@@ -132,11 +319,22 @@ describe('ObjectStoreStorage', () => {
       expect(PutObjectCommand).toHaveBeenCalledWith({
         Bucket: 'test-bucket',
         Key: 'content/media/test-file-123.jpg',
+        ContentType: 'image/jpeg',
         Body: mockBuffer
       });
       expect(result).toBe('/content/media/test-file-123.jpg');
     });
 
+    it('should detect the content type of buffers and sanitise SVG images', async () => {
+      mockS3Client.send.mockResolvedValue({});
+
+      await objectStoreStorage.saveRaw(Buffer.from('GIF89a'), 'resized/photo');
+      await objectStoreStorage.saveRaw(Buffer.from('<svg><script>alert(1)</script></svg>'), 'logo.svg');
+
+      expect(PutObjectCommand.mock.calls.map(([params]) => params.ContentType)).toEqual(['image/gif', 'image/svg+xml']);
+      expect(PutObjectCommand.mock.calls[1][0].Body).toEqual(Buffer.from('<svg></svg>'));
+    });
+
     it('should normalize backslashes in the target path', async () => {
       const mockBuffer = Buffer.from('x');
       mockS3Client.send.mockResolvedValue({});
@@ -155,6 +353,472 @@ describe('ObjectStoreStorage', () => {
       await expect(objectStoreStorage.saveRaw(Buffer.from('x'), 'test-file-123.jpg'))
         .rejects.toThrow('Failed to save buffer to Object Store: Save raw failed');
     });
+
+    it('should use multipart upload for buffers above the threshold', async () => {
+      objectStoreStorage.multipartThreshold = 4;
+      const multipartSpy = jest.spyOn(objectStoreStorage, 'multipartUpload').mockResolvedValue({});
+
+      await objectStoreStorage.saveRaw(Buffer.from('large buffer'), 'large.bin');
+
+      expect(PutObjectCommand).not.toHaveBeenCalled();
+      expect(multipartSpy).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/large.bin'
+      }, expect.objectContaining({ size: 12 }), objectStoreStorage.replicator.primary);
+    });
+
+    it('should send multipart commands through the S3 client and close the source', async () => {
+      mockS3Client.send.mockResolvedValue({ UploadId: 'upload-1', ETag: '"etag"' });
+      const source = { size: 3, read: jest.fn().mockResolvedValue(Buffer.from('abc')), close: jest.fn() };
+
+      await objectStoreStorage.multipartUpload({ Bucket: 'test-bucket', Key: 'content/media/large.bin' }, source);
+
+      expect(mockS3Client.send).toHaveBeenCalledTimes(3);
+      expect(source.close).toHaveBeenCalled();
+    });
+  });
+
+  describe('health check', () => {
+    it('should check the bucket is reachable and writable', async () => {
+      mockS3Client.send.mockResolvedValue({});
+
+      await expect(objectStoreStorage.healthCheck()).resolves.toBe(true);
+
+      expect(HeadBucketCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket' });
+      const probeKey = PutObjectCommand.mock.calls[0][0].Key;
+      expect(probeKey).toMatch(/^content\/media\/\.object-store-health-check-/);
+      expect(DeleteObjectCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket', Key: probeKey });
+    });
+
+    it('should report a missing bucket as a configuration problem', async () => {
+      const notFound = new Error('Not Found');
+      notFound.name = 'NotFound';
+      mockS3Client.send.mockRejectedValue(notFound);
+
+      const error = await objectStoreStorage.healthCheck().catch((e) => e);
+
+      expect(error).toBeInstanceOf(ObjectStoreStorage.errors.InvalidConfigError);
+      expect(error.message).toBe('Bucket "test-bucket" does not exist');
+    });
+
+    it('should report a read-only bucket', async () => {
+      const denied = new Error('Access Denied');
+      denied.name = 'AccessDenied';
+      mockS3Client.send.mockResolvedValueOnce({}).mockRejectedValue(denied);
+
+      await expect(objectStoreStorage.healthCheck())
+        .rejects.toThrow('Bucket "test-bucket" is not writable: Access Denied');
+    });
+
+    describe('with startupCheck enabled', () => {
+      let consoleError;
+
+      beforeEach(() => {
+        consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        consoleError.mockRestore();
+      });
+
+      it('should run the check at startup and make operations wait for it', async () => {
+        mockS3Client.send.mockResolvedValue({});
+
+        const storage = new ObjectStoreStorage({ ...credentials, bucket: 'test-bucket', startupCheck: true });
+        await storage.saveRaw(Buffer.from('x'), 'file.jpg');
+
+        expect(HeadBucketCommand).toHaveBeenCalledTimes(1);
+        expect(mockS3Client.send.mock.calls[0][0]).toBe(HeadBucketCommand.mock.instances[0]);
+        expect(consoleError).not.toHaveBeenCalled();
+      });
+
+      it('should log a failed check and retry it on the next operation', async () => {
+        const unavailable = new Error('connect ECONNREFUSED');
+        unavailable.code = 'ECONNREFUSED';
+        mockS3Client.send.mockRejectedValueOnce(unavailable).mockResolvedValue({});
+
+        const storage = new ObjectStoreStorage({ ...credentials, bucket: 'test-bucket', startupCheck: true, maxRetries: 0 });
+        await new Promise(setImmediate);
+
+        expect(consoleError).toHaveBeenCalledWith('Bucket "test-bucket" is not reachable: connect ECONNREFUSED', expect.objectContaining({
+          bucket: 'test-bucket',
+          err: expect.any(ObjectStoreStorage.errors.StoreUnavailableError)
+        }));
+        await expect(storage.exists('file.jpg', 'images')).resolves.toBe(true);
+        expect(HeadBucketCommand).toHaveBeenCalledTimes(2);
+      });
+    });
+  });
+
+  describe('request policy', () => {
+    const transientError = () => {
+      const error = new Error('Service Unavailable');
+      error.name = 'ServiceUnavailable';
+      error.$metadata = { httpStatusCode: 503 };
+      return error;
+    };
+
+    it('should send every command with a timeout signal', async () => {
+      mockS3Client.send.mockResolvedValue({});
+
+      await objectStoreStorage.delete('test-file.jpg', 'images');
+
+      expect(mockS3Client.send).toHaveBeenCalledWith(DeleteObjectCommand.mock.instances[0], {
+        abortSignal: expect.any(AbortSignal)
+      });
+    });
+
+    it('should retry transient failures before succeeding', async () => {
+      mockS3Client.send
+        .mockRejectedValueOnce(transientError())
+        .mockRejectedValueOnce(transientError())
+        .mockResolvedValue({});
+
+      const result = await objectStoreStorage.saveRaw(Buffer.from('x'), 'file.jpg');
+
+      expect(mockS3Client.send).toHaveBeenCalledTimes(3);
+      expect(result).toBe('/content/media/file.jpg');
+    });
+
+    it('should give up after maxRetries', async () => {
+      mockS3Client.send.mockRejectedValue(transientError());
+
+      await expect(objectStoreStorage.delete('test-file.jpg', 'images'))
+        .rejects.toThrow('Failed to delete file from Object Store: Service Unavailable');
+      expect(mockS3Client.send).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not retry client errors', async () => {
+      const notFound = new Error('Not Found');
+      notFound.name = 'NotFound';
+      mockS3Client.send.mockRejectedValue(notFound);
+
+      await expect(objectStoreStorage.exists('test-file.jpg', 'images')).resolves.toBe(false);
+      expect(mockS3Client.send).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('errors', () => {
+    const s3Error = (name, httpStatusCode) => {
+      const error = new Error(`${name} message`);
+      error.name = name;
+      error.$metadata = { httpStatusCode, requestId: 'REQ123', extendedRequestId: 'EXT456' };
+      return error;
+    };
+
+    it('should preserve the S3 error details when saving fails', async () => {
+      const original = s3Error('AccessDenied', 403);
+      mockS3Client.send.mockRejectedValue(original);
+
+      const error = await objectStoreStorage.saveRaw(Buffer.from('x'), 'file.jpg').catch((e) => e);
+
+      expect(error).toBeInstanceOf(ObjectStoreStorage.errors.AccessDeniedError);
+      expect(error.message).toBe('Failed to save buffer to Object Store: AccessDenied message');
+      expect(error.statusCode).toBe(403);
+      expect(error.errorType).toBe('NoPermissionError');
+      expect(error.code).toBe('AccessDenied');
+      expect(error.requestId).toBe('REQ123');
+      expect(error.extendedRequestId).toBe('EXT456');
+      expect(error.key).toBe('content/media/file.jpg');
+      expect(error.cause).toBe(original);
+    });
+
+    it('should raise NotFoundError from read() with the requested path', async () => {
+      mockS3Client.send.mockRejectedValue(s3Error('NoSuchKey', 404));
+
+      const error = await objectStoreStorage.read({ path: 'images/missing.jpg' }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(ObjectStoreStorage.errors.NotFoundError);
+      expect(error.message).toBe('File not found: images/missing.jpg');
+      expect(error.statusCode).toBe(404);
+      expect(error.key).toBe('images/missing.jpg');
+    });
+
+    it('should raise typed errors from exists() instead of returning false', async () => {
+      mockS3Client.send.mockRejectedValue(s3Error('NoSuchBucket', 404));
+
+      await expect(objectStoreStorage.exists('file.jpg', 'images'))
+        .rejects.toBeInstanceOf(ObjectStoreStorage.errors.InvalidConfigError);
+    });
+
+    it('should raise ThrottledError from delete() when the store keeps throttling', async () => {
+      mockS3Client.send.mockRejectedValue(s3Error('SlowDown', 503));
+
+      await expect(objectStoreStorage.delete('file.jpg', 'images'))
+        .rejects.toBeInstanceOf(ObjectStoreStorage.errors.ThrottledError);
+    });
+  });
+
+  describe('roles', () => {
+    let filesStorage;
+
+    beforeEach(() => {
+      filesStorage = new ObjectStoreStorage({
+        ...credentials,
+        bucket: 'test-bucket',
+        role: 'files',
+        files: {
+          cacheControl: 'private, max-age=600',
+          allowedContentTypes: 'application/pdf',
+          maxFileSize: 10
+        }
+      });
+      mockS3Client.send.mockResolvedValue({ Body: { pipe: jest.fn() } });
+    });
+
+    it('should use the role paths and options', () => {
+      expect(filesStorage.role).toBe('files');
+      expect(filesStorage.storagePath).toBe('content/files/');
+      expect(filesStorage.staticFileURLPrefix).toBe('content/files/');
+    });
+
+    it('should reject disallowed content types before uploading', async () => {
+      jest.spyOn(require('fs').promises, 'readFile').mockResolvedValue(Buffer.from('<!DOCTYPE html><p>'));
+
+      const error = await filesStorage.save({ name: 'page.html', path: '/tmp/upload', type: 'text/html', size: 1 }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(ObjectStoreStorage.errors.UnsupportedMediaTypeError);
+      expect(error.statusCode).toBe(415);
+      expect(mockS3Client.send).not.toHaveBeenCalled();
+      jest.restoreAllMocks();
+    });
+
+    it('should not store markup under the type of another format', async () => {
+      jest.spyOn(require('fs').promises, 'readFile').mockResolvedValue(Buffer.from('<html><script>alert(1)</script>'));
+
+      const error = await filesStorage.save({ name: 'report.pdf', path: '/tmp/upload', type: 'application/pdf', size: 1 }).catch((e) => e);
+
+      expect(error).toBeInstanceOf(ObjectStoreStorage.errors.UnsupportedMediaTypeError);
+      expect(error.message).toBe('Content type "application/octet-stream" is not allowed');
+      jest.restoreAllMocks();
+    });
+
+    it('should check the detected content type rather than the declared one', async () => {
+      jest.spyOn(require('fs').promises, 'readFile').mockResolvedValue(Buffer.from('GIF89a'));
+
+      const error = await filesStorage.save({ name: 'report.pdf', path: '/tmp/upload', type: 'application/pdf', size: 1 }).catch((e) => e);
+
+      expect(error.message).toBe('Content type "image/gif" is not allowed');
+      jest.restoreAllMocks();
+    });
+
+    it('should reject oversize files and buffers before uploading', async () => {
+      await expect(filesStorage.save({ name: 'a.pdf', path: '/tmp/upload', type: 'application/pdf', size: 11 }))
+        .rejects.toBeInstanceOf(ObjectStoreStorage.errors.FileTooLargeError);
+      await expect(filesStorage.saveRaw(Buffer.alloc(11), 'a.pdf'))
+        .rejects.toBeInstanceOf(ObjectStoreStorage.errors.FileTooLargeError);
+      expect(mockS3Client.send).not.toHaveBeenCalled();
+    });
+
+    it('should serve files with the role cache policy', async () => {
+      const res = { set: jest.fn(), status: jest.fn() };
+
+      await filesStorage.serve()({ path: '/report.pdf', method: 'GET', headers: {} }, res, jest.fn());
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket', Key: 'content/files/report.pdf' });
+      expect(res.set).toHaveBeenCalledWith('Cache-Control', 'private, max-age=600');
+    });
+  });
+
+  describe('upload options', () => {
+    const customerKey = Buffer.alloc(32, 7).toString('base64');
+    const sseC = { SSECustomerAlgorithm: 'AES256', SSECustomerKey: customerKey };
+    let encryptedStorage;
+
+    beforeEach(() => {
+      encryptedStorage = new ObjectStoreStorage({
+        ...credentials,
+        endpoint: 'https://minio.example.com',
+        bucket: 'test-bucket',
+        encryption: 'SSE-C',
+        sseCustomerKey: customerKey,
+        acl: 'private',
+        storageClass: 'STANDARD_IA',
+        metadata: (file) => ({ 'original-filename': file.name }),
+        contentDisposition: 'attachment'
+      });
+      mockS3Client.send.mockResolvedValue({ Body: { pipe: jest.fn(), [Symbol.asyncIterator]: async function* () {} } });
+    });
+
+    it('should apply encryption, ACL, storage class, metadata and disposition to save()', async () => {
+      encryptedStorage.getUniqueFileName = jest.fn().mockResolvedValue('content/media/2026/06/report.pdf');
+      jest.spyOn(require('fs').promises, 'readFile').mockResolvedValue(Buffer.from('x'));
+
+      await encryptedStorage.save({ name: 'report.pdf', path: '/tmp/upload', type: 'application/pdf', size: 1 });
+
+      expect(PutObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/2026/06/report.pdf',
+        Body: Buffer.from('x'),
+        ContentType: 'application/pdf',
+        ACL: 'private',
+        StorageClass: 'STANDARD_IA',
+        Metadata: { 'original-filename': 'report.pdf' },
+        ContentDisposition: 'attachment; filename="report.pdf"; filename*=UTF-8\'\'report.pdf',
+        ...sseC
+      });
+      jest.restoreAllMocks();
+    });
+
+    it('should apply the upload options to saveRaw() using the target file name', async () => {
+      await encryptedStorage.saveRaw(Buffer.from('x'), 'exports/data.json');
+
+      expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+        Key: 'content/media/exports/data.json',
+        Metadata: { 'original-filename': 'data.json' },
+        ...sseC
+      }));
+    });
+
+    it('should send the SSE-C key when reading, checking and serving objects', async () => {
+      await encryptedStorage.read({ path: 'content/media/file.pdf' });
+      await encryptedStorage.exists('file.pdf', 'content/media');
+      await encryptedStorage.serve()({ path: '/file.pdf', method: 'GET', headers: {} }, { set: jest.fn(), status: jest.fn() }, jest.fn());
+
+      expect(GetObjectCommand).toHaveBeenNthCalledWith(1, { Bucket: 'test-bucket', Key: 'content/media/file.pdf', ...sseC });
+      expect(HeadObjectCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket', Key: 'content/media/file.pdf', ...sseC });
+      expect(GetObjectCommand).toHaveBeenNthCalledWith(2, { Bucket: 'test-bucket', Key: 'content/media/file.pdf', ...sseC });
+    });
+
+    it('should pass the stored Content-Disposition on when serving', async () => {
+      mockS3Client.send.mockResolvedValue({ Body: { pipe: jest.fn() }, ContentDisposition: 'attachment; filename="report.pdf"' });
+      const res = { set: jest.fn(), status: jest.fn() };
+
+      await objectStoreStorage.serve()({ path: '/report.pdf', method: 'GET', headers: {} }, res, jest.fn());
+
+      expect(res.set).toHaveBeenCalledWith('Content-Disposition', 'attachment; filename="report.pdf"');
+    });
+  });
+
+  describe('asset host', () => {
+    let cdnStorage;
+
+    beforeEach(() => {
+      cdnStorage = new ObjectStoreStorage({
+        ...credentials,
+        bucket: 'test-bucket',
+        storagePath: 'content/media/',
+        staticFileURLPrefix: 'content/media/',
+        assetHost: 'https://cdn.example.com/'
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return an absolute URL from save()', async () => {
+      jest.spyOn(require('fs').promises, 'readFile').mockResolvedValue(Buffer.from('x'));
+      cdnStorage.getUniqueFileName = jest.fn().mockResolvedValue('content/media/2026/06/file.png');
+      mockS3Client.send.mockResolvedValue({});
+
+      const result = await cdnStorage.save({ name: 'file.png', path: '/tmp/file', type: 'image/png', size: 1 });
+
+      expect(result).toBe('https://cdn.example.com/content/media/2026/06/file.png');
+    });
+
+    it('should return an absolute URL from saveRaw()', async () => {
+      mockS3Client.send.mockResolvedValue({});
+
+      const result = await cdnStorage.saveRaw(Buffer.from('x'), 'file_o.jpg');
+
+      expect(result).toBe('https://cdn.example.com/content/media/file_o.jpg');
+    });
+
+    it('should map absolute and relative URLs back to object keys', () => {
+      expect(cdnStorage.urlToPath('https://cdn.example.com/content/media/2026/06/file.png'))
+        .toBe('content/media/2026/06/file.png');
+      expect(cdnStorage.urlToPath('/content/media/2026/06/file%20name.png'))
+        .toBe('content/media/2026/06/file name.png');
+      expect(cdnStorage.urlToPath('https://blog.example.com/content/media/file.png'))
+        .toBe('content/media/file.png');
+    });
+
+    it('should redirect to the asset host from serve() in redirect mode', async () => {
+      cdnStorage.serveMode = 'redirect';
+      const req = { path: '/2026/06/file.png', method: 'GET', headers: {} };
+      const res = { redirect: jest.fn() };
+      const next = jest.fn();
+
+      await cdnStorage.serve()(req, res, next);
+
+      expect(res.redirect).toHaveBeenCalledWith(302, 'https://cdn.example.com/content/media/2026/06/file.png');
+      expect(mockS3Client.send).not.toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should keep proxying from serve() by default', async () => {
+      const mockStream = { pipe: jest.fn() };
+      mockS3Client.send.mockResolvedValue({ Body: mockStream });
+      const req = { path: '/file.png', method: 'GET', headers: {} };
+      const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), redirect: jest.fn() };
+
+      await cdnStorage.serve()(req, res, jest.fn());
+
+      expect(res.redirect).not.toHaveBeenCalled();
+      expect(mockStream.pipe).toHaveBeenCalledWith(res);
+    });
+  });
+
+  describe('presigned URLs', () => {
+    const signedUrl = 'https://minio.example.com/test-bucket/content/media/file.png?X-Amz-Signature=abc';
+
+    it('should presign a GET for the object key with the configured expiry', async () => {
+      getSignedUrl.mockResolvedValue(signedUrl);
+
+      const result = await objectStoreStorage.getPresignedUrl('content/media/file.png');
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/file.png'
+      });
+      expect(getSignedUrl).toHaveBeenCalledWith(mockS3Client, GetObjectCommand.mock.instances[0], { expiresIn: 3600 });
+      expect(result).toBe(signedUrl);
+    });
+
+    it('should allow overriding the expiry per call', async () => {
+      getSignedUrl.mockResolvedValue(signedUrl);
+
+      await objectStoreStorage.getPresignedUrl('content/media/file.png', { expiresIn: 60 });
+
+      expect(getSignedUrl).toHaveBeenCalledWith(mockS3Client, expect.anything(), { expiresIn: 60 });
+    });
+
+    it('should redirect to a presigned URL from serve() in presigned mode', async () => {
+      getSignedUrl.mockResolvedValue(signedUrl);
+      objectStoreStorage.serveMode = 'presigned';
+      objectStoreStorage.signedUrlExpiry = 600;
+      const req = { path: '/file.png', method: 'GET', headers: {} };
+      const res = { set: jest.fn(), redirect: jest.fn() };
+      const next = jest.fn();
+
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/file.png'
+      });
+      expect(mockS3Client.send).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Cache-Control', 'private, max-age=300');
+      expect(res.redirect).toHaveBeenCalledWith(302, signedUrl);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should pass presigning errors to next()', async () => {
+      const error = new Error('Credentials missing');
+      getSignedUrl.mockRejectedValue(error);
+      objectStoreStorage.serveMode = 'presigned';
+      const req = { path: '/file.png', method: 'GET', headers: {} };
+      const res = { set: jest.fn(), redirect: jest.fn() };
+      const next = jest.fn();
+
+      await objectStoreStorage.serve()(req, res, next);
+
+      const [forwarded] = next.mock.calls[0];
+      expect(forwarded).toBeInstanceOf(ObjectStoreStorage.errors.ObjectStoreError);
+      expect(forwarded.cause).toBe(error);
+      expect(res.redirect).not.toHaveBeenCalled();
+    });
   });
 
   describe('exists', () => {
@@ -197,6 +861,23 @@ describe('ObjectStoreStorage', () => {
       await expect(objectStoreStorage.exists('test-file.jpg', 'images'))
         .rejects.toThrow('Internal error');
     });
+
+    it('should normalise slashes between targetDir and fileName', async () => {
+      mockS3Client.send.mockResolvedValue({});
+
+      await objectStoreStorage.exists('/test-file.jpg', '/images//2026/');
+
+      expect(HeadObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'images/2026/test-file.jpg'
+      });
+    });
+
+    it('should reject paths escaping the target directory', async () => {
+      await expect(objectStoreStorage.exists('../../config.json', 'images'))
+        .rejects.toBeInstanceOf(ObjectStoreStorage.errors.InvalidKeyError);
+      expect(mockS3Client.send).not.toHaveBeenCalled();
+    });
   });
 
   describe('delete', () => {
@@ -222,6 +903,11 @@ describe('ObjectStoreStorage', () => {
       });
     });
 
+    it('should reject paths escaping the target directory', async () => {
+      await expect(objectStoreStorage.delete('..', 'images')).rejects.toMatchObject({ name: 'InvalidKeyError', statusCode: 400 });
+      expect(DeleteObjectCommand).not.toHaveBeenCalled();
+    });
+
     it('should wrap S3 errors with a descriptive message', async () => {
       mockS3Client.send.mockRejectedValue(new Error('Delete failed'));
 
@@ -254,6 +940,18 @@ describe('ObjectStoreStorage', () => {
       expect(result.toString()).toBe('hello world');
     });
 
+    it('should accept the URLs returned by save()', async () => {
+      mockS3Client.send.mockImplementation(async () => ({ Body: streamOf([Buffer.from('x')]) }));
+
+      await objectStoreStorage.read({ path: '/content/media/2026/10/my%20photo.jpg' });
+      await objectStoreStorage.read({ path: 'https://example.com/content/media/2026/10/a.jpg' });
+
+      expect(GetObjectCommand.mock.calls.map(([params]) => params.Key)).toEqual([
+        'content/media/2026/10/my photo.jpg',
+        'content/media/2026/10/a.jpg'
+      ]);
+    });
+
     it('should translate NoSuchKey into a "File not found" error', async () => {
       const mockError = new Error('NoSuchKey');
       mockError.name = 'NoSuchKey';
@@ -272,12 +970,13 @@ describe('ObjectStoreStorage', () => {
   });
 
   describe('serve', () => {
-    const mockReqRes = (path = '/test-file.jpg') => ({
-      req: { path },
+    const mockReqRes = (path = '/test-file.jpg', { method = 'GET', headers = {} } = {}) => ({
+      req: { path, method, headers },
       res: {
         set: jest.fn(),
         status: jest.fn().mockReturnThis(),
-        send: jest.fn()
+        send: jest.fn(),
+        end: jest.fn()
       },
       next: jest.fn()
     });
@@ -313,6 +1012,21 @@ describe('ObjectStoreStorage', () => {
       expect(next).not.toHaveBeenCalled();
     });
 
+    it('should decode the request path and reject traversal', async () => {
+      mockS3Client.send.mockResolvedValue({ Body: { pipe: jest.fn() } });
+
+      const encoded = mockReqRes('/2026/10/my%20photo.jpg');
+      await objectStoreStorage.serve()(encoded.req, encoded.res, encoded.next);
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket', Key: 'content/media/2026/10/my photo.jpg' });
+
+      const traversal = mockReqRes('/2026/%2e%2e/%2e%2e/%2e%2e/config.json');
+      await objectStoreStorage.serve()(traversal.req, traversal.res, traversal.next);
+
+      expect(traversal.next).toHaveBeenCalledWith(expect.objectContaining({ name: 'InvalidKeyError', statusCode: 400 }));
+      expect(GetObjectCommand).toHaveBeenCalledTimes(1);
+    });
+
     it('should only set headers that are present on the S3 response', async () => {
       const mockStream = { pipe: jest.fn() };
       mockS3Client.send.mockResolvedValue({ Body: mockStream });
@@ -372,8 +1086,427 @@ describe('ObjectStoreStorage', () => {
       const { req, res, next } = mockReqRes('/test-file.jpg');
       await objectStoreStorage.serve()(req, res, next);
 
-      expect(next).toHaveBeenCalledWith(mockError);
+      const [forwarded] = next.mock.calls[0];
+      expect(forwarded).toBeInstanceOf(ObjectStoreStorage.errors.ObjectStoreError);
+      expect(forwarded.message).toBe('Failed to serve file from Object Store: Internal server error');
+      expect(forwarded.cause).toBe(mockError);
+      expect(forwarded.key).toBe('content/media/test-file.jpg');
       expect(res.status).not.toHaveBeenCalled();
     });
+
+    it('should forward unavailability with a 503 status to next()', async () => {
+      const mockError = new Error('Service Unavailable');
+      mockError.name = 'ServiceUnavailable';
+      mockError.$metadata = { httpStatusCode: 503, requestId: 'REQ123' };
+      mockS3Client.send.mockRejectedValue(mockError);
+      objectStoreStorage.requestPolicy.maxRetries = 0;
+
+      const { req, res, next } = mockReqRes('/test-file.jpg');
+      await objectStoreStorage.serve()(req, res, next);
+
+      const [forwarded] = next.mock.calls[0];
+      expect(forwarded).toBeInstanceOf(ObjectStoreStorage.errors.StoreUnavailableError);
+      expect(forwarded.statusCode).toBe(503);
+      expect(forwarded.requestId).toBe('REQ123');
+    });
+
+    it('should forward a byte range and respond with 206 partial content', async () => {
+      const mockStream = { pipe: jest.fn() };
+      mockS3Client.send.mockResolvedValue({
+        Body: mockStream,
+        ContentType: 'video/mp4',
+        ContentLength: 100,
+        ContentRange: 'bytes 0-99/1000'
+      });
+
+      const { req, res, next } = mockReqRes('/video.mp4', { headers: { range: 'bytes=0-99' } });
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/video.mp4',
+        Range: 'bytes=0-99'
+      });
+      expect(res.status).toHaveBeenCalledWith(206);
+      expect(res.set).toHaveBeenCalledWith('Accept-Ranges', 'bytes');
+      expect(res.set).toHaveBeenCalledWith('Content-Range', 'bytes 0-99/1000');
+      expect(res.set).toHaveBeenCalledWith('Content-Length', '100');
+      expect(mockStream.pipe).toHaveBeenCalledWith(res);
+    });
+
+    it.each([
+      ['bytes=-500', 'bytes=-500'],
+      ['bytes=100-', 'bytes=100-'],
+      ['bytes = 5 - 10', 'bytes=5-10']
+    ])('should normalise the range %s', async (header, expected) => {
+      mockS3Client.send.mockResolvedValue({ Body: { pipe: jest.fn() } });
+
+      const { req, res, next } = mockReqRes('/video.mp4', { headers: { range: header } });
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(GetObjectCommand).toHaveBeenCalledWith(expect.objectContaining({ Range: expected }));
+    });
+
+    it.each(['items=0-10', 'bytes=0-10,20-30'])('should ignore the unsupported range %s', async (header) => {
+      mockS3Client.send.mockResolvedValue({ Body: { pipe: jest.fn() } });
+
+      const { req, res, next } = mockReqRes('/video.mp4', { headers: { range: header } });
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/video.mp4'
+      });
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it.each(['bytes=10-5', 'bytes=-', 'bytes=abc', 'bytes=-0'])('should respond 416 to the invalid range %s', async (header) => {
+      const { req, res, next } = mockReqRes('/video.mp4', { headers: { range: header } });
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(mockS3Client.send).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(416);
+      expect(res.end).toHaveBeenCalled();
+    });
+
+    it('should respond 416 with the object size when the range is not satisfiable', async () => {
+      const mockError = new Error('The requested range is not satisfiable');
+      mockError.name = 'InvalidRange';
+      mockError.ActualObjectSize = 1000;
+      mockS3Client.send.mockRejectedValue(mockError);
+
+      const { req, res, next } = mockReqRes('/video.mp4', { headers: { range: 'bytes=5000-' } });
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(res.set).toHaveBeenCalledWith('Content-Range', 'bytes */1000');
+      expect(res.status).toHaveBeenCalledWith(416);
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should forward If-None-Match and respond 304 when the object is unchanged', async () => {
+      const mockError = new Error('Not Modified');
+      mockError.$metadata = { httpStatusCode: 304 };
+      mockError.$response = { statusCode: 304, headers: { etag: '"test-etag"', 'last-modified': 'Wed, 29 Oct 2025 00:00:00 GMT' } };
+      mockS3Client.send.mockRejectedValue(mockError);
+
+      const { req, res, next } = mockReqRes('/test-file.jpg', {
+        headers: { 'if-none-match': '"test-etag"', 'if-modified-since': 'Thu, 30 Oct 2025 00:00:00 GMT' }
+      });
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/test-file.jpg',
+        IfNoneMatch: '"test-etag"'
+      });
+      expect(res.set).toHaveBeenCalledWith('ETag', '"test-etag"');
+      expect(res.set).toHaveBeenCalledWith('Last-Modified', 'Wed, 29 Oct 2025 00:00:00 GMT');
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(next).not.toHaveBeenCalled();
+    });
+
+    it('should forward a valid If-Modified-Since as a date', async () => {
+      mockS3Client.send.mockResolvedValue({ Body: { pipe: jest.fn() } });
+
+      const { req, res, next } = mockReqRes('/test-file.jpg', {
+        headers: { 'if-modified-since': 'Thu, 30 Oct 2025 00:00:00 GMT' }
+      });
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(GetObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+        IfModifiedSince: new Date('2025-10-30T00:00:00Z')
+      }));
+    });
+
+    it('should ignore an unparseable If-Modified-Since', async () => {
+      mockS3Client.send.mockResolvedValue({ Body: { pipe: jest.fn() } });
+
+      const { req, res, next } = mockReqRes('/test-file.jpg', { headers: { 'if-modified-since': 'yesterday' } });
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/test-file.jpg'
+      });
+    });
+
+    it('should answer HEAD requests from object metadata without downloading the body', async () => {
+      mockS3Client.send.mockResolvedValue({
+        ContentType: 'image/jpeg',
+        ContentLength: 1234,
+        ETag: '"test-etag"'
+      });
+
+      const { req, res, next } = mockReqRes('/test-file.jpg', { method: 'HEAD' });
+      await objectStoreStorage.serve()(req, res, next);
+
+      expect(HeadObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/test-file.jpg'
+      });
+      expect(GetObjectCommand).not.toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith('Content-Length', '1234');
+      expect(res.set).toHaveBeenCalledWith('ETag', '"test-etag"');
+      expect(res.end).toHaveBeenCalled();
+      expect(res.send).not.toHaveBeenCalled();
+    });
+
+    describe('resized images', () => {
+      const notFound = () => Object.assign(new Error('Not Found'), { name: 'NoSuchKey' });
+      let image;
+      let stored;
+
+      beforeEach(() => {
+        image = {
+          rotate: jest.fn().mockReturnThis(),
+          resize: jest.fn().mockReturnThis(),
+          toFormat: jest.fn().mockReturnThis(),
+          toBuffer: jest.fn().mockResolvedValue(Buffer.from('resized'))
+        };
+        sharp.mockReturnValue(image);
+        stored = false;
+
+        // The variant is missing until it has been generated and written back
+        mockS3Client.send.mockImplementation(async (command) => {
+          const { Key } = command instanceof PutObjectCommand ?
+            PutObjectCommand.mock.calls.at(-1)[0] :
+            command instanceof HeadObjectCommand ? HeadObjectCommand.mock.calls.at(-1)[0] : GetObjectCommand.mock.calls.at(-1)[0];
+
+          if (command instanceof PutObjectCommand) {
+            stored = true;
+            return {};
+          }
+          if (Key === 'content/media/2024/01/photo.jpg') {
+            return { ContentType: 'image/jpeg', Body: [Buffer.from('original')] };
+          }
+          if (!stored) {
+            throw notFound();
+          }
+          return { ContentType: 'image/webp', ContentLength: 7, Body: { pipe: jest.fn() } };
+        });
+      });
+
+      it('should generate a missing variant from the original, store it and serve it', async () => {
+        const { req, res, next } = mockReqRes('/size/w600/format/webp/2024/01/photo.jpg');
+        await objectStoreStorage.serve()(req, res, next);
+
+        expect(sharp).toHaveBeenCalledWith(Buffer.from('original'), { animated: false });
+        expect(image.resize).toHaveBeenCalledWith({ width: 600, height: undefined, fit: 'inside', withoutEnlargement: true });
+        expect(image.toFormat).toHaveBeenCalledWith('webp');
+        expect(PutObjectCommand).toHaveBeenCalledWith({
+          Bucket: 'test-bucket',
+          Key: 'content/media/size/w600/format/webp/2024/01/photo.jpg',
+          ContentType: 'image/webp',
+          Body: Buffer.from('resized')
+        });
+        expect(res.set).toHaveBeenCalledWith('Content-Type', 'image/webp');
+        expect(next).not.toHaveBeenCalled();
+      });
+
+      it('should keep the content type of the original without a format', async () => {
+        const { req, res, next } = mockReqRes('/size/w300/2024/01/photo.jpg');
+        await objectStoreStorage.serve()(req, res, next);
+
+        expect(image.toFormat).not.toHaveBeenCalled();
+        expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({ ContentType: 'image/jpeg' }));
+      });
+
+      it('should serve existing variants without generating them', async () => {
+        stored = true;
+
+        const { req, res, next } = mockReqRes('/size/w600/2024/01/photo.jpg');
+        await objectStoreStorage.serve()(req, res, next);
+
+        expect(sharp).not.toHaveBeenCalled();
+        expect(PutObjectCommand).not.toHaveBeenCalled();
+      });
+
+      it('should generate a variant once for concurrent requests', async () => {
+        const first = mockReqRes('/size/w600/2024/01/photo.jpg');
+        const second = mockReqRes('/size/w600/2024/01/photo.jpg');
+        const middleware = objectStoreStorage.serve();
+
+        await Promise.all([middleware(first.req, first.res, first.next), middleware(second.req, second.res, second.next)]);
+
+        expect(PutObjectCommand).toHaveBeenCalledTimes(1);
+      });
+
+      it('should redirect to the original for sizes that are not allowed', async () => {
+        const { req, res, next } = mockReqRes('/size/w601/2024/01/photo.jpg');
+        res.redirect = jest.fn();
+        await objectStoreStorage.serve()(req, res, next);
+
+        expect(res.redirect).toHaveBeenCalledWith(302, '/content/media/2024/01/photo.jpg');
+        expect(sharp).not.toHaveBeenCalled();
+      });
+
+      it('should redirect to the original when the image cannot be processed', async () => {
+        image.toBuffer.mockRejectedValue(new Error('Input buffer contains unsupported image format'));
+
+        const { req, res, next } = mockReqRes('/size/w600/2024/01/photo.jpg');
+        res.redirect = jest.fn();
+        await objectStoreStorage.serve()(req, res, next);
+
+        expect(res.redirect).toHaveBeenCalledWith(302, '/content/media/2024/01/photo.jpg');
+        expect(PutObjectCommand).not.toHaveBeenCalled();
+      });
+
+      it('should respond 404 when the original does not exist', async () => {
+        const { req, res, next } = mockReqRes('/size/w600/2024/01/missing.jpg');
+        await objectStoreStorage.serve()(req, res, next);
+
+        expect(res.status).toHaveBeenCalledWith(404);
+      });
+
+      it('should generate variants before redirecting to the asset host', async () => {
+        const cdnStorage = new ObjectStoreStorage({
+          ...credentials,
+          storagePath: 'content/media/',
+          staticFileURLPrefix: 'content/media/',
+          assetHost: 'https://cdn.example.com',
+          serveMode: 'redirect'
+        });
+        const res = { redirect: jest.fn() };
+
+        await cdnStorage.serve()({ path: '/size/w600/2024/01/photo.jpg' }, res, jest.fn());
+
+        expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+          Key: 'content/media/size/w600/2024/01/photo.jpg'
+        }));
+        expect(res.redirect).toHaveBeenCalledWith(302, 'https://cdn.example.com/content/media/size/w600/2024/01/photo.jpg');
+      });
+
+      it('should leave size paths alone when resizing is disabled', async () => {
+        const storage = new ObjectStoreStorage({ ...credentials, staticFileURLPrefix: 'content/media/', resizeImages: false });
+
+        const { req, res, next } = mockReqRes('/size/w600/2024/01/photo.jpg');
+        await storage.serve()(req, res, next);
+
+        expect(sharp).not.toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(404);
+      });
+    });
+  });
+
+  describe('cache', () => {
+    let cachedStorage;
+
+    const mockRes = () => ({
+      set: jest.fn(),
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      end: jest.fn()
+    });
+
+    beforeEach(() => {
+      cachedStorage = new ObjectStoreStorage({
+        ...credentials,
+        staticFileURLPrefix: 'content/media/',
+        cache: 'memory',
+        retryBaseDelay: 0
+      });
+
+      mockS3Client.send.mockImplementation(async (command) => {
+        if (command instanceof HeadObjectCommand) {
+          return { ETag: '"etag"', ContentLength: 10 };
+        }
+        if (command instanceof GetObjectCommand) {
+          return {
+            ETag: '"etag"',
+            ContentType: 'image/png',
+            ContentLength: 10,
+            LastModified: new Date('2026-06-01T00:00:00Z'),
+            Body: [Buffer.from('0123456789')]
+          };
+        }
+        return {};
+      });
+    });
+
+    it('should serve repeated requests from the cache', async () => {
+      const middleware = cachedStorage.serve();
+
+      const first = mockRes();
+      await middleware({ path: '/photo.png', method: 'GET', headers: {} }, first, jest.fn());
+      const second = mockRes();
+      await middleware({ path: '/photo.png', method: 'GET', headers: {} }, second, jest.fn());
+
+      expect(GetObjectCommand).toHaveBeenCalledTimes(1);
+      expect(second.set).toHaveBeenCalledWith('Content-Type', 'image/png');
+      expect(second.set).toHaveBeenCalledWith('ETag', '"etag"');
+      expect(second.set).toHaveBeenCalledWith('Content-Length', '10');
+      expect(second.end).toHaveBeenCalledWith(Buffer.from('0123456789'));
+    });
+
+    it('should answer range requests from the cache', async () => {
+      const res = mockRes();
+      await cachedStorage.serve()({ path: '/photo.png', method: 'GET', headers: { range: 'bytes=-4' } }, res, jest.fn());
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({ Bucket: 'ghost', Key: 'content/media/photo.png' });
+      expect(res.status).toHaveBeenCalledWith(206);
+      expect(res.set).toHaveBeenCalledWith('Content-Range', 'bytes 6-9/10');
+      expect(res.end).toHaveBeenCalledWith(Buffer.from('6789'));
+    });
+
+    it('should answer unsatisfiable ranges from the cache', async () => {
+      const res = mockRes();
+      await cachedStorage.serve()({ path: '/photo.png', method: 'GET', headers: { range: 'bytes=10-' } }, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(416);
+      expect(res.set).toHaveBeenCalledWith('Content-Range', 'bytes */10');
+    });
+
+    it('should answer conditional requests from the cache', async () => {
+      const byETag = mockRes();
+      await cachedStorage.serve()({ path: '/photo.png', method: 'GET', headers: { 'if-none-match': 'W/"etag"' } }, byETag, jest.fn());
+      const byDate = mockRes();
+      await cachedStorage.serve()({
+        path: '/photo.png', method: 'GET', headers: { 'if-modified-since': 'Mon, 01 Jun 2026 00:00:00 GMT' }
+      }, byDate, jest.fn());
+
+      expect(byETag.status).toHaveBeenCalledWith(304);
+      expect(byDate.status).toHaveBeenCalledWith(304);
+      expect(byDate.end).toHaveBeenCalledWith();
+      for (const res of [byETag, byDate]) {
+        expect(res.set).toHaveBeenCalledWith('ETag', '"etag"');
+        expect(res.set).toHaveBeenCalledWith('Last-Modified', 'Mon, 01 Jun 2026 00:00:00 GMT');
+      }
+    });
+
+    it('should stream objects too large for the cache', async () => {
+      const pipe = jest.fn();
+      mockS3Client.send.mockImplementation(async (command) => (command instanceof HeadObjectCommand ?
+        { ETag: '"etag"', ContentLength: 64 * 1024 * 1024 } :
+        { ETag: '"etag"', ContentLength: 64 * 1024 * 1024, Body: { pipe } }));
+
+      const res = mockRes();
+      await cachedStorage.serve()({ path: '/video.mp4', method: 'GET', headers: { range: 'bytes=0-99' } }, res, jest.fn());
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({ Bucket: 'ghost', Key: 'content/media/video.mp4', Range: 'bytes=0-99' });
+      expect(pipe).toHaveBeenCalledWith(res);
+
+      // Known to be too large, so further requests go straight to the Object Store
+      mockS3Client.send.mockClear();
+      await cachedStorage.serve()({ path: '/video.mp4', method: 'GET', headers: { range: 'bytes=100-199' } }, mockRes(), jest.fn());
+      expect(mockS3Client.send).toHaveBeenCalledTimes(1);
+    });
+
+    it('should read through the cache', async () => {
+      expect(await cachedStorage.read({ path: 'content/media/photo.png' })).toEqual(Buffer.from('0123456789'));
+      expect(await cachedStorage.read({ path: 'content/media/photo.png' })).toEqual(Buffer.from('0123456789'));
+
+      expect(GetObjectCommand).toHaveBeenCalledTimes(1);
+    });
+
+    it('should invalidate deleted and overwritten objects', async () => {
+      await cachedStorage.read({ path: 'content/media/photo.png' });
+      await cachedStorage.delete('photo.png', 'content/media');
+      await cachedStorage.read({ path: 'content/media/photo.png' });
+      await cachedStorage.saveRaw(Buffer.from('new'), 'photo.png');
+      await cachedStorage.read({ path: 'content/media/photo.png' });
+
+      expect(GetObjectCommand).toHaveBeenCalledTimes(3);
+    });
   });
 });
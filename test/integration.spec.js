@@ -0,0 +1,475 @@
+const fs = require('node:fs');
+const http = require('node:http');
+const os = require('node:os');
+const path = require('node:path');
+const { GetObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const ObjectStoreStorage = require('../index.js');
+const { FakeS3Server } = require('../lib/fake-s3');
+
+// Runs the adapter end-to-end against the in-process S3 server, with the real SDK: request signing,
+// path-style addressing, streaming bodies and the error names S3 answers with
+describe('integration', () => {
+  const MiB = 1024 * 1024;
+  const png = Buffer.concat([Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex'), Buffer.alloc(64, 7)]);
+  const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+  let server;
+  let endpoint;
+  let tmpDir;
+
+  const createStorage = (options = {}) => new ObjectStoreStorage({
+    endpoint,
+    accessKey: 'test-access-key',
+    secretKey: 'test-secret-key',
+    bucket: 'ghost',
+    region: 'us-east-1',
+    role: 'images',
+    maxRetries: 0,
+    retryBaseDelay: 0,
+    logger,
+    ...options
+  });
+
+  beforeAll(async () => {
+    server = new FakeS3Server({ buckets: ['ghost', 'replica'] });
+    endpoint = await server.start();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'object-store-integration-'));
+  });
+
+  afterAll(async () => {
+    await server.stop();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    server.reset();
+  });
+
+  describe('adapter methods', () => {
+    let storage;
+
+    beforeEach(() => {
+      storage = createStorage();
+    });
+
+    it('should pass the startup check without leaving the probe object behind', async () => {
+      storage = createStorage({ startupCheck: true });
+
+      await expect(storage.ensureReady()).resolves.toBeUndefined();
+      expect(server.buckets.get('ghost').objects.size).toBe(0);
+    });
+
+    it('should report a missing bucket', async () => {
+      storage = createStorage({ bucket: 'missing', startupCheck: true });
+
+      await expect(storage.ensureReady()).rejects.toMatchObject({
+        name: 'InvalidConfigError',
+        message: 'Bucket "missing" does not exist'
+      });
+    });
+
+    it('should report requests the Object Store could not authenticate', async () => {
+      storage = createStorage({ secretKey: 'wrong-secret-key' });
+
+      await expect(storage.read({ path: 'content/images/a.png' })).rejects.toMatchObject({
+        name: 'InvalidConfigError',
+        code: 'SignatureDoesNotMatch'
+      });
+    });
+
+    it('should save, check, read and delete files', async () => {
+      const filePath = path.join(tmpDir, 'upload');
+      fs.writeFileSync(filePath, png);
+
+      const url = await storage.save({ path: filePath, name: 'photo.png', type: 'application/octet-stream' }, 'content/images/2026/10');
+
+      expect(url).toBe('/content/images/2026/10/photo.png');
+      expect(server.getObject('ghost', 'content/images/2026/10/photo.png')).toMatchObject({ contentType: 'image/png', body: png });
+      await expect(storage.exists('photo.png', 'content/images/2026/10')).resolves.toBe(true);
+      await expect(storage.read({ path: 'content/images/2026/10/photo.png' })).resolves.toEqual(png);
+
+      // Ghost picks another name for a second upload of the same file
+      await expect(storage.save({ path: filePath, name: 'photo.png', type: 'image/png' }, 'content/images/2026/10'))
+        .resolves.toBe('/content/images/2026/10/photo-1.png');
+
+      await storage.delete('photo.png', 'content/images/2026/10');
+      await expect(storage.exists('photo.png', 'content/images/2026/10')).resolves.toBe(false);
+    });
+
+    it('should save and overwrite raw files', async () => {
+      await expect(storage.saveRaw(Buffer.from('{"a":1}'), '2026/10/data.json')).resolves.toBe('/content/images/2026/10/data.json');
+      await storage.saveRaw(Buffer.from('{"a":2}'), '2026/10/data.json');
+
+      await expect(storage.read({ path: 'content/images/2026/10/data.json' })).resolves.toEqual(Buffer.from('{"a":2}'));
+      expect(server.getObject('ghost', 'content/images/2026/10/data.json').contentType).toBe('application/json');
+    });
+
+    it('should handle keys that need encoding', async () => {
+      await storage.saveRaw(Buffer.from('x'), '2026/10/my photo (1)+é.txt');
+
+      await expect(storage.read({ path: 'content/images/2026/10/my photo (1)+é.txt' })).resolves.toEqual(Buffer.from('x'));
+    });
+
+    it('should map both forms of missing objects to NotFoundError', async () => {
+      // S3 answers HEAD requests without a body, which the SDK reports as NotFound, and GET requests with NoSuchKey
+      await expect(storage.send(new HeadObjectCommand({ Bucket: 'ghost', Key: 'missing.png' }))).rejects.toMatchObject({ name: 'NotFound' });
+      await expect(storage.send(new GetObjectCommand({ Bucket: 'ghost', Key: 'missing.png' }))).rejects.toMatchObject({ name: 'NoSuchKey' });
+
+      await expect(storage.exists('missing.png', 'content/images')).resolves.toBe(false);
+      await expect(storage.read({ path: 'content/images/missing.png' })).rejects.toMatchObject({
+        name: 'NotFoundError',
+        message: 'File not found: content/images/missing.png'
+      });
+    });
+
+    it('should upload large files in parts', async () => {
+      storage = createStorage({ multipartThreshold: MiB, multipartPartSize: 5 * MiB });
+      const body = Buffer.alloc(5 * MiB + 10, 1);
+
+      await storage.saveRaw(body, '2026/10/video.mp4');
+
+      expect(server.requests.filter(({ query }) => query.partNumber).map(({ query }) => query.partNumber).sort()).toEqual(['1', '2']);
+      expect(server.getObject('ghost', 'content/images/2026/10/video.mp4').body.equals(body)).toBe(true);
+    });
+
+    it('should retry requests the Object Store failed', async () => {
+      storage = createStorage({ maxRetries: 2 });
+      server.injectFault({ method: 'PUT', code: 'SlowDown' });
+
+      await storage.saveRaw(Buffer.from('x'), 'a.txt');
+
+      expect(server.requests.filter(({ method }) => method === 'PUT')).toHaveLength(2);
+      expect(server.getObject('ghost', 'content/images/a.txt')).toBeDefined();
+    });
+
+    it('should generate presigned URLs the Object Store accepts', async () => {
+      await storage.saveRaw(Buffer.from('private'), 'a.txt');
+      const url = await storage.getPresignedUrl('content/images/a.txt', { expiresIn: 60 });
+
+      const response = await fetch(url);
+      expect(response.status).toBe(200);
+      expect(await response.text()).toBe('private');
+
+      const tampered = await fetch(url.replace('a.txt', 'b.txt'));
+      expect(tampered.status).toBe(403);
+    });
+  });
+
+  describe('serve', () => {
+    let storage;
+    let site;
+    let siteUrl;
+
+    // Minimal stand-in for the Express app Ghost mounts the middleware in, under /content/images
+    const request = (urlPath, options = {}) => new Promise((resolve, reject) => {
+      http.request(`${siteUrl}${urlPath}`, options, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      }).on('error', reject).end();
+    });
+
+    beforeAll(async () => {
+      storage = createStorage();
+      const middleware = storage.serve();
+
+      site = http.createServer((req, res) => {
+        req.path = new URL(req.url, 'http://localhost').pathname.replace(/^\/content\/images/, '');
+        res.set = (name, value) => {
+          res.setHeader(name, value);
+          return res;
+        };
+        res.status = (statusCode) => {
+          res.statusCode = statusCode;
+          return res;
+        };
+        res.send = (body) => res.end(body);
+        res.redirect = (statusCode, location) => res.writeHead(statusCode, { Location: location }).end();
+
+        middleware(req, res, (error) => {
+          res.writeHead(error ? error.statusCode || 500 : 404).end();
+        });
+      });
+      await new Promise((resolve) => site.listen(0, '127.0.0.1', resolve));
+      siteUrl = `http://127.0.0.1:${site.address().port}`;
+    });
+
+    afterAll(async () => {
+      site.closeAllConnections();
+      await new Promise((resolve) => site.close(resolve));
+    });
+
+    beforeEach(async () => {
+      await storage.saveRaw(Buffer.from('0123456789'), '2026/10/file.txt');
+    });
+
+    it('should stream objects with their headers', async () => {
+      const response = await request('/content/images/2026/10/file.txt');
+
+      expect(response.status).toBe(200);
+      expect(response.body.toString()).toBe('0123456789');
+      expect(response.headers).toMatchObject({
+        'content-type': 'text/plain',
+        'content-length': '10',
+        'accept-ranges': 'bytes',
+        'cache-control': 'public, max-age=31536000',
+        etag: server.getObject('ghost', 'content/images/2026/10/file.txt').etag
+      });
+    });
+
+    it('should answer range requests', async () => {
+      const response = await request('/content/images/2026/10/file.txt', { headers: { Range: 'bytes=2-4' } });
+
+      expect(response.status).toBe(206);
+      expect(response.body.toString()).toBe('234');
+      expect(response.headers['content-range']).toBe('bytes 2-4/10');
+    });
+
+    it('should answer unsatisfiable ranges with the object size', async () => {
+      const response = await request('/content/images/2026/10/file.txt', { headers: { Range: 'bytes=50-60' } });
+
+      expect(response.status).toBe(416);
+      expect(response.headers['content-range']).toBe('bytes */10');
+    });
+
+    it('should answer conditional requests', async () => {
+      const { headers } = await request('/content/images/2026/10/file.txt');
+
+      expect((await request('/content/images/2026/10/file.txt', { headers: { 'If-None-Match': headers.etag } })).status).toBe(304);
+      expect((await request('/content/images/2026/10/file.txt', { headers: { 'If-Modified-Since': headers['last-modified'] } })).status).toBe(304);
+    });
+
+    it('should answer HEAD requests without a body', async () => {
+      const response = await request('/content/images/2026/10/file.txt', { method: 'HEAD' });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-length']).toBe('10');
+      expect(response.body).toHaveLength(0);
+    });
+
+    it('should answer 404 for missing objects', async () => {
+      expect((await request('/content/images/2026/10/missing.txt')).status).toBe(404);
+    });
+  });
+
+  describe('soft delete and versions', () => {
+    it('should restore deleted and overwritten objects from the trash', async () => {
+      const storage = createStorage({ softDelete: true });
+      await storage.saveRaw(Buffer.from('v1'), 'theme.css');
+      await storage.saveRaw(Buffer.from('v2'), 'theme.css');
+
+      await storage.delete('theme.css', 'content/images');
+      expect(server.getObject('ghost', 'content/images/theme.css')).toBeUndefined();
+
+      await storage.restore('content/images/theme.css');
+      await expect(storage.read({ path: 'content/images/theme.css' })).resolves.toEqual(Buffer.from('v2'));
+
+      // The copy kept when v1 was overwritten is still in the trash
+      const [entry] = await storage.listTrash({ key: 'content/images/theme.css' });
+      await storage.restore('content/images/theme.css', { deletedAt: entry.deletedAt });
+      await expect(storage.read({ path: 'content/images/theme.css' })).resolves.toEqual(Buffer.from('v1'));
+      await expect(storage.listTrash()).resolves.toEqual([]);
+    });
+
+    it('should read and restore versions from a versioned bucket', async () => {
+      const versioned = new FakeS3Server({ versioning: true });
+      const storage = createStorage({ endpoint: await versioned.start() });
+
+      try {
+        await storage.saveRaw(Buffer.from('v1'), 'theme.css');
+        await storage.saveRaw(Buffer.from('v2'), 'theme.css');
+        const [, first] = await storage.listVersions('content/images/theme.css');
+
+        await expect(storage.read({ path: 'content/images/theme.css', versionId: first.versionId })).resolves.toEqual(Buffer.from('v1'));
+
+        await storage.delete('theme.css', 'content/images');
+        await expect(storage.restore('content/images/theme.css')).resolves.toMatchObject({ key: 'content/images/theme.css' });
+        await expect(storage.read({ path: 'content/images/theme.css' })).resolves.toEqual(Buffer.from('v2'));
+      } finally {
+        await versioned.stop();
+      }
+    });
+  });
+
+  describe('shared bucket', () => {
+    it('should keep the objects of sites with different key prefixes apart', async () => {
+      const blogA = createStorage({ keyPrefix: 'blog-a', softDelete: true });
+      const blogB = createStorage({ keyPrefix: 'blog-b' });
+
+      await blogA.saveRaw(Buffer.from('a'), '2026/10/file.txt');
+      await expect(blogB.saveRaw(Buffer.from('b'), '2026/10/file.txt')).resolves.toBe('/content/images/2026/10/file.txt');
+
+      expect(server.getObject('ghost', 'blog-a/content/images/2026/10/file.txt').body.toString()).toBe('a');
+      await expect(blogB.read({ path: '/content/images/2026/10/file.txt' })).resolves.toEqual(Buffer.from('b'));
+
+      await blogA.delete('file.txt', 'content/images/2026/10');
+      await expect(blogB.exists('file.txt', 'content/images/2026/10')).resolves.toBe(true);
+      await expect(blogA.listTrash()).resolves.toEqual([expect.objectContaining({ key: 'content/images/2026/10/file.txt' })]);
+      await expect(blogB.listTrash()).resolves.toEqual([]);
+
+      await blogA.restore('content/images/2026/10/file.txt');
+      await expect(blogA.read({ path: 'content/images/2026/10/file.txt' })).resolves.toEqual(Buffer.from('a'));
+      expect([...server.buckets.get('ghost').objects.keys()].every((key) => /^blog-[ab]\//.test(key))).toBe(true);
+    });
+
+    it('should keep tenants apart and report their usage', async () => {
+      const tenants = { nation: { bucket: 'replica' }, gone: { bucket: 'missing' } };
+      const blog = createStorage({ tenant: 'blog', tenants });
+      const nation = createStorage({ tenant: 'nation', tenants });
+
+      await blog.saveRaw(Buffer.from('blog'), '2026/10/file.txt');
+      await nation.saveRaw(Buffer.from('nation'), '2026/10/file.txt');
+      await createStorage({ tenant: 'other' }).saveRaw(Buffer.from('x'), 'a.txt');
+
+      expect(server.getObject('ghost', 'tenants/blog/content/images/2026/10/file.txt').body.toString()).toBe('blog');
+      expect(server.getObject('replica', 'tenants/nation/content/images/2026/10/file.txt').body.toString()).toBe('nation');
+      await expect(nation.read({ path: '/content/images/2026/10/file.txt' })).resolves.toEqual(Buffer.from('nation'));
+
+      const report = await blog.tenantUsage();
+      expect(report).toEqual({
+        tenants: [
+          { tenant: 'blog', bucket: 'ghost', objects: 1, bytes: 4 },
+          { tenant: 'gone', bucket: 'missing', objects: 0, bytes: 0, error: expect.stringMatching(/^Failed to measure the storage of tenant "gone"/) },
+          { tenant: 'nation', bucket: 'replica', objects: 1, bytes: 6 },
+          { tenant: 'other', bucket: 'ghost', objects: 1, bytes: 1 }
+        ],
+        objects: 3,
+        bytes: 11
+      });
+      await expect(blog.tenantUsage({ tenants: ['Nation'] })).resolves.toMatchObject({ tenants: [{ tenant: 'nation', objects: 1 }] });
+    });
+  });
+
+  describe('bulk operations', () => {
+    it('should delete in batches and copy large objects in parts', async () => {
+      const storage = createStorage({ keyPrefix: 'blog', multipartThreshold: MiB, multipartPartSize: 5 * MiB });
+      const body = Buffer.alloc(5 * MiB + 10, 2);
+      await storage.saveRaw(body, 'video.mp4');
+      await storage.saveRaw(Buffer.from('a'), '2026/10/a.txt');
+      await storage.saveRaw(Buffer.from('b'), '2026/10/b.txt');
+      server.requests.length = 0;
+
+      await expect(storage.movePrefix('content/images/', 'archive/')).resolves.toMatchObject({ requested: 3, moved: 3, failed: [] });
+
+      expect(server.requests.filter(({ query }) => query.partNumber).map(({ key }) => key)).toEqual(['blog/archive/video.mp4', 'blog/archive/video.mp4']);
+      expect(server.requests.filter(({ method, query }) => method === 'POST' && 'delete' in query)).toHaveLength(1);
+      expect(server.getObject('ghost', 'blog/archive/video.mp4').body.equals(body)).toBe(true);
+      expect([...server.buckets.get('ghost').objects.keys()].sort()).toEqual([
+        'blog/archive/2026/10/a.txt',
+        'blog/archive/2026/10/b.txt',
+        'blog/archive/video.mp4'
+      ]);
+
+      await expect(storage.deleteObjects(['archive/2026/10/a.txt', 'archive/2026/10/missing.txt'])).resolves.toMatchObject({ deleted: 2, failed: [] });
+      expect(server.getObject('ghost', 'blog/archive/2026/10/a.txt')).toBeUndefined();
+    });
+  });
+
+  describe('credentials', () => {
+    it('should sign requests with a session token', async () => {
+      const storage = createStorage({ sessionToken: 'session-token' });
+
+      await storage.saveRaw(Buffer.from('a'), 'a.txt');
+
+      expect(server.requests.at(-1).headers['x-amz-security-token']).toBe('session-token');
+    });
+
+    it('should pick up credentials rotated on disk', async () => {
+      const credentialsFile = path.join(tmpDir, 'rotated-credentials.json');
+      const rotate = (accessKeyId, time) => {
+        fs.writeFileSync(credentialsFile, JSON.stringify({ accessKeyId, secretAccessKey: 'test-secret-key' }));
+        fs.utimesSync(credentialsFile, time, time);
+      };
+      rotate('test-access-key', new Date(Date.now() - 60000));
+      const storage = createStorage({ credentials: 'file', credentialsFile, accessKey: undefined, secretKey: undefined });
+
+      await expect(storage.saveRaw(Buffer.from('a'), 'a.txt')).resolves.toBeDefined();
+
+      rotate('revoked-access-key', new Date());
+      await expect(storage.saveRaw(Buffer.from('b'), 'b.txt')).rejects.toMatchObject({ name: 'InvalidConfigError' });
+    });
+  });
+
+  describe('inventory', () => {
+    it('should report the objects of every role', async () => {
+      const images = createStorage();
+      await images.saveRaw(Buffer.from('photo'), '2026/10/a.png');
+      await images.saveRaw(Buffer.from('photo'), '2026/10/copy.png');
+      await createStorage({ role: 'media' }).saveRaw(Buffer.from('video'), '2026/09/a.mp4');
+
+      const report = await images.inventory({ top: 1 });
+
+      expect(report).toMatchObject({
+        objects: 3,
+        bytes: 15,
+        roles: [
+          { role: 'images', bucket: 'ghost', objects: 2, bytes: 10 },
+          { role: 'media', bucket: 'ghost', objects: 1, bytes: 5 },
+          { role: 'files', bucket: 'ghost', objects: 0, bytes: 0 }
+        ],
+        duplicates: [{ size: 5, keys: ['content/images/2026/10/a.png', 'content/images/2026/10/copy.png'] }]
+      });
+
+      // Each role is walked in its own bucket
+      const media = createStorage({ role: 'media', media: { bucket: 'replica' } });
+      await media.saveRaw(Buffer.from('video'), '2026/09/a.mp4');
+      await expect(media.inventory({ roles: ['media'] })).resolves.toMatchObject({
+        roles: [{ role: 'media', bucket: 'replica', objects: 1 }],
+        months: [{ month: '2026/09', objects: 1, bytes: 5 }],
+        contentTypes: [{ contentType: 'video/mp4', objects: 1 }]
+      });
+    });
+  });
+
+  describe('replication and garbage collection', () => {
+    it('should write to replicas and read from them when the primary fails', async () => {
+      const storage = createStorage({
+        replicas: [{ endpoint, accessKey: 'test-access-key', secretKey: 'test-secret-key', bucket: 'replica', region: 'us-east-1' }]
+      });
+
+      await storage.saveRaw(Buffer.from('replicated'), 'a.txt');
+      expect(server.getObject('replica', 'content/images/a.txt').body.toString()).toBe('replicated');
+
+      server.injectFault({ method: 'GET', key: 'content/images/a.txt', code: 'InternalError' });
+      await expect(storage.read({ path: 'content/images/a.txt' })).resolves.toEqual(Buffer.from('replicated'));
+      expect(server.requests.filter(({ method }) => method === 'GET').map(({ bucket }) => bucket)).toEqual(['ghost', 'replica']);
+    });
+
+    it('should find orphaned objects', async () => {
+      const storage = createStorage();
+      await storage.saveRaw(Buffer.from('x'), '2026/10/used.png');
+      await storage.saveRaw(Buffer.from('x'), '2026/10/orphan.png');
+
+      const report = await storage.collectGarbage({
+        references: ['<img src="/content/images/2026/10/used.png">'],
+        gracePeriod: 0
+      });
+
+      expect(report).toMatchObject({ scanned: 2, referenced: 1, orphaned: [expect.objectContaining({ key: 'content/images/2026/10/orphan.png' })] });
+    });
+
+    it('should collect orphaned objects from the replicas and the cache too', async () => {
+      const storage = createStorage({
+        cache: 'memory',
+        replicas: [{ endpoint, accessKey: 'test-access-key', secretKey: 'test-secret-key', bucket: 'replica', region: 'us-east-1' }]
+      });
+      await storage.saveRaw(Buffer.from('x'), '2026/10/used.png');
+      await storage.saveRaw(Buffer.from('x'), '2026/10/orphan.png');
+      await storage.saveRaw(Buffer.from('x'), '2026/10/stray.png');
+      await storage.read({ path: 'content/images/2026/10/orphan.png' });
+
+      await expect(storage.collectGarbage({
+        references: ['<img src="/content/images/2026/10/used.png">'],
+        gracePeriod: 0,
+        delete: true,
+        quarantinePrefix: 'gc-quarantine/'
+      })).resolves.toMatchObject({ quarantined: 2, failed: [] });
+
+      for (const bucket of ['ghost', 'replica']) {
+        expect(server.getObject(bucket, 'content/images/2026/10/orphan.png')).toBeUndefined();
+        expect(server.getObject(bucket, 'gc-quarantine/content/images/2026/10/orphan.png')).toBeDefined();
+      }
+      await expect(storage.read({ path: 'content/images/2026/10/orphan.png' })).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const { ListObjectsV2Command } = require('@aws-sdk/client-s3');
+const { normalizeConfig } = require('../lib/config');
+const { getInventory, toCsv } = require('../lib/inventory');
+
+describe('inventory', () => {
+  const object = (Key, Size, ETag = `"${Key}"`) => ({ Key, Size, ETag, LastModified: new Date('2026-10-01T00:00:00.000Z') });
+
+  let storage;
+  let pages;
+
+  beforeEach(() => {
+    pages = [
+      [
+        object('content/images/2026/09/a.jpg', 100, '"same"'),
+        object('content/images/2026/10/b.png', 300),
+        object('content/images/size/w600/2026/10/b.png', 50)
+      ],
+      [
+        object('content/images/2026/10/copy-of-a.jpg', 100, '"same"'),
+        object('content/images/favicon.ico', 10),
+        object('content/images/2026/13/odd.jpg', 5)
+      ]
+    ];
+
+    const config = normalizeConfig({ accessKey: 'a', secretKey: 's', role: 'images' }, {});
+    storage = {
+      role: 'images',
+      config,
+      bucket: config.bucket,
+      send: jest.fn(async (command) => {
+        const page = command.input.ContinuationToken ? 1 : 0;
+        return { Contents: pages[page], IsTruncated: page === 0, NextContinuationToken: page === 0 ? 'next' : undefined };
+      })
+    };
+  });
+
+  it('should count objects and bytes per role, month and content type', async () => {
+    const onProgress = jest.fn();
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('2026-10-19T12:00:00.000Z'));
+
+    const report = await getInventory(storage, { roles: ['images'], onProgress });
+
+    expect(storage.send).toHaveBeenCalledTimes(2);
+    expect(storage.send.mock.calls[0][0]).toBeInstanceOf(ListObjectsV2Command);
+    expect(report).toMatchObject({
+      generatedAt: '2026-10-19T12:00:00.000Z',
+      objects: 6,
+      bytes: 565,
+      roles: [{ role: 'images', bucket: 'ghost', storagePath: 'content/images/', objects: 6, bytes: 565 }],
+      months: [
+        { month: '2026/09', objects: 1, bytes: 100 },
+        { month: '2026/10', objects: 3, bytes: 450 },
+        { month: 'none', objects: 2, bytes: 15 }
+      ],
+      contentTypes: [
+        { contentType: 'image/png', objects: 2, bytes: 350 },
+        { contentType: 'image/jpeg', objects: 3, bytes: 205 },
+        { contentType: 'image/x-icon', objects: 1, bytes: 10 }
+      ]
+    });
+    expect(onProgress).toHaveBeenCalledWith({ role: 'images', objects: 6 });
+    Date.now.mockRestore();
+  });
+
+  it('should list the largest objects and duplicates', async () => {
+    const report = await getInventory(storage, { roles: ['images'], top: 2 });
+
+    expect(report.largest).toEqual([
+      { key: 'content/images/2026/10/b.png', role: 'images', size: 300, lastModified: expect.any(Date) },
+      { key: 'content/images/2026/09/a.jpg', role: 'images', size: 100, lastModified: expect.any(Date) }
+    ]);
+    expect(report.duplicates).toEqual([{
+      etag: '"same"',
+      size: 100,
+      keys: ['content/images/2026/09/a.jpg', 'content/images/2026/10/copy-of-a.jpg'],
+      wastedBytes: 100
+    }]);
+    expect(report.duplicateBytes).toBe(100);
+  });
+
+  it('should reject invalid options', async () => {
+    await expect(getInventory(storage, { roles: ['themes'] })).rejects.toMatchObject({ name: 'InvalidConfigError' });
+    await expect(getInventory(storage, { top: -1 })).rejects.toMatchObject({ name: 'InvalidConfigError' });
+  });
+
+  it('should format the report as CSV', async () => {
+    const csv = toCsv(await getInventory(storage, { roles: ['images'], top: 1 }));
+    const lines = csv.trim().split('\n');
+
+    expect(lines[0]).toBe('section,name,objects,bytes,detail');
+    expect(lines).toContain('role,images,6,565,ghost/content/images/');
+    expect(lines).toContain('month,2026/10,3,450,');
+    expect(lines).toContain('largest,content/images/2026/10/b.png,1,300,2026-10-01T00:00:00.000Z');
+    expect(lines).toContain('duplicate,content/images/2026/10/copy-of-a.jpg,1,100,"""same"""');
+  });
+});
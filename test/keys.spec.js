@@ -0,0 +1,85 @@
+const { PutObjectCommand, ListObjectsV2Command, CopyObjectCommand } = require('@aws-sdk/client-s3');
+const {
+  escapeRegExp,
+  joinKey,
+  keyToUrl,
+  normalizeKey,
+  scopeCommand,
+  unscopeResponse,
+  urlToKey
+} = require('../lib/keys');
+const { InvalidKeyError } = require('../lib/errors');
+
+describe('keys', () => {
+  describe('normalizeKey', () => {
+    it('should drop leading and repeated slashes and convert backslashes', () => {
+      expect(normalizeKey('/content//images\\2026/10/a.png')).toBe('content/images/2026/10/a.png');
+      expect(normalizeKey('content/images/')).toBe('content/images/');
+    });
+
+    it('should reject empty keys and "." or ".." segments', () => {
+      for (const key of ['', '/', undefined, '../a.png', 'content/./a.png', 'content/..', '..\\a.png']) {
+        expect(() => normalizeKey(key)).toThrow(InvalidKeyError);
+      }
+      expect(normalizeKey('content/..a/b..png')).toBe('content/..a/b..png');
+    });
+  });
+
+  it('should join directories and file names', () => {
+    expect(joinKey('content/images/', '/2026/10/a.png')).toBe('content/images/2026/10/a.png');
+    expect(joinKey(undefined, 'a.png')).toBe('a.png');
+    expect(() => joinKey('content/images', '../../a.png')).toThrow(InvalidKeyError);
+  });
+
+  describe('URLs', () => {
+    it('should map keys to relative or asset host URLs', () => {
+      expect(keyToUrl('content/images/a.png')).toBe('/content/images/a.png');
+      expect(keyToUrl('content/images/a.png', { keyPrefix: 'blog/' })).toBe('/content/images/a.png');
+      expect(keyToUrl('content/images/a.png', { assetHost: 'https://cdn.example.com', keyPrefix: 'blog/' }))
+        .toBe('https://cdn.example.com/blog/content/images/a.png');
+    });
+
+    it('should map URLs back to keys', () => {
+      const options = { assetHost: 'https://cdn.example.com', keyPrefix: 'blog/' };
+
+      expect(urlToKey('https://cdn.example.com/blog/content/images/a.png', options)).toBe('content/images/a.png');
+      expect(urlToKey('https://example.com/content/images/my%20photo.png', options)).toBe('content/images/my photo.png');
+      expect(urlToKey('/content/images/100%.png')).toBe('content/images/100%.png');
+      expect(urlToKey('content/images/a.png')).toBe('content/images/a.png');
+      expect(() => urlToKey('/content/images/%2e%2e/%2e%2e/config.json')).toThrow(InvalidKeyError);
+    });
+  });
+
+  describe('key prefix', () => {
+    it('should leave commands alone without a prefix', () => {
+      const command = new PutObjectCommand({ Bucket: 'ghost', Key: 'a.png' });
+
+      expect(scopeCommand(command, '')).toBe(command);
+    });
+
+    it('should prefix the keys of commands', () => {
+      expect(scopeCommand(new PutObjectCommand({ Bucket: 'ghost', Key: 'a.png' }), 'blog/').input)
+        .toEqual({ Bucket: 'ghost', Key: 'blog/a.png' });
+      expect(scopeCommand(new ListObjectsV2Command({ Bucket: 'ghost' }), 'blog/').input)
+        .toEqual({ Bucket: 'ghost', Prefix: 'blog/' });
+      expect(scopeCommand(new CopyObjectCommand({ Bucket: 'ghost', Key: 'b.png', CopySource: 'ghost/a%20b.png' }), 'my blog/').input)
+        .toEqual({ Bucket: 'ghost', Key: 'my blog/b.png', CopySource: 'ghost/my%20blog/a%20b.png' });
+    });
+
+    it('should remove the prefix from responses', () => {
+      expect(unscopeResponse({
+        Contents: [{ Key: 'blog/a.png', Size: 1 }],
+        CommonPrefixes: [{ Prefix: 'blog/content/' }],
+        NextKeyMarker: 'blog/b.png'
+      }, 'blog/')).toEqual({
+        Contents: [{ Key: 'a.png', Size: 1 }],
+        CommonPrefixes: [{ Prefix: 'content/' }],
+        NextKeyMarker: 'b.png'
+      });
+    });
+  });
+
+  it('should escape regular expression characters', () => {
+    expect(new RegExp(escapeRegExp('content/(images)+.')).test('content/(images)+.')).toBe(true);
+  });
+});
@@ -0,0 +1,30 @@
+const { createLogger } = require('../lib/logging');
+
+describe('logging', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pass fields to the logger first, as bunyan and pino expect', () => {
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    const log = createLogger(logger);
+
+    log.error('Upload failed', { key: 'content/images/a.jpg' });
+    log.info('Ready');
+
+    expect(logger.error).toHaveBeenCalledWith({ key: 'content/images/a.jpg' }, 'Upload failed');
+    expect(logger.info).toHaveBeenCalledWith('Ready');
+  });
+
+  it('should fall back to the console for warnings and errors', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'debug').mockImplementation(() => {});
+    const log = createLogger(null);
+
+    log.warn('Careful', { role: 'images' });
+    log.debug('Details');
+
+    expect(console.warn).toHaveBeenCalledWith('Careful', { role: 'images' });
+    expect(console.debug).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,83 @@
+const http = require('node:http');
+const { MetricsRegistry, startMetricsServer } = require('../lib/metrics');
+
+describe('metrics', () => {
+  describe('MetricsRegistry', () => {
+    it('should export counters in the Prometheus text format', () => {
+      const registry = new MetricsRegistry();
+      const counter = registry.counter('uploads_total', 'Uploads');
+
+      counter.inc({ role: 'images', status: 'success' });
+      counter.inc({ status: 'success', role: 'images' }, 2);
+      counter.inc({ role: 'files', status: 'error', error: 'Say "hi"\n' });
+
+      expect(registry.toPrometheus()).toBe([
+        '# HELP uploads_total Uploads',
+        '# TYPE uploads_total counter',
+        'uploads_total{role="images",status="success"} 3',
+        'uploads_total{error="Say \\"hi\\"\\n",role="files",status="error"} 1',
+        ''
+      ].join('\n'));
+    });
+
+    it('should share metrics by name', () => {
+      const registry = new MetricsRegistry();
+
+      expect(registry.counter('a_total', 'A')).toBe(registry.counter('a_total', 'A'));
+    });
+
+    it('should export cumulative histogram buckets', () => {
+      const registry = new MetricsRegistry();
+      const histogram = registry.histogram('duration_seconds', 'Duration', [0.1, 1]);
+
+      histogram.observe({ operation: 'save' }, 0.05);
+      histogram.observe({ operation: 'save' }, 0.5);
+      histogram.observe({ operation: 'save' }, 5);
+
+      expect(registry.toPrometheus()).toBe([
+        '# HELP duration_seconds Duration',
+        '# TYPE duration_seconds histogram',
+        'duration_seconds_bucket{le="0.1",operation="save"} 1',
+        'duration_seconds_bucket{le="1",operation="save"} 2',
+        'duration_seconds_bucket{le="+Inf",operation="save"} 3',
+        'duration_seconds_sum{operation="save"} 5.55',
+        'duration_seconds_count{operation="save"} 3',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('startMetricsServer', () => {
+    const get = (port, path) => new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path }, (res) => {
+        let body = '';
+        res.on('data', (chunk) => {
+          body += chunk;
+        });
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+      }).on('error', reject);
+    });
+
+    it('should serve the metrics at /metrics, once per address', async () => {
+      const registry = new MetricsRegistry();
+      registry.counter('requests_total', 'Requests').inc({}, 4);
+
+      const server = startMetricsServer(registry, { port: 0 });
+      await new Promise((resolve) => server.once('listening', resolve));
+      const { port } = server.address();
+
+      try {
+        expect(startMetricsServer(registry, { port: 0 })).toBe(server);
+
+        const response = await get(port, '/metrics');
+        expect(response.statusCode).toBe(200);
+        expect(response.headers['content-type']).toBe('text/plain; version=0.0.4; charset=utf-8');
+        expect(response.body).toContain('requests_total 4');
+
+        expect((await get(port, '/other')).statusCode).toBe(404);
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
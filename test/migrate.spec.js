@@ -0,0 +1,291 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { S3Client, PutObjectCommand, HeadObjectCommand } = require('@aws-sdk/client-s3');
+const ObjectStoreStorage = require('../index.js');
+const { readState, rewriteUrls, walk } = require('../lib/migrate');
+
+jest.mock('@aws-sdk/client-s3');
+
+describe('migrate', () => {
+  let dir;
+  let source;
+  let mockS3Client;
+
+  const notFound = () => Object.assign(new Error('Not Found'), { name: 'NotFound' });
+
+  const createStorage = (options = {}) => new ObjectStoreStorage({
+    endpoint: 'localhost:9000',
+    accessKey: 'test-access-key',
+    secretKey: 'test-secret-key',
+    bucket: 'test-bucket',
+    role: 'images',
+    retryBaseDelay: 0,
+    ...options
+  });
+
+  const writeFile = (relativePath, content) => {
+    const filePath = path.join(source, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, content);
+  };
+
+  const uploadedKeys = () => PutObjectCommand.mock.calls.map(([params]) => params.Key).sort();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockS3Client = {
+      send: jest.fn((command) => (command instanceof HeadObjectCommand
+        ? Promise.reject(notFound())
+        : Promise.resolve({})))
+    };
+    S3Client.mockImplementation(() => mockS3Client);
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+    source = path.join(dir, 'images');
+    writeFile('2023/05/photo.jpg', 'jpeg bytes');
+    writeFile('2023/05/photo_o.jpg', 'original jpeg bytes');
+    writeFile('2024/01/logo.svg', '<svg/>');
+    writeFile('size/w600/2023/05/photo.jpg', 'small');
+    writeFile('.DS_Store', 'junk');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('walk', () => {
+    it('should list files recursively in a stable order, skipping hidden files', async () => {
+      const files = [];
+      for await (const file of walk(source)) {
+        files.push(file.relativePath);
+      }
+
+      expect(files).toEqual([
+        '2023/05/photo.jpg',
+        '2023/05/photo_o.jpg',
+        '2024/01/logo.svg',
+        'size/w600/2023/05/photo.jpg'
+      ]);
+    });
+  });
+
+  it('should upload every file to the key Ghost would have used, with its content type', async () => {
+    const storage = createStorage();
+
+    const report = await storage.migrate({ source });
+
+    expect(uploadedKeys()).toEqual([
+      'content/images/2023/05/photo.jpg',
+      'content/images/2023/05/photo_o.jpg',
+      'content/images/2024/01/logo.svg',
+      'content/images/size/w600/2023/05/photo.jpg'
+    ]);
+    expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+      Bucket: 'test-bucket',
+      Key: 'content/images/2024/01/logo.svg',
+      ContentType: 'image/svg+xml',
+      Body: Buffer.from('<svg/>')
+    }));
+    expect(report).toMatchObject({
+      dryRun: false,
+      scanned: 4,
+      uploaded: 4,
+      skipped: 0,
+      failed: [],
+      bytes: 10 + 19 + 6 + 5
+    });
+    expect(report.files['2023/05/photo.jpg']).toBe('/content/images/2023/05/photo.jpg');
+  });
+
+  it('should return absolute URLs when an asset host is configured', async () => {
+    const storage = createStorage({ assetHost: 'https://cdn.example.com' });
+
+    const report = await storage.migrate({ source });
+
+    expect(report.files['2024/01/logo.svg']).toBe('https://cdn.example.com/content/images/2024/01/logo.svg');
+  });
+
+  it('should not upload anything on a dry run', async () => {
+    const storage = createStorage();
+    const onProgress = jest.fn();
+
+    const report = await storage.migrate({ source, dryRun: true, onProgress });
+
+    expect(PutObjectCommand).not.toHaveBeenCalled();
+    expect(report.uploaded).toBe(4);
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'planned',
+      path: '2023/05/photo.jpg',
+      key: 'content/images/2023/05/photo.jpg'
+    }));
+  });
+
+  it('should skip files that already exist in the Object Store', async () => {
+    mockS3Client.send.mockImplementation((command) => {
+      if (command instanceof HeadObjectCommand) {
+        return HeadObjectCommand.mock.calls.at(-1)[0].Key === 'content/images/2024/01/logo.svg'
+          ? Promise.resolve({})
+          : Promise.reject(notFound());
+      }
+      return Promise.resolve({});
+    });
+    const storage = createStorage();
+
+    const report = await storage.migrate({ source });
+
+    expect(report.uploaded).toBe(3);
+    expect(report.skipped).toBe(1);
+    expect(uploadedKeys()).not.toContain('content/images/2024/01/logo.svg');
+    expect(report.files['2024/01/logo.svg']).toBe('/content/images/2024/01/logo.svg');
+  });
+
+  it('should upload existing files again with overwrite', async () => {
+    mockS3Client.send.mockResolvedValue({});
+    const storage = createStorage();
+
+    const report = await storage.migrate({ source, overwrite: true });
+
+    expect(HeadObjectCommand).not.toHaveBeenCalled();
+    expect(report.uploaded).toBe(4);
+  });
+
+  it('should name files with the configured strategy', async () => {
+    const storage = createStorage({ namingStrategy: 'hash' });
+
+    const report = await storage.migrate({ source });
+
+    expect(report.files['2024/01/logo.svg']).toMatch(/^\/content\/images\/2024\/01\/[0-9a-f]{64}\.svg$/);
+    expect(report.files['size/w600/2023/05/photo.jpg']).toBe('/content/images/size/w600/2023/05/photo.jpg');
+  });
+
+  it('should record migrated files and skip them when resumed', async () => {
+    const statePath = path.join(dir, 'state.jsonl');
+    const storage = createStorage({ namingStrategy: 'uuid' });
+
+    const first = await storage.migrate({ source, statePath });
+    PutObjectCommand.mockClear();
+    const second = await storage.migrate({ source, statePath });
+
+    expect(first.uploaded).toBe(4);
+    expect(PutObjectCommand).not.toHaveBeenCalled();
+    expect(second.skipped).toBe(4);
+    expect(second.files).toEqual(first.files);
+
+    const state = await readState(statePath);
+    expect(state.get('2023/05/photo.jpg')).toEqual({
+      key: first.files['2023/05/photo.jpg'].slice(1),
+      url: first.files['2023/05/photo.jpg']
+    });
+  });
+
+  it('should ignore a truncated last line in the state file', async () => {
+    const statePath = path.join(dir, 'state.jsonl');
+    fs.writeFileSync(statePath, '{"path":"a.jpg","key":"content/images/a.jpg","url":"/content/images/a.jpg"}\n{"path":"b.j');
+
+    const state = await readState(statePath);
+
+    expect([...state.keys()]).toEqual(['a.jpg']);
+  });
+
+  it('should report failed files and carry on', async () => {
+    mockS3Client.send.mockImplementation((command) => {
+      if (command instanceof HeadObjectCommand) {
+        return Promise.reject(notFound());
+      }
+      if (PutObjectCommand.mock.calls.at(-1)[0].Key === 'content/images/2024/01/logo.svg') {
+        return Promise.reject(Object.assign(new Error('Access Denied'), { name: 'AccessDenied' }));
+      }
+      return Promise.resolve({});
+    });
+    const storage = createStorage();
+
+    const report = await storage.migrate({ source, concurrency: 1 });
+
+    expect(report.uploaded).toBe(3);
+    expect(report.failed).toEqual([{
+      path: '2024/01/logo.svg',
+      key: 'content/images/2024/01/logo.svg',
+      error: expect.stringContaining('Access Denied')
+    }]);
+  });
+
+  it('should limit the number of files uploaded in parallel', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    mockS3Client.send.mockImplementation(async (command) => {
+      if (command instanceof HeadObjectCommand) {
+        throw notFound();
+      }
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      inFlight--;
+      return {};
+    });
+    const storage = createStorage();
+
+    await storage.migrate({ source, concurrency: 2 });
+
+    expect(maxInFlight).toBe(2);
+  });
+
+  it('should reject an invalid concurrency', async () => {
+    await expect(createStorage().migrate({ source, concurrency: 0 }))
+      .rejects.toThrow('concurrency must be a positive integer');
+  });
+
+  it('should require a source directory', async () => {
+    await expect(createStorage().migrate({})).rejects.toThrow('A source directory is required');
+  });
+
+  it('should rewrite the URLs of a Ghost export', async () => {
+    const exportPath = path.join(dir, 'export.json');
+    fs.writeFileSync(exportPath, JSON.stringify({
+      posts: [{
+        feature_image: '__GHOST_URL__/content/images/2023/05/photo.jpg',
+        html: '<img src="https://blog.example.com/content/images/2024/01/logo.svg?v=1">'
+      }]
+    }));
+    const storage = createStorage({ assetHost: 'https://cdn.example.com' });
+
+    const report = await storage.migrate({ source, exportPath, siteUrl: 'https://blog.example.com/' });
+
+    expect(report.export.outputPath).toBe(path.join(dir, 'export.migrated.json'));
+    expect(JSON.parse(fs.readFileSync(report.export.outputPath, 'utf8'))).toEqual({
+      posts: [{
+        feature_image: 'https://cdn.example.com/content/images/2023/05/photo.jpg',
+        html: '<img src="https://cdn.example.com/content/images/2024/01/logo.svg?v=1">'
+      }]
+    });
+  });
+
+  describe('rewriteUrls', () => {
+    const files = {
+      '2023/05/photo.jpg': '/content/images/2023/05/4f2c.jpg',
+      '2024/01/logo.svg': 'https://cdn.example.com/content/images/2024/01/logo.svg'
+    };
+
+    it('should keep the site prefix of relative URLs', () => {
+      expect(rewriteUrls('"__GHOST_URL__/content/images/2023/05/photo.jpg"', files))
+        .toBe('"__GHOST_URL__/content/images/2023/05/4f2c.jpg"');
+    });
+
+    it('should rewrite URLs embedded in escaped JSON strings', () => {
+      expect(rewriteUrls('{\\"src\\":\\"/content/images/2024/01/logo.svg\\"}', files))
+        .toBe('{\\"src\\":\\"https://cdn.example.com/content/images/2024/01/logo.svg\\"}');
+    });
+
+    it('should leave URLs of files that were not migrated untouched', () => {
+      const text = '/content/images/2022/01/other.jpg and /content/media/2023/05/photo.jpg';
+
+      expect(rewriteUrls(text, files)).toBe(text);
+    });
+
+    it('should use the given source URL prefix', () => {
+      expect(rewriteUrls('/content/media/2023/05/photo.jpg', files, { sourceUrlPrefix: 'content/media/' }))
+        .toBe('/content/images/2023/05/4f2c.jpg');
+    });
+  });
+});
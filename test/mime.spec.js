@@ -0,0 +1,86 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { detect, lookup, readHeader, sniff } = require('../lib/mime');
+
+describe('mime', () => {
+  const bytes = (...values) => Buffer.from(values);
+
+  describe('sniff', () => {
+    it.each([
+      [bytes(0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00), 'image/png'],
+      [bytes(0xff, 0xd8, 0xff, 0xe0), 'image/jpeg'],
+      [Buffer.from('GIF89a...'), 'image/gif'],
+      [Buffer.from('RIFF\0\0\0\0WEBPVP8 '), 'image/webp'],
+      [Buffer.from('\0\0\0\x1cftypavif'), 'image/avif'],
+      [Buffer.from('\0\0\0\x18ftypisom'), 'video/mp4'],
+      [Buffer.from('\0\0\0\x14ftypqt  '), 'video/quicktime'],
+      [bytes(0x1a, 0x45, 0xdf, 0xa3), 'video/webm'],
+      [Buffer.from('ID3\x04'), 'audio/mpeg'],
+      [Buffer.from('%PDF-1.7'), 'application/pdf'],
+      [Buffer.from('PK\x03\x04'), 'application/zip'],
+      [Buffer.from('wOF2'), 'font/woff2'],
+      [Buffer.from('﻿<?xml version="1.0"?>\n<!-- logo -->\n<svg xmlns="http://www.w3.org/2000/svg">'), 'image/svg+xml'],
+      [Buffer.from('  <!DOCTYPE html>\n<html>'), 'text/html']
+    ])('should detect %#', (buffer, type) => {
+      expect(sniff(buffer)).toBe(type);
+    });
+
+    it('should not guess the type of plain text', () => {
+      expect(sniff(Buffer.from('name,email\n'))).toBeUndefined();
+      expect(sniff(Buffer.alloc(0))).toBeUndefined();
+    });
+  });
+
+  describe('detect', () => {
+    it('should prefer the detected type over the declared type and extension', () => {
+      expect(detect(bytes(0xff, 0xd8, 0xff), 'photo.png', 'image/png')).toBe('image/jpeg');
+    });
+
+    it('should never detect markup into an active type the upload does not claim', () => {
+      const page = Buffer.from('<html><body><script>alert(1)</script>');
+      const svg = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+
+      expect(detect(page, 'a.png', 'image/png')).toBe('application/octet-stream');
+      expect(detect(page, 'a')).toBe('application/octet-stream');
+      expect(detect(svg, 'logo.png')).toBe('application/octet-stream');
+      expect(detect(svg, 'logo.svg')).toBe('image/svg+xml');
+      expect(detect(page, 'page.html', 'text/html')).toBe('text/html');
+    });
+
+    it('should refine formats sharing a signature with the file name or declared type', () => {
+      expect(detect(Buffer.from('PK\x03\x04'), 'report.docx')).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      expect(detect(Buffer.from('PK\x03\x04'), 'report.pdf')).toBe('application/zip');
+      expect(detect(Buffer.from('OggS'), 'clip.ogv', 'video/ogg')).toBe('video/ogg');
+    });
+
+    it('should fall back to the declared type, then the extension, for formats without a signature', () => {
+      expect(detect(Buffer.from('a,b'), 'list.csv', 'text/plain')).toBe('text/plain');
+      expect(detect(Buffer.from('a,b'), 'list.csv')).toBe('text/csv');
+      expect(detect(Buffer.from('a,b'), 'list')).toBeUndefined();
+    });
+  });
+
+  describe('lookup', () => {
+    it('should look types up by extension, ignoring case', () => {
+      expect(lookup('Photo.JPG')).toBe('image/jpeg');
+      expect(lookup('archive.unknown')).toBeUndefined();
+    });
+  });
+
+  describe('readHeader', () => {
+    it('should read the start of a file', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mime-'));
+      const filePath = path.join(dir, 'large.bin');
+      fs.writeFileSync(filePath, Buffer.alloc(10000, 1));
+
+      try {
+        const header = await readHeader(filePath);
+
+        expect(header.length).toBe(4100);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
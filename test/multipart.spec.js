@@ -0,0 +1,139 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { MIN_PART_SIZE, bufferSource, fileSource, getPartSize, uploadMultipart } = require('../lib/multipart');
+
+jest.mock('@aws-sdk/client-s3');
+
+describe('multipart', () => {
+  const params = { Bucket: 'test-bucket', Key: 'content/media/video.mp4', ContentType: 'video/mp4' };
+  let send;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    send = jest.fn(async (command) => {
+      if (command instanceof CreateMultipartUploadCommand) {
+        return { UploadId: 'upload-1' };
+      }
+      if (command instanceof UploadPartCommand) {
+        const { PartNumber } = UploadPartCommand.mock.calls[UploadPartCommand.mock.instances.indexOf(command)][0];
+        return { ETag: `"etag-${PartNumber}"` };
+      }
+      return {};
+    });
+  });
+
+  describe('getPartSize', () => {
+    it('should never go below the S3 minimum part size', () => {
+      expect(getPartSize(100, 1024)).toBe(MIN_PART_SIZE);
+    });
+
+    it('should grow the part size to stay within 10,000 parts', () => {
+      const size = 100 * 1024 * 1024 * 1024;
+
+      expect(getPartSize(size, MIN_PART_SIZE)).toBe(Math.ceil(size / 10000));
+    });
+  });
+
+  describe('fileSource', () => {
+    it('should read byte ranges from disk', async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'multipart-'));
+      const filePath = path.join(dir, 'file.bin');
+      fs.writeFileSync(filePath, 'hello world');
+
+      const source = await fileSource(filePath, 11);
+      try {
+        expect((await source.read(6, 11)).toString()).toBe('world');
+        expect((await source.read(0, 5)).toString()).toBe('hello');
+      } finally {
+        await source.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('uploadMultipart', () => {
+    it('should upload every part and complete the upload in part order', async () => {
+      const buffer = Buffer.alloc(MIN_PART_SIZE * 2 + 10, 1);
+
+      await uploadMultipart(send, params, bufferSource(buffer), { partSize: MIN_PART_SIZE, concurrency: 2 });
+
+      expect(CreateMultipartUploadCommand).toHaveBeenCalledWith(params);
+      expect(UploadPartCommand).toHaveBeenCalledTimes(3);
+      expect(UploadPartCommand.mock.calls.map(([input]) => input.Body.length).sort((a, b) => a - b))
+        .toEqual([10, MIN_PART_SIZE, MIN_PART_SIZE]);
+      expect(CompleteMultipartUploadCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/video.mp4',
+        UploadId: 'upload-1',
+        MultipartUpload: {
+          Parts: [
+            { ETag: '"etag-1"', PartNumber: 1 },
+            { ETag: '"etag-2"', PartNumber: 2 },
+            { ETag: '"etag-3"', PartNumber: 3 }
+          ]
+        }
+      });
+      expect(AbortMultipartUploadCommand).not.toHaveBeenCalled();
+    });
+
+    it('should send the SSE-C key with every part and the completion', async () => {
+      const sseC = { SSECustomerAlgorithm: 'AES256', SSECustomerKey: 'key' };
+
+      await uploadMultipart(send, { ...params, ...sseC, ACL: 'private' }, bufferSource(Buffer.from('small')));
+
+      expect(UploadPartCommand).toHaveBeenCalledWith(expect.objectContaining(sseC));
+      expect(UploadPartCommand).not.toHaveBeenCalledWith(expect.objectContaining({ ACL: 'private' }));
+      expect(CompleteMultipartUploadCommand).toHaveBeenCalledWith(expect.objectContaining(sseC));
+    });
+
+    it('should abort the upload and rethrow when a part fails', async () => {
+      const partError = new Error('Connection reset');
+      send.mockImplementation(async (command) => {
+        if (command instanceof CreateMultipartUploadCommand) {
+          return { UploadId: 'upload-1' };
+        }
+        if (command instanceof UploadPartCommand) {
+          throw partError;
+        }
+        return {};
+      });
+
+      await expect(uploadMultipart(send, params, bufferSource(Buffer.alloc(MIN_PART_SIZE + 1))))
+        .rejects.toBe(partError);
+
+      expect(CompleteMultipartUploadCommand).not.toHaveBeenCalled();
+      expect(AbortMultipartUploadCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'content/media/video.mp4',
+        UploadId: 'upload-1'
+      });
+    });
+
+    it('should report the original error when aborting also fails', async () => {
+      const completeError = new Error('Complete failed');
+      send.mockImplementation(async (command) => {
+        if (command instanceof CreateMultipartUploadCommand) {
+          return { UploadId: 'upload-1' };
+        }
+        if (command instanceof CompleteMultipartUploadCommand) {
+          throw completeError;
+        }
+        if (command instanceof AbortMultipartUploadCommand) {
+          throw new Error('Abort failed');
+        }
+        return { ETag: '"etag"' };
+      });
+
+      await expect(uploadMultipart(send, params, bufferSource(Buffer.from('small'))))
+        .rejects.toBe(completeError);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { InvalidConfigError } = require('../lib/errors');
+const { getExtension, getNamingStrategy, hashFile } = require('../lib/naming');
+
+describe('naming', () => {
+  let dir;
+  let filePath;
+  const storage = {
+    storagePath: 'content/media/',
+    getTargetDir: jest.fn().mockReturnValue('content/media/2026/06'),
+    getUniqueFileName: jest.fn().mockResolvedValue('content/media/2026/06/photo-1.png')
+  };
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'naming-'));
+    filePath = path.join(dir, 'upload');
+    fs.writeFileSync(filePath, 'image bytes');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('getExtension', () => {
+    it('should lowercase the extension', () => {
+      expect(getExtension('Photo.PNG')).toBe('.png');
+    });
+
+    it('should ignore numeric extensions', () => {
+      expect(getExtension('archive.342')).toBe('');
+    });
+  });
+
+  describe('hashFile', () => {
+    it('should return the SHA-256 of the file contents', async () => {
+      const expected = crypto.createHash('sha256').update('image bytes').digest('hex');
+
+      await expect(hashFile(filePath)).resolves.toBe(expected);
+    });
+  });
+
+  describe('getNamingStrategy', () => {
+    const file = { name: 'Photo.PNG', path: '' };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      file.path = filePath;
+    });
+
+    it('should use getTargetDir and getUniqueFileName for the date strategy', async () => {
+      const key = await getNamingStrategy('date').call(storage, file);
+
+      expect(storage.getTargetDir).toHaveBeenCalledWith('content/media/');
+      expect(storage.getUniqueFileName).toHaveBeenCalledWith(file, 'content/media/2026/06');
+      expect(key).toBe('content/media/2026/06/photo-1.png');
+    });
+
+    it('should name files after their content hash for the hash strategy', async () => {
+      const digest = crypto.createHash('sha256').update('image bytes').digest('hex');
+
+      await expect(getNamingStrategy('hash').call(storage, file)).resolves.toBe(`content/media/${digest}.png`);
+      await expect(getNamingStrategy('hash').call(storage, file, 'content/images'))
+        .resolves.toBe(`content/images/${digest}.png`);
+    });
+
+    it('should name files with a random UUID in the dated directory for the uuid strategy', async () => {
+      const key = await getNamingStrategy('uuid').call(storage, file);
+
+      expect(key).toMatch(/^content\/media\/2026\/06\/[0-9a-f-]{36}\.png$/);
+      expect(storage.getUniqueFileName).not.toHaveBeenCalled();
+    });
+
+    it('should return user-supplied functions as they are', () => {
+      const custom = () => 'key';
+
+      expect(getNamingStrategy(custom)).toBe(custom);
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => getNamingStrategy('random')).toThrow(InvalidConfigError);
+      expect(() => getNamingStrategy('random')).toThrow('Unknown naming strategy "random", expected one of: date, hash, uuid');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+const {
+  formatContentDisposition,
+  getCopyParams,
+  getCustomerKeyParams,
+  getEncryptionParams,
+  getUploadParams,
+  resolveMetadata
+} = require('../lib/object-params');
+
+describe('object-params', () => {
+  const customerKey = Buffer.alloc(32, 7).toString('base64');
+
+  describe('getEncryptionParams', () => {
+    it('should not encrypt by default', () => {
+      expect(getEncryptionParams({})).toEqual({});
+    });
+
+    it('should use AES256 for SSE-S3', () => {
+      expect(getEncryptionParams({ encryption: 'SSE-S3' })).toEqual({ ServerSideEncryption: 'AES256' });
+    });
+
+    it('should use aws:kms with the optional key id for SSE-KMS', () => {
+      expect(getEncryptionParams({ encryption: 'SSE-KMS' })).toEqual({ ServerSideEncryption: 'aws:kms' });
+      expect(getEncryptionParams({ encryption: 'SSE-KMS', kmsKeyId: 'alias/ghost' })).toEqual({
+        ServerSideEncryption: 'aws:kms',
+        SSEKMSKeyId: 'alias/ghost'
+      });
+    });
+
+    it('should send the customer key for SSE-C', () => {
+      expect(getEncryptionParams({ encryption: 'SSE-C', sseCustomerKey: customerKey })).toEqual({
+        SSECustomerAlgorithm: 'AES256',
+        SSECustomerKey: customerKey
+      });
+    });
+  });
+
+  describe('getCustomerKeyParams', () => {
+    it('should only return parameters for SSE-C', () => {
+      expect(getCustomerKeyParams({ encryption: 'SSE-KMS' })).toEqual({});
+      expect(getCustomerKeyParams({ encryption: 'SSE-C', sseCustomerKey: customerKey })).toEqual({
+        SSECustomerAlgorithm: 'AES256',
+        SSECustomerKey: customerKey
+      });
+    });
+  });
+
+  describe('formatContentDisposition', () => {
+    it('should add an ASCII and an RFC 6266 encoded file name', () => {
+      expect(formatContentDisposition('attachment', 'Résumé "final".pdf'))
+        .toBe('attachment; filename="R_sum_ _final_.pdf"; filename*=UTF-8\'\'R%C3%A9sum%C3%A9%20%22final%22.pdf');
+    });
+
+    it('should return the bare disposition without a file name', () => {
+      expect(formatContentDisposition('inline')).toBe('inline');
+    });
+  });
+
+  describe('resolveMetadata', () => {
+    it('should lowercase keys, drop empty values and encode non-ASCII values', () => {
+      expect(resolveMetadata({ Site: 'newsroom', Author: 'Zoë', empty: null }, {})).toEqual({
+        site: 'newsroom',
+        author: 'Zo%C3%AB'
+      });
+    });
+
+    it('should call metadata functions with the file', () => {
+      const file = { name: 'photo.jpg' };
+
+      expect(resolveMetadata((f) => ({ 'original-filename': f.name }), file)).toEqual({ 'original-filename': 'photo.jpg' });
+    });
+
+    it('should return undefined when there is no metadata', () => {
+      expect(resolveMetadata(undefined, {})).toBeUndefined();
+      expect(resolveMetadata({}, {})).toBeUndefined();
+    });
+  });
+
+  describe('getUploadParams', () => {
+    it('should combine every configured upload option', () => {
+      const params = getUploadParams({
+        encryption: 'SSE-KMS',
+        kmsKeyId: 'alias/ghost',
+        acl: 'private',
+        storageClass: 'STANDARD_IA',
+        metadata: { site: 'newsroom' },
+        contentDisposition: 'attachment'
+      }, { name: 'report.pdf' });
+
+      expect(params).toEqual({
+        ServerSideEncryption: 'aws:kms',
+        SSEKMSKeyId: 'alias/ghost',
+        ACL: 'private',
+        StorageClass: 'STANDARD_IA',
+        Metadata: { site: 'newsroom' },
+        ContentDisposition: 'attachment; filename="report.pdf"; filename*=UTF-8\'\'report.pdf'
+      });
+    });
+
+    it('should use a full disposition from a function as is', () => {
+      const params = getUploadParams({ contentDisposition: () => 'attachment; filename="x.pdf"' }, { name: 'report.pdf' });
+
+      expect(params).toEqual({ ContentDisposition: 'attachment; filename="x.pdf"' });
+    });
+
+    it('should add nothing by default', () => {
+      expect(getUploadParams({}, { name: 'photo.jpg' })).toEqual({});
+    });
+  });
+
+  describe('getCopyParams', () => {
+    it('should encode the copy source key', () => {
+      expect(getCopyParams({}, 'ghost', 'content/images/my photo#1.jpg')).toEqual({
+        CopySource: 'ghost/content/images/my%20photo%231.jpg'
+      });
+    });
+
+    it('should write the copy with the configured encryption, ACL and storage class', () => {
+      expect(getCopyParams({ encryption: 'SSE-S3', acl: 'private', storageClass: 'GLACIER_IR' }, 'ghost', 'a.jpg')).toEqual({
+        CopySource: 'ghost/a.jpg',
+        ServerSideEncryption: 'AES256',
+        ACL: 'private',
+        StorageClass: 'GLACIER_IR'
+      });
+    });
+
+    it('should decrypt the source and encrypt the copy with the customer key for SSE-C', () => {
+      expect(getCopyParams({ encryption: 'SSE-C', sseCustomerKey: customerKey }, 'ghost', 'a.jpg')).toEqual({
+        CopySource: 'ghost/a.jpg',
+        SSECustomerAlgorithm: 'AES256',
+        SSECustomerKey: customerKey,
+        CopySourceSSECustomerAlgorithm: 'AES256',
+        CopySourceSSECustomerKey: customerKey
+      });
+    });
+  });
+});
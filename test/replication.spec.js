@@ -0,0 +1,349 @@
+const {
+  S3Client,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  PutObjectCommand,
+  UploadPartCommand
+} = require('@aws-sdk/client-s3');
+const { Readable } = require('node:stream');
+const ObjectStoreStorage = require('../index.js');
+const { Replicator } = require('../lib/replication');
+
+jest.mock('@aws-sdk/client-s3');
+
+describe('replication', () => {
+  const notFound = () => Object.assign(new Error('Not Found'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+  const unavailable = () => Object.assign(new Error('Service Unavailable'), { name: 'ServiceUnavailable', $metadata: { httpStatusCode: 503 } });
+
+  const createTarget = (name) => ({ name, bucket: `${name}-bucket`, send: jest.fn(async () => ({})) });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Replicator', () => {
+    let primary;
+    let secondary;
+    let replicator;
+
+    beforeEach(() => {
+      primary = createTarget('primary');
+      secondary = createTarget('secondary');
+    });
+
+    afterEach(() => {
+      clearTimeout(replicator.timer);
+    });
+
+    it('should read from the first store that answers', async () => {
+      replicator = new Replicator(primary, [secondary]);
+      const operation = jest.fn(async (target) => {
+        if (target === primary) {
+          throw unavailable();
+        }
+        return 'body';
+      });
+
+      await expect(replicator.read(operation)).resolves.toBe('body');
+      expect(operation).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report the primary error when no store has the object', async () => {
+      replicator = new Replicator(primary, [secondary]);
+      const error = notFound();
+
+      await expect(replicator.read(async (target) => {
+        throw target === primary ? error : unavailable();
+      })).rejects.toBe(error);
+    });
+
+    it('should not fail over on conditional and range answers', async () => {
+      replicator = new Replicator(primary, [secondary]);
+      const operation = jest.fn(async () => {
+        throw Object.assign(new Error('Not Modified'), { name: 'NotModified', $metadata: { httpStatusCode: 304 } });
+      });
+
+      await expect(replicator.read(operation)).rejects.toThrow('Not Modified');
+      expect(operation).toHaveBeenCalledTimes(1);
+    });
+
+    it('should write to every store in sync mode and copy to the stores that failed', async () => {
+      replicator = new Replicator(primary, [secondary], { config: { storageClass: 'STANDARD_IA' } });
+      primary.send.mockResolvedValue({ Body: Readable.from([Buffer.from('stream')]), ContentLength: 6, ContentType: 'image/png', Metadata: { a: 'b' } });
+      const operation = jest.fn(async (target) => {
+        if (target === secondary) {
+          throw unavailable();
+        }
+      });
+
+      await replicator.write('content/images/a.png', operation);
+      expect(operation).toHaveBeenCalledTimes(2);
+      expect(replicator.queue).toHaveLength(1);
+
+      await replicator.flush();
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({ Bucket: 'primary-bucket', Key: 'content/images/a.png' });
+      expect(PutObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'secondary-bucket',
+        Key: 'content/images/a.png',
+        Body: Buffer.from('stream'),
+        ContentLength: 6,
+        ContentType: 'image/png',
+        ContentDisposition: undefined,
+        CacheControl: undefined,
+        Metadata: { a: 'b' },
+        StorageClass: 'STANDARD_IA'
+      });
+      expect(secondary.send).toHaveBeenCalledWith(PutObjectCommand.mock.instances[0]);
+      expect(replicator.queue).toHaveLength(0);
+    });
+
+    it('should only write to the primary in async mode', async () => {
+      replicator = new Replicator(primary, [secondary], { mode: 'async' });
+      const operation = jest.fn(async () => {});
+
+      await replicator.remove('a.png', operation);
+
+      expect(operation).toHaveBeenCalledWith(primary);
+      expect(operation).not.toHaveBeenCalledWith(secondary);
+
+      await replicator.flush();
+
+      expect(DeleteObjectCommand).toHaveBeenCalledWith({ Bucket: 'secondary-bucket', Key: 'a.png' });
+    });
+
+    it('should write to a secondary when the primary is down', async () => {
+      replicator = new Replicator(primary, [secondary], { mode: 'async' });
+      const operation = jest.fn(async (target) => {
+        if (target === primary) {
+          throw unavailable();
+        }
+      });
+
+      await replicator.write('a.png', operation);
+
+      expect(replicator.queue).toEqual([expect.objectContaining({ type: 'copy', source: secondary, target: primary })]);
+    });
+
+    it('should fail when every store failed', async () => {
+      replicator = new Replicator(primary, [secondary]);
+      const error = unavailable();
+
+      await expect(replicator.write('a.png', async (target) => {
+        throw target === primary ? error : unavailable();
+      })).rejects.toBe(error);
+      expect(replicator.queue).toHaveLength(0);
+    });
+
+    it('should keep a single task per object and store', async () => {
+      replicator = new Replicator(primary, [secondary], { mode: 'async' });
+      const operation = jest.fn(async () => {});
+
+      await replicator.write('a.png', operation);
+      await replicator.remove('a.png', operation);
+
+      expect(replicator.queue).toEqual([expect.objectContaining({ type: 'delete', key: 'a.png' })]);
+    });
+
+    it('should copy an object written to a single store to the others', async () => {
+      replicator = new Replicator(primary, [secondary]);
+      primary.send.mockResolvedValue({ Body: Readable.from([Buffer.from('stream')]) });
+
+      replicator.sync('a.png');
+      expect(replicator.queue).toEqual([expect.objectContaining({ type: 'copy', key: 'a.png', source: primary, target: secondary })]);
+
+      await replicator.flush();
+
+      expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({ Bucket: 'secondary-bucket', Key: 'a.png', Body: Buffer.from('stream'), ContentLength: 6 }));
+    });
+
+    it('should send the same content again when a copy is retried', async () => {
+      replicator = new Replicator(primary, [secondary], { retryDelay: 1 });
+      primary.send.mockImplementation(async () => ({ Body: Readable.from([Buffer.from('stream')]) }));
+      secondary.send.mockRejectedValueOnce(unavailable());
+
+      replicator.sync('a.png');
+      await expect(replicator.flush()).resolves.toBe(0);
+
+      expect(secondary.send).toHaveBeenCalledTimes(2);
+      expect(PutObjectCommand.mock.calls.map(([params]) => params.Body)).toEqual([Buffer.from('stream'), Buffer.from('stream')]);
+    });
+
+    it('should copy large objects in parts read from the source by range', async () => {
+      replicator = new Replicator(primary, [secondary], { config: { multipartThreshold: 4 } });
+      const body = Readable.from([Buffer.from('0123456789')]);
+      primary.send.mockImplementation(async (command) => (command.input.Range ? { Body: Readable.from([Buffer.from('part')]) } : { Body: body, ContentLength: 10 }));
+      GetObjectCommand.mockImplementation(function (input) {
+        this.input = input;
+      });
+
+      replicator.sync('a.png');
+      await replicator.flush();
+
+      expect(body.destroyed).toBe(true);
+      expect(GetObjectCommand.mock.calls.slice(1).map(([params]) => params.Range)).toEqual(['bytes=0-9']);
+      expect(UploadPartCommand).toHaveBeenCalledWith(expect.objectContaining({ Bucket: 'secondary-bucket', Key: 'a.png', PartNumber: 1, Body: Buffer.from('part') }));
+      expect(PutObjectCommand).not.toHaveBeenCalled();
+    });
+
+    it('should wait for retries when flushing and report the tasks given up on', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      replicator = new Replicator(primary, [secondary], { mode: 'async', maxAttempts: 2, retryDelay: 1 });
+      secondary.send.mockRejectedValue(unavailable());
+
+      await replicator.remove('a.png', async () => {});
+      await replicator.remove('b.png', async () => {});
+
+      await expect(replicator.flush()).resolves.toBe(2);
+      expect(secondary.send).toHaveBeenCalledTimes(4);
+      expect(replicator.queue).toHaveLength(0);
+    });
+
+    it('should retry tasks with a growing delay and give up after the maximum attempts', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      let now = 0;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      replicator = new Replicator(primary, [secondary], { mode: 'async', maxAttempts: 3, retryDelay: 100 });
+      secondary.send.mockRejectedValue(unavailable());
+
+      await replicator.remove('a.png', async () => {});
+      clearTimeout(replicator.timer);
+      replicator.timer = null;
+
+      await replicator.process();
+      expect(replicator.queue[0]).toMatchObject({ attempts: 1, runAt: 100 });
+
+      now = 100;
+      await replicator.process();
+      expect(replicator.queue[0]).toMatchObject({ attempts: 2, runAt: 300 });
+
+      now = 300;
+      await replicator.process();
+      expect(replicator.queue).toHaveLength(0);
+      expect(secondary.send).toHaveBeenCalledTimes(3);
+      expect(console.error).toHaveBeenCalledWith('Failed to replicate delete of "a.png" to secondary: Service Unavailable', expect.objectContaining({
+        key: 'a.png',
+        target: 'secondary',
+        attempts: 3
+      }));
+    });
+  });
+
+  describe('ObjectStoreStorage', () => {
+    let primaryClient;
+    let replicaClient;
+    let storage;
+
+    const createStorage = (options = {}) => new ObjectStoreStorage({
+      endpoint: 'localhost:9000',
+      accessKey: 'test-access-key',
+      secretKey: 'test-secret-key',
+      bucket: 'primary-bucket',
+      staticFileURLPrefix: 'content/images/',
+      retryBaseDelay: 0,
+      maxRetries: 0,
+      replicas: [{ endpoint: 'https://r2.example.com', accessKey: 'r2', secretKey: 'r2-secret', bucket: 'replica-bucket' }],
+      ...options
+    });
+
+    beforeEach(() => {
+      primaryClient = { send: jest.fn(async () => ({})) };
+      replicaClient = { send: jest.fn(async () => ({})) };
+      S3Client.mockImplementationOnce(() => primaryClient).mockImplementationOnce(() => replicaClient);
+
+      storage = createStorage();
+    });
+
+    afterEach(() => {
+      clearTimeout(storage.replicator.timer);
+    });
+
+    it('should create a client for each replica', () => {
+      expect(S3Client).toHaveBeenCalledTimes(2);
+      expect(S3Client).toHaveBeenLastCalledWith(expect.objectContaining({
+        endpoint: 'https://r2.example.com',
+        region: 'eu-west-1',
+        credentials: { accessKeyId: 'r2', secretAccessKey: 'r2-secret' }
+      }));
+    });
+
+    it('should write raw files to every store', async () => {
+      await storage.saveRaw(Buffer.from('data'), '2026/10/a.png');
+
+      expect(PutObjectCommand.mock.calls.map(([params]) => params.Bucket)).toEqual(['primary-bucket', 'replica-bucket']);
+      expect(primaryClient.send).toHaveBeenCalledWith(PutObjectCommand.mock.instances[0], expect.anything());
+      expect(replicaClient.send).toHaveBeenCalledWith(PutObjectCommand.mock.instances[1], expect.anything());
+    });
+
+    it('should delete from every store', async () => {
+      await storage.delete('a.png', 'content/images/2026/10');
+
+      expect(DeleteObjectCommand.mock.calls).toEqual([
+        [{ Bucket: 'primary-bucket', Key: 'content/images/2026/10/a.png' }],
+        [{ Bucket: 'replica-bucket', Key: 'content/images/2026/10/a.png' }]
+      ]);
+    });
+
+    it('should still save when a replica is down', async () => {
+      replicaClient.send.mockRejectedValue(unavailable());
+
+      await expect(storage.saveRaw(Buffer.from('data'), 'a.png')).resolves.toBe('/content/images/a.png');
+      expect(storage.replicator.queue).toEqual([expect.objectContaining({ key: 'content/images/a.png', type: 'copy' })]);
+    });
+
+    it('should read from the replica when the primary does not have the object', async () => {
+      primaryClient.send.mockRejectedValue(notFound());
+      replicaClient.send.mockResolvedValue({ Body: [Buffer.from('replica')] });
+
+      await expect(storage.read({ path: 'content/images/a.png' })).resolves.toEqual(Buffer.from('replica'));
+      expect(GetObjectCommand).toHaveBeenLastCalledWith({ Bucket: 'replica-bucket', Key: 'content/images/a.png' });
+    });
+
+    it('should check the replica when the primary is down', async () => {
+      primaryClient.send.mockRejectedValue(unavailable());
+
+      await expect(storage.exists('a.png', 'content/images')).resolves.toBe(true);
+      expect(HeadObjectCommand).toHaveBeenCalledTimes(2);
+    });
+
+    it('should report missing objects when no store has them', async () => {
+      primaryClient.send.mockRejectedValue(notFound());
+      replicaClient.send.mockRejectedValue(notFound());
+
+      await expect(storage.exists('a.png', 'content/images')).resolves.toBe(false);
+    });
+
+    it('should serve from the replica when the primary fails', async () => {
+      const body = { pipe: jest.fn() };
+      primaryClient.send.mockRejectedValue(unavailable());
+      replicaClient.send.mockResolvedValue({ ContentType: 'image/png', Body: body });
+      const res = { set: jest.fn(), status: jest.fn().mockReturnThis(), send: jest.fn(), end: jest.fn() };
+
+      await storage.serve()({ path: '/a.png', method: 'GET', headers: {} }, res, jest.fn());
+
+      expect(GetObjectCommand).toHaveBeenLastCalledWith({ Bucket: 'replica-bucket', Key: 'content/images/a.png' });
+      expect(res.set).toHaveBeenCalledWith('Content-Type', 'image/png');
+      expect(body.pipe).toHaveBeenCalledWith(res);
+    });
+
+    it('should replicate in the background in async mode', async () => {
+      jest.clearAllMocks();
+      S3Client.mockImplementationOnce(() => primaryClient).mockImplementationOnce(() => replicaClient);
+      storage = createStorage({ replicationMode: 'async' });
+      primaryClient.send.mockImplementation(async (command) => (command instanceof GetObjectCommand ? { Body: Readable.from([Buffer.from('stream')]) } : {}));
+
+      await storage.saveRaw(Buffer.from('data'), 'a.png');
+      expect(replicaClient.send).not.toHaveBeenCalled();
+
+      await storage.replicator.flush();
+
+      expect(PutObjectCommand).toHaveBeenLastCalledWith(expect.objectContaining({ Bucket: 'replica-bucket', Key: 'content/images/a.png', Body: Buffer.from('stream') }));
+      expect(replicaClient.send).toHaveBeenCalledTimes(1);
+    });
+  });
+});
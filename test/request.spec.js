@@ -0,0 +1,133 @@
+const { CircuitOpenError, RequestPolicy, isRetryable } = require('../lib/request');
+
+describe('request', () => {
+  const transientError = () => {
+    const error = new Error('Service Unavailable');
+    error.$metadata = { httpStatusCode: 503 };
+    return error;
+  };
+
+  describe('isRetryable', () => {
+    it.each([
+      ['5xx responses', Object.assign(new Error(), { $metadata: { httpStatusCode: 502 } })],
+      ['throttling', Object.assign(new Error(), { name: 'SlowDown' })],
+      ['429 responses', Object.assign(new Error(), { statusCode: 429 })],
+      ['connection resets', Object.assign(new Error(), { code: 'ECONNRESET' })],
+      ['timeouts', Object.assign(new Error(), { name: 'TimeoutError' })]
+    ])('should retry %s', (_, error) => {
+      expect(isRetryable(error)).toBe(true);
+    });
+
+    it.each([
+      ['NotFound', Object.assign(new Error(), { name: 'NotFound', $metadata: { httpStatusCode: 404 } })],
+      ['AccessDenied', Object.assign(new Error(), { name: 'AccessDenied', $metadata: { httpStatusCode: 403 } })],
+      ['plain errors', new Error('Boom')],
+      ['an open circuit', new CircuitOpenError(new Date())]
+    ])('should not retry %s', (_, error) => {
+      expect(isRetryable(error)).toBe(false);
+    });
+  });
+
+  describe('RequestPolicy', () => {
+    let client;
+
+    beforeEach(() => {
+      client = { send: jest.fn() };
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should pass an abort signal and return the response', async () => {
+      client.send.mockResolvedValue({ ok: true });
+      const policy = new RequestPolicy(client);
+
+      await expect(policy.send('command')).resolves.toEqual({ ok: true });
+      expect(client.send).toHaveBeenCalledWith('command', { abortSignal: expect.any(AbortSignal) });
+    });
+
+    it('should not pass a signal when the timeout is disabled', async () => {
+      client.send.mockResolvedValue({});
+      const policy = new RequestPolicy(client, { timeout: 0 });
+
+      await policy.send('command');
+
+      expect(client.send).toHaveBeenCalledWith('command');
+    });
+
+    it('should abort slow requests and report a TimeoutError', async () => {
+      client.send.mockImplementation((command, { abortSignal }) => new Promise((resolve, reject) => {
+        abortSignal.addEventListener('abort', () => reject(Object.assign(new Error('aborted'), { name: 'AbortError' })));
+      }));
+      const policy = new RequestPolicy(client, { timeout: 5, maxRetries: 1, baseDelay: 0 });
+
+      const error = await policy.send('command').catch((e) => e);
+
+      expect(error.name).toBe('TimeoutError');
+      expect(error.message).toBe('Object Store request timed out after 5ms');
+      expect(error.cause.name).toBe('AbortError');
+      expect(client.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should back off with full jitter capped at maxDelay', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      const policy = new RequestPolicy(client, { baseDelay: 100, maxDelay: 1000 });
+
+      expect(policy.getDelay(0)).toBe(50);
+      expect(policy.getDelay(2)).toBe(200);
+      expect(policy.getDelay(10)).toBe(500);
+    });
+
+    it('should open the circuit after consecutive failures and fail fast', async () => {
+      client.send.mockRejectedValue(transientError());
+      const policy = new RequestPolicy(client, { maxRetries: 0, failureThreshold: 2, resetTimeout: 1000 });
+
+      await expect(policy.send('command')).rejects.toThrow('Service Unavailable');
+      await expect(policy.send('command')).rejects.toThrow('Service Unavailable');
+      await expect(policy.send('command')).rejects.toBeInstanceOf(CircuitOpenError);
+
+      expect(client.send).toHaveBeenCalledTimes(2);
+    });
+
+    it('should let a trial request through once the reset timeout has passed', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      client.send.mockRejectedValueOnce(transientError()).mockResolvedValue({});
+      const policy = new RequestPolicy(client, { maxRetries: 0, failureThreshold: 1, resetTimeout: 1000 });
+
+      await expect(policy.send('command')).rejects.toThrow('Service Unavailable');
+      await expect(policy.send('command')).rejects.toBeInstanceOf(CircuitOpenError);
+
+      now.mockReturnValue(1000);
+      await expect(policy.send('command')).resolves.toEqual({});
+      await expect(policy.send('command')).resolves.toEqual({});
+      expect(policy.openedAt).toBeNull();
+    });
+
+    it('should reopen the circuit when the trial request fails', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+      client.send.mockRejectedValue(transientError());
+      const policy = new RequestPolicy(client, { maxRetries: 3, baseDelay: 0, failureThreshold: 1, resetTimeout: 1000 });
+
+      await expect(policy.send('command')).rejects.toThrow('Service Unavailable');
+      expect(client.send).toHaveBeenCalledTimes(4);
+
+      now.mockReturnValue(1000);
+      // The trial request is not retried
+      await expect(policy.send('command')).rejects.toThrow('Service Unavailable');
+      expect(client.send).toHaveBeenCalledTimes(5);
+      await expect(policy.send('command')).rejects.toBeInstanceOf(CircuitOpenError);
+    });
+
+    it('should treat client errors as proof the Object Store is up', async () => {
+      const notFound = Object.assign(new Error('Not Found'), { name: 'NotFound' });
+      client.send.mockRejectedValueOnce(transientError()).mockRejectedValueOnce(notFound);
+      const policy = new RequestPolicy(client, { maxRetries: 0, failureThreshold: 2 });
+
+      await expect(policy.send('command')).rejects.toThrow('Service Unavailable');
+      await expect(policy.send('command')).rejects.toBe(notFound);
+
+      expect(policy.failures).toBe(0);
+    });
+  });
+});
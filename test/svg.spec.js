@@ -0,0 +1,70 @@
+const zlib = require('node:zlib');
+const { sanitizeSvg, sanitizeSvgBuffer } = require('../lib/svg');
+
+describe('svg', () => {
+  describe('sanitizeSvg', () => {
+    it('should keep safe documents as they are', () => {
+      const svg = '<?xml version="1.0"?>\n<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 10 10"><a href="https://ghost.org"><rect width="10" height="10" fill="#fff"/></a></svg>';
+
+      expect(sanitizeSvg(svg)).toBe(svg);
+    });
+
+    it('should remove scripts and elements embedding HTML', () => {
+      expect(sanitizeSvg('<svg><script type="text/javascript"><![CDATA[alert(1)]]></script><rect/></svg>')).toBe('<svg><rect/></svg>');
+      expect(sanitizeSvg('<svg><svg:script>alert(1)</svg:script><foreignObject><iframe src="https://evil.example"></iframe></foreignObject></svg>')).toBe('<svg></svg>');
+      expect(sanitizeSvg('<svg><script href="https://evil.example/x.js"/></svg>')).toBe('<svg></svg>');
+    });
+
+    it('should not let removed tags join into new ones', () => {
+      expect(sanitizeSvg('<svg><scr<script></script>ipt>alert(1)</script></svg>')).not.toMatch(/<script/i);
+    });
+
+    it('should remove event handlers', () => {
+      expect(sanitizeSvg('<svg onload="alert(1)"><rect ONCLICK=\'alert(1)\' width="1"/><text>onload=1</text></svg>'))
+        .toBe('<svg><rect width="1"/><text>onload=1</text></svg>');
+    });
+
+    it('should find attributes after values containing ">"', () => {
+      expect(sanitizeSvg('<svg><a title=">" onclick="alert(1)">x</a></svg>')).toBe('<svg><a title=">">x</a></svg>');
+    });
+
+    it('should remove javascript: and HTML data: URLs, even encoded', () => {
+      expect(sanitizeSvg('<svg><a xlink:href="jav&#x61;script:alert(1)">x</a><a href=" java\tscript:alert(1)">y</a></svg>'))
+        .toBe('<svg><a>x</a><a>y</a></svg>');
+      expect(sanitizeSvg('<svg><set attributeName="fill" to="javascript:alert(1)"/><use href="data:text/html,<script>"/></svg>'))
+        .toBe('<svg><set attributeName="fill"/><use/></svg>');
+      expect(sanitizeSvg('<svg><image href="data:image/png;base64,AAAA"/></svg>')).toBe('<svg><image href="data:image/png;base64,AAAA"/></svg>');
+    });
+
+    it('should remove animations of links and script URLs among animation values', () => {
+      expect(sanitizeSvg('<svg><a><animate attributeName="href" values="0;javascript:alert(1)"/>x</a></svg>')).toBe('<svg><a>x</a></svg>');
+      expect(sanitizeSvg('<svg><a><svg:set attributeName=\'xlink:href\' to="https://ghost.org"></svg:set>x</a></svg>')).toBe('<svg><a>x</a></svg>');
+      expect(sanitizeSvg('<svg><animate attributeName="fill" values="red; javascript:alert(1)" from="x;vbscript:y"/></svg>'))
+        .toBe('<svg><animate attributeName="fill"/></svg>');
+      expect(sanitizeSvg('<svg><animate attributeName="opacity" values="0;1"><desc>fade</desc></animate></svg>'))
+        .toBe('<svg><animate attributeName="opacity" values="0;1"><desc>fade</desc></animate></svg>');
+    });
+
+    it('should remove entity declarations and DOCTYPE internal subsets', () => {
+      expect(sanitizeSvg('<!DOCTYPE svg [<!ENTITY x "&#60;script&#62;alert(1)&#60;/script&#62;">]><svg xmlns="http://www.w3.org/2000/svg">&x;</svg>'))
+        .toBe('<!DOCTYPE svg><svg xmlns="http://www.w3.org/2000/svg">&x;</svg>');
+      expect(sanitizeSvg('<!DOCTYPE svg [\n  <!ATTLIST svg onload CDATA "]>alert(1)">\n  <!ENTITY % p SYSTEM "https://evil.example/x.dtd"> %p;\n]><svg/>'))
+        .toBe('<!DOCTYPE svg><svg/>');
+      expect(sanitizeSvg('<svg><!ENTITY x "<script>"></svg>')).toBe('<svg></svg>');
+    });
+
+    it('should remove stylesheet processing instructions', () => {
+      expect(sanitizeSvg('<?xml version="1.0"?><?xml-stylesheet href="evil.xsl" type="text/xsl"?><svg/>')).toBe('<?xml version="1.0"?><svg/>');
+    });
+  });
+
+  describe('sanitizeSvgBuffer', () => {
+    it('should sanitise compressed SVGZ files', () => {
+      const svgz = zlib.gzipSync('<svg onload="alert(1)"/>');
+
+      const sanitized = sanitizeSvgBuffer(svgz);
+
+      expect(zlib.gunzipSync(sanitized).toString()).toBe('<svg/>');
+    });
+  });
+});
@@ -0,0 +1,204 @@
+const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
+const ObjectStoreStorage = require('../index.js');
+const { MetricsRegistry } = require('../lib/metrics');
+const { Telemetry } = require('../lib/telemetry');
+
+jest.mock('@aws-sdk/client-s3');
+
+const mockTracer = { startActiveSpan: jest.fn() };
+jest.mock('@opentelemetry/api', () => ({ trace: { getTracer: () => mockTracer } }), { virtual: true });
+
+describe('telemetry', () => {
+  let spans;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    spans = [];
+    mockTracer.startActiveSpan.mockImplementation((name, options, fn) => {
+      const span = {
+        name,
+        options,
+        attributes: { ...options.attributes },
+        setAttribute: jest.fn((attribute, value) => {
+          span.attributes[attribute] = value;
+        }),
+        recordException: jest.fn(),
+        setStatus: jest.fn(),
+        end: jest.fn()
+      };
+      spans.push(span);
+      return fn(span);
+    });
+  });
+
+  describe('Telemetry', () => {
+    let registry;
+    let telemetry;
+
+    beforeEach(() => {
+      registry = new MetricsRegistry();
+      telemetry = new Telemetry({ role: 'images', registry });
+    });
+
+    it('should record operations', async () => {
+      const listener = jest.fn();
+      telemetry.on('operation', listener);
+
+      await expect(telemetry.operation('save', undefined, async (record) => {
+        record.key = 'content/images/a.png';
+        record.bytes = 1024;
+        return 'url';
+      })).resolves.toBe('url');
+
+      expect(listener).toHaveBeenCalledWith({
+        operation: 'save',
+        role: 'images',
+        key: 'content/images/a.png',
+        duration: expect.any(Number),
+        bytes: 1024,
+        status: 'success',
+        error: undefined
+      });
+      expect(registry.toPrometheus()).toContain('ghost_object_store_operations_total{operation="save",role="images",status="success"} 1');
+      expect(registry.toPrometheus()).toContain('ghost_object_store_operation_bytes_total{operation="save",role="images"} 1024');
+      expect(spans[0]).toMatchObject({
+        name: 'object-store.save',
+        attributes: { 'aws.s3.key': 'content/images/a.png', 'ghost.storage.bytes': 1024 }
+      });
+      expect(spans[0].end).toHaveBeenCalled();
+    });
+
+    it('should record the error class of failed operations', async () => {
+      const listener = jest.fn();
+      telemetry.on('operation', listener);
+      const error = Object.assign(new Error('Access Denied'), { name: 'AccessDenied' });
+
+      await expect(telemetry.operation('read', 'a.png', async () => {
+        throw error;
+      })).rejects.toBe(error);
+
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ status: 'error', error: 'AccessDenied' }));
+      expect(registry.toPrometheus()).toContain('ghost_object_store_operations_total{error="AccessDenied",operation="read",role="images",status="error"} 1');
+      expect(spans[0].recordException).toHaveBeenCalledWith(error);
+      expect(spans[0].setStatus).toHaveBeenCalledWith({ code: 2, message: 'Access Denied' });
+    });
+
+    it('should record Object Store requests in client spans', async () => {
+      const listener = jest.fn();
+      telemetry.on('request', listener);
+      const command = new PutObjectCommand({ Bucket: 'bucket', Key: 'a.png' });
+      command.input = { Bucket: 'bucket', Key: 'a.png' };
+
+      await telemetry.request(command, 'primary', async () => ({}));
+
+      expect(listener).toHaveBeenCalledWith({
+        command: 'PutObject',
+        target: 'primary',
+        bucket: 'bucket',
+        key: 'a.png',
+        duration: expect.any(Number),
+        status: 'success',
+        error: undefined
+      });
+      expect(registry.toPrometheus()).toContain('ghost_object_store_requests_total{command="PutObject",role="images",status="success",target="primary"} 1');
+      expect(spans[0]).toMatchObject({
+        name: 'S3.PutObject',
+        options: { kind: 2 },
+        attributes: { 'rpc.method': 'PutObject', 'aws.s3.bucket': 'bucket', 'aws.s3.key': 'a.png' }
+      });
+    });
+
+    it('should count cache lookups', () => {
+      const listener = jest.fn();
+      telemetry.on('cache', listener);
+
+      telemetry.cacheLookup('a.png', 'miss');
+
+      expect(listener).toHaveBeenCalledWith({ role: 'images', key: 'a.png', result: 'miss' });
+      expect(registry.toPrometheus()).toContain('ghost_object_store_cache_lookups_total{result="miss",role="images"} 1');
+    });
+
+    it('should not record spans when tracing is disabled', async () => {
+      telemetry = new Telemetry({ registry, tracing: false });
+
+      await telemetry.operation('exists', 'a.png', async () => true);
+
+      expect(mockTracer.startActiveSpan).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('ObjectStoreStorage', () => {
+    let client;
+    let storage;
+
+    beforeEach(() => {
+      client = { send: jest.fn(async () => ({})) };
+      S3Client.mockImplementation(() => client);
+      storage = new ObjectStoreStorage({
+        endpoint: 'localhost:9000',
+        accessKey: 'test-access-key',
+        secretKey: 'test-secret-key',
+        bucket: 'test-bucket',
+        staticFileURLPrefix: 'content/images/',
+        retryBaseDelay: 0,
+        maxRetries: 0,
+        logger: { error: jest.fn(), warn: jest.fn() }
+      });
+    });
+
+    it('should emit an event for every operation and request', async () => {
+      const operations = jest.fn();
+      const requests = jest.fn();
+      storage.telemetry.on('operation', operations);
+      storage.telemetry.on('request', requests);
+
+      await storage.saveRaw(Buffer.from('data'), '2026/10/a.png');
+
+      expect(operations).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'saveRaw',
+        key: 'content/images/2026/10/a.png',
+        bytes: 4,
+        status: 'success'
+      }));
+      expect(requests).toHaveBeenCalledWith(expect.objectContaining({ target: 'primary', status: 'success' }));
+      expect(spans.map(({ name }) => name)).toEqual(['object-store.saveRaw', expect.stringMatching(/^S3\./)]);
+    });
+
+    it('should report the response status of serve', async () => {
+      const operations = jest.fn();
+      storage.telemetry.on('operation', operations);
+      client.send.mockResolvedValue({ ContentType: 'image/png', ContentLength: 7, Body: { pipe: jest.fn() } });
+      const res = { statusCode: 200, set: jest.fn(), status: jest.fn().mockReturnThis(), send: jest.fn(), end: jest.fn() };
+
+      await storage.serve()({ path: '/a.png', method: 'GET', headers: {} }, res, jest.fn());
+
+      expect(operations).toHaveBeenCalledWith(expect.objectContaining({
+        operation: 'serve',
+        key: 'content/images/a.png',
+        bytes: 7,
+        status: 200
+      }));
+    });
+
+    it('should log through the configured logger', async () => {
+      client.send.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { name: 'ServiceUnavailable', $metadata: { httpStatusCode: 503 } }));
+      const logger = { error: jest.fn(), warn: jest.fn() };
+      S3Client.mockImplementation(() => client);
+
+      storage = new ObjectStoreStorage({
+        endpoint: 'localhost:9000',
+        accessKey: 'test-access-key',
+        secretKey: 'test-secret-key',
+        bucket: 'test-bucket',
+        retryBaseDelay: 0,
+        maxRetries: 0,
+        startupCheck: true,
+        logger
+      });
+      await storage.ensureReady().catch(() => {});
+      await new Promise(setImmediate);
+
+      expect(logger.error).toHaveBeenCalledWith(expect.objectContaining({ bucket: 'test-bucket' }), expect.any(String));
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const ObjectStoreStorage = require('../index.js');
+
+describe('tenants', () => {
+  const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+  let tmpDir;
+  let tenants;
+
+  const createStorage = (options = {}) => new ObjectStoreStorage({
+    driver: 'filesystem',
+    localPath: path.join(tmpDir, 'shared'),
+    role: 'images',
+    logger,
+    tenants,
+    ...options
+  });
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'object-store-tenants-'));
+    tenants = {
+      nation: { localPath: path.join(tmpDir, 'nation') },
+      idle: {},
+      broken: { driver: 's3' }
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should keep the files of each tenant in its namespace', async () => {
+    await createStorage({ tenant: 'blog' }).saveRaw(Buffer.from('blog'), 'a.txt');
+    await createStorage({ tenant: 'nation' }).saveRaw(Buffer.from('nation'), 'a.txt');
+
+    expect(fs.readFileSync(path.join(tmpDir, 'shared/tenants/blog/content/images/a.txt'), 'utf8')).toBe('blog');
+    expect(fs.readFileSync(path.join(tmpDir, 'nation/tenants/nation/content/images/a.txt'), 'utf8')).toBe('nation');
+    await expect(createStorage({ tenant: 'blog' }).exists('a.txt', 'content/images')).resolves.toBe(true);
+    await expect(createStorage({ tenant: 'idle' }).exists('a.txt', 'content/images')).resolves.toBe(false);
+  });
+
+  it('should report the usage of the tenants found in the mapping and the shared store', async () => {
+    const blog = createStorage({ tenant: 'blog' });
+    await blog.saveRaw(Buffer.from('blog'), 'a.txt');
+    await blog.saveRaw(Buffer.from('blog'), 'b.txt');
+    await createStorage({ tenant: 'nation' }).saveRaw(Buffer.from('nation'), 'a.txt');
+    // Outside any tenant
+    await createStorage({ tenant: false }).saveRaw(Buffer.from('shared'), 'a.txt');
+
+    const report = await blog.tenantUsage();
+
+    expect(report.tenants.map(({ tenant }) => tenant)).toEqual(['blog', 'broken', 'idle', 'nation']);
+    expect(report.tenants).toEqual([
+      { tenant: 'blog', bucket: 'ghost', objects: 2, bytes: 8 },
+      { tenant: 'broken', bucket: undefined, objects: 0, bytes: 0, error: expect.stringMatching(/accessKey is required/) },
+      { tenant: 'idle', bucket: 'ghost', objects: 0, bytes: 0 },
+      { tenant: 'nation', bucket: 'ghost', objects: 1, bytes: 6 }
+    ]);
+    expect(report).toMatchObject({ objects: 3, bytes: 14 });
+  });
+
+  it('should only report the tenants asked for', async () => {
+    await createStorage({ tenant: 'blog' }).saveRaw(Buffer.from('blog'), 'a.txt');
+
+    await expect(createStorage().tenantUsage({ tenants: ['BLOG', 'blog'] })).resolves.toEqual({
+      tenants: [{ tenant: 'blog', bucket: 'ghost', objects: 1, bytes: 4 }],
+      objects: 1,
+      bytes: 4
+    });
+  });
+});
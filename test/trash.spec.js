@@ -0,0 +1,315 @@
+const {
+  S3Client,
+  CopyObjectCommand,
+  DeleteObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  ListObjectVersionsCommand,
+  PutObjectCommand,
+  UploadPartCopyCommand
+} = require('@aws-sdk/client-s3');
+const ObjectStoreStorage = require('../index.js');
+const { NotFoundError } = require('../lib/errors');
+const { getTrashKey, parseTrashKey } = require('../lib/trash');
+
+jest.mock('@aws-sdk/client-s3');
+
+describe('trash', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.parse('2026-10-19T12:00:00.000Z');
+  const notFound = () => Object.assign(new Error('Not Found'), { name: 'NotFound', $metadata: { httpStatusCode: 404 } });
+
+  // Parameters a mocked command was created with
+  const input = (command) => {
+    const Command = command.constructor;
+    return Command.mock.calls[Command.mock.instances.indexOf(command)][0];
+  };
+
+  let mockS3Client;
+  let storage;
+  let objects;
+  let trashed;
+  let versions;
+
+  const createStorage = (options = {}) => new ObjectStoreStorage({
+    endpoint: 'localhost:9000',
+    accessKey: 'test-access-key',
+    secretKey: 'test-secret-key',
+    bucket: 'test-bucket',
+    role: 'images',
+    retryBaseDelay: 0,
+    maxRetries: 0,
+    softDelete: true,
+    ...options
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    objects = {
+      'content/images/2026/10/a.png': { ContentType: 'image/png', CacheControl: 'no-cache', Metadata: { author: 'jo' } }
+    };
+    trashed = [];
+    versions = {};
+
+    mockS3Client = {
+      send: jest.fn(async (command) => {
+        const params = input(command);
+
+        if (command instanceof HeadObjectCommand) {
+          const object = objects[params.Key] || trashed.find(({ Key }) => Key === params.Key);
+          if (!object) {
+            throw notFound();
+          }
+          return object;
+        }
+        if (command instanceof ListObjectsV2Command) {
+          return { Contents: trashed.filter(({ Key }) => Key.startsWith(params.Prefix)) };
+        }
+        if (command instanceof ListObjectVersionsCommand) {
+          return versions;
+        }
+        if (command instanceof GetObjectCommand) {
+          return { Body: [Buffer.from('version')] };
+        }
+        return {};
+      })
+    };
+    S3Client.mockImplementation(() => mockS3Client);
+
+    storage = createStorage();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getTrashKey', () => {
+    it('should keep each deletion under the object key', () => {
+      const trashKey = getTrashKey('trash/', 'content/images/a.png', new Date(now));
+
+      expect(trashKey).toBe('trash/content/images/a.png/2026-10-19T12:00:00.000Z');
+      expect(parseTrashKey('trash/', trashKey)).toEqual({ key: 'content/images/a.png', deletedAt: '2026-10-19T12:00:00.000Z' });
+      expect(parseTrashKey('trash/', 'trash/content/images/a.png')).toBeNull();
+      expect(parseTrashKey('trash/', 'content/images/a.png/2026-10-19T12:00:00.000Z')).toBeNull();
+    });
+  });
+
+  describe('soft delete', () => {
+    it('should move deleted objects to the trash with retention metadata', async () => {
+      await storage.delete('a.png', 'content/images/2026/10');
+
+      expect(CopyObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'trash/content/images/2026/10/a.png/2026-10-19T12:00:00.000Z',
+        CopySource: 'test-bucket/content/images/2026/10/a.png',
+        MetadataDirective: 'REPLACE',
+        ContentType: 'image/png',
+        ContentDisposition: undefined,
+        CacheControl: 'no-cache',
+        Metadata: {
+          author: 'jo',
+          'trashed-at': '2026-10-19T12:00:00.000Z',
+          'trash-reason': 'delete',
+          'retain-until': '2026-11-18T12:00:00.000Z'
+        }
+      });
+      expect(DeleteObjectCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket', Key: 'content/images/2026/10/a.png' });
+      expect(mockS3Client.send.mock.calls.map(([command]) => command.constructor)).toEqual([
+        HeadObjectCommand,
+        CopyObjectCommand,
+        DeleteObjectCommand
+      ]);
+    });
+
+    it('should copy objects over the 5 GiB CopyObject limit to the trash in parts', async () => {
+      const GiB = 1024 * 1024 * 1024;
+      objects['content/images/2026/10/a.png'].ContentLength = 6 * GiB;
+      UploadPartCopyCommand.mockImplementation(() => ({}));
+      mockS3Client.send.mockImplementation(async (command) => (command instanceof HeadObjectCommand ?
+        objects['content/images/2026/10/a.png'] :
+        { UploadId: 'upload', CopyPartResult: { ETag: 'etag' } }));
+
+      await storage.delete('a.png', 'content/images/2026/10');
+
+      expect(CopyObjectCommand).not.toHaveBeenCalled();
+      expect(UploadPartCopyCommand).toHaveBeenCalledTimes(Math.ceil(6 * GiB / storage.multipartPartSize));
+      expect(UploadPartCopyCommand).toHaveBeenCalledWith(expect.objectContaining({
+        Key: 'trash/content/images/2026/10/a.png/2026-10-19T12:00:00.000Z',
+        CopySource: 'test-bucket/content/images/2026/10/a.png',
+        CopySourceRange: `bytes=0-${storage.multipartPartSize - 1}`
+      }));
+      expect(DeleteObjectCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket', Key: 'content/images/2026/10/a.png' });
+    });
+
+    it('should still delete objects that do not exist', async () => {
+      await storage.delete('missing.png', 'content/images/2026/10');
+
+      expect(CopyObjectCommand).not.toHaveBeenCalled();
+      expect(DeleteObjectCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket', Key: 'content/images/2026/10/missing.png' });
+    });
+
+    it('should keep the previous content of objects saveRaw() overwrites', async () => {
+      await storage.saveRaw(Buffer.from('new'), '2026/10/a.png');
+
+      expect(CopyObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+        Key: 'trash/content/images/2026/10/a.png/2026-10-19T12:00:00.000Z',
+        Metadata: expect.objectContaining({ 'trash-reason': 'overwrite' })
+      }));
+      expect(DeleteObjectCommand).not.toHaveBeenCalled();
+      expect(PutObjectCommand).toHaveBeenCalledWith(expect.objectContaining({ Key: 'content/images/2026/10/a.png' }));
+    });
+
+    it('should delete right away without soft delete', async () => {
+      storage = createStorage({ softDelete: false });
+
+      await storage.delete('a.png', 'content/images/2026/10');
+
+      expect(HeadObjectCommand).not.toHaveBeenCalled();
+      expect(CopyObjectCommand).not.toHaveBeenCalled();
+    });
+
+    it('should require a trash prefix', () => {
+      expect(() => createStorage({ trashPrefix: '/' })).toThrow('softDelete requires a trashPrefix');
+    });
+  });
+
+  describe('listTrash', () => {
+    it('should list trashed copies, newest first', async () => {
+      trashed = [
+        { Key: 'trash/content/images/2026/10/a.png/2026-10-01T00:00:00.000Z', Size: 10 },
+        { Key: 'trash/content/images/2026/10/a.png/2026-10-18T00:00:00.000Z', Size: 20 },
+        { Key: 'trash/content/images/unrelated.txt', Size: 1 }
+      ];
+
+      await expect(storage.listTrash()).resolves.toEqual([
+        {
+          key: 'content/images/2026/10/a.png',
+          trashKey: 'trash/content/images/2026/10/a.png/2026-10-18T00:00:00.000Z',
+          deletedAt: '2026-10-18T00:00:00.000Z',
+          retainUntil: '2026-11-17T00:00:00.000Z',
+          size: 20
+        },
+        expect.objectContaining({ deletedAt: '2026-10-01T00:00:00.000Z', size: 10 })
+      ]);
+      expect(ListObjectsV2Command).toHaveBeenCalledWith(expect.objectContaining({ Prefix: 'trash/content/images/' }));
+    });
+  });
+
+  describe('restore', () => {
+    beforeEach(() => {
+      delete objects['content/images/2026/10/a.png'];
+      trashed = [
+        {
+          Key: 'trash/content/images/2026/10/a.png/2026-10-01T00:00:00.000Z',
+          ContentType: 'image/png',
+          Metadata: { author: 'jo', 'trashed-at': '2026-10-01T00:00:00.000Z', 'trash-reason': 'delete', 'retain-until': '2026-10-31T00:00:00.000Z' }
+        },
+        { Key: 'trash/content/images/2026/10/a.png/2026-10-18T00:00:00.000Z', ContentType: 'image/png', Metadata: {} }
+      ];
+    });
+
+    it('should restore the latest trashed copy', async () => {
+      await expect(storage.restore('content/images/2026/10/a.png')).resolves.toEqual({
+        key: 'content/images/2026/10/a.png',
+        trashKey: 'trash/content/images/2026/10/a.png/2026-10-18T00:00:00.000Z'
+      });
+
+      expect(CopyObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+        Key: 'content/images/2026/10/a.png',
+        CopySource: 'test-bucket/trash/content/images/2026/10/a.png/2026-10-18T00%3A00%3A00.000Z'
+      }));
+      expect(DeleteObjectCommand).toHaveBeenCalledWith({
+        Bucket: 'test-bucket',
+        Key: 'trash/content/images/2026/10/a.png/2026-10-18T00:00:00.000Z'
+      });
+    });
+
+    it('should restore a copy by deletion time, without the trash metadata', async () => {
+      await storage.restore('content/images/2026/10/a.png', { deletedAt: '2026-10-01T00:00:00.000Z' });
+
+      expect(CopyObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+        Key: 'content/images/2026/10/a.png',
+        Metadata: { author: 'jo' }
+      }));
+    });
+
+    it('should fail when no copy was deleted at the given time', async () => {
+      await expect(storage.restore('content/images/2026/10/a.png', { deletedAt: '2026-01-01T00:00:00.000Z' }))
+        .rejects.toBeInstanceOf(NotFoundError);
+    });
+
+    it('should restore the previous version from a versioned bucket', async () => {
+      trashed = [];
+      objects['content/images/2026/10/a.png'] = { ContentType: 'image/png' };
+      versions = {
+        Versions: [
+          { Key: 'content/images/2026/10/a.png', VersionId: 'v2', IsLatest: true, LastModified: new Date(now - DAY), Size: 5 },
+          { Key: 'content/images/2026/10/a.png', VersionId: 'v1', IsLatest: false, LastModified: new Date(now - 2 * DAY), Size: 4 },
+          { Key: 'content/images/2026/10/a.png.bak', VersionId: 'v9', IsLatest: true, LastModified: new Date(now), Size: 4 }
+        ]
+      };
+
+      await expect(storage.restore('content/images/2026/10/a.png')).resolves.toEqual({ key: 'content/images/2026/10/a.png', versionId: 'v1' });
+
+      expect(HeadObjectCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket', Key: 'content/images/2026/10/a.png', VersionId: 'v1' });
+      expect(CopyObjectCommand).toHaveBeenCalledWith(expect.objectContaining({
+        Key: 'content/images/2026/10/a.png',
+        CopySource: 'test-bucket/content/images/2026/10/a.png?versionId=v1'
+      }));
+    });
+
+    it('should list versions and delete markers', async () => {
+      versions = {
+        Versions: [{ Key: 'content/images/a.png', VersionId: 'v1', IsLatest: false, LastModified: new Date(now - DAY), Size: 4 }],
+        DeleteMarkers: [{ Key: 'content/images/a.png', VersionId: 'd1', IsLatest: true, LastModified: new Date(now) }]
+      };
+
+      await expect(storage.listVersions('content/images/a.png')).resolves.toEqual([
+        { versionId: 'd1', lastModified: new Date(now), size: 0, isLatest: true, deleteMarker: true },
+        { versionId: 'v1', lastModified: new Date(now - DAY), size: 4, isLatest: false, deleteMarker: false }
+      ]);
+    });
+
+    it('should fail when there is nothing to restore', async () => {
+      trashed = [];
+
+      await expect(storage.restore('content/images/2026/10/a.png')).rejects.toThrow('No deleted or earlier version of "content/images/2026/10/a.png" was found');
+    });
+  });
+
+  describe('read', () => {
+    it('should read a specific version', async () => {
+      await expect(storage.read({ path: 'content/images/a.png', versionId: 'v1' })).resolves.toEqual(Buffer.from('version'));
+
+      expect(GetObjectCommand).toHaveBeenCalledWith({ Bucket: 'test-bucket', Key: 'content/images/a.png', VersionId: 'v1' });
+    });
+  });
+
+  describe('emptyTrash', () => {
+    it('should purge copies older than the retention period', async () => {
+      trashed = [
+        { Key: 'trash/content/images/a.png/2026-09-01T00:00:00.000Z', Size: 10 },
+        { Key: 'trash/content/images/b.png/2026-10-18T00:00:00.000Z', Size: 20 }
+      ];
+      const onProgress = jest.fn();
+
+      await expect(storage.emptyTrash({ onProgress })).resolves.toEqual({ scanned: 2, purged: 1, bytes: 10, failed: [] });
+
+      expect(DeleteObjectCommand.mock.calls).toEqual([[{ Bucket: 'test-bucket', Key: 'trash/content/images/a.png/2026-09-01T00:00:00.000Z' }]]);
+      expect(onProgress).toHaveBeenCalledWith({
+        status: 'purged',
+        key: 'content/images/a.png',
+        trashKey: 'trash/content/images/a.png/2026-09-01T00:00:00.000Z'
+      });
+    });
+
+    it('should accept a shorter retention period', async () => {
+      trashed = [{ Key: 'trash/content/images/b.png/2026-10-18T00:00:00.000Z', Size: 20 }];
+
+      await expect(storage.emptyTrash({ olderThan: 1 })).resolves.toMatchObject({ purged: 1 });
+    });
+  });
+});
@@ -0,0 +1,48 @@
+const { FileTooLargeError, UnsupportedMediaTypeError } = require('../lib/errors');
+const { assertUploadAllowed, isContentTypeAllowed } = require('../lib/validation');
+
+describe('validation', () => {
+  describe('isContentTypeAllowed', () => {
+    it('should allow everything when no types are configured', () => {
+      expect(isContentTypeAllowed('application/x-msdownload', undefined)).toBe(true);
+      expect(isContentTypeAllowed('application/x-msdownload', [])).toBe(true);
+    });
+
+    it('should match exact types, ignoring parameters and case', () => {
+      expect(isContentTypeAllowed('Application/PDF; charset=binary', ['application/pdf'])).toBe(true);
+      expect(isContentTypeAllowed('application/zip', ['application/pdf'])).toBe(false);
+    });
+
+    it('should match wildcards', () => {
+      expect(isContentTypeAllowed('image/webp', ['image/*'])).toBe(true);
+      expect(isContentTypeAllowed('video/mp4', ['image/*'])).toBe(false);
+      expect(isContentTypeAllowed('video/mp4', ['*/*'])).toBe(true);
+    });
+
+    it('should reject unknown types when a list is configured', () => {
+      expect(isContentTypeAllowed(undefined, ['image/*'])).toBe(false);
+    });
+  });
+
+  describe('assertUploadAllowed', () => {
+    const config = { maxFileSize: 100, allowedContentTypes: ['image/*'] };
+
+    it('should accept uploads within the limits', () => {
+      expect(() => assertUploadAllowed({ contentType: 'image/png', size: 100 }, config)).not.toThrow();
+    });
+
+    it('should reject oversize uploads', () => {
+      expect(() => assertUploadAllowed({ contentType: 'image/png', size: 101, key: 'a.png' }, config))
+        .toThrow(new FileTooLargeError('File is too large: 101 bytes exceeds the 100 bytes limit'));
+    });
+
+    it('should reject disallowed content types', () => {
+      expect(() => assertUploadAllowed({ contentType: 'text/html', size: 1 }, config))
+        .toThrow(UnsupportedMediaTypeError);
+    });
+
+    it('should not limit the size when maxFileSize is 0', () => {
+      expect(() => assertUploadAllowed({ size: Number.MAX_SAFE_INTEGER }, { maxFileSize: 0 })).not.toThrow();
+    });
+  });
+});